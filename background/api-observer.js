@@ -22,6 +22,9 @@
     maxPromptPatterns: 30,
     minHitsForPrompt: 2,
     storageKey: 'claude_api_observer',
+    schemaMaxDepth: 4,
+    schemaMaxProperties: 30,
+    promptShapeMaxLength: 160,
   };
 
   // ---------------------------------------------------------------------------
@@ -155,6 +158,27 @@
     return { path: normalizedPath, queryParams };
   }
 
+  /**
+   * Returns the domain and pattern key ("METHOD /path/{id}") a request URL
+   * would be recorded under, or null for unparseable URLs.
+   */
+  function getPatternKey(urlString, method) {
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch {
+      return null;
+    }
+
+    const normalized = normalizeUrlPath(urlString);
+    if (!normalized) return null;
+
+    return {
+      domain: url.hostname.replace(/^www\./, ''),
+      key: `${(method || 'GET').toUpperCase()} ${normalized.path}`,
+    };
+  }
+
   // ---------------------------------------------------------------------------
   // Pattern storage (in-memory)
   // ---------------------------------------------------------------------------
@@ -191,7 +215,6 @@
     const patternKey = `${method} ${normalized.path}`;
 
     const patterns = getOrCreateDomain(domain);
-    const now = Date.now();
 
     // Extract auth header names (never values)
     const authHeaders = [];
@@ -204,66 +227,242 @@
       }
     }
 
-    // Content type (response)
-    const contentType = (request.responseContentType || '').split(';')[0].trim();
+    // Content type (response) - fall back to the captured header
+    let rawContentType = request.responseContentType || '';
+    if (!rawContentType && request.responseHeaders) {
+      const header = request.responseHeaders.find((h) => h.name.toLowerCase() === 'content-type');
+      rawContentType = header?.value || '';
+    }
+    const contentType = rawContentType.split(';')[0].trim();
+
+    const observation = {
+      method,
+      path: normalized.path,
+      domain,
+      url: request.url,
+      statusCode: request.statusCode,
+      queryParams: normalized.queryParams,
+      authHeaders,
+      contentType,
+    };
+
+    // GraphQL: one pattern per operation rather than one for the endpoint
+    const operations = window.GraphqlParser ? window.GraphqlParser.parseRequest(request) : null;
+    if (operations) {
+      const batched = operations.length > 1 && Array.isArray(request.responseBody);
+      operations.forEach((operation, index) => {
+        const body = batched ? request.responseBody[index] : request.responseBody;
+        recordPattern(patterns, `${patternKey}#${window.GraphqlParser.operationKey(operation)}`, {
+          ...observation,
+          responseSchema: inferResponseSchema(request.statusCode, body),
+          operation,
+        });
+      });
+    } else {
+      recordPattern(patterns, patternKey, {
+        ...observation,
+        responseSchema: inferResponseSchema(request.statusCode, request.responseBody),
+      });
+    }
+
+    schedulePersist();
+  }
+
+  /**
+   * Create or merge one pattern from an observed request
+   */
+  function recordPattern(patterns, patternKey, observed) {
+    const now = Date.now();
+    const { operation, responseSchema } = observed;
 
     if (patterns.has(patternKey)) {
       // Merge into existing
       const existing = patterns.get(patternKey);
       existing.hitCount++;
       existing.lastSeen = now;
-      existing.sampleUrl = request.url;
+      existing.sampleUrl = observed.url;
 
-      if (request.statusCode && !existing.statusCodes.includes(request.statusCode)) {
-        existing.statusCodes.push(request.statusCode);
+      if (observed.statusCode && !existing.statusCodes.includes(observed.statusCode)) {
+        existing.statusCodes.push(observed.statusCode);
       }
 
-      for (const p of normalized.queryParams) {
+      for (const p of observed.queryParams) {
         if (!existing.queryParams.includes(p)) {
           existing.queryParams.push(p);
         }
       }
 
-      for (const h of authHeaders) {
+      for (const h of observed.authHeaders) {
         if (!existing.authHeaders.includes(h)) {
           existing.authHeaders.push(h);
         }
       }
 
-      if (contentType && !existing.contentType) {
-        existing.contentType = contentType;
+      if (observed.contentType && !existing.contentType) {
+        existing.contentType = observed.contentType;
       }
-    } else {
-      // New pattern
-      patterns.set(patternKey, {
-        method,
-        pattern: normalized.path,
-        domain,
-        queryParams: normalized.queryParams,
-        statusCodes: request.statusCode ? [request.statusCode] : [],
-        contentType: contentType || '',
-        authHeaders,
-        hitCount: 1,
-        firstSeen: now,
-        lastSeen: now,
-        sampleUrl: request.url,
-      });
 
-      // Enforce max patterns per domain — evict lowest hitCount
-      if (patterns.size > CONFIG.maxPatternsPerDomain) {
-        let minKey = null;
-        let minHits = Infinity;
-        for (const [key, data] of patterns) {
-          if (data.hitCount < minHits) {
-            minHits = data.hitCount;
-            minKey = key;
-          }
+      if (responseSchema) {
+        existing.responseSchema = existing.responseSchema
+          ? compactSchema(window.SchemaInference.mergeSchemas(existing.responseSchema, responseSchema))
+          : responseSchema;
+      }
+
+      if (operation && existing.graphql) {
+        mergeGraphqlInfo(existing.graphql, operation);
+      }
+      return;
+    }
+
+    // New pattern
+    patterns.set(patternKey, {
+      method: observed.method,
+      pattern: observed.path,
+      domain: observed.domain,
+      queryParams: observed.queryParams,
+      statusCodes: observed.statusCode ? [observed.statusCode] : [],
+      contentType: observed.contentType || '',
+      authHeaders: observed.authHeaders,
+      hitCount: 1,
+      firstSeen: now,
+      lastSeen: now,
+      sampleUrl: observed.url,
+      responseSchema,
+      ...(operation ? { graphql: mergeGraphqlInfo(null, operation) } : {}),
+    });
+
+    // Enforce max patterns per domain — evict lowest hitCount
+    if (patterns.size > CONFIG.maxPatternsPerDomain) {
+      let minKey = null;
+      let minHits = Infinity;
+      for (const [key, data] of patterns) {
+        if (data.hitCount < minHits) {
+          minHits = data.hitCount;
+          minKey = key;
         }
-        if (minKey) patterns.delete(minKey);
       }
+      if (minKey) patterns.delete(minKey);
     }
+  }
 
-    schedulePersist();
+  // ---------------------------------------------------------------------------
+  // GraphQL operations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fold a parsed operation into a pattern's stored GraphQL info
+   * (top-level fields unioned, variables shape merged; never variable values)
+   */
+  function mergeGraphqlInfo(info, operation) {
+    const merged = info || {
+      operationName: operation.operationName,
+      operationType: operation.operationType,
+      persistedHash: operation.persistedHash,
+      fields: [],
+      variablesSchema: null,
+    };
+
+    if (!merged.operationType && operation.operationType) {
+      merged.operationType = operation.operationType;
+    }
+    if (!merged.persistedHash && operation.persistedHash) {
+      merged.persistedHash = operation.persistedHash;
+    }
+    for (const field of operation.fields) {
+      if (!merged.fields.includes(field) && merged.fields.length < CONFIG.schemaMaxProperties) {
+        merged.fields.push(field);
+      }
+    }
+
+    if (operation.variables && window.SchemaInference) {
+      const schema = compactSchema(window.SchemaInference.inferSchema(operation.variables));
+      merged.variablesSchema = merged.variablesSchema
+        ? compactSchema(window.SchemaInference.mergeSchemas(merged.variablesSchema, schema))
+        : schema;
+    }
+
+    return merged;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Response schema inference
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Infers a compact schema from a parsed JSON response body, or null.
+   */
+  function inferResponseSchema(statusCode, body) {
+    if (!window.SchemaInference) return null;
+    if (statusCode < 200 || statusCode >= 300) return null;
+
+    if (!body || typeof body !== 'object') return null;
+
+    return compactSchema(window.SchemaInference.inferSchema(body));
+  }
+
+  /**
+   * Trims a schema to a bounded depth and property count so stored patterns
+   * stay small. Nested objects beyond the limit keep only their type.
+   */
+  function compactSchema(schema, depth = 0) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const compact = { type: schema.type };
+    if (schema.format) compact.format = schema.format;
+    if (depth >= CONFIG.schemaMaxDepth) return compact;
+
+    if (schema.properties) {
+      const keys = Object.keys(schema.properties).slice(0, CONFIG.schemaMaxProperties);
+      compact.properties = {};
+      for (const key of keys) {
+        compact.properties[key] = compactSchema(schema.properties[key], depth + 1);
+      }
+      if (schema.required) {
+        compact.required = schema.required.filter((key) => keys.includes(key));
+      }
+    }
+
+    if (schema.items) {
+      compact.items = compactSchema(schema.items, depth + 1);
+    }
+
+    return compact;
+  }
+
+  const SHAPE_TYPE_NAMES = {
+    integer: 'int',
+    number: 'num',
+    string: 'str',
+    boolean: 'bool',
+    null: 'null',
+  };
+
+  /**
+   * Renders a schema as a one-line shape: {id: int, tags: [str], next?: str|null}
+   */
+  function formatShape(schema, depth = 0) {
+    if (!schema || !schema.type) return 'any';
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    return types.map((type) => {
+      if (type === 'object') {
+        if (!schema.properties || depth >= 2) return '{...}';
+        const required = schema.required || [];
+        const fields = Object.entries(schema.properties).map(([key, value]) =>
+          `${key}${required.includes(key) ? '' : '?'}: ${formatShape(value, depth + 1)}`
+        );
+        return `{${fields.join(', ')}}`;
+      }
+      if (type === 'array') {
+        return schema.items ? `[${formatShape(schema.items, depth)}]` : '[]';
+      }
+      return SHAPE_TYPE_NAMES[type] || type;
+    }).join('|');
+  }
+
+  function truncateShape(shape) {
+    if (shape.length <= CONFIG.promptShapeMaxLength) return shape;
+    return shape.slice(0, CONFIG.promptShapeMaxLength - 3) + '...';
   }
 
   // ---------------------------------------------------------------------------
@@ -290,6 +489,9 @@
     const lines = [];
     for (const p of top) {
       let line = `${p.method.padEnd(6)} ${p.pattern}`;
+      if (p.graphql) {
+        line += `  ${window.GraphqlParser ? window.GraphqlParser.describeOperation(p.graphql) : p.graphql.operationName}`;
+      }
 
       const meta = [];
       if (p.statusCodes.length > 0) {
@@ -302,15 +504,31 @@
       if (p.authHeaders.length > 0) {
         meta.push('auth: ' + p.authHeaders.join(', '));
       }
-      if (p.queryParams.length > 0) {
+      if (p.queryParams.length > 0 && !p.graphql) {
         meta.push('params: ' + p.queryParams.join(', '));
       }
+      if (p.graphql?.variablesSchema?.properties) {
+        meta.push('vars: ' + truncateShape(formatShape(p.graphql.variablesSchema)));
+      }
+      if (p.graphql?.persistedHash) {
+        meta.push('persisted: ' + p.graphql.persistedHash);
+      }
 
       if (meta.length > 0) {
         line += '  [' + meta.join('] [') + ']';
       }
 
       line += `  (${p.hitCount}x)`;
+      if (p.graphql?.fields.length > 0) {
+        line += '\n         fields: ' + truncateShape(p.graphql.fields.join(', '));
+      }
+      // GraphQL responses all share the {data, errors} envelope - show what is inside data
+      const dataSchema = p.graphql && p.responseSchema?.properties?.data;
+      if (dataSchema) {
+        line += '\n         -> data: ' + truncateShape(formatShape(dataSchema));
+      } else if (p.responseSchema) {
+        line += '\n         -> ' + truncateShape(formatShape(p.responseSchema));
+      }
       lines.push(line);
     }
 
@@ -322,6 +540,9 @@
       '\n' +
       'Endpoints passively observed on this domain. Use them directly.\n' +
       'To save one permanently, use save_site_spec with type "api".\n' +
+      'Lines starting with -> show the inferred response shape (? = optional).\n' +
+      'GraphQL calls are listed per operation (query/mutation name, top-level fields,\n' +
+      'variables shape); send the same operationName and query or persisted hash.\n' +
       '\n' +
       lines.join('\n') +
       '\n\n' +
@@ -414,6 +635,7 @@
     processCompletedRequest,
     formatForPrompt,
     getPatterns,
+    getPatternKey,
     clearDomain,
     clearAll,
     loadFromStorage,
@@ -20,10 +20,14 @@
   let currentTaskToolCallCount = 0; // Actual tool call count for current task
   const HARD_TOOL_CALL_CAP = 200; // Absolute maximum tool calls even in "unlimited" mode
   let recentToolCalls = []; // Loop detection: { name, summary }
-  let configuredHighRiskTools = ['click_element', 'type_text', 'navigate', 'execute_script', 'fill_form', 'press_key']; // Default high-risk tools
+  let configuredHighRiskTools = ['click_element', 'type_text', 'navigate', 'execute_script', 'fill_form', 'press_key', 'run_workflow', 'drag_element', 'pointer_sequence', 'drop_file', 'click_at', 'type_at', 'replay_request']; // Default high-risk tools
+  // High-risk tools introduced after the first release. Saved settings predate some of them,
+  // so each one is added to a stored list once (mirror ADDED_HIGH_RISK_TOOLS in options/options.js)
+  const ADDED_HIGH_RISK_TOOLS = ['run_workflow', 'drag_element', 'pointer_sequence', 'drop_file', 'click_at', 'type_at', 'replay_request'];
   let debugMode = false; // Log full API requests when enabled
   let pendingToolConfirmations = new Map();
   let pendingIterationPrompts = new Map(); // For iteration limit prompts
+  let pendingSpendingCapPrompts = new Map(); // For daily spending cap prompts
   let activeStreams = new Map(); // tabId -> abort controller
   let currentStreamWindowId = null; // Window ID for targeted message sending
 
@@ -32,6 +36,10 @@
   const taskHistory = [];
   const MAX_TASK_HISTORY = 5;
   let currentTaskUserMessage = null;  // Track original user request for current task
+  let currentTaskUsage = null; // { cost, requests, label } accumulated across the current task's API calls
+  let currentTaskSpendingApproved = false; // User chose to continue past the daily spending cap
+  let currentTaskWorkflow = { calls: [], startUrl: null }; // Successful replayable tool calls this task (for save_workflow)
+  let lastTaskWorkflow = null; // Recording from the previous task, so "save that as a workflow" works in a follow-up
 
   /**
    * Get the last 3 task summaries for context (called by tool-router.js)
@@ -82,6 +90,15 @@
   // Expose getTaskHistory for tool-router.js
   window.getTaskHistory = getTaskHistory;
 
+  /**
+   * Tool calls recorded for save_workflow (called by tool-router.js)
+   * @returns {{ calls: Array<{ name: string, input: Object }>, startUrl: string|null }}
+   */
+  window.getRecordedWorkflowSteps = () => {
+    if (currentTaskWorkflow.calls.length > 0) return currentTaskWorkflow;
+    return lastTaskWorkflow || currentTaskWorkflow;
+  };
+
   // Initialize on extension load
   init();
 
@@ -189,20 +206,63 @@
   const API_DEFAULTS = {
     model: 'claude-haiku-4-5',
     temperature: 0,
-    maxTokens: 8192
+    maxTokens: 8192,
+    thinkingBudget: 4096
   };
 
+  // Storage keys that select the LLM backend (changing any rebuilds claudeApi)
+  const PROVIDER_SETTING_KEYS = ['apiProvider', 'apiBaseUrl', 'apiAuthScheme', 'customModels'];
+
   // Create ClaudeAPI instance from storage or provided values
+  // Keyless backends (auth scheme "none", e.g. a local Ollama) need no API key
   async function createClaudeApiFromStorage(overrides = {}) {
-    const result = await browser.storage.local.get(['apiKey', 'defaultModel', 'temperature', 'maxTokens']);
-    if (!result.apiKey && !overrides.apiKey) return null;
-
-    return new ClaudeAPI(
-      overrides.apiKey || result.apiKey,
+    const result = await browser.storage.local.get([
+      'apiKey', 'defaultModel', 'temperature', 'maxTokens', 'thinkingEnabled', 'thinkingBudget', ...PROVIDER_SETTING_KEYS
+    ]);
+    const settings = { ...result, ...overrides };
+    const keyless = settings.apiAuthScheme === 'none';
+    if (!settings.apiKey && !keyless) return null;
+
+    const api = new ClaudeAPI(
+      settings.apiKey || '',
       overrides.model || result.defaultModel || API_DEFAULTS.model,
       overrides.temperature ?? result.temperature ?? API_DEFAULTS.temperature,
-      overrides.maxTokens || result.maxTokens || API_DEFAULTS.maxTokens
+      overrides.maxTokens || result.maxTokens || API_DEFAULTS.maxTokens,
+      {
+        provider: settings.apiProvider,
+        baseUrl: settings.apiBaseUrl,
+        authScheme: settings.apiAuthScheme,
+        models: settings.customModels
+      }
     );
+    if (result.thinkingEnabled) {
+      api.setThinkingBudget(result.thinkingBudget || API_DEFAULTS.thinkingBudget);
+    }
+    return api;
+  }
+
+  // Send a minimal request to verify a key/backend before it is saved
+  // payload: { apiKey, apiProvider, apiBaseUrl, apiAuthScheme, model } - unset fields fall back to storage
+  async function handleTestApiConnection(payload = {}) {
+    const overrides = {};
+    for (const key of ['apiKey', 'model', ...PROVIDER_SETTING_KEYS]) {
+      if (payload[key] !== undefined) overrides[key] = payload[key];
+    }
+
+    const api = await createClaudeApiFromStorage({ ...overrides, maxTokens: 256 });
+    if (!api) {
+      return { success: false, error: 'API key is required for this auth scheme.' };
+    }
+    if (!api.isConfigured()) {
+      return { success: false, error: 'Invalid API key format. Anthropic keys start with "sk-ant-".' };
+    }
+
+    try {
+      await api.sendMessage([{ role: 'user', content: 'Hi' }], [], '');
+      return { success: true, provider: api.provider.label, model: api.model };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   }
 
   // Load settings from storage
@@ -216,12 +276,11 @@
         'maxToolIterations',
         'temperature',
         'highRiskTools',
+        'knownHighRiskTools',
         'debugMode'
       ]);
 
-      if (result.apiKey) {
-        claudeApi = await createClaudeApiFromStorage();
-      }
+      claudeApi = await createClaudeApiFromStorage();
 
       if (result.autonomyMode) {
         defaultAutonomyMode = result.autonomyMode;
@@ -233,7 +292,7 @@
       }
 
       if (result.highRiskTools) {
-        configuredHighRiskTools = result.highRiskTools;
+        configuredHighRiskTools = await migrateHighRiskTools(result.highRiskTools, result.knownHighRiskTools);
       }
 
       // Debug mode - log full API requests
@@ -244,6 +303,20 @@
     }
   }
 
+  /**
+   * Add high-risk tools introduced since the settings were saved, once.
+   * Tools the user unchecked after that stay unchecked.
+   */
+  async function migrateHighRiskTools(highRiskTools, knownTools = []) {
+    const newTools = ADDED_HIGH_RISK_TOOLS.filter(tool => !knownTools.includes(tool));
+    if (newTools.length === 0) return highRiskTools;
+
+    const migrated = [...new Set([...highRiskTools, ...newTools])];
+    await browser.storage.local.set({ highRiskTools: migrated, knownHighRiskTools: ADDED_HIGH_RISK_TOOLS });
+    console.log('[Settings] Added new high-risk tools:', newTools);
+    return migrated;
+  }
+
   // Setup message listeners
   function setupMessageListeners() {
     browser.runtime.onMessage.addListener(handleMessage);
@@ -252,10 +325,8 @@
     browser.storage.onChanged.addListener(async (changes, area) => {
       if (area !== 'local') return;
 
-      if (changes.apiKey) {
-        claudeApi = changes.apiKey.newValue
-          ? await createClaudeApiFromStorage({ apiKey: changes.apiKey.newValue })
-          : null;
+      if (changes.apiKey || PROVIDER_SETTING_KEYS.some(key => changes[key])) {
+        claudeApi = await createClaudeApiFromStorage();
       }
 
       if (changes.defaultModel && claudeApi) {
@@ -271,6 +342,12 @@
         console.log(`[Settings] Max tokens updated to ${changes.maxTokens.newValue}`);
       }
 
+      if ((changes.thinkingEnabled || changes.thinkingBudget) && claudeApi) {
+        const { thinkingEnabled, thinkingBudget } = await browser.storage.local.get(['thinkingEnabled', 'thinkingBudget']);
+        claudeApi.setThinkingBudget(thinkingEnabled ? (thinkingBudget || API_DEFAULTS.thinkingBudget) : 0);
+        console.log(`[Settings] Extended thinking budget updated to ${claudeApi.thinkingBudget}`);
+      }
+
       if (changes.autonomyMode) {
         defaultAutonomyMode = changes.autonomyMode.newValue;
       }
@@ -327,10 +404,20 @@
         handleIterationLimitResponse(payload);
         return true;
 
+      case 'SPENDING_CAP_RESPONSE':
+        handleSpendingCapResponse(payload);
+        return true;
+
+      case 'GET_TODAY_COST':
+        return { todayCost: window.UsageTracker?.getTodayCost() || 0 };
+
       case 'API_KEY_UPDATED':
         await loadSettings();
         return true;
 
+      case 'TEST_API_CONNECTION':
+        return await handleTestApiConnection(payload);
+
       case 'CANCEL_STREAM':
         handleCancelStream(payload.tabId);
         return true;
@@ -375,6 +462,28 @@
         }
         return true;
 
+      case 'js_dialog':
+        // alert/confirm/prompt/beforeunload seen by the page hook
+        if (sender.tab?.id && window.addDialogEvent) {
+          window.addDialogEvent(sender.tab.id, payload.data);
+        }
+        return true;
+
+      case 'get_dialog_policy':
+        if (!sender.tab?.id || !window.getDialogPolicy) return null;
+        return window.getDialogPolicy(sender.tab.id);
+
+      case 'get_response_status_rules':
+        if (!sender.tab?.id || !window.getResponseStatusRules) return [];
+        return window.getResponseStatusRules(sender.tab.id);
+
+      case 'recorder_step':
+        // User action captured by the macro recorder
+        if (sender.tab?.id && window.MacroRecorder) {
+          window.MacroRecorder.addStep(sender.tab.id, payload.step);
+        }
+        return true;
+
       case 'unhandled_rejection':
         // Store unhandled promise rejections as errors
         if (sender.tab?.id && window.addToErrorBuffer) {
@@ -417,6 +526,32 @@
       case 'GET_RAW_SITE_NOTES':
         return handleGetRawKnowledge(payload);
 
+      case 'RUN_WORKFLOW':
+        return await window.runWorkflow(payload.specId, payload.params || {});
+
+      // Macro recorder
+      case 'START_RECORDING':
+        return handleRecorderRequest(async () => {
+          const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+          if (!tab) throw new Error('No active tab found');
+          return window.MacroRecorder.start(tab);
+        });
+
+      case 'STOP_RECORDING':
+        return handleRecorderRequest(() => window.MacroRecorder.stop(payload.tabId));
+
+      case 'GET_RECORDING':
+        return handleRecorderRequest(async () => {
+          const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+          return window.MacroRecorder.get(payload.tabId || tab?.id);
+        });
+
+      case 'DISCARD_RECORDING':
+        return handleRecorderRequest(() => window.MacroRecorder.discard(payload.tabId));
+
+      case 'SAVE_RECORDING':
+        return handleRecorderRequest(() => handleSaveRecording(payload));
+
       case 'GET_SITE_NOTES_COUNT':
         return handleGetKnowledgeCount(payload);
 
@@ -455,6 +590,82 @@
         return { api: Object.keys(apiPatterns).length, dom: domCount };
       }
 
+      case 'GET_REQUEST_RULES': {
+        if (!window.listRequestRules || payload.tabId === undefined) return { active: false };
+        return window.listRequestRules(payload.tabId);
+      }
+
+      case 'EXPORT_HAR': {
+        if (!window.exportHar || payload.tabId === undefined) return { error: 'HAR export unavailable' };
+        try {
+          return await window.exportHar(payload.tabId, {});
+        } catch (e) {
+          return { error: e.message };
+        }
+      }
+
+      case 'IMPORT_HAR': {
+        if (!window.importHar || payload.tabId === undefined) return { error: 'HAR import unavailable' };
+        try {
+          return await window.importHar(payload.tabId, { content: payload.content });
+        } catch (e) {
+          return { error: e.message };
+        }
+      }
+
+      case 'ARCHIVE_CONVERSATION':
+        return handleArchiveRequest(() => window.ConversationArchive.save(payload.entry));
+
+      case 'SEARCH_ARCHIVE':
+        return handleArchiveRequest(async () => ({
+          results: await window.ConversationArchive.search(payload.query, { domain: payload.domain, limit: payload.limit })
+        }));
+
+      case 'GET_ARCHIVED_CONVERSATION':
+        return handleArchiveRequest(async () => ({
+          record: await window.ConversationArchive.get(payload.id)
+        }));
+
+      case 'DELETE_ARCHIVED_CONVERSATION':
+        return handleArchiveRequest(async () => {
+          await window.ConversationArchive.remove(payload.id);
+          return { success: true };
+        });
+
+      case 'CLEAR_CONVERSATION_HISTORY':
+        return handleArchiveRequest(async () => {
+          await window.ConversationArchive.clear();
+          return { success: true };
+        });
+
+      case 'SET_DIALOG_POLICY': {
+        if (!window.setDialogPolicy || payload.tabId === undefined) return { error: 'Dialog policy unavailable' };
+        try {
+          return await window.setDialogPolicy(payload.tabId, { policy: payload.policy });
+        } catch (e) {
+          return { error: e.message };
+        }
+      }
+
+      case 'GET_REQUEST_SNIPPET': {
+        if (!window.generateRequestSnippet || payload.tabId === undefined) return { error: 'Snippet generator unavailable' };
+        try {
+          const result = window.generateRequestSnippet(payload.tabId, { requestId: payload.requestId, formats: [payload.format] });
+          return { snippet: result.snippets[payload.format] };
+        } catch (e) {
+          return { error: e.message };
+        }
+      }
+
+      case 'CLEAR_REQUEST_RULES': {
+        if (!window.clearRequestRules || payload.tabId === undefined) return { cleared: [] };
+        try {
+          return window.clearRequestRules(payload.tabId, payload.id);
+        } catch (e) {
+          return { error: e.message };
+        }
+      }
+
       default:
         // Only warn for truly unknown messages
         if (type) {
@@ -464,14 +675,52 @@
     }
   }
 
+  // Run a conversation archive operation, reporting failures as { error }
+  async function handleArchiveRequest(operation) {
+    if (!window.ConversationArchive) return { error: 'Conversation archive unavailable' };
+    try {
+      return await operation();
+    } catch (e) {
+      console.error('[Archive] Operation failed:', e);
+      return { error: e.message };
+    }
+  }
+
+  // Run a macro recorder operation, reporting failures as { error }
+  async function handleRecorderRequest(operation) {
+    if (!window.MacroRecorder) return { error: 'Macro recorder unavailable' };
+    try {
+      return await operation();
+    } catch (e) {
+      console.error('[MacroRecorder] Operation failed:', e);
+      return { error: e.message };
+    }
+  }
+
+  // Save a finished recording as a workflow spec for the domain it started on
+  async function handleSaveRecording({ tabId, description, params }) {
+    if (!description) throw new Error('A name is required');
+
+    const recording = window.MacroRecorder.get(tabId);
+    if (recording.steps.length === 0) throw new Error('Nothing recorded');
+
+    const workflow = window.WorkflowEngine.createWorkflow(recording.steps, {
+      params: params || {},
+      startUrl: recording.startUrl
+    });
+    const domain = new URL(recording.startUrl).hostname.replace(/^www\./, '');
+    return window.saveWorkflowSpec(domain, description, workflow);
+  }
+
   // Handle chat message from sidebar
   async function handleChatMessage(payload, _sender) {
-    const { conversation, model, windowId, autonomyMode } = payload;
+    const { conversation, model, windowId, autonomyMode, thinkingBudget } = payload;
 
     // Reset iteration limit and tool call count at start of new task
     currentTaskMaxIterations = configuredMaxToolIterations;
     currentTaskToolCallCount = 0;
     recentToolCalls = [];
+    currentTaskSpendingApproved = false;
 
     // Store window ID for targeted message sending
     currentStreamWindowId = windowId || null;
@@ -481,6 +730,12 @@
     const tabId = tab?.id;
     const tabUrl = tab?.url;
 
+    // Start a fresh workflow recording, keeping the previous one for follow-up saves
+    if (currentTaskWorkflow.calls.length > 0) {
+      lastTaskWorkflow = currentTaskWorkflow;
+    }
+    currentTaskWorkflow = { calls: [], startUrl: tabUrl || null };
+
     // Set autonomy mode for this tab (from sidebar's current setting)
     if (tabId && autonomyMode) {
       tabAutonomyModes.set(tabId, autonomyMode);
@@ -507,6 +762,11 @@
       claudeApi.setModel(model);
     }
 
+    // Per-message extended thinking budget from the sidebar (0 = off)
+    if (thinkingBudget !== undefined) {
+      claudeApi.setThinkingBudget(thinkingBudget);
+    }
+
     // Create abort controller for this stream
     const abortController = new AbortController();
     if (tabId) {
@@ -526,6 +786,8 @@
         : lastUserMsg.content.find(b => b.type === 'text')?.text || '[Image or other content]';
     }
 
+    currentTaskUsage = { cost: 0, requests: 0, label: currentTaskUserMessage };
+
     try {
       await streamConversation(sanitizedConversation, tabId, tabUrl, abortController.signal);
     } catch (error) {
@@ -555,6 +817,18 @@
         browser.tabs.sendMessage(tabId, { action: 'toggle_selection_mode', params: { enable: false } }, { frameId: 0 }).catch(() => {});
         activeStreams.delete(tabId);
       }
+      // Log the task for the usage page (per-domain and tool-heavy breakdowns)
+      if (window.UsageTracker && currentTaskUsage) {
+        window.UsageTracker.recordTask({
+          url: tabUrl,
+          label: currentTaskUsage.label,
+          model: claudeApi?.model,
+          cost: currentTaskUsage.cost,
+          requests: currentTaskUsage.requests,
+          toolCalls: currentTaskToolCallCount
+        });
+      }
+      currentTaskUsage = null;
       // Reset window ID after stream completes
       currentStreamWindowId = null;
     }
@@ -566,6 +840,7 @@
     let currentTextBlock = '';
     let currentToolUse = null;
     let currentToolInputJson = '';
+    let currentThinking = null; // { thinking, signature } while a thinking block streams
     let stopReason = null;
     let outputTokensUsed = 0;
 
@@ -627,12 +902,15 @@
         try {
           const systemPrompt = await buildSystemPrompt(tabId, tabUrl);
           const stream = claudeApi.streamMessage(summaryConversation, [], systemPrompt);
+          const requestUsage = createRequestUsage();
 
           for await (const event of stream) {
             if (signal?.aborted) break;
+            trackRequestUsage(event, requestUsage);
             await handleStreamEvent(event, { tabId });
           }
 
+          recordRequestUsage(requestUsage, tabUrl);
           sendToSidebar({ type: 'STREAM_END' });
         } catch (error) {
           console.error('[ToolLimit] Error getting summary:', error);
@@ -650,7 +928,27 @@
       console.log(`[ToolCalls] Current count: ${currentTaskToolCallCount}/${currentTaskMaxIterations}`);
     }
 
+    // Daily spending cap - pause before the next request and let the user decide
+    if (window.UsageTracker && !currentTaskSpendingApproved) {
+      const capStatus = window.UsageTracker.checkSpendingCap();
+      if (capStatus.exceeded) {
+        console.warn(`[SpendingCap] Daily cap reached ($${capStatus.spent.toFixed(2)}/$${capStatus.cap.toFixed(2)}), asking user`);
+        const proceed = await askUserToExceedSpendingCap(capStatus);
+        if (!proceed) {
+          sendToSidebar({
+            type: 'STREAM_DELTA',
+            text: `\n\n⏸️ **Daily spending cap reached ($${capStatus.spent.toFixed(2)} of $${capStatus.cap.toFixed(2)}).** Task paused. Raise the cap in Settings or continue tomorrow.\n\n`
+          });
+          sendToSidebar({ type: 'STREAM_END' });
+          return;
+        }
+        console.log('[SpendingCap] User approved spending past the cap for this task');
+        currentTaskSpendingApproved = true;
+      }
+    }
+
     const systemPrompt = await buildSystemPrompt(tabId, tabUrl);
+    const requestUsage = createRequestUsage();
 
     try {
       const stream = claudeApi.streamMessage(
@@ -662,9 +960,12 @@
       for await (const event of stream) {
         // Check for abort
         if (signal?.aborted) {
+          recordRequestUsage(requestUsage, tabUrl);
           throw new DOMException('Stream aborted', 'AbortError');
         }
 
+        trackRequestUsage(event, requestUsage);
+
         // Handle UI updates via handleStreamEvent
         await handleStreamEvent(event, { tabId });
 
@@ -672,6 +973,11 @@
         if (event.type === 'content_block_start') {
           if (event.content_block?.type === 'text') {
             currentTextBlock = '';
+          } else if (event.content_block?.type === 'thinking') {
+            currentThinking = { thinking: '', signature: '' };
+          } else if (event.content_block?.type === 'redacted_thinking') {
+            // Encrypted reasoning - must be passed back verbatim in the tool loop
+            currentAssistantContent.push({ type: 'redacted_thinking', data: event.content_block.data });
           } else if (event.content_block?.type === 'tool_use') {
             currentToolUse = {
               id: event.content_block.id,
@@ -685,6 +991,10 @@
         if (event.type === 'content_block_delta') {
           if (event.delta?.type === 'text_delta') {
             currentTextBlock += event.delta.text || '';
+          } else if (event.delta?.type === 'thinking_delta' && currentThinking) {
+            currentThinking.thinking += event.delta.thinking || '';
+          } else if (event.delta?.type === 'signature_delta' && currentThinking) {
+            currentThinking.signature += event.delta.signature || '';
           } else if (event.delta?.type === 'input_json_delta' && currentToolUse) {
             // Accumulate JSON input string
             currentToolInputJson += event.delta.partial_json || '';
@@ -692,6 +1002,18 @@
         }
 
         if (event.type === 'content_block_stop') {
+          if (currentThinking) {
+            // Unsigned reasoning (OpenAI-compatible providers) is display-only;
+            // the Anthropic API rejects thinking blocks without a signature
+            if (currentThinking.signature) {
+              currentAssistantContent.push({
+                type: 'thinking',
+                thinking: currentThinking.thinking,
+                signature: currentThinking.signature
+              });
+            }
+            currentThinking = null;
+          }
           if (currentTextBlock) {
             currentAssistantContent.push({
               type: 'text',
@@ -731,6 +1053,8 @@
         }
       }
 
+      recordRequestUsage(requestUsage, tabUrl);
+
       // After stream ends, check if response was truncated
       const wasTruncated = stopReason === 'max_tokens';
       const hasPartialToolCall = currentToolUse !== null || currentToolInputJson.length > 0;
@@ -877,6 +1201,10 @@
             toolId: event.content_block.id,
             toolName: event.content_block.name
           });
+        } else if (event.content_block?.type === 'thinking') {
+          sendToSidebar({ type: 'STREAM_THINKING_START' });
+        } else if (event.content_block?.type === 'redacted_thinking') {
+          sendToSidebar({ type: 'STREAM_THINKING_START', redacted: true });
         }
         break;
 
@@ -889,6 +1217,11 @@
               text: text
             });
           }
+        } else if (event.delta?.type === 'thinking_delta') {
+          sendToSidebar({
+            type: 'STREAM_THINKING_DELTA',
+            text: event.delta.thinking || ''
+          });
         } else if (event.delta?.type === 'input_json_delta') {
           sendToSidebar({
             type: 'STREAM_TOOL_INPUT_DELTA',
@@ -954,6 +1287,10 @@
         const nodeCount = countNodes(result);
         return `[get_dom_structure] Found ${nodeCount} nodes under '${selector}'`;
 
+      case 'get_accessibility_snapshot':
+        return `[get_accessibility_snapshot] ${result.nodeCount || 0} nodes, ${result.refCount || 0} refs` +
+               (result.truncated ? ' (truncated)' : '');
+
       case 'query_selector':
         const matches = Array.isArray(result) ? result.length : (result.found ? 1 : 0);
         return `[query_selector] '${input.selector}' matched ${matches} element(s)`;
@@ -966,18 +1303,49 @@
         return `[execute_script] Returned ${resultType}: ${preview}`;
 
       case 'click_element':
-        return `[click_element] Clicked '${input.selector}'`;
+        return `[click_element] Clicked '${input.selector || input.ref}'${summarizeEffects(result.effects)}`;
 
       case 'type_text':
-        return `[type_text] Typed ${input.text?.length || 0} chars into '${input.selector}'`;
+        return `[type_text] Typed ${input.text?.length || 0} chars into '${input.selector || input.ref}'${summarizeEffects(result.effects)}`;
 
       case 'fill_form':
         const fieldCount = Object.keys(input.fields || {}).length;
-        return `[fill_form] Filled ${fieldCount} fields`;
+        return `[fill_form] Filled ${fieldCount} fields${summarizeEffects(result.effects)}`;
+
+      case 'mock_response':
+        return `[mock_response] Mocking ${result.method} ${result.pattern}${result.status ? ` -> ${result.status}` : ''} (${result.id})`;
+
+      case 'rewrite_response':
+        return `[rewrite_response] Rewriting ${result.method} ${result.pattern}${result.status ? ` -> ${result.status}` : ''} (${result.id})`;
+
+      case 'replay_request': {
+        const { comparison } = result;
+        const status = comparison.statusChanged ? `${comparison.originalStatus} -> ${comparison.replayStatus}` : `${comparison.replayStatus}`;
+        const body = comparison.bodyIdentical === undefined ? '' : comparison.bodyIdentical ? ', same body' : ', body changed';
+        return `[replay_request] Replayed ${result.request.method} ${result.request.url}: ${status}${body}`;
+      }
+
+      case 'generate_request_snippet':
+        return `[generate_request_snippet] ${Object.keys(result.snippets).join(', ')} for ${result.method} ${result.url}${result.maskedHeaders ? ` (masked ${result.maskedHeaders.join(', ')})` : ''}`;
+
+      case 'click_at':
+        return `[click_at] Clicked (${input.x}, ${input.y}) on '${result.target}'${summarizeEffects(result.effects)}`;
+
+      case 'type_at':
+        return `[type_at] Typed ${input.text?.length || 0} chars at (${input.x}, ${input.y}) into '${result.target}'${summarizeEffects(result.effects)}`;
+
+      case 'drag_element':
+        return `[drag_element] Dragged '${input.selector || input.ref}' ${result.target ? `onto '${result.target}'` : `by (${input.offsetX || 0}, ${input.offsetY || 0})`} via ${result.method}`;
+
+      case 'pointer_sequence':
+        return `[pointer_sequence] ${result.dnd} path through ${result.points?.length || 0} points`;
+
+      case 'drop_file':
+        return `[drop_file] ${result.attached ? 'Attached' : 'Dropped'} ${result.file?.name} (${result.file?.size} bytes) on '${input.selector || input.ref}'`;
 
       case 'scroll_to':
-        if (input.selector) {
-          return `[scroll_to] Scrolled to '${input.selector}'`;
+        if (input.selector || input.ref) {
+          return `[scroll_to] Scrolled to '${input.selector || input.ref}'`;
         }
         return `[scroll_to] Scrolled to (${input.x || 0}, ${input.y || 0})`;
 
@@ -988,10 +1356,16 @@
         if (result.saved) {
           return `[take_screenshot] Saved: ${result.filename}`;
         }
+        if (result.fullPage) {
+          return `[take_screenshot] Captured full page (${result.fullPage.width}x${result.fullPage.height}, ${result.fullPage.tiles} image${result.fullPage.tiles !== 1 ? 's' : ''})${result.fullPage.truncated ? ' - truncated' : ''}`;
+        }
         return `[take_screenshot] Captured screenshot`;
 
       case 'take_element_screenshot':
-        return `[take_element_screenshot] Captured element: ${input.selector}`;
+        return `[take_element_screenshot] Captured element: ${input.selector || input.ref}`;
+
+      case 'take_labeled_screenshot':
+        return `[take_labeled_screenshot] Captured screenshot with ${result.marks?.length || 0} labeled elements`;
 
       case 'read_image':
         if (result.screenshot) {
@@ -1012,6 +1386,18 @@
           return `[save_site_spec] Failed: ${result.error}`;
         }
 
+      case 'save_workflow':
+        if (result.success) {
+          return `[save_workflow] Saved: "${input.description}" (spec_id ${result.spec_id})`;
+        }
+        return `[save_workflow] Failed: ${result.error}`;
+
+      case 'run_workflow':
+        if (result.success) {
+          return `[run_workflow] ${result.message}`;
+        }
+        return `[run_workflow] Failed: ${result.error}`;
+
       case 'open_download':
         return `[open_download] Opened downloaded file: ${result.filename || 'unknown'}`;
 
@@ -1076,6 +1462,20 @@
     }
   }
 
+  // Short suffix for an interaction tool's side-effect report (observe: true)
+  function summarizeEffects(effects) {
+    if (!effects) return '';
+    const parts = [];
+    if (effects.url) parts.push(`URL -> ${effects.url.to}`);
+    if (effects.dom?.regions?.length) parts.push(`${effects.dom.regions.length} DOM region(s) changed`);
+    if (effects.dom?.dialogs?.length) parts.push(`${effects.dom.dialogs.length} modal(s) opened`);
+    if (effects.network?.length) parts.push(`${effects.network.length} request(s)`);
+    if (effects.consoleErrors?.length) parts.push(`${effects.consoleErrors.length} console error(s)`);
+    if (effects.dialogs?.length) parts.push(`${effects.dialogs.length} JS dialog(s)`);
+    if (effects.newTabs?.length) parts.push(`${effects.newTabs.length} new tab(s)`);
+    return ` - effects: ${parts.length > 0 ? parts.join(', ') : 'none'}`;
+  }
+
   // Detect repetitive tool call patterns (loops)
   function detectToolLoop(calls) {
     if (calls.length < 3) return null;
@@ -1131,6 +1531,8 @@
         for (const block of msg.content) {
           if (block.type === 'text' && block.text) {
             totalChars += block.text.length;
+          } else if (block.type === 'thinking') {
+            totalChars += (block.thinking || '').length;
           } else if (block.type === 'tool_use') {
             totalChars += JSON.stringify(block.input || {}).length + 50; // tool overhead
           } else if (block.type === 'tool_result') {
@@ -1177,6 +1579,13 @@
    */
   function compressConversationHistory(conversation) {
     return conversation.map(msg => {
+      // Thinking from earlier assistant turns is not needed by the API (only the
+      // latest turn's blocks must round-trip) - drop it to save context
+      if (msg.role === 'assistant' && Array.isArray(msg.content) &&
+          msg.content.some(c => c.type === 'thinking' || c.type === 'redacted_thinking')) {
+        const content = msg.content.filter(c => c.type !== 'thinking' && c.type !== 'redacted_thinking');
+        return { ...msg, content: content.length > 0 ? content : [{ type: 'text', text: '[reasoning omitted]' }] };
+      }
       if (msg.role === 'user' && Array.isArray(msg.content)) {
         // Check if this is a tool_result message
         const hasToolResults = msg.content.some(c => c.type === 'tool_result');
@@ -1405,12 +1814,17 @@
 
   /**
    * Strip working notes from assistant content for history
-   * Removes <work>...</work> tags, keeps only final answer and tool_use blocks
+   * Removes <work>...</work> tags, keeps only final answer and tool_use blocks.
+   * Thinking blocks pass through untouched: the API verifies their signature and
+   * requires them, unmodified, ahead of the tool_use blocks they led to.
    */
   function compressAssistantContent(content) {
     if (!Array.isArray(content)) return content;
 
     return content.map(block => {
+      if (block.type === 'thinking' || block.type === 'redacted_thinking') {
+        return block;
+      }
       if (block.type === 'text' && block.text) {
         // Strip <work>...</work> tags (working notes) - keep only final answer
         const stripped = block.text.replace(/<work>[\s\S]*?<\/work>/gi, '').trim();
@@ -1484,11 +1898,19 @@
         const result = await window.executeTool(name, input);
         console.log(`Tool result (${name}):`, result);
 
+        // Snapshot refs expire - recorders and observers get the resolved selector
+        const stableInput = input.ref && result?.selector ? { ...input, selector: result.selector } : input;
+
+        // Record successful steps for save_workflow
+        if (window.WorkflowEngine?.isRecordableTool(name) && !result?.error && result?.success !== false) {
+          currentTaskWorkflow.calls.push({ name, input: stableInput });
+        }
+
         // Feed to passive interaction observer
         if (window.InteractionObserver && tabUrl) {
           try {
             const domain = new URL(tabUrl).hostname.replace(/^www\./, '');
-            window.InteractionObserver.processToolResult(name, input, result, domain);
+            window.InteractionObserver.processToolResult(name, stableInput, result, domain);
           } catch (e) {
             // Silently ignore - observer is non-critical
           }
@@ -1503,33 +1925,49 @@
         // Handle image results specially - use image content block for Claude vision
         if (result.screenshot) {
           try {
-            // Extract media type and base64 data from data URL
-            const dataUrlMatch = result.screenshot.match(/^data:(image\/\w+);base64,(.+)$/);
-            if (!dataUrlMatch) {
-              throw new Error('Invalid screenshot data URL format');
-            }
+            // Full-page captures arrive as top-to-bottom tiles, one image block each
+            const content = (result.tiles || [result.screenshot]).map(dataUrl => {
+              // Extract media type and base64 data from data URL
+              const dataUrlMatch = dataUrl.match(/^data:(image\/\w+);base64,(.+)$/);
+              if (!dataUrlMatch) {
+                throw new Error('Invalid screenshot data URL format');
+              }
+
+              const mediaType = dataUrlMatch[1]; // e.g., 'image/png' or 'image/jpeg'
+              const base64Data = dataUrlMatch[2];
+
+              // Validate base64 data is not empty and reasonably sized
+              if (!base64Data || base64Data.length < 100) {
+                throw new Error('Screenshot data appears empty or corrupted');
+              }
+
+              return {
+                type: 'image',
+                source: {
+                  type: 'base64',
+                  media_type: mediaType,
+                  data: base64Data
+                }
+              };
+            });
 
-            const mediaType = dataUrlMatch[1]; // e.g., 'image/png' or 'image/jpeg'
-            const base64Data = dataUrlMatch[2];
+            if (result.fullPage) {
+              content.push({ type: 'text', text: JSON.stringify({ fullPage: result.fullPage }) });
+            }
 
-            // Validate base64 data is not empty and reasonably sized
-            if (!base64Data || base64Data.length < 100) {
-              throw new Error('Screenshot data appears empty or corrupted');
+            // Labeled screenshots carry the label -> element map next to the image
+            if (result.marks) {
+              let marksStr = JSON.stringify({ marks: result.marks, viewport: result.viewport, truncated: result.truncated, hint: result.hint });
+              if (window.ContentSanitizer) {
+                marksStr = `[PAGE_CONTENT_START]\n${window.ContentSanitizer.sanitizeForConversation(marksStr, name)}\n[PAGE_CONTENT_END]`;
+              }
+              content.push({ type: 'text', text: marksStr });
             }
 
             toolResults.push({
               type: 'tool_result',
               tool_use_id: id,
-              content: [
-                {
-                  type: 'image',
-                  source: {
-                    type: 'base64',
-                    media_type: mediaType,
-                    data: base64Data
-                  }
-                }
-              ]
+              content
             });
           } catch (screenshotError) {
             console.error('Screenshot processing error:', screenshotError);
@@ -1550,12 +1988,13 @@
 
           // Sanitize page-reading tool results for prompt injection defense
           const PAGE_READING_TOOLS = new Set([
-            'get_page_content', 'get_page_text', 'get_dom_structure', 'query_selector',
+            'get_page_content', 'get_page_text', 'get_dom_structure', 'get_accessibility_snapshot', 'query_selector',
             'execute_script', 'fetch_url', 'get_local_storage', 'get_session_storage',
             'get_cookies', 'get_network_requests', 'read_image', 'get_page_metadata'
           ]);
 
-          if (PAGE_READING_TOOLS.has(name) && window.ContentSanitizer) {
+          // Side-effect reports carry page text (added nodes, live regions, dialogs)
+          if ((PAGE_READING_TOOLS.has(name) || result?.effects) && window.ContentSanitizer) {
             resultStr = window.ContentSanitizer.sanitizeForConversation(resultStr, name);
             resultStr = `[PAGE_CONTENT_START]\n${resultStr}\n[PAGE_CONTENT_END]`;
           }
@@ -1760,6 +2199,77 @@
     }
   }
 
+  // Ask user whether to keep going once today's spend has reached the cap
+  function askUserToExceedSpendingCap({ spent, cap }) {
+    return new Promise((resolve) => {
+      const promptId = Date.now().toString();
+      pendingSpendingCapPrompts.set(promptId, resolve);
+
+      sendToSidebar({
+        type: 'SPENDING_CAP_REACHED',
+        promptId: promptId,
+        spent: spent,
+        cap: cap
+      });
+    });
+  }
+
+  // Handle user's response to spending cap prompt
+  function handleSpendingCapResponse(payload) {
+    const { promptId, proceed } = payload;
+    const resolver = pendingSpendingCapPrompts.get(promptId);
+
+    if (resolver) {
+      resolver(Boolean(proceed));
+      pendingSpendingCapPrompts.delete(promptId);
+    }
+  }
+
+  // ============================================================================
+  // USAGE & COST TRACKING
+  // ============================================================================
+
+  function createRequestUsage() {
+    return { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+  }
+
+  /**
+   * Pick token counts out of stream events (message_start carries input and
+   * cache usage, message_delta carries the running output count)
+   */
+  function trackRequestUsage(event, usage) {
+    if (event.type === 'message_start' && event.message?.usage) {
+      const u = event.message.usage;
+      usage.input = u.input_tokens || 0;
+      usage.cacheCreation = u.cache_creation_input_tokens || 0;
+      usage.cacheRead = u.cache_read_input_tokens || 0;
+    } else if (event.type === 'message_delta' && event.usage?.output_tokens) {
+      usage.output = event.usage.output_tokens;
+    }
+  }
+
+  /**
+   * Price a finished request, add it to the task total and push the new
+   * running cost to the sidebar
+   */
+  function recordRequestUsage(usage, tabUrl) {
+    if (!window.UsageTracker || !claudeApi) return;
+    if (!usage.input && !usage.output) return;
+
+    const { cost, todayCost, priced } = window.UsageTracker.recordRequest({
+      url: tabUrl,
+      model: claudeApi.model,
+      usage
+    });
+
+    if (currentTaskUsage) {
+      currentTaskUsage.cost += cost;
+      currentTaskUsage.requests++;
+    }
+
+    sendToSidebar({ type: 'COST_UPDATE', requestCost: cost, todayCost, priced });
+  }
+
   // Handle screenshot request
   async function handleTakeScreenshot() {
     try {
@@ -2188,6 +2698,15 @@ ${rawKnowledge}
         }
       ], []); // No tools needed for summarization
 
+      if (response.usage) {
+        recordRequestUsage({
+          input: response.usage.input_tokens || 0,
+          output: response.usage.output_tokens || 0,
+          cacheCreation: response.usage.cache_creation_input_tokens || 0,
+          cacheRead: response.usage.cache_read_input_tokens || 0
+        }, null);
+      }
+
       // Extract text from response
       let summary = 'Previous conversation about browser automation tasks.';
       if (response.content) {
@@ -1,6 +1,8 @@
 /**
  * Claude API Client for Firefox Extension
- * Streaming API client for Anthropic's Claude API with browser-specific CORS handling
+ * Streaming API client for Anthropic's Claude API with browser-specific CORS handling.
+ * Other backends (OpenAI-compatible endpoints) are reached through the provider
+ * adapters in llm-providers.js, which translate to and from the Anthropic format.
  */
 
 // Available models for the extension
@@ -10,6 +12,10 @@ const AVAILABLE_MODELS = {
   'claude-opus-4-5': 'Opus 4.5'
 };
 
+// Extended thinking budget limits (budget_tokens minimum is set by the API)
+const THINKING_BUDGET_MIN = 1024;
+const THINKING_BUDGET_MAX = 32000;
+
 // System prompt is loaded from external file by prompt-loader.js
 // Use getSystemPrompt() to access it
 
@@ -24,13 +30,32 @@ class ClaudeAPI {
    * @param {string} model - Model ID (default: claude-haiku-4-5)
    * @param {number} temperature - Temperature for response generation (default: 0)
    * @param {number} maxTokens - Maximum tokens for responses (default: 8192)
+   * @param {Object} providerConfig - { provider, baseUrl, authScheme, models } (default: Anthropic)
    */
-  constructor(apiKey, model = 'claude-haiku-4-5', temperature = 0, maxTokens = 8192) {
+  constructor(apiKey, model = 'claude-haiku-4-5', temperature = 0, maxTokens = 8192, providerConfig = {}) {
     this.apiKey = apiKey;
     this.model = model;
     this.temperature = temperature;
     this.maxTokens = maxTokens;
-    this.baseUrl = 'https://api.anthropic.com/v1/messages';
+    this.thinkingBudget = 0; // 0 = extended thinking off
+    this.provider = createProvider(providerConfig);
+    this.customModels = Array.isArray(providerConfig.models) ? providerConfig.models : [];
+  }
+
+  /**
+   * Models selectable for this backend: the configured model list, or the
+   * built-in Claude models when none is configured
+   * @returns {Object} Map of model ID to display label
+   */
+  getAvailableModels() {
+    if (this.customModels.length === 0) {
+      return { ...AVAILABLE_MODELS };
+    }
+    const models = {};
+    for (const entry of this.customModels) {
+      models[entry.id] = entry.label || entry.id;
+    }
+    return models;
   }
 
   /**
@@ -46,10 +71,11 @@ class ClaudeAPI {
    * @param {string} model - New model ID
    */
   setModel(model) {
-    if (AVAILABLE_MODELS[model]) {
+    const models = this.getAvailableModels();
+    if (models[model]) {
       this.model = model;
     } else {
-      console.warn(`Unknown model: ${model}. Available models:`, Object.keys(AVAILABLE_MODELS));
+      console.warn(`Unknown model: ${model}. Available models:`, Object.keys(models));
     }
   }
 
@@ -79,12 +105,41 @@ class ClaudeAPI {
     }
   }
 
+  /**
+   * Update the extended thinking budget
+   * @param {number} budget - Thinking tokens (0 disables, otherwise 1024-32000)
+   */
+  setThinkingBudget(budget) {
+    const tokens = parseInt(budget, 10);
+    if (!tokens || tokens <= 0) {
+      this.thinkingBudget = 0;
+    } else {
+      this.thinkingBudget = Math.min(Math.max(tokens, THINKING_BUDGET_MIN), THINKING_BUDGET_MAX);
+    }
+  }
+
   /**
    * Check if the API client is configured with a valid API key
+   * Keyless backends (auth scheme "none") are always configured; the sk-ant-
+   * format check only applies to api.anthropic.com itself.
    * @returns {boolean}
    */
   isConfigured() {
-    return Boolean(this.apiKey && this.apiKey.startsWith('sk-ant-'));
+    if (this.provider.authScheme === 'none') {
+      return true;
+    }
+    if (this.provider.isOfficialEndpoint()) {
+      return Boolean(this.apiKey && this.apiKey.startsWith('sk-ant-'));
+    }
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Error for calls made before a key is set
+   * @returns {Error}
+   */
+  notConfiguredError() {
+    return new Error(`API key not configured. Please set your ${this.provider.label} API key in the extension settings.`);
   }
 
   /**
@@ -98,20 +153,15 @@ class ClaudeAPI {
     // Use loaded system prompt if none provided
     const effectiveSystemPrompt = systemPrompt ?? getSystemPrompt();
     if (!this.isConfigured()) {
-      throw new Error('API key not configured. Please set your Anthropic API key in the extension settings.');
+      throw this.notConfiguredError();
     }
 
-    const requestBody = {
-      model: this.model,
-      max_tokens: this.maxTokens,
-      temperature: this.temperature,
-      stream: true
-    };
-
     console.log('[ClaudeAPI] Request params:', {
+      provider: this.provider.name,
       model: this.model,
       max_tokens: this.maxTokens,
       temperature: this.temperature,
+      thinking_budget: this.thinkingBudget,
       toolCount: tools?.length || 0,
       messageCount: messages.length
     });
@@ -126,26 +176,29 @@ class ClaudeAPI {
       );
     }
 
-    // Add system prompt - supports both string and structured array format
-    // Structured format enables prompt caching: [{ type: "text", text: "...", cache_control: {...} }]
-    if (effectiveSystemPrompt) {
-      requestBody.system = effectiveSystemPrompt;
-    }
-
-    // Add messages
-    requestBody.messages = messages;
-
     // Add tools with cache_control on the last tool for prompt caching
     // This caches the entire tools array since cache applies to everything before the marker
-    if (tools && tools.length > 0) {
-      requestBody.tools = tools.map((tool, index) => {
-        if (index === tools.length - 1) {
-          // Add cache_control to last tool to cache all tools
-          return { ...tool, cache_control: { type: 'ephemeral' } };
-        }
-        return tool;
-      });
-    }
+    // (OpenAI-compatible providers drop the marker when translating tools)
+    const cachedTools = (tools || []).map((tool, index) => {
+      if (index === tools.length - 1) {
+        // Add cache_control to last tool to cache all tools
+        return { ...tool, cache_control: { type: 'ephemeral' } };
+      }
+      return tool;
+    });
+
+    // System prompt supports both string and structured array format
+    // Structured format enables prompt caching: [{ type: "text", text: "...", cache_control: {...} }]
+    const requestBody = this.provider.buildRequestBody({
+      model: this.model,
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      system: effectiveSystemPrompt,
+      messages,
+      tools: cachedTools,
+      stream: true,
+      thinkingBudget: this.thinkingBudget
+    });
 
     let response;
     let lastError;
@@ -154,15 +207,9 @@ class ClaudeAPI {
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        response = await fetch(this.baseUrl, {
+        response = await fetch(this.provider.getEndpoint(), {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01',
-            'anthropic-beta': 'prompt-caching-2024-07-31',
-            'anthropic-dangerous-direct-browser-access': 'true'
-          },
+          headers: this.provider.getHeaders(this.apiKey, { streaming: true }),
           body: JSON.stringify(requestBody)
         });
 
@@ -187,7 +234,7 @@ class ClaudeAPI {
     }
 
     if (!response) {
-      throw new Error(`Network error after ${maxRetries + 1} attempts: ${lastError?.message || 'Unknown error'}. Please check your internet connection.`);
+      throw new Error(`Network error after ${maxRetries + 1} attempts: ${lastError?.message || 'Unknown error'}. Please check your internet connection and the API base URL (${this.provider.baseUrl}).`);
     }
 
     // Handle non-200 responses (after retries exhausted)
@@ -196,33 +243,47 @@ class ClaudeAPI {
 
       try {
         const errorBody = await response.json();
-        if (errorBody.error) {
-          errorMessage = `API error: ${errorBody.error.type || response.status} - ${errorBody.error.message || response.statusText}`;
+        const detail = this.provider.extractErrorMessage(errorBody);
+        if (detail) {
+          errorMessage = `API error: ${detail}`;
         }
       } catch (e) {
         // Could not parse error body, use default message
       }
 
+      const label = this.provider.label;
+
       // Provide helpful messages for common errors
       switch (response.status) {
         case 401:
-          throw new Error('Invalid API key. Please check your Anthropic API key in the extension settings.');
+          throw new Error(`Invalid API key. Please check your ${label} API key in the extension settings.`);
+        case 404:
+          throw new Error(`${errorMessage}. Check the API base URL and model name (${this.provider.getEndpoint()}, ${this.model}).`);
         case 403:
           throw new Error('Access forbidden. Your API key may not have access to this model.');
         case 429:
           throw new Error('Rate limit exceeded. Please wait a moment before sending another message.');
         case 529:
-          throw new Error('Anthropic API is overloaded. Please try again in a few seconds.');
+          throw new Error(`${label} API is overloaded. Please try again in a few seconds.`);
         case 500:
         case 502:
         case 503:
-          throw new Error('Anthropic API is temporarily unavailable. Please try again in a moment.');
+          throw new Error(`${label} API is temporarily unavailable. Please try again in a moment.`);
         default:
           throw new Error(errorMessage);
       }
     }
 
-    // Parse SSE stream
+    // Parse SSE stream and translate provider events to Anthropic events
+    yield* this.provider.translateStream(this.parseEventStream(response));
+  }
+
+  /**
+   * Parse a server-sent events response body into JSON data payloads
+   * @param {Response} response - Streaming fetch response
+   * @yields {Object} Parsed data payloads
+   */
+  async *parseEventStream(response) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
@@ -300,33 +361,21 @@ class ClaudeAPI {
     const effectiveSystemPrompt = systemPrompt ?? getSystemPrompt();
 
     if (!this.isConfigured()) {
-      throw new Error('API key not configured. Please set your Anthropic API key in the extension settings.');
+      throw this.notConfiguredError();
     }
 
-    const requestBody = {
+    const requestBody = this.provider.buildRequestBody({
       model: this.model,
-      max_tokens: this.maxTokens,
-      temperature: this.temperature
-    };
-
-    if (effectiveSystemPrompt) {
-      requestBody.system = effectiveSystemPrompt;
-    }
-
-    requestBody.messages = messages;
-
-    if (tools && tools.length > 0) {
-      requestBody.tools = tools;
-    }
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      system: effectiveSystemPrompt,
+      messages,
+      tools
+    });
 
-    const response = await fetch(this.baseUrl, {
+    const response = await fetch(this.provider.getEndpoint(), {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
+      headers: this.provider.getHeaders(this.apiKey),
       body: JSON.stringify(requestBody)
     });
 
@@ -334,14 +383,12 @@ class ClaudeAPI {
       let errorMessage = `API error: ${response.status}`;
       try {
         const errorBody = await response.json();
-        if (errorBody.error) {
-          errorMessage = `${errorBody.error.type}: ${errorBody.error.message}`;
-        }
+        errorMessage = this.provider.extractErrorMessage(errorBody) || errorMessage;
       } catch (e) {}
       throw new Error(errorMessage);
     }
 
-    return await response.json();
+    return this.provider.translateResponse(await response.json());
   }
 }
 
@@ -0,0 +1,284 @@
+/**
+ * Conversation Archive
+ *
+ * Keeps completed sidebar conversations in IndexedDB so they outlive the
+ * 24h sidebar snapshot. Each record holds the conversation, rendered chat
+ * HTML, page context, token usage and tools used, plus a lowercased search
+ * text used for full-text search from the history panel.
+ *
+ * The sidebar upserts a record after every completed response (keyed by a
+ * per-tab archive ID) and can reopen any record into the current tab.
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    dbName: 'foxhole-archive',
+    dbVersion: 1,
+    storeName: 'conversations',
+    maxRecords: 500,
+    maxSearchTextLength: 200000,
+    snippetRadius: 60,
+    defaultSearchLimit: 50,
+  };
+
+  // Fields returned in search results (conversation and chatHtml stay in the DB)
+  const SUMMARY_FIELDS = [
+    'id', 'domain', 'url', 'title', 'firstMessage', 'createdAt', 'updatedAt',
+    'messageCount', 'tokenUsage', 'cost', 'model', 'toolsUsed',
+  ];
+
+  // ---------------------------------------------------------------------------
+  // IndexedDB helpers
+  // ---------------------------------------------------------------------------
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONFIG.storeName)) {
+          const store = db.createObjectStore(CONFIG.storeName, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+          store.createIndex('domain', 'domain');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function getStore(mode) {
+    const db = await openDb();
+    return db.transaction(CONFIG.storeName, mode).objectStore(CONFIG.storeName);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '') || 'unknown';
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Plain text of a message's content (string or content blocks)
+   */
+  function messageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    if (!Array.isArray(message.content)) return '';
+    return message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  /**
+   * Drop image blocks - screenshots would bloat the archive
+   */
+  function stripImages(conversation) {
+    return conversation.map(msg => {
+      if (!Array.isArray(msg.content)) return msg;
+      return { ...msg, content: msg.content.filter(b => b.type !== 'image') };
+    });
+  }
+
+  function buildSearchText(record) {
+    const parts = [record.title, record.url, ...(record.toolsUsed || [])];
+    for (const message of record.conversation) {
+      parts.push(messageText(message));
+    }
+    return parts.join('\n').toLowerCase().slice(0, CONFIG.maxSearchTextLength);
+  }
+
+  function toSummary(record) {
+    const summary = {};
+    for (const field of SUMMARY_FIELDS) {
+      summary[field] = record[field];
+    }
+    return summary;
+  }
+
+  /**
+   * Text around the first match of a term, taken from the original-case messages
+   */
+  function buildSnippet(record, term) {
+    for (const message of record.conversation) {
+      const text = messageText(message);
+      const index = text.toLowerCase().indexOf(term);
+      if (index === -1) continue;
+
+      const start = Math.max(0, index - CONFIG.snippetRadius);
+      const end = Math.min(text.length, index + term.length + CONFIG.snippetRadius);
+      return (start > 0 ? '...' : '') +
+        text.slice(start, end).replace(/\s+/g, ' ') +
+        (end < text.length ? '...' : '');
+    }
+    return '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Insert or update an archived conversation.
+   * @param {Object} entry - { id, url, title, conversation, chatHtml, tokenUsage, cost, model, toolsUsed }
+   * @returns {Promise<{ id: string, messageCount: number }>}
+   */
+  async function save(entry) {
+    if (!entry?.id) throw new Error('Archive entry requires an id');
+
+    const conversation = stripImages(entry.conversation || []);
+    if (conversation.length === 0) return { id: entry.id, messageCount: 0 };
+
+    const existing = await promisify((await getStore('readonly')).get(entry.id));
+    const now = Date.now();
+    const firstUser = conversation.find(m => m.role === 'user');
+
+    const record = {
+      id: entry.id,
+      url: entry.url || existing?.url || '',
+      domain: getDomain(entry.url || existing?.url),
+      title: entry.title || existing?.title || '',
+      firstMessage: (firstUser ? messageText(firstUser) : '').slice(0, 300),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      messageCount: conversation.length,
+      tokenUsage: entry.tokenUsage || existing?.tokenUsage || null,
+      cost: entry.cost ?? existing?.cost ?? 0,
+      model: entry.model || existing?.model || '',
+      toolsUsed: [...new Set([...(existing?.toolsUsed || []), ...(entry.toolsUsed || [])])],
+      conversation,
+      chatHtml: entry.chatHtml || null,
+    };
+    record.searchText = buildSearchText(record);
+
+    await promisify((await getStore('readwrite')).put(record));
+    await pruneOldRecords();
+
+    return { id: record.id, messageCount: record.messageCount };
+  }
+
+  /**
+   * Full-text search, newest first. Every whitespace-separated term must match.
+   * @param {string} [query] - Empty query lists recent conversations
+   * @param {Object} [options] - { domain, limit }
+   * @returns {Promise<Object[]>} Summaries with a match snippet
+   */
+  async function search(query = '', options = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const limit = options.limit || CONFIG.defaultSearchLimit;
+    const store = await getStore('readonly');
+
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const request = store.index('updatedAt').openCursor(null, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+
+        const record = cursor.value;
+        const domainMatches = !options.domain || record.domain === options.domain;
+        if (domainMatches && terms.every(term => record.searchText.includes(term))) {
+          results.push({
+            ...toSummary(record),
+            snippet: terms.length > 0 ? buildSnippet(record, terms[0]) : '',
+          });
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Full record including conversation and chat HTML
+   */
+  async function get(id) {
+    const record = await promisify((await getStore('readonly')).get(id));
+    if (!record) return null;
+    delete record.searchText;
+    return record;
+  }
+
+  async function remove(id) {
+    await promisify((await getStore('readwrite')).delete(id));
+  }
+
+  async function clear() {
+    await promisify((await getStore('readwrite')).clear());
+  }
+
+  async function count() {
+    return promisify((await getStore('readonly')).count());
+  }
+
+  /**
+   * Keep the newest maxRecords conversations
+   */
+  async function pruneOldRecords() {
+    const total = await count();
+    if (total <= CONFIG.maxRecords) return;
+
+    let toDelete = total - CONFIG.maxRecords;
+    const store = await getStore('readwrite');
+    await new Promise((resolve, reject) => {
+      const request = store.index('updatedAt').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || toDelete <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        toDelete--;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  window.ConversationArchive = {
+    save,
+    search,
+    get,
+    remove,
+    clear,
+    count,
+  };
+})();
@@ -0,0 +1,336 @@
+/**
+ * GraphQL Request Parser
+ *
+ * Recognizes GraphQL calls among captured requests - JSON POST bodies,
+ * batched arrays, GET query strings, raw application/graphql bodies and
+ * persisted-query hashes - and extracts what identifies each operation:
+ * name, type, top-level selection fields and variables.
+ *
+ * Used by the API observer to key patterns by operation instead of by URL,
+ * and by the network tools to label requests. Pure functions, no browser APIs.
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    maxQueryLength: 100000,
+    maxFields: 20,
+    hashPrefixLength: 12,
+  };
+
+  const OPERATION_TYPES = ['query', 'mutation', 'subscription'];
+
+  const GRAPHQL_PATH_RE = /graphql|\/gql\b/i;
+
+  // Block strings, strings, comments, spreads, names, numbers, punctuators
+  const TOKEN_RE = /"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n]*|\.\.\.|[A-Za-z_]\w*|-?\d[\w.+-]*|[^\s,]/g;
+  const NAME_RE = /^[A-Za-z_]\w*$/;
+
+  // ---------------------------------------------------------------------------
+  // Document parsing
+  // ---------------------------------------------------------------------------
+
+  function isName(token) {
+    return typeof token === 'string' && NAME_RE.test(token);
+  }
+
+  function tokenize(query) {
+    return (query.match(TOKEN_RE) || []).filter((token) => !token.startsWith('#'));
+  }
+
+  /**
+   * Index of the '}' closing the '{' at start (last token if unbalanced)
+   */
+  function matchingBrace(tokens, start) {
+    let depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+      if (tokens[i] === '{') depth++;
+      else if (tokens[i] === '}' && --depth === 0) return i;
+    }
+    return tokens.length - 1;
+  }
+
+  /**
+   * Top-level definitions: operations with their selection set bounds.
+   * Fragment definitions are skipped.
+   */
+  function findOperations(tokens) {
+    const operations = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+      const token = tokens[i];
+      let type = null;
+      let name = null;
+
+      if (token === '{') {
+        type = 'query';
+      } else if (OPERATION_TYPES.includes(token)) {
+        type = token;
+        if (isName(tokens[i + 1])) name = tokens[i + 1];
+      } else if (token !== 'fragment') {
+        i++;
+        continue;
+      }
+
+      // Selection set - the first '{' outside variable definitions and directive arguments
+      let start = i;
+      let parens = 0;
+      while (start < tokens.length && !(tokens[start] === '{' && parens === 0)) {
+        if (tokens[start] === '(') parens++;
+        else if (tokens[start] === ')') parens--;
+        start++;
+      }
+      if (start >= tokens.length) break;
+
+      const end = matchingBrace(tokens, start);
+      if (type) operations.push({ type, name, start, end });
+      i = end + 1;
+    }
+
+    return operations;
+  }
+
+  /**
+   * Field names (and fragment spreads) directly inside a selection set.
+   * Aliases resolve to the field they alias.
+   */
+  function topLevelFields(tokens, start, end) {
+    const fields = [];
+    let depth = 0;
+    let parens = 0;
+
+    for (let i = start; i <= end; i++) {
+      const token = tokens[i];
+      if (token === '(') parens++;
+      else if (token === ')') parens--;
+      if (parens > 0 || token === ')') continue;
+
+      if (token === '{') {
+        depth++;
+      } else if (token === '}') {
+        depth--;
+      } else if (depth !== 1) {
+        continue;
+      } else if (token === '@') {
+        i++; // directive name
+      } else if (token === '...') {
+        if (tokens[i + 1] === 'on' && isName(tokens[i + 2])) {
+          fields.push(`... on ${tokens[i + 2]}`);
+          i += 2;
+        } else if (isName(tokens[i + 1])) {
+          fields.push(`...${tokens[i + 1]}`);
+          i++;
+        }
+      } else if (isName(token)) {
+        if (tokens[i + 1] === ':' && isName(tokens[i + 2])) {
+          i += 2;
+          fields.push(tokens[i]);
+        } else {
+          fields.push(token);
+        }
+      }
+    }
+
+    return [...new Set(fields)].slice(0, CONFIG.maxFields);
+  }
+
+  /**
+   * Parse a GraphQL document and describe one of its operations
+   * @param {string} query - GraphQL document
+   * @param {string} [operationName] - Which operation to pick when there are several
+   * @returns {{ operationName: string|null, operationType: string, fields: string[] }|null}
+   */
+  function parseDocument(query, operationName) {
+    if (typeof query !== 'string' || query.length > CONFIG.maxQueryLength) return null;
+
+    const tokens = tokenize(query);
+    const operations = findOperations(tokens);
+    if (operations.length === 0) return null;
+
+    const operation = (operationName && operations.find((op) => op.name === operationName)) || operations[0];
+    return {
+      operationName: operation.name,
+      operationType: operation.type,
+      fields: topLevelFields(tokens, operation.start, operation.end),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Request parsing
+  // ---------------------------------------------------------------------------
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Persisted-query hash or stored document ID, if the payload carries one
+   */
+  function getPersistedHash(payload, isGraphqlPath) {
+    const extensions = parseJson(payload.extensions);
+    const hash = extensions?.persistedQuery?.sha256Hash
+      || payload.documentId
+      || payload.doc_id
+      // Relay-style { id, variables } - only trusted on a GraphQL endpoint
+      || (isGraphqlPath && payload.query === undefined ? payload.id : null);
+    return typeof hash === 'string' || typeof hash === 'number' ? String(hash) : null;
+  }
+
+  function isGraphqlPayload(payload, isGraphqlPath) {
+    if (!isPlainObject(payload)) return false;
+    if (typeof payload.query === 'string') return payload.query.includes('{') || isGraphqlPath;
+    return Boolean(getPersistedHash(payload, isGraphqlPath)) || (isGraphqlPath && typeof payload.operationName === 'string');
+  }
+
+  /**
+   * GraphQL payloads ({ query, operationName, variables, extensions }) in a request
+   */
+  function extractPayloads(request) {
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch {
+      return null;
+    }
+    const isGraphqlPath = GRAPHQL_PATH_RE.test(url.pathname);
+    const body = request.requestBody;
+
+    // GET /graphql?query=...&variables=... or ?extensions={"persistedQuery":...}
+    if (url.searchParams.has('query') || url.searchParams.has('extensions')) {
+      const payload = {
+        query: url.searchParams.get('query') ?? undefined,
+        operationName: url.searchParams.get('operationName') ?? undefined,
+        variables: parseJson(url.searchParams.get('variables')),
+        extensions: parseJson(url.searchParams.get('extensions')),
+      };
+      if (isGraphqlPayload(payload, isGraphqlPath)) return [payload];
+    }
+
+    if (Array.isArray(body)) {
+      return body.length > 0 && body.every((payload) => isGraphqlPayload(payload, isGraphqlPath)) ? body : null;
+    }
+
+    if (isPlainObject(body) && body.formData) {
+      const field = (name) => body.formData[name]?.[0];
+      const payload = {
+        query: field('query'),
+        operationName: field('operationName'),
+        variables: parseJson(field('variables')),
+        extensions: parseJson(field('extensions')),
+        doc_id: field('doc_id'),
+      };
+      return isGraphqlPayload(payload, isGraphqlPath) ? [payload] : null;
+    }
+
+    if (isPlainObject(body)) {
+      return isGraphqlPayload(body, isGraphqlPath) ? [body] : null;
+    }
+
+    // Raw application/graphql body
+    if (typeof body === 'string' && isGraphqlPath && body.includes('{')) {
+      return [{ query: body }];
+    }
+
+    return null;
+  }
+
+  /**
+   * GraphQL operations sent by a captured request (several for batched calls)
+   * @param {object} request - Network buffer entry
+   * @returns {Array<{ operationName, operationType, persistedHash, fields, variables }>|null}
+   *   null when the request is not a GraphQL call
+   */
+  function parseRequest(request) {
+    if (!request || request.type === 'websocket') return null;
+
+    const payloads = extractPayloads(request);
+    if (!payloads) return null;
+
+    let isGraphqlPath = false;
+    try {
+      isGraphqlPath = GRAPHQL_PATH_RE.test(new URL(request.url).pathname);
+    } catch {
+      // extractPayloads already rejected unparseable URLs
+    }
+
+    const operations = payloads.map((payload) => {
+      const parsed = parseDocument(payload.query, payload.operationName);
+      const persistedHash = getPersistedHash(payload, isGraphqlPath);
+      const operationName = (typeof payload.operationName === 'string' && payload.operationName) || parsed?.operationName || null;
+      if (!parsed && !persistedHash && !operationName) return null;
+
+      const variables = parseJson(payload.variables);
+      return {
+        operationName,
+        // Persisted GET queries are reads; a bare hash on POST could be anything
+        operationType: parsed?.operationType || (request.method === 'GET' ? 'query' : null),
+        persistedHash,
+        fields: parsed?.fields || [],
+        variables: isPlainObject(variables) ? variables : null,
+      };
+    });
+
+    return operations.every(Boolean) ? operations : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Describing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stable identifier for an operation: its name, else its persisted hash,
+   * else its top-level fields
+   */
+  function operationKey(operation) {
+    if (operation.operationName) return operation.operationName;
+    if (operation.persistedHash) return `persisted:${operation.persistedHash.slice(0, CONFIG.hashPrefixLength)}`;
+    return `anonymous:${operation.fields.join(',') || '?'}`;
+  }
+
+  /**
+   * "query GetViewer", "mutation addStar", "operation persisted:3f2a9c1b04de"
+   */
+  function describeOperation(operation) {
+    return `${operation.operationType || 'operation'} ${operationKey(operation)}`;
+  }
+
+  /**
+   * Compact form for tool results (variable names only, no values)
+   */
+  function summarize(operation) {
+    return {
+      operationName: operation.operationName,
+      operationType: operation.operationType,
+      ...(operation.persistedHash ? { persistedHash: operation.persistedHash } : {}),
+      ...(operation.fields.length > 0 ? { fields: operation.fields } : {}),
+      ...(operation.variables ? { variables: Object.keys(operation.variables) } : {}),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  window.GraphqlParser = {
+    parseDocument,
+    parseRequest,
+    operationKey,
+    describeOperation,
+    summarize,
+  };
+})();
@@ -0,0 +1,436 @@
+/**
+ * LLM Provider Adapters
+ * Request building and stream translation for the backends ClaudeAPI can talk to.
+ *
+ * Every provider yields Anthropic Messages API stream events, so background.js
+ * (tool loop, token tracking, truncation handling) stays provider-agnostic.
+ *
+ * - anthropic: Anthropic Messages API or a compatible gateway
+ * - openai:    OpenAI-compatible /chat/completions (Ollama, vLLM, LM Studio, ...)
+ */
+
+// Provider defaults (used when the options page leaves a field blank)
+const PROVIDER_DEFAULTS = {
+  anthropic: {
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    authScheme: 'x-api-key'
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    baseUrl: 'http://localhost:11434/v1',
+    authScheme: 'bearer'
+  }
+};
+
+/**
+ * Build auth headers for a scheme
+ * @param {string} authScheme - 'x-api-key' | 'bearer' | 'none'
+ * @param {string} apiKey - Key or token (may be empty for 'none')
+ * @returns {Object} Header map
+ */
+function buildAuthHeaders(authScheme, apiKey) {
+  if (!apiKey || authScheme === 'none') return {};
+  if (authScheme === 'bearer') return { 'Authorization': `Bearer ${apiKey}` };
+  return { 'x-api-key': apiKey };
+}
+
+/**
+ * Flatten an Anthropic system prompt (string or block array) to plain text
+ */
+function systemPromptToText(systemPrompt) {
+  if (!systemPrompt) return '';
+  if (typeof systemPrompt === 'string') return systemPrompt;
+  return systemPrompt.map(block => block.text || '').join('\n\n');
+}
+
+/**
+ * Remove thinking blocks from assistant messages (sent when thinking is off,
+ * e.g. after the user switches it off mid-conversation)
+ */
+function stripThinkingBlocks(messages) {
+  return messages.map(message => {
+    if (message.role !== 'assistant' || !Array.isArray(message.content)) return message;
+    const content = message.content.filter(b => b.type !== 'thinking' && b.type !== 'redacted_thinking');
+    if (content.length === message.content.length) return message;
+    return { ...message, content: content.length > 0 ? content : [{ type: 'text', text: '[reasoning omitted]' }] };
+  });
+}
+
+// ==========================================================================
+// Anthropic Messages API
+// ==========================================================================
+
+class AnthropicProvider {
+  /**
+   * @param {Object} config - { baseUrl, authScheme }
+   */
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.label = PROVIDER_DEFAULTS.anthropic.label;
+    this.baseUrl = (config.baseUrl || PROVIDER_DEFAULTS.anthropic.baseUrl).replace(/\/+$/, '');
+    this.authScheme = config.authScheme || PROVIDER_DEFAULTS.anthropic.authScheme;
+  }
+
+  /**
+   * True when talking to api.anthropic.com directly (enables key format checks)
+   */
+  isOfficialEndpoint() {
+    return this.baseUrl === PROVIDER_DEFAULTS.anthropic.baseUrl;
+  }
+
+  getEndpoint() {
+    return `${this.baseUrl}/messages`;
+  }
+
+  getHeaders(apiKey, { streaming = false } = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+      ...buildAuthHeaders(this.authScheme, apiKey)
+    };
+    if (streaming) {
+      headers['anthropic-beta'] = 'prompt-caching-2024-07-31';
+    }
+    return headers;
+  }
+
+  /**
+   * @param {Object} params - { model, maxTokens, temperature, system, messages, tools, stream, thinkingBudget }
+   */
+  buildRequestBody({ model, maxTokens, temperature, system, messages, tools, stream, thinkingBudget = 0 }) {
+    const body = {
+      model,
+      max_tokens: maxTokens
+    };
+
+    // Extended thinking: budget comes on top of the response allowance, and the
+    // API rejects any temperature other than the default when thinking is on
+    if (thinkingBudget > 0) {
+      body.max_tokens = maxTokens + thinkingBudget;
+      body.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+    } else {
+      body.temperature = temperature;
+    }
+
+    if (stream) body.stream = true;
+    if (system) body.system = system;
+    body.messages = thinkingBudget > 0 ? messages : stripThinkingBlocks(messages);
+    if (tools && tools.length > 0) body.tools = tools;
+    return body;
+  }
+
+  /**
+   * Events are already in Anthropic format
+   */
+  async *translateStream(events) {
+    yield* events;
+  }
+
+  translateResponse(json) {
+    return json;
+  }
+
+  extractErrorMessage(errorBody) {
+    if (!errorBody?.error) return null;
+    return `${errorBody.error.type || 'error'} - ${errorBody.error.message || ''}`;
+  }
+}
+
+// ==========================================================================
+// OpenAI-compatible Chat Completions API
+// ==========================================================================
+
+const OPENAI_STOP_REASONS = {
+  stop: 'end_turn',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  length: 'max_tokens'
+};
+
+class OpenAIProvider {
+  /**
+   * @param {Object} config - { baseUrl, authScheme }
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.label = PROVIDER_DEFAULTS.openai.label;
+    this.baseUrl = (config.baseUrl || PROVIDER_DEFAULTS.openai.baseUrl).replace(/\/+$/, '');
+    this.authScheme = config.authScheme || PROVIDER_DEFAULTS.openai.authScheme;
+  }
+
+  isOfficialEndpoint() {
+    return false;
+  }
+
+  getEndpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  getHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      ...buildAuthHeaders(this.authScheme, apiKey)
+    };
+  }
+
+  buildRequestBody({ model, maxTokens, temperature, system, messages, tools, stream }) {
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: this.translateMessages(messages, system)
+    };
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    if (tools && tools.length > 0) {
+      body.tools = this.translateTools(tools);
+    }
+    return body;
+  }
+
+  /**
+   * Anthropic tool definitions -> OpenAI function tools
+   */
+  translateTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Anthropic messages -> OpenAI chat messages.
+   * tool_result blocks become role "tool" messages (which must directly follow
+   * the assistant tool_calls message); images in tool results are re-sent as
+   * a user message since tool messages only carry text.
+   */
+  translateMessages(messages, system) {
+    const result = [];
+    const systemText = systemPromptToText(system);
+    if (systemText) {
+      result.push({ role: 'system', content: systemText });
+    }
+
+    for (const message of messages) {
+      if (typeof message.content === 'string') {
+        result.push({ role: message.role, content: message.content });
+        continue;
+      }
+
+      const blocks = message.content || [];
+
+      if (message.role === 'assistant') {
+        const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('\n');
+        const toolCalls = blocks.filter(b => b.type === 'tool_use').map(b => ({
+          id: b.id,
+          type: 'function',
+          function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+        }));
+        const assistantMessage = { role: 'assistant', content: text || null };
+        if (toolCalls.length > 0) assistantMessage.tool_calls = toolCalls;
+        result.push(assistantMessage);
+        continue;
+      }
+
+      // User message: tool results first, then any remaining text/images
+      const parts = [];
+      for (const block of blocks) {
+        if (block.type === 'tool_result') {
+          const content = typeof block.content === 'string' ? [{ type: 'text', text: block.content }] : (block.content || []);
+          const text = content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+          result.push({
+            role: 'tool',
+            tool_call_id: block.tool_use_id,
+            content: (block.is_error ? 'Error: ' : '') + (text || '[no text output]')
+          });
+          for (const c of content) {
+            if (c.type === 'image') parts.push(this.translateImage(c));
+          }
+        } else if (block.type === 'text') {
+          parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image') {
+          parts.push(this.translateImage(block));
+        }
+      }
+
+      if (parts.length > 0) {
+        const textOnly = parts.every(p => p.type === 'text');
+        result.push({
+          role: 'user',
+          content: textOnly ? parts.map(p => p.text).join('\n') : parts
+        });
+      }
+    }
+
+    return result;
+  }
+
+  translateImage(block) {
+    const source = block.source || {};
+    const url = source.type === 'base64'
+      ? `data:${source.media_type};base64,${source.data}`
+      : source.url;
+    return { type: 'image_url', image_url: { url } };
+  }
+
+  /**
+   * OpenAI stream chunks -> Anthropic stream events.
+   * Content and tool call deltas are mapped onto content blocks; usage is only
+   * known once the stream finishes, so message_start is emitted at the end.
+   */
+  async *translateStream(chunks) {
+    let blockIndex = -1;
+    let openBlock = null; // { kind: 'text' | 'thinking' } | { kind: 'tool', toolIndex }
+    let stopReason = null;
+    let usage = null;
+    let generatedIds = 0;
+
+    const closeBlock = function* () {
+      if (openBlock) {
+        yield { type: 'content_block_stop', index: blockIndex };
+        openBlock = null;
+      }
+    };
+
+    for await (const chunk of chunks) {
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.error) {
+        throw new Error(`API error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+      const delta = choice.delta || {};
+
+      // Reasoning models (DeepSeek-R1, QwQ, gpt-oss) stream their reasoning
+      // separately; surface it as unsigned thinking blocks for display only
+      const reasoning = delta.reasoning_content || delta.reasoning;
+      if (reasoning) {
+        if (openBlock?.kind !== 'thinking') {
+          yield* closeBlock();
+          blockIndex++;
+          openBlock = { kind: 'thinking' };
+          yield { type: 'content_block_start', index: blockIndex, content_block: { type: 'thinking', thinking: '' } };
+        }
+        yield { type: 'content_block_delta', index: blockIndex, delta: { type: 'thinking_delta', thinking: reasoning } };
+      }
+
+      if (delta.content) {
+        if (openBlock?.kind !== 'text') {
+          yield* closeBlock();
+          blockIndex++;
+          openBlock = { kind: 'text' };
+          yield { type: 'content_block_start', index: blockIndex, content_block: { type: 'text', text: '' } };
+        }
+        yield { type: 'content_block_delta', index: blockIndex, delta: { type: 'text_delta', text: delta.content } };
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        const toolIndex = toolCall.index ?? 0;
+        if (openBlock?.kind !== 'tool' || openBlock.toolIndex !== toolIndex) {
+          yield* closeBlock();
+          blockIndex++;
+          openBlock = { kind: 'tool', toolIndex };
+          yield {
+            type: 'content_block_start',
+            index: blockIndex,
+            content_block: {
+              type: 'tool_use',
+              id: toolCall.id || `call_${Date.now()}_${generatedIds++}`,
+              name: toolCall.function?.name || '',
+              input: {}
+            }
+          };
+        }
+        const args = toolCall.function?.arguments;
+        if (args) {
+          yield {
+            type: 'content_block_delta',
+            index: blockIndex,
+            delta: { type: 'input_json_delta', partial_json: typeof args === 'string' ? args : JSON.stringify(args) }
+          };
+        }
+      }
+
+      if (choice.finish_reason) {
+        stopReason = OPENAI_STOP_REASONS[choice.finish_reason] || 'end_turn';
+      }
+    }
+
+    yield* closeBlock();
+
+    if (usage) {
+      yield {
+        type: 'message_start',
+        message: { usage: { input_tokens: usage.prompt_tokens || 0 } }
+      };
+    }
+    yield {
+      type: 'message_delta',
+      delta: { stop_reason: stopReason || 'end_turn' },
+      usage: { output_tokens: usage?.completion_tokens || 0 }
+    };
+    yield { type: 'message_stop' };
+  }
+
+  /**
+   * Non-streaming chat completion -> Anthropic message shape
+   */
+  translateResponse(json) {
+    const message = json.choices?.[0]?.message || {};
+    const content = [];
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+    for (const toolCall of message.tool_calls || []) {
+      let input = {};
+      try {
+        input = JSON.parse(toolCall.function?.arguments || '{}');
+      } catch (e) {
+        // Leave input empty on malformed arguments
+      }
+      content.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input });
+    }
+    return {
+      role: 'assistant',
+      content,
+      stop_reason: OPENAI_STOP_REASONS[json.choices?.[0]?.finish_reason] || 'end_turn',
+      usage: {
+        input_tokens: json.usage?.prompt_tokens || 0,
+        output_tokens: json.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  extractErrorMessage(errorBody) {
+    const error = errorBody?.error;
+    if (!error) return null;
+    return typeof error === 'string' ? error : (error.message || JSON.stringify(error));
+  }
+}
+
+/**
+ * Create a provider adapter from settings
+ * @param {Object} config - { provider, baseUrl, authScheme }
+ * @returns {AnthropicProvider|OpenAIProvider}
+ */
+function createProvider(config = {}) {
+  if (config.provider === 'openai') {
+    return new OpenAIProvider(config);
+  }
+  return new AnthropicProvider(config);
+}
+
+// Export for use in other background scripts
+if (typeof window !== 'undefined') {
+  window.PROVIDER_DEFAULTS = PROVIDER_DEFAULTS;
+  window.createProvider = createProvider;
+}
@@ -0,0 +1,179 @@
+/**
+ * Macro Recorder
+ *
+ * Per-tab recordings of the user's own actions. The content script reports
+ * clicks, typing, selects and Enter presses as workflow steps; top-level
+ * navigations the user starts themselves (address bar, bookmarks) are added
+ * here from webNavigation. Each step is forwarded to the sidebar so it can
+ * show the recording live, and the finished recording can be saved as a
+ * workflow (workflow-engine.js) or handed to Claude as a demonstration.
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    maxSteps: 100,
+    maxTextLength: 2000,
+    maxLabelLength: 80,
+  };
+
+  const RECORDED_ACTIONS = ['click', 'type', 'select', 'press_key', 'navigate'];
+
+  // Navigations caused by a recorded click or Enter ('link', 'form_submit') replay on their own
+  const USER_NAVIGATION_TRANSITIONS = ['typed', 'auto_bookmark', 'generated', 'keyword'];
+
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  // tabId -> { active, startUrl, startedAt, steps }
+  const recordings = new Map();
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function notifySidebar(message) {
+    browser.runtime.sendMessage(message).catch(() => {
+      // Sidebar might be closed
+    });
+  }
+
+  function sendToRecorder(tabId, action) {
+    return browser.tabs.sendMessage(tabId, { action, params: {} }, { frameId: 0 }).catch(() => null);
+  }
+
+  /**
+   * Keep only known step fields, with bounded lengths
+   */
+  function sanitizeStep(step) {
+    if (!step || !RECORDED_ACTIONS.includes(step.action)) return null;
+
+    const clean = { action: step.action };
+    for (const field of ['selector', 'url', 'key', 'value']) {
+      if (typeof step[field] === 'string' && step[field]) clean[field] = step[field];
+    }
+    if (typeof step.text === 'string') clean.text = step.text.slice(0, CONFIG.maxTextLength);
+    if (typeof step.label === 'string' && step.label) clean.label = step.label.slice(0, CONFIG.maxLabelLength);
+    return clean;
+  }
+
+  function summary(tabId) {
+    const recording = recordings.get(tabId);
+    if (!recording) return { recording: false, steps: [] };
+    return {
+      recording: recording.active,
+      tabId,
+      startUrl: recording.startUrl,
+      startedAt: recording.startedAt,
+      steps: recording.steps,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start recording in a tab (replaces any previous recording for it)
+   * @param {Object} tab - browser.tabs.Tab
+   */
+  async function start(tab) {
+    recordings.set(tab.id, {
+      active: true,
+      startUrl: tab.url,
+      startedAt: Date.now(),
+      steps: [],
+    });
+
+    const response = await sendToRecorder(tab.id, 'start_recording');
+    if (!response) {
+      recordings.delete(tab.id);
+      throw new Error('Content script not loaded on this page. The page may need to be refreshed.');
+    }
+
+    console.log('[MacroRecorder] Recording started in tab', tab.id);
+    return summary(tab.id);
+  }
+
+  /**
+   * Stop recording; the steps are kept until discarded or a new recording starts
+   */
+  async function stop(tabId) {
+    const recording = recordings.get(tabId);
+    if (!recording) return summary(tabId);
+
+    recording.active = false;
+    // Flushes a half-typed field before the listeners go away
+    await sendToRecorder(tabId, 'stop_recording');
+
+    console.log('[MacroRecorder] Recording stopped in tab', tabId, `(${recording.steps.length} steps)`);
+    notifySidebar({ type: 'RECORDING_STOPPED', tabId, steps: recording.steps });
+    return summary(tabId);
+  }
+
+  function discard(tabId) {
+    const recording = recordings.get(tabId);
+    if (recording?.active) sendToRecorder(tabId, 'stop_recording');
+    recordings.delete(tabId);
+    return { discarded: true };
+  }
+
+  /**
+   * Append a step reported by the content script (ignored unless recording)
+   */
+  function addStep(tabId, step) {
+    const recording = recordings.get(tabId);
+    if (!recording?.active) return false;
+
+    const clean = sanitizeStep(step);
+    if (!clean) return false;
+
+    if (recording.steps.length >= CONFIG.maxSteps) {
+      stop(tabId);
+      return false;
+    }
+
+    recording.steps.push(clean);
+    notifySidebar({ type: 'RECORDING_STEP', tabId, step: clean, index: recording.steps.length - 1 });
+    return true;
+  }
+
+  function get(tabId) {
+    return summary(tabId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  browser.webNavigation.onCommitted.addListener(details => {
+    if (details.frameId !== 0 || !recordings.get(details.tabId)?.active) return;
+    if (USER_NAVIGATION_TRANSITIONS.includes(details.transitionType)) {
+      addStep(details.tabId, { action: 'navigate', url: details.url });
+    }
+  });
+
+  // Each new document gets a fresh content script - re-arm its listeners
+  browser.webNavigation.onDOMContentLoaded.addListener(details => {
+    if (details.frameId !== 0 || !recordings.get(details.tabId)?.active) return;
+    sendToRecorder(details.tabId, 'start_recording');
+  });
+
+  browser.tabs.onRemoved.addListener(tabId => {
+    recordings.delete(tabId);
+  });
+
+  window.MacroRecorder = {
+    start,
+    stop,
+    discard,
+    addStep,
+    get,
+  };
+})();
@@ -0,0 +1,391 @@
+/**
+ * OpenAPI Generator
+ *
+ * Builds an OpenAPI 3.1 document for a domain from the API observer's
+ * endpoint patterns, using captured network requests as samples for
+ * parameter types and request/response body schemas.
+ *
+ * Reads from ApiObserver and SchemaInference; the tool handler in
+ * tool-router.js supplies the network samples and saves the file.
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    maxSamplesPerOperation: 20,
+    openapiVersion: '3.1.0',
+  };
+
+  const AUTH_HEADER_SCHEMES = {
+    'authorization': null, // Resolved from sample values (Bearer/Basic)
+    'x-api-key': 'apiKeyAuth',
+    'x-auth-token': 'authTokenAuth',
+    'x-csrf-token': 'csrfToken',
+  };
+
+  // Normalized segments from ApiObserver -> parameter schema
+  const PLACEHOLDER_SCHEMAS = {
+    id: { type: 'string' },
+    uuid: { type: 'string', format: 'uuid' },
+    hash: { type: 'string' },
+    token: { type: 'string' },
+  };
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function getHeader(headers, name) {
+    const lower = name.toLowerCase();
+    const header = (headers || []).find(h => h.name.toLowerCase() === lower);
+    return header ? header.value : '';
+  }
+
+  function mediaType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Turn "/api/users/{id}/posts/{id}" into a templated path with unique
+   * parameter names: "/api/users/{userId}/posts/{postId}"
+   */
+  function templatePath(pattern) {
+    const params = [];
+    const used = new Set();
+    const segments = pattern.split('/');
+
+    const templated = segments.map((seg, i) => {
+      const match = seg.match(/^\{(\w+)\}$/);
+      if (!match) return seg;
+
+      const kind = match[1];
+      const previous = (segments[i - 1] || '').replace(/[^A-Za-z0-9]/g, '');
+      const base = previous && !/^\{/.test(segments[i - 1])
+        ? previous.replace(/ies$/, 'y').replace(/s$/, '') + kind.charAt(0).toUpperCase() + kind.slice(1)
+        : kind;
+
+      let name = base;
+      let n = 2;
+      while (used.has(name)) name = `${base}${n++}`;
+      used.add(name);
+
+      params.push({ name, kind, index: i });
+      return `{${name}}`;
+    });
+
+    return { path: templated.join('/') || '/', params };
+  }
+
+  function buildOperationId(method, pattern, usedIds) {
+    const words = pattern
+      .split('/')
+      .filter(Boolean)
+      .map(seg => seg.replace(/^\{(\w+)\}$/, 'by-$1'))
+      .join('-')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean);
+
+    const base = method.toLowerCase() + words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+    let id = base;
+    let n = 2;
+    while (usedIds.has(id)) id = `${base}${n++}`;
+    usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * Infer a query parameter schema from observed values
+   */
+  function inferQuerySchema(values) {
+    if (values.length === 0) return { type: 'string' };
+    if (values.every(v => /^-?\d+$/.test(v))) return { type: 'integer' };
+    if (values.every(v => /^-?\d*\.?\d+$/.test(v))) return { type: 'number' };
+    if (values.every(v => v === 'true' || v === 'false')) return { type: 'boolean' };
+    return { type: 'string' };
+  }
+
+  function bodySamples(samples, field) {
+    return samples
+      .map(s => s[field])
+      .filter(body => body !== null && body !== undefined && body !== '');
+  }
+
+  /**
+   * Schema for captured bodies: inferred from parsed JSON, else plain text
+   */
+  function schemaForBodies(bodies) {
+    const structured = bodies.filter(b => typeof b === 'object');
+    if (structured.length > 0) {
+      return window.SchemaInference.inferFromSamples(structured);
+    }
+    return { type: 'string' };
+  }
+
+  function formDataSchema(bodies) {
+    const properties = {};
+    for (const body of bodies) {
+      for (const [name, values] of Object.entries(body.formData || {})) {
+        properties[name] = [].concat(values).length > 1
+          ? { type: 'array', items: { type: 'string' } }
+          : { type: 'string' };
+      }
+    }
+    return { type: 'object', properties };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Operation building
+  // ---------------------------------------------------------------------------
+
+  function buildParameters(patternData, pathParams, samples) {
+    const parameters = pathParams.map(p => ({
+      name: p.name,
+      in: 'path',
+      required: true,
+      schema: { ...(PLACEHOLDER_SCHEMAS[p.kind] || { type: 'string' }) },
+    }));
+
+    // Numeric ids observed in every sample -> integer
+    for (const param of parameters) {
+      const pathParam = pathParams.find(p => p.name === param.name);
+      const values = samples
+        .map(s => {
+          try {
+            return new URL(s.url).pathname.split('/')[pathParam.index];
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+      if (values.length > 0 && values.every(v => /^\d+$/.test(v))) {
+        param.schema = { type: 'integer' };
+        param.example = Number(values[0]);
+      } else if (values.length > 0) {
+        param.example = values[0];
+      }
+    }
+
+    for (const name of patternData.queryParams || []) {
+      const values = [];
+      let seenIn = 0;
+      for (const sample of samples) {
+        try {
+          const params = new URL(sample.url).searchParams;
+          if (params.has(name)) {
+            seenIn++;
+            values.push(params.get(name));
+          }
+        } catch {
+          // Skip malformed sample URL
+        }
+      }
+      parameters.push({
+        name,
+        in: 'query',
+        required: samples.length > 0 && seenIn === samples.length,
+        schema: inferQuerySchema(values),
+      });
+    }
+
+    return parameters;
+  }
+
+  function buildRequestBody(samples) {
+    const bodies = bodySamples(samples, 'requestBody');
+    if (bodies.length === 0) return null;
+
+    const formBodies = bodies.filter(b => b && typeof b === 'object' && b.formData);
+    if (formBodies.length > 0) {
+      return {
+        content: {
+          'application/x-www-form-urlencoded': { schema: formDataSchema(formBodies) },
+        },
+      };
+    }
+
+    const contentType = samples
+      .map(s => mediaType(getHeader(s.requestHeaders, 'content-type')))
+      .find(Boolean);
+    const structured = bodies.some(b => typeof b === 'object');
+
+    return {
+      required: bodies.length === samples.length,
+      content: {
+        [contentType || (structured ? 'application/json' : 'text/plain')]: {
+          schema: schemaForBodies(bodies),
+        },
+      },
+    };
+  }
+
+  function buildResponses(patternData, samples) {
+    const responses = {};
+    const statusCodes = new Set([
+      ...(patternData.statusCodes || []),
+      ...samples.map(s => s.statusCode).filter(Boolean),
+    ]);
+
+    for (const status of [...statusCodes].sort()) {
+      const matching = samples.filter(s => s.statusCode === status);
+      const bodies = bodySamples(matching, 'responseBody');
+      const response = { description: status < 400 ? 'Observed response' : 'Observed error response' };
+
+      if (bodies.length > 0) {
+        const contentType = matching
+          .map(s => mediaType(getHeader(s.responseHeaders, 'content-type')))
+          .find(Boolean) || patternData.contentType || 'application/json';
+        response.content = { [contentType]: { schema: schemaForBodies(bodies) } };
+      } else if (status >= 200 && status < 300 && (patternData.responseSchema || patternData.contentType)) {
+        // No buffered sample - fall back to the shape the observer accumulated
+        const schema = patternData.responseSchema ? { schema: patternData.responseSchema } : {};
+        response.content = { [patternData.contentType || 'application/json']: schema };
+      }
+
+      responses[String(status)] = response;
+    }
+
+    if (Object.keys(responses).length === 0) {
+      responses.default = { description: 'Response not captured' };
+    }
+    return responses;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Security schemes
+  // ---------------------------------------------------------------------------
+
+  function resolveSecurity(patternData, samples, securitySchemes) {
+    const security = [];
+
+    for (const headerName of patternData.authHeaders || []) {
+      const lower = headerName.toLowerCase();
+      let schemeName = AUTH_HEADER_SCHEMES[lower];
+
+      if (lower === 'authorization') {
+        const value = samples.map(s => getHeader(s.requestHeaders, 'authorization')).find(Boolean) || '';
+        if (/^bearer\s/i.test(value)) {
+          schemeName = 'bearerAuth';
+          securitySchemes[schemeName] = { type: 'http', scheme: 'bearer' };
+        } else if (/^basic\s/i.test(value)) {
+          schemeName = 'basicAuth';
+          securitySchemes[schemeName] = { type: 'http', scheme: 'basic' };
+        } else {
+          schemeName = 'authorizationHeader';
+          securitySchemes[schemeName] = { type: 'apiKey', in: 'header', name: headerName };
+        }
+      } else {
+        schemeName = schemeName || lower.replace(/[^a-z0-9]+/g, '_');
+        securitySchemes[schemeName] = { type: 'apiKey', in: 'header', name: headerName };
+      }
+
+      security.push({ [schemeName]: [] });
+    }
+
+    return security;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Main entry point
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Generate an OpenAPI 3.1 document for a domain.
+   * @param {string} domain - Domain as keyed by ApiObserver (no www.)
+   * @param {object[]} requests - Captured network requests to use as samples
+   * @param {object} [options] - { title, minHits }
+   * @returns {{ document: object, operationCount: number, pathCount: number, graphqlOperations: string[] }}
+   */
+  function generate(domain, requests, options = {}) {
+    const patterns = window.ApiObserver.getPatterns(domain);
+    const minHits = options.minHits || 1;
+
+    // Group samples by pattern key
+    const samplesByKey = new Map();
+    for (const request of requests) {
+      const match = window.ApiObserver.getPatternKey(request.url, request.method);
+      if (!match || match.domain !== domain) continue;
+      if (!samplesByKey.has(match.key)) samplesByKey.set(match.key, []);
+      samplesByKey.get(match.key).push(request);
+    }
+
+    const paths = {};
+    const servers = new Set();
+    const securitySchemes = {};
+    const usedIds = new Set();
+    let operationCount = 0;
+
+    const qualifying = Object.entries(patterns).filter(([, data]) => data.hitCount >= minHits);
+
+    // GraphQL operations share one path and have no OpenAPI form - reported separately
+    const graphqlOperations = qualifying
+      .filter(([, data]) => data.graphql)
+      .map(([key]) => key);
+
+    const entries = qualifying
+      .filter(([, data]) => !data.graphql)
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    for (const [key, data] of entries) {
+      const samples = (samplesByKey.get(key) || []).slice(-CONFIG.maxSamplesPerOperation);
+
+      try {
+        servers.add(new URL(data.sampleUrl).origin);
+      } catch {
+        // Pattern without usable sample URL
+      }
+
+      const { path, params: pathParams } = templatePath(data.pattern);
+      const operation = {
+        operationId: buildOperationId(data.method, data.pattern, usedIds),
+        summary: `${data.method} ${data.pattern}`,
+        description: `Observed ${data.hitCount} time(s). Sample: ${data.sampleUrl}`,
+      };
+
+      const parameters = buildParameters(data, pathParams, samples);
+      if (parameters.length > 0) operation.parameters = parameters;
+
+      const requestBody = buildRequestBody(samples);
+      if (requestBody) operation.requestBody = requestBody;
+
+      operation.responses = buildResponses(data, samples);
+
+      const security = resolveSecurity(data, samples, securitySchemes);
+      if (security.length > 0) operation.security = security;
+
+      if (!paths[path]) paths[path] = {};
+      paths[path][data.method.toLowerCase()] = operation;
+      operationCount++;
+    }
+
+    const document = {
+      openapi: CONFIG.openapiVersion,
+      info: {
+        title: options.title || `${domain} API (observed)`,
+        version: new Date().toISOString().slice(0, 10),
+        description: 'Generated by Foxhole for Claude from passively observed browser traffic. ' +
+          'Schemas are inferred from captured samples and may be incomplete.',
+      },
+      servers: [...servers].map(url => ({ url })),
+      paths,
+    };
+
+    if (Object.keys(securitySchemes).length > 0) {
+      document.components = { securitySchemes };
+    }
+
+    return { document, operationCount, pathCount: Object.keys(paths).length, graphqlOperations };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  window.OpenApiGenerator = {
+    generate,
+  };
+})();
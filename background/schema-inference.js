@@ -0,0 +1,182 @@
+/**
+ * JSON Schema Inference
+ *
+ * Infers JSON Schema (draft 2020-12 subset, as used by OpenAPI 3.1) from
+ * sample values and merges schemas across samples so optional fields,
+ * nullable values and mixed types are captured.
+ *
+ * Shared by the API observer (per-pattern response shapes) and the OpenAPI
+ * generator. Pure functions, no browser APIs.
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    maxDepth: 8,
+    maxArraySamples: 20,
+    maxProperties: 100,
+  };
+
+  // ---------------------------------------------------------------------------
+  // String formats
+  // ---------------------------------------------------------------------------
+
+  const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const URI_RE = /^https?:\/\/\S+$/;
+
+  function detectFormat(value) {
+    if (DATE_TIME_RE.test(value)) return 'date-time';
+    if (DATE_RE.test(value)) return 'date';
+    if (UUID_RE.test(value)) return 'uuid';
+    if (EMAIL_RE.test(value)) return 'email';
+    if (URI_RE.test(value)) return 'uri';
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inference
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Infer a JSON schema from a single sample value.
+   */
+  function inferSchema(value, depth = 0) {
+    if (value === null || value === undefined) return { type: 'null' };
+
+    if (Array.isArray(value)) {
+      const schema = { type: 'array' };
+      if (depth >= CONFIG.maxDepth || value.length === 0) return schema;
+
+      let items = null;
+      for (const item of value.slice(0, CONFIG.maxArraySamples)) {
+        const itemSchema = inferSchema(item, depth + 1);
+        items = items ? mergeSchemas(items, itemSchema) : itemSchema;
+      }
+      schema.items = items;
+      return schema;
+    }
+
+    switch (typeof value) {
+      case 'boolean':
+        return { type: 'boolean' };
+      case 'number':
+        return { type: Number.isInteger(value) ? 'integer' : 'number' };
+      case 'string': {
+        const format = detectFormat(value);
+        return format ? { type: 'string', format } : { type: 'string' };
+      }
+      case 'object': {
+        const schema = { type: 'object' };
+        if (depth >= CONFIG.maxDepth) return schema;
+
+        const keys = Object.keys(value).slice(0, CONFIG.maxProperties);
+        schema.properties = {};
+        for (const key of keys) {
+          schema.properties[key] = inferSchema(value[key], depth + 1);
+        }
+        schema.required = keys;
+        return schema;
+      }
+      default:
+        return {};
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Merging
+  // ---------------------------------------------------------------------------
+
+  function typesOf(schema) {
+    if (!schema.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+  }
+
+  /**
+   * Merge two schemas describing samples of the same value.
+   * Object properties missing from either side become optional; differing
+   * primitive types become a type union; integer widens to number.
+   */
+  function mergeSchemas(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    const types = new Set([...typesOf(a), ...typesOf(b)]);
+    if (types.has('number')) types.delete('integer');
+
+    // Unknown shape on either side - nothing useful to keep
+    if (types.size === 0 || typesOf(a).length === 0 || typesOf(b).length === 0) return {};
+
+    const merged = {};
+    const typeList = [...types];
+    merged.type = typeList.length === 1 ? typeList[0] : typeList;
+
+    // String format survives only if every string sample agreed on it
+    const aString = typesOf(a).includes('string');
+    const bString = typesOf(b).includes('string');
+    if (aString && bString) {
+      if (a.format && a.format === b.format) merged.format = a.format;
+    } else if (aString || bString) {
+      const format = aString ? a.format : b.format;
+      if (format) merged.format = format;
+    }
+
+    if (types.has('object')) {
+      const aProps = a.properties || {};
+      const bProps = b.properties || {};
+      const aHasObject = typesOf(a).includes('object');
+      const bHasObject = typesOf(b).includes('object');
+
+      if (a.properties || b.properties) {
+        merged.properties = {};
+        for (const key of new Set([...Object.keys(aProps), ...Object.keys(bProps)])) {
+          merged.properties[key] = mergeSchemas(aProps[key], bProps[key]);
+        }
+      }
+
+      // A field is required only if every object sample had it
+      const aRequired = aHasObject ? (a.required || []) : null;
+      const bRequired = bHasObject ? (b.required || []) : null;
+      const required = aRequired && bRequired
+        ? aRequired.filter(key => bRequired.includes(key))
+        : (aRequired || bRequired || []);
+      if (required.length > 0) merged.required = required;
+    }
+
+    if (types.has('array')) {
+      const items = mergeSchemas(a.items, b.items);
+      if (items) merged.items = items;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Infer one schema from several samples of the same value.
+   */
+  function inferFromSamples(samples) {
+    let schema = null;
+    for (const sample of samples) {
+      const sampleSchema = inferSchema(sample);
+      schema = schema ? mergeSchemas(schema, sampleSchema) : sampleSchema;
+    }
+    return schema;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  window.SchemaInference = {
+    inferSchema,
+    mergeSchemas,
+    inferFromSamples,
+  };
+})();
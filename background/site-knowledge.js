@@ -13,6 +13,7 @@
  *   title: string,            // Short description
  *   content: string,          // The actual knowledge
  *   selector: string | null,  // Optional CSS selector
+ *   workflow: Object | null,  // Replayable steps for 'shortcut' items (see workflow-engine.js)
  *   created: number,          // timestamp
  *   lastUsed: number,         // timestamp
  *   useCount: number,
@@ -256,6 +257,7 @@ async function add(domain, item) {
     title: item.title,
     content: item.content || '',
     selector: item.selector || null,
+    workflow: item.workflow || null,
     created: now,
     lastUsed: now,
     useCount: 0,
@@ -664,6 +666,11 @@ function formatForPrompt(items, domain) {
     if (item.selector) {
       text += `**Selector:** \`${item.selector}\`\n\n`;
     }
+
+    if (item.workflow) {
+      const params = item.workflow.params?.length > 0 ? `, params: ${item.workflow.params.join(', ')}` : '';
+      text += `**Workflow:** replay with \`run_workflow\` spec_id=${item.id}${params}\n\n`;
+    }
   }
 
   return text;
@@ -33,11 +33,55 @@ const errorBuffers = new Map(); // tabId -> ErrorEntry[]
 // WebSocket message buffer (per tab)
 const websocketBuffers = new Map(); // tabId -> WebSocketMessage[]
 
+// Streamed response frames - EventSource, streamed fetch (per tab)
+const streamBuffers = new Map(); // tabId -> StreamFrame[]
+
+// Streamed responses being framed
+const openStreams = new Map(); // requestId -> { tabId, connectionId, url, format, decoder, pending, frames, bytes, startedAt }
+
+const STREAM_CONFIG = {
+  maxEntries: 500,
+  maxFrameLength: 10000
+};
+
+// Response content types framed as they arrive, by format
+const STREAM_FORMATS = {
+  'text/event-stream': 'sse',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/x-jsonlines': 'ndjson',
+  'application/stream+json': 'ndjson'
+};
+
 // Custom request headers (per tab)
-const customRequestHeaders = new Map(); // tabId -> { [headerName]: value }
+const customRequestHeaders = new Map(); // tabId -> { [headerName]: value | null }
 
 // Blocked URL patterns (per tab)
-const blockedUrlPatterns = new Map(); // tabId -> string[]
+const blockedUrlPatterns = new Map(); // tabId -> BlockRule[] ({ pattern, regex, hits })
+
+// Response mock/rewrite rules (per tab)
+const responseRules = new Map(); // tabId -> ResponseRule[] ({ id, kind, pattern, regex, method, status, headers, body, patch, hits })
+
+// Requests currently served or altered by a response rule
+const ruledRequests = new Map(); // requestId -> ResponseRule
+
+const RESPONSE_RULE_CONFIG = {
+  maxRules: 20
+};
+
+let responseRuleCounter = 0;
+
+// replay_request calls waiting for their request to start (per tab)
+const pendingReplays = new Map(); // tabId -> [{ url, method, originalId }]
+
+// JavaScript dialog buffer (per tab)
+const dialogBuffers = new Map(); // tabId -> DialogEntry[]
+
+// Dialog handling policy (per tab)
+const dialogPolicies = new Map(); // tabId -> { policy, promptText, next }
+
+const DIALOG_POLICIES = ['ask', 'accept', 'dismiss'];
 
 /**
  * Create a new network request buffer for a tab
@@ -54,7 +98,21 @@ function getOrCreateNetworkBuffer(tabId) {
  */
 function addToNetworkBuffer(tabId, request) {
   const buffer = getOrCreateNetworkBuffer(tabId);
-  buffer.push(request);
+  // Replays go right after their original (and its earlier replays) for comparison
+  let anchor = -1;
+  if (request.replayOf) {
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      if (buffer[i].requestId === request.replayOf || buffer[i].replayOf === request.replayOf) {
+        anchor = i;
+        break;
+      }
+    }
+  }
+  if (anchor !== -1) {
+    buffer.splice(anchor + 1, 0, request);
+  } else {
+    buffer.push(request);
+  }
   while (buffer.length > NETWORK_CONFIG.maxRequests) {
     buffer.shift();
   }
@@ -106,6 +164,192 @@ function serializeRequestBody(requestBody) {
   }
 }
 
+// "/source/flags" - a block pattern used as a regex
+const URL_REGEX_PATTERN = /^\/(.+)\/([gimsuy]*)$/;
+
+/**
+ * Compile a block pattern into a RegExp.
+ * "/regex/flags" is used as-is; anything else is a glob where * matches any run
+ * of characters. Globs without a * match as case-insensitive substrings.
+ */
+function compileUrlPattern(pattern) {
+  const regexMatch = pattern.match(URL_REGEX_PATTERN);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+  }
+
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const source = escaped.replace(/\*/g, '.*');
+  return new RegExp(pattern.includes('*') ? `^${source}$` : source, 'i');
+}
+
+/**
+ * How compileUrlPattern reads a pattern: 'regex', 'glob' or 'substring'
+ */
+function getUrlPatternType(pattern) {
+  if (URL_REGEX_PATTERN.test(pattern)) return 'regex';
+  return pattern.includes('*') ? 'glob' : 'substring';
+}
+
+/**
+ * Find the first block rule matching a URL for a tab
+ */
+function findBlockRule(tabId, url) {
+  const rules = blockedUrlPatterns.get(tabId);
+  if (!rules || rules.length === 0) return null;
+  return rules.find(rule => rule.regex.test(url)) || null;
+}
+
+/**
+ * Find the first mock/rewrite rule matching a request for a tab
+ */
+function findResponseRule(tabId, url, method) {
+  const rules = responseRules.get(tabId);
+  if (!rules || rules.length === 0) return null;
+  return rules.find(rule => (!rule.method || rule.method === method) && rule.regex.test(url)) || null;
+}
+
+/**
+ * Apply per-tab header rules to an outgoing header list.
+ * A null or empty value removes the header; anything else sets/replaces it.
+ */
+function applyHeaderRules(requestHeaders, rules) {
+  const names = new Set(Object.keys(rules).map(name => name.toLowerCase()));
+  const headers = requestHeaders.filter(h => !names.has(h.name.toLowerCase()));
+
+  for (const [name, value] of Object.entries(rules)) {
+    if (value !== null && value !== undefined && value !== '') {
+      headers.push({ name, value: String(value) });
+    }
+  }
+  return headers;
+}
+
+/**
+ * Join streamed response chunks into one buffer
+ */
+function combineChunks(chunks) {
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const combined = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    combined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return combined;
+}
+
+/**
+ * Response body as stored on a captured request: truncated, JSON parsed when possible
+ */
+function toCapturedBody(text) {
+  // Truncate if too large
+  if (text.length > NETWORK_CONFIG.maxResponseBodySize) {
+    text = text.slice(0, NETWORK_CONFIG.maxResponseBodySize) + '...[truncated]';
+  }
+
+  // Try to parse as JSON
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // Keep as string
+    }
+  }
+  return text;
+}
+
+/**
+ * Fields of one server-sent event block ("event: x\ndata: y"), or null for comments/heartbeats
+ */
+function parseSseBlock(block) {
+  const event = { eventType: 'message', data: [] };
+  for (const line of block.split(/\r\n|\r|\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event.eventType = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'id') event.lastEventId = value;
+    else if (field === 'retry') event.retry = Number(value);
+  }
+  if (event.data.length === 0 && event.lastEventId === undefined) return null;
+  return { ...event, data: event.data.join('\n') };
+}
+
+function addStreamFrame(stream, frame) {
+  const text = frame.data ?? '';
+  const truncated = text.length > STREAM_CONFIG.maxFrameLength;
+  stream.frames++;
+  addToStreamBuffer(stream.tabId, {
+    connectionId: stream.connectionId,
+    transport: 'http-stream',
+    format: stream.format,
+    url: stream.url,
+    event: 'message',
+    direction: 'receive',
+    ...frame,
+    data: truncated ? text.slice(0, STREAM_CONFIG.maxFrameLength) : text,
+    ...(truncated ? { truncated: true } : {}),
+    timestamp: Date.now(),
+    elapsed: Date.now() - stream.startedAt
+  });
+}
+
+/**
+ * Split newly received text into frames: SSE events end with a blank line,
+ * NDJSON records with a newline. Incomplete frames wait for the next chunk.
+ */
+function recordStreamChunk(stream, bytes) {
+  stream.bytes += bytes.byteLength;
+  stream.pending += stream.decoder.decode(bytes, { stream: true });
+
+  const separator = stream.format === 'sse' ? /\r\n\r\n|\n\n|\r\r/ : /\r?\n/;
+  const parts = stream.pending.split(separator);
+  stream.pending = parts.pop();
+  emitStreamFrames(stream, parts);
+}
+
+function emitStreamFrames(stream, parts) {
+  const encoder = new TextEncoder();
+  for (const part of parts) {
+    if (stream.format === 'sse') {
+      const event = parseSseBlock(part);
+      if (event) addStreamFrame(stream, { ...event, size: encoder.encode(part).length });
+    } else if (part.trim()) {
+      addStreamFrame(stream, { data: part, size: encoder.encode(part).length });
+    }
+  }
+}
+
+/**
+ * Flush a trailing frame and record how the stream ended
+ */
+function closeStream(requestId, error) {
+  const stream = openStreams.get(requestId);
+  if (!stream) return;
+  openStreams.delete(requestId);
+
+  stream.pending += stream.decoder.decode();
+  emitStreamFrames(stream, [stream.pending]);
+
+  // EventSource.close() and aborted fetches end the request this way
+  const aborted = error === 'NS_BINDING_ABORTED';
+  addToStreamBuffer(stream.tabId, {
+    connectionId: stream.connectionId,
+    transport: 'http-stream',
+    format: stream.format,
+    url: stream.url,
+    event: error && !aborted ? 'error' : 'close',
+    ...(aborted ? { aborted: true } : error ? { error } : {}),
+    frames: stream.frames,
+    bytes: stream.bytes,
+    timestamp: Date.now(),
+    elapsed: Date.now() - stream.startedAt
+  });
+}
+
 /**
  * Check if we should capture response body (only XHR/fetch requests)
  */
@@ -113,6 +357,58 @@ function shouldCaptureResponseBody(details) {
   return details.type === 'xmlhttprequest';
 }
 
+/**
+ * Serve a mock body, or rewrite the real one with a JSON patch, through the
+ * response stream filter. The served body is what gets captured.
+ */
+function filterWithResponseRule(requestId, rule) {
+  let filter;
+  try {
+    filter = browser.webRequest.filterResponseData(requestId);
+  } catch (e) {
+    // filterResponseData may fail for some request types
+    return;
+  }
+  const encoder = new TextEncoder();
+
+  if (rule.kind === 'mock') {
+    // The server's body is never forwarded
+    filter.onstart = () => {
+      filter.write(encoder.encode(rule.body));
+      filter.close();
+      responseBodyChunks.set(requestId, toCapturedBody(rule.body));
+    };
+  } else {
+    const chunks = [];
+    filter.ondata = (event) => {
+      chunks.push(new Uint8Array(event.data));
+    };
+    filter.onstop = () => {
+      const text = new TextDecoder('utf-8').decode(combineChunks(chunks));
+      let output = text;
+      try {
+        output = JSON.stringify(applyJsonPatch(JSON.parse(text), rule.patch));
+        rule.lastError = null;
+      } catch (e) {
+        // Pass the original through - a broken response would hide the real problem
+        rule.lastError = e.message;
+      }
+      filter.write(encoder.encode(output));
+      filter.close();
+      responseBodyChunks.set(requestId, toCapturedBody(output));
+    };
+  }
+
+  filter.onerror = () => {
+    rule.lastError = filter.error;
+    try {
+      filter.disconnect();
+    } catch (e) {
+      // Ignore NS_ERROR_FAILURE - filter may already be disconnected
+    }
+  };
+}
+
 // ==========================================================================
 // webRequest Listeners for Network Capture
 // ==========================================================================
@@ -137,47 +433,54 @@ browser.webRequest.onBeforeRequest.addListener(
 
     pendingRequests.set(requestId, request);
 
+    // Tag a replay_request call so it is stored next to its original
+    const replay = takePendingReplay(tabId, url, method);
+    if (replay) request.replayOf = replay.originalId;
+
+    // Cancel requests matching a block_urls rule (recorded via onErrorOccurred)
+    const blockRule = findBlockRule(tabId, url);
+    if (blockRule) {
+      blockRule.hits++;
+      request.blockedBy = blockRule.pattern;
+      return { cancel: true };
+    }
+
+    // Serve or alter the response for a mock_response/rewrite_response rule
+    const responseRule = findResponseRule(tabId, url, method);
+    if (responseRule) {
+      responseRule.hits++;
+      request.mockedBy = { id: responseRule.id, kind: responseRule.kind, pattern: responseRule.pattern };
+      ruledRequests.set(requestId, responseRule);
+      if (responseRule.kind === 'mock' || responseRule.patch) {
+        filterWithResponseRule(requestId, responseRule);
+        return;
+      }
+    }
+
     // Set up response body capture for XHR requests
     if (shouldCaptureResponseBody(details)) {
       try {
         const filter = browser.webRequest.filterResponseData(requestId);
         const chunks = [];
 
+        let captured = 0;
+
         filter.ondata = (event) => {
-          chunks.push(new Uint8Array(event.data));
+          const stream = openStreams.get(requestId);
+          if (stream) {
+            recordStreamChunk(stream, new Uint8Array(event.data));
+          }
+          // Long-lived streams would otherwise grow without bound
+          if (!stream || captured < NETWORK_CONFIG.maxResponseBodySize) {
+            chunks.push(new Uint8Array(event.data));
+            captured += event.data.byteLength;
+          }
           filter.write(event.data);
         };
 
         filter.onstop = () => {
-          // Combine chunks
-          const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-          const combined = new Uint8Array(totalLength);
-          let offset = 0;
-          for (const chunk of chunks) {
-            combined.set(chunk, offset);
-            offset += chunk.length;
-          }
-
-          // Decode as text
-          const decoder = new TextDecoder('utf-8');
-          let text = decoder.decode(combined);
-
-          // Truncate if too large
-          if (text.length > NETWORK_CONFIG.maxResponseBodySize) {
-            text = text.slice(0, NETWORK_CONFIG.maxResponseBodySize) + '...[truncated]';
-          }
-
-          // Try to parse as JSON
-          let responseBody = text;
-          if (text.startsWith('{') || text.startsWith('[')) {
-            try {
-              responseBody = JSON.parse(text);
-            } catch (e) {
-              // Keep as string
-            }
-          }
-
-          responseBodyChunks.set(requestId, responseBody);
+          const text = new TextDecoder('utf-8').decode(combineChunks(chunks));
+          responseBodyChunks.set(requestId, toCapturedBody(text));
           filter.disconnect();
         };
 
@@ -197,21 +500,92 @@ browser.webRequest.onBeforeRequest.addListener(
   ['blocking', 'requestBody']
 );
 
-// Capture request headers
+// Capture request headers, applying set_request_headers rules for the tab
 browser.webRequest.onBeforeSendHeaders.addListener(
   (details) => {
+    const rules = details.tabId >= 0 ? customRequestHeaders.get(details.tabId) : null;
+    const hasRules = rules && Object.keys(rules).length > 0;
+    const requestHeaders = hasRules
+      ? applyHeaderRules(details.requestHeaders, rules)
+      : details.requestHeaders;
+
     const request = pendingRequests.get(details.requestId);
     if (request) {
-      request.requestHeaders = details.requestHeaders;
+      request.requestHeaders = requestHeaders;
+      if (hasRules) {
+        request.modifiedHeaders = Object.keys(rules);
+      }
+    }
+
+    if (hasRules) {
+      return { requestHeaders };
     }
   },
   { urls: ['<all_urls>'] },
-  ['requestHeaders']
+  ['blocking', 'requestHeaders']
+);
+
+// Apply header overrides of mock_response/rewrite_response rules
+browser.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    const rule = ruledRequests.get(details.requestId);
+    if (!rule) return;
+
+    // The body length changes when the stream filter serves or rewrites it
+    const headers = { 'Content-Length': null };
+    if (rule.contentType) headers['Content-Type'] = rule.contentType;
+    Object.assign(headers, rule.headers);
+    return { responseHeaders: applyHeaderRules(details.responseHeaders, headers) };
+  },
+  { urls: ['<all_urls>'] },
+  ['blocking', 'responseHeaders']
+);
+
+// Start framing streamed responses (EventSource, streamed fetch) by content type
+browser.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    const request = pendingRequests.get(details.requestId);
+    if (!request || !shouldCaptureResponseBody(details) || ruledRequests.has(details.requestId)) return;
+
+    const contentType = getHeaderValue(details.responseHeaders, 'content-type').split(';')[0].trim().toLowerCase();
+    const format = STREAM_FORMATS[contentType];
+    if (!format) return;
+
+    const stream = {
+      tabId: details.tabId,
+      connectionId: `stream-${details.requestId}`,
+      url: details.url,
+      format,
+      decoder: new TextDecoder('utf-8'),
+      pending: '',
+      frames: 0,
+      bytes: 0,
+      startedAt: Date.now()
+    };
+    openStreams.set(details.requestId, stream);
+    request.streamConnectionId = stream.connectionId;
+
+    addToStreamBuffer(details.tabId, {
+      connectionId: stream.connectionId,
+      transport: 'http-stream',
+      format,
+      url: details.url,
+      event: 'open',
+      method: request.method,
+      status: details.statusCode,
+      timestamp: Date.now(),
+      elapsed: Math.round(details.timeStamp - request.startTime)
+    });
+  },
+  { urls: ['<all_urls>'] },
+  ['responseHeaders']
 );
 
 // Capture completed requests
 browser.webRequest.onCompleted.addListener(
   (details) => {
+    closeStream(details.requestId);
+
     const request = pendingRequests.get(details.requestId);
     if (request) {
       request.statusCode = details.statusCode;
@@ -225,6 +599,13 @@ browser.webRequest.onCompleted.addListener(
         responseBodyChunks.delete(details.requestId);
       }
 
+      // The page saw the rule's status (set by the page hook), not the server's
+      const responseRule = ruledRequests.get(details.requestId);
+      if (responseRule) {
+        if (responseRule.status) request.mockedStatus = responseRule.status;
+        ruledRequests.delete(details.requestId);
+      }
+
       // Store in buffer
       if (request.tabId >= 0) {
         addToNetworkBuffer(request.tabId, request);
@@ -249,10 +630,13 @@ browser.webRequest.onCompleted.addListener(
 // Capture failed requests
 browser.webRequest.onErrorOccurred.addListener(
   (details) => {
+    closeStream(details.requestId, details.error);
+
     const request = pendingRequests.get(details.requestId);
     if (request) {
       request.error = details.error;
       request.endTime = details.timeStamp;
+      ruledRequests.delete(details.requestId);
       request.duration = details.timeStamp - request.startTime;
 
       // Store in buffer even if failed
@@ -269,6 +653,13 @@ browser.webRequest.onErrorOccurred.addListener(
 // Clean up network buffers when tabs are closed
 browser.tabs.onRemoved.addListener((tabId) => {
   networkRequestBuffers.delete(tabId);
+  customRequestHeaders.delete(tabId);
+  blockedUrlPatterns.delete(tabId);
+  responseRules.delete(tabId);
+  pendingReplays.delete(tabId);
+  streamBuffers.delete(tabId);
+  dialogBuffers.delete(tabId);
+  dialogPolicies.delete(tabId);
 });
 
 // ==========================================================================
@@ -299,13 +690,23 @@ async function executeTool(toolName, toolInput) {
       // DOM interaction
       case 'click_element':
       case 'type_text':
+      case 'fill_form':
+      case 'click_at':
+      case 'type_at':
+        if (toolInput.observe) {
+          return await runWithSideEffects(tab, toolName, toolInput);
+        }
+        return await sendToContentScript(tabId, toolName, toolInput);
+
       case 'scroll_to':
       case 'scroll_to_element':
       case 'hover_element':
       case 'focus_element':
       case 'select_option':
       case 'set_checkbox':
-      case 'fill_form':
+      case 'drag_element':
+      case 'pointer_sequence':
+      case 'drop_file':
         return await sendToContentScript(tabId, toolName, toolInput);
 
       case 'press_key':
@@ -314,6 +715,9 @@ async function executeTool(toolName, toolInput) {
         return await sendToContentScript(tabId, toolName, {
           key: toolInput.key,
           selector: toolInput.selector,
+          ref: toolInput.ref,
+          frameId: toolInput.frameId,
+          frame: toolInput.frame,
           ctrlKey: modifiers.includes('ctrl'),
           shiftKey: modifiers.includes('shift'),
           altKey: modifiers.includes('alt'),
@@ -335,6 +739,9 @@ async function executeTool(toolName, toolInput) {
       case 'get_dom_structure':
         return await sendToContentScript(tabId, toolName, toolInput);
 
+      case 'get_accessibility_snapshot':
+        return await sendToContentScript(tabId, toolName, toolInput);
+
       // Script execution
       case 'execute_script':
         return await sendToContentScript(tabId, toolName, toolInput);
@@ -390,7 +797,10 @@ async function executeTool(toolName, toolInput) {
 
       // Screenshots
       case 'take_screenshot':
-        return await handleTakeScreenshot(toolInput);
+        return await handleTakeScreenshot(tabId, toolInput);
+
+      case 'take_labeled_screenshot':
+        return await handleTakeLabeledScreenshot(tabId, toolInput);
 
       // File Output (Markdown preferred)
       case 'create_markdown':
@@ -439,6 +849,17 @@ async function executeTool(toolName, toolInput) {
       case 'clear_network_requests':
         return handleClearNetworkRequests(tabId);
 
+      // HAR export/import
+      case 'export_har':
+        return await handleExportHar(tabId, toolInput);
+
+      case 'import_har':
+        return await handleImportHar(tabId, toolInput);
+
+      // OpenAPI generation from observed API patterns
+      case 'generate_openapi':
+        return await handleGenerateOpenapi(tab, toolInput);
+
       // Wait for navigation
       case 'wait_for_navigation':
         return await handleWaitForNavigation(tabId, toolInput);
@@ -449,7 +870,7 @@ async function executeTool(toolName, toolInput) {
 
       // List frames
       case 'list_frames':
-        return await sendToContentScript(tabId, 'list_frames', toolInput);
+        return await handleListFrames(tabId);
 
       // Element screenshot
       case 'take_element_screenshot':
@@ -464,6 +885,12 @@ async function executeTool(toolName, toolInput) {
         return await handleWait(toolInput);
 
       // Network request detail
+      case 'replay_request':
+        return await handleReplayRequest(tabId, toolInput);
+
+      case 'generate_request_snippet':
+        return handleGenerateRequestSnippet(tabId, toolInput);
+
       case 'get_network_request_detail':
         return handleGetNetworkRequestDetail(tabId, toolInput);
 
@@ -475,7 +902,27 @@ async function executeTool(toolName, toolInput) {
       case 'block_urls':
         return handleBlockUrls(tabId, toolInput);
 
-      // Query buffer (console, errors, network, websocket)
+      case 'mock_response':
+        return await handleMockResponse(tabId, toolInput);
+
+      case 'rewrite_response':
+        return await handleRewriteResponse(tabId, toolInput);
+
+      // Request rules (headers + blocks)
+      case 'list_request_rules':
+        return handleListRequestRules(tabId);
+
+      case 'clear_request_rules':
+        return handleClearRequestRules(tabId, toolInput);
+
+      // JavaScript dialogs
+      case 'set_dialog_policy':
+        return await handleSetDialogPolicy(tabId, toolInput);
+
+      case 'answer_dialog':
+        return await handleAnswerDialog(tabId, toolInput);
+
+      // Query buffer (console, errors, network, websocket, streams, dialogs)
       case 'query_buffer':
         return handleQueryBuffer(tabId, toolInput);
 
@@ -489,6 +936,12 @@ async function executeTool(toolName, toolInput) {
       case 'delete_site_spec':
         return await handleDeleteSiteSpec(tab, toolInput);
 
+      // Workflows
+      case 'save_workflow':
+        return await handleSaveWorkflow(tab, toolInput);
+      case 'run_workflow':
+        return await handleRunWorkflow(tab, toolInput);
+
       // External Fetch
       case 'fetch_url':
         return await handleFetchUrl(toolInput);
@@ -556,25 +1009,107 @@ async function executeTool(toolName, toolInput) {
 // ==========================================================================
 
 /**
- * Send a command to the content script
+ * Frame a command targets: `frame` (CSS selector of an iframe, resolved by the
+ * content script in `frameId` or the top frame), else `frameId`, else 0.
+ */
+async function resolveFrameId(tabId, params) {
+  const parentFrameId = Number.isInteger(params?.frameId) ? params.frameId : 0;
+  if (!params?.frame) return parentFrameId;
+
+  let response;
+  try {
+    response = await browser.tabs.sendMessage(tabId, {
+      action: 'resolve_frame',
+      params: { selector: params.frame }
+    }, { frameId: parentFrameId });
+  } catch (error) {
+    throw new Error(`Cannot resolve frame "${params.frame}" in frame ${parentFrameId}: ${error.message}`);
+  }
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+  return response.frameId;
+}
+
+/**
+ * Send a command to the content script (top frame unless params.frameId / params.frame say otherwise)
  */
 async function sendToContentScript(tabId, action, params) {
+  const frameId = await resolveFrameId(tabId, params);
   try {
     const response = await browser.tabs.sendMessage(tabId, {
       action,
       params
-    }, { frameId: 0 }); // Default to top frame
+    }, { frameId });
 
     return response;
   } catch (error) {
     // If content script not ready, try to inject it first
     if (error.message.includes('Receiving end does not exist')) {
+      if (frameId !== 0) {
+        throw new Error(`No content script in frame ${frameId}. Check list_frames - sandboxed and about:blank frames may not have one.`);
+      }
       throw new Error('Content script not loaded on this page. The page may need to be refreshed.');
     }
     throw error;
   }
 }
 
+/**
+ * Run a script in the page's own JS world (page globals, framework internals)
+ * through the content script bridge, resolving with the script's result
+ */
+async function executeInPage(tabId, code, options = {}) {
+  const response = await sendToContentScript(tabId, 'execute_script', {
+    code,
+    world: 'page',
+    force: true,
+    timeout: options.timeout,
+    frameId: options.frameId
+  });
+  if (response?.error) {
+    throw new Error(response.message ? `${response.error}: ${response.message}` : response.error);
+  }
+  return response?.result;
+}
+
+/**
+ * All frames in the tab with their real frame IDs (usable as frameId on DOM
+ * tools), plus the iframe selector for frames embedded in the top document.
+ */
+async function handleListFrames(tabId) {
+  const frames = await browser.webNavigation.getAllFrames({ tabId });
+
+  // Top-frame content script maps its iframe elements to frame IDs
+  let embedded = [];
+  try {
+    const response = await sendToContentScript(tabId, 'list_frames', {});
+    embedded = response?.frames || [];
+  } catch (e) {
+    // Content script missing - still report frame IDs and URLs
+  }
+  const byFrameId = new Map(embedded.filter(f => f.frameId > 0).map(f => [f.frameId, f]));
+
+  const result = frames
+    .sort((a, b) => a.frameId - b.frameId)
+    .map(frame => {
+      const element = byFrameId.get(frame.frameId);
+      return {
+        frameId: frame.frameId,
+        parentFrameId: frame.parentFrameId,
+        url: frame.url,
+        isTop: frame.frameId === 0,
+        ...(element ? { name: element.name, selector: element.selector } : {})
+      };
+    });
+
+  return {
+    frames: result,
+    count: result.length,
+    hint: 'Pass frameId (or frame: "<iframe selector>") to DOM and interaction tools to run them inside a frame.'
+  };
+}
+
 // ==========================================================================
 // Navigation Handlers
 // ==========================================================================
@@ -637,11 +1172,28 @@ async function handleWaitForNavigation(tabId, params) {
 // Screenshot Handler
 // ==========================================================================
 
-async function handleTakeScreenshot(params) {
-  const format = params?.format || 'png';
+async function handleTakeScreenshot(tabId, params) {
+  const fullPage = params?.fullPage || !!params?.scrollContainer;
+  // Stitched pages are large - JPEG unless PNG was asked for
+  const format = params?.format || (fullPage ? 'jpeg' : 'png');
   const quality = params?.quality;
   const saveTo = params?.saveTo;
 
+  if (fullPage) {
+    const capture = await captureFullPage(tabId, params);
+    if (saveTo) {
+      const dataUrl = canvasToDataUrl(capture.canvas, format, quality);
+      return { ...(await saveScreenshot(dataUrl, saveTo, format)), fullPage: capture.info };
+    }
+    const tiles = tileForVision(capture.canvas).map(tile => canvasToDataUrl(tile, format, quality));
+    return {
+      screenshot: tiles[0],
+      ...(tiles.length > 1 ? { tiles } : {}),
+      format,
+      fullPage: { ...capture.info, tiles: tiles.length }
+    };
+  }
+
   const options = { format };
   if (quality && format === 'jpeg') {
     options.quality = quality;
@@ -651,80 +1203,27 @@ async function handleTakeScreenshot(params) {
 
   // If saveTo is provided, save to Downloads folder
   if (saveTo) {
-    const blob = await fetch(dataUrl).then(r => r.blob());
-    const blobUrl = URL.createObjectURL(blob);
-
-    // Ensure filename has correct extension
-    let filename = saveTo;
-    const ext = `.${format}`;
-    if (!filename.toLowerCase().endsWith(ext)) {
-      filename = filename.replace(/\.\w+$/, '') + ext;
-    }
-
-    try {
-      const downloadId = await browser.downloads.download({
-        url: blobUrl,
-        filename: filename,
-        saveAs: false
-      });
-
-      // Wait for download to complete
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => reject(new Error('Download timeout')), 10000);
-        const listener = (delta) => {
-          if (delta.id === downloadId && delta.state) {
-            if (delta.state.current === 'complete') {
-              clearTimeout(timeout);
-              browser.downloads.onChanged.removeListener(listener);
-              resolve();
-            } else if (delta.state.current === 'interrupted') {
-              clearTimeout(timeout);
-              browser.downloads.onChanged.removeListener(listener);
-              reject(new Error('Download interrupted'));
-            }
-          }
-        };
-        browser.downloads.onChanged.addListener(listener);
-      });
-
-      const [downloadInfo] = await browser.downloads.search({ id: downloadId });
-      URL.revokeObjectURL(blobUrl);
-
-      return {
-        saved: true,
-        filename: filename,
-        filePath: downloadInfo?.filename || filename,
-        message: `Screenshot saved to Downloads: ${filename}`
-      };
-    } catch (err) {
-      URL.revokeObjectURL(blobUrl);
-      throw err;
-    }
+    return await saveScreenshot(dataUrl, saveTo, format);
   }
 
   // Default: return base64 data for viewing
   return { screenshot: dataUrl, format };
 }
 
-// ==========================================================================
-// File Output Handlers (Markdown preferred, HTML for interactive)
-// ==========================================================================
-
-async function handleCreateMarkdown(params) {
-  const { content, filename: customFilename } = params;
+/**
+ * Save a screenshot data URL to the Downloads folder
+ */
+async function saveScreenshot(dataUrl, saveTo, format) {
+  const blob = await fetch(dataUrl).then(r => r.blob());
+  const blobUrl = URL.createObjectURL(blob);
 
-  if (!content) {
-    throw new Error('Markdown content is required');
+  // Ensure filename has correct extension
+  let filename = saveTo;
+  const ext = `.${format}`;
+  if (!filename.toLowerCase().endsWith(ext)) {
+    filename = filename.replace(/\.\w+$/, '') + ext;
   }
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const filename = customFilename
-    ? `${customFilename.replace(/\.md$/i, '')}.md`
-    : `claude-output-${timestamp}.md`;
-
-  const blob = new Blob([content], { type: 'text/markdown' });
-  const blobUrl = URL.createObjectURL(blob);
-
   try {
     const downloadId = await browser.downloads.download({
       url: blobUrl,
@@ -752,37 +1251,231 @@ async function handleCreateMarkdown(params) {
     });
 
     const [downloadInfo] = await browser.downloads.search({ id: downloadId });
-    const filePath = downloadInfo?.filename || filename;
+    URL.revokeObjectURL(blobUrl);
 
     return {
-      success: true,
-      message: `Markdown saved: ${filename}`,
-      downloadId: downloadId,
+      saved: true,
       filename: filename,
-      filePath: filePath,
-      needsUserClick: true,
-      isMarkdown: true,
-      markdownContent: content  // Include content for HTML conversion option
+      filePath: downloadInfo?.filename || filename,
+      message: `Screenshot saved to Downloads: ${filename}`
     };
-  } finally {
+  } catch (err) {
     URL.revokeObjectURL(blobUrl);
+    throw err;
   }
 }
 
-async function handleCreateHtml(params) {
-  const { html, title } = params;
+// ==========================================================================
+// Full-Page Screenshot Stitching
+// ==========================================================================
 
-  if (!html) {
-    throw new Error('HTML content is required');
-  }
+const FULL_PAGE_CONFIG = {
+  maxSegments: 30,
+  maxHeight: 30000,   // Canvas dimension limit is 32767
+  settleMs: 250,      // Lazy images and scroll-triggered layout
+  tileHeight: 2000,
+  maxTiles: 5,
+  maxWidth: 2000,     // Vision input is downscaled past this anyway
+  jpegQuality: 0.85
+};
 
-  // Check if HTML is already a complete document
-  const trimmedHtml = html.trim();
-  const isCompleteDocument = /^<!doctype\s+html/i.test(trimmedHtml) || /^<html[\s>]/i.test(trimmedHtml);
+function canvasToDataUrl(canvas, format, quality) {
+  if (format !== 'jpeg') return canvas.toDataURL('image/png');
+  return canvas.toDataURL('image/jpeg', quality ? quality / 100 : FULL_PAGE_CONFIG.jpegQuality);
+}
 
-  let fullHtml;
-  if (isCompleteDocument) {
-    fullHtml = trimmedHtml;
+/**
+ * Scroll the page (or params.scrollContainer) one viewport at a time, capture
+ * each segment and draw it onto one canvas at its scroll offset
+ */
+async function captureFullPage(tabId, params) {
+  const start = await sendToContentScript(tabId, 'start_full_page', { selector: params.scrollContainer, frameId: 0 });
+  if (start.error) {
+    throw new Error(start.error);
+  }
+
+  const { rect } = start;
+  const totalHeight = Math.min(start.scrollHeight, FULL_PAGE_CONFIG.maxHeight, rect.height * FULL_PAGE_CONFIG.maxSegments);
+  const segments = [];
+  try {
+    for (let y = 0; y < totalHeight; y += rect.height) {
+      const scrolled = await sendToContentScript(tabId, 'scroll_full_page', { y, frameId: 0 });
+      if (scrolled.error) {
+        throw new Error(scrolled.error);
+      }
+      await new Promise(resolve => setTimeout(resolve, FULL_PAGE_CONFIG.settleMs));
+      // scale 1: one image pixel per CSS pixel, matching the content script's rect
+      const dataUrl = await browser.tabs.captureVisibleTab(null, { format: 'png', scale: 1 });
+      segments.push({ y: scrolled.y, dataUrl });
+      if (scrolled.y + rect.height >= totalHeight) break;
+    }
+  } finally {
+    await sendToContentScript(tabId, 'end_full_page', { frameId: 0 }).catch(() => {});
+  }
+  if (segments.length === 0) {
+    throw new Error('Page has nothing to capture (scroll height is 0)');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = rect.width;
+  canvas.height = Math.min(totalHeight, segments[segments.length - 1].y + rect.height);
+  const ctx = canvas.getContext('2d');
+  for (const segment of segments) {
+    const bitmap = await createImageBitmap(await fetch(segment.dataUrl).then(r => r.blob()));
+    // Later segments overwrite the overlap of a short last scroll
+    ctx.drawImage(bitmap, rect.x, rect.y, rect.width, rect.height, 0, segment.y, rect.width, rect.height);
+    bitmap.close();
+  }
+
+  return {
+    canvas,
+    info: {
+      width: canvas.width,
+      height: canvas.height,
+      pageHeight: start.scrollHeight,
+      segments: segments.length,
+      truncated: canvas.height < start.scrollHeight,
+      ...(start.container ? { scrollContainer: params.scrollContainer } : {})
+    }
+  };
+}
+
+/**
+ * Split a stitched page into top-to-bottom tiles the vision input can read,
+ * downscaling when the page needs more than maxTiles tiles
+ */
+function tileForVision(canvas) {
+  let scale = Math.min(1, FULL_PAGE_CONFIG.maxWidth / canvas.width);
+  const maxHeight = FULL_PAGE_CONFIG.tileHeight * FULL_PAGE_CONFIG.maxTiles;
+  if (canvas.height * scale > maxHeight) {
+    scale = maxHeight / canvas.height;
+  }
+
+  const width = Math.round(canvas.width * scale);
+  const height = Math.round(canvas.height * scale);
+  const tiles = [];
+  for (let top = 0; top < height; top += FULL_PAGE_CONFIG.tileHeight) {
+    const tileHeight = Math.min(FULL_PAGE_CONFIG.tileHeight, height - top);
+    const tile = document.createElement('canvas');
+    tile.width = width;
+    tile.height = tileHeight;
+    tile.getContext('2d').drawImage(canvas, 0, top / scale, canvas.width, tileHeight / scale, 0, 0, width, tileHeight);
+    tiles.push(tile);
+  }
+  return tiles;
+}
+
+// ==========================================================================
+// Labeled Screenshot Handler
+// ==========================================================================
+
+// Time for the marks overlay to paint before the capture
+const LABELED_SCREENSHOT_PAINT_MS = 100;
+
+/**
+ * Screenshot with numbered boxes over the visible interactive elements of
+ * the top frame, plus the label -> selector/bounds map
+ */
+async function handleTakeLabeledScreenshot(tabId, params) {
+  const labeled = await sendToContentScript(tabId, 'show_marks', { maxMarks: params?.maxMarks, frameId: 0 });
+  if (labeled.error) {
+    throw new Error(labeled.error);
+  }
+
+  try {
+    await new Promise(resolve => setTimeout(resolve, LABELED_SCREENSHOT_PAINT_MS));
+    // scale 1: one image pixel per CSS pixel, so bounds and click_at coordinates match the image
+    const dataUrl = await browser.tabs.captureVisibleTab(null, { format: 'png', scale: 1 });
+
+    return {
+      screenshot: dataUrl,
+      marks: labeled.marks,
+      viewport: labeled.viewport,
+      truncated: labeled.truncated,
+      hint: 'Act on a mark with click_element/type_text and its selector, or click_at/type_at with its center. Coordinates are viewport CSS pixels.'
+    };
+  } finally {
+    await sendToContentScript(tabId, 'hide_marks', { frameId: 0 }).catch(() => {});
+  }
+}
+
+// ==========================================================================
+// File Output Handlers (Markdown preferred, HTML for interactive)
+// ==========================================================================
+
+async function handleCreateMarkdown(params) {
+  const { content, filename: customFilename } = params;
+
+  if (!content) {
+    throw new Error('Markdown content is required');
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = customFilename
+    ? `${customFilename.replace(/\.md$/i, '')}.md`
+    : `claude-output-${timestamp}.md`;
+
+  const blob = new Blob([content], { type: 'text/markdown' });
+  const blobUrl = URL.createObjectURL(blob);
+
+  try {
+    const downloadId = await browser.downloads.download({
+      url: blobUrl,
+      filename: filename,
+      saveAs: false
+    });
+
+    // Wait for download to complete
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Download timeout')), 10000);
+      const listener = (delta) => {
+        if (delta.id === downloadId && delta.state) {
+          if (delta.state.current === 'complete') {
+            clearTimeout(timeout);
+            browser.downloads.onChanged.removeListener(listener);
+            resolve();
+          } else if (delta.state.current === 'interrupted') {
+            clearTimeout(timeout);
+            browser.downloads.onChanged.removeListener(listener);
+            reject(new Error('Download interrupted'));
+          }
+        }
+      };
+      browser.downloads.onChanged.addListener(listener);
+    });
+
+    const [downloadInfo] = await browser.downloads.search({ id: downloadId });
+    const filePath = downloadInfo?.filename || filename;
+
+    return {
+      success: true,
+      message: `Markdown saved: ${filename}`,
+      downloadId: downloadId,
+      filename: filename,
+      filePath: filePath,
+      needsUserClick: true,
+      isMarkdown: true,
+      markdownContent: content  // Include content for HTML conversion option
+    };
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+async function handleCreateHtml(params) {
+  const { html, title } = params;
+
+  if (!html) {
+    throw new Error('HTML content is required');
+  }
+
+  // Check if HTML is already a complete document
+  const trimmedHtml = html.trim();
+  const isCompleteDocument = /^<!doctype\s+html/i.test(trimmedHtml) || /^<html[\s>]/i.test(trimmedHtml);
+
+  let fullHtml;
+  if (isCompleteDocument) {
+    fullHtml = trimmedHtml;
   } else {
     // Wrap in complete document
     const pageTitle = title || 'Claude Report';
@@ -1056,18 +1749,29 @@ async function handleWriteClipboard(tabId, params) {
 // Network Request Handlers
 // ==========================================================================
 
+/**
+ * Label GraphQL calls with their operations so one endpoint reads as several
+ */
+function withGraphqlOperations(request) {
+  const operations = window.GraphqlParser ? window.GraphqlParser.parseRequest(request) : null;
+  if (!operations) return request;
+  return { ...request, graphql: operations.map(window.GraphqlParser.summarize) };
+}
+
 function handleGetNetworkRequests(tabId, params) {
   const buffer = networkRequestBuffers.get(tabId) || [];
   const limit = params?.limit || 50;
   const filter = params?.filter;
   const typeFilter = params?.type;
 
-  let requests = [...buffer];
+  let requests = buffer.map(withGraphqlOperations);
 
   // Apply type filter if provided
   if (typeFilter) {
     const mapped = (typeFilter === 'xhr' || typeFilter === 'fetch') ? 'xmlhttprequest' : typeFilter;
-    requests = requests.filter(req => req.type === mapped);
+    // Pages are captured as main_frame/sub_frame (webRequest types), 'document' in HAR terms
+    const types = mapped === 'document' ? ['main_frame', 'sub_frame'] : [mapped];
+    requests = requests.filter(req => types.includes(req.type));
   }
 
   // Apply text filter if provided
@@ -1076,7 +1780,8 @@ function handleGetNetworkRequests(tabId, params) {
     requests = requests.filter(req =>
       req.url.toLowerCase().includes(filterLower) ||
       req.method.toLowerCase().includes(filterLower) ||
-      (req.type && req.type.toLowerCase().includes(filterLower))
+      (req.type && req.type.toLowerCase().includes(filterLower)) ||
+      (req.graphql && req.graphql.some(op => (op.operationName || '').toLowerCase().includes(filterLower)))
     );
   }
 
@@ -1096,220 +1801,1742 @@ function handleClearNetworkRequests(tabId) {
 }
 
 // ==========================================================================
-// Element Screenshot Handler
+// HAR Export / Import Handlers
 // ==========================================================================
 
-async function handleTakeElementScreenshot(tabId, params) {
-  const { selector } = params;
-  if (!selector) {
-    throw new Error('selector is required');
-  }
+// webRequest resource types <-> HAR/DevTools _resourceType values
+const HAR_RESOURCE_TYPES = {
+  xmlhttprequest: 'xhr',
+  main_frame: 'document',
+  sub_frame: 'document',
+  script: 'script',
+  stylesheet: 'stylesheet',
+  image: 'image',
+  imageset: 'image',
+  font: 'font',
+  media: 'media',
+  websocket: 'websocket'
+};
 
-  // Get element bounds from content script
-  const bounds = await sendToContentScript(tabId, 'get_element_bounds', { selector });
-  if (bounds.error) {
-    throw new Error(bounds.error);
+function getHeaderValue(headers, name) {
+  const lower = name.toLowerCase();
+  const header = (headers || []).find(h => h.name.toLowerCase() === lower);
+  return header ? header.value : '';
+}
+
+function stringifyBody(body) {
+  if (body === null || body === undefined) return '';
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Convert a buffered request into a HAR 1.2 entry
+ */
+function networkRequestToHarEntry(request) {
+  const requestHeaders = (request.requestHeaders || []).map(h => ({ name: h.name, value: h.value || '' }));
+  const responseHeaders = (request.responseHeaders || []).map(h => ({ name: h.name, value: h.value || '' }));
+
+  let queryString = [];
+  try {
+    queryString = Array.from(new URL(request.url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (e) {
+    // Non-standard URL - leave query string empty
   }
 
-  // Take full viewport screenshot
-  const dataUrl = await browser.tabs.captureVisibleTab(null, { format: 'png' });
+  const harRequest = {
+    method: request.method,
+    url: request.url,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: requestHeaders,
+    queryString,
+    headersSize: -1,
+    bodySize: -1
+  };
 
-  // Return with element bounds for client-side cropping
-  return {
-    screenshot: dataUrl,
-    bounds,
-    selector,
-    note: 'Full viewport captured. Use bounds to crop to element.'
+  if (request.requestBody) {
+    const mimeType = getHeaderValue(request.requestHeaders, 'content-type');
+    if (request.requestBody.formData) {
+      harRequest.postData = {
+        mimeType: mimeType || 'application/x-www-form-urlencoded',
+        params: Object.entries(request.requestBody.formData).flatMap(([name, values]) =>
+          [].concat(values).map(value => ({ name, value: String(value) }))
+        )
+      };
+    } else {
+      const text = stringifyBody(request.requestBody);
+      harRequest.postData = { mimeType: mimeType || 'application/octet-stream', text };
+      harRequest.bodySize = text.length;
+    }
+  }
+
+  const responseText = stringifyBody(request.responseBody);
+  const duration = request.duration >= 0 ? request.duration : 0;
+
+  const entry = {
+    startedDateTime: new Date(request.startTime).toISOString(),
+    time: duration,
+    request: harRequest,
+    response: {
+      status: request.statusCode || 0,
+      statusText: '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: responseHeaders,
+      content: {
+        size: responseText.length,
+        mimeType: getHeaderValue(request.responseHeaders, 'content-type') || 'x-unknown',
+        ...(responseText ? { text: responseText } : {})
+      },
+      redirectURL: getHeaderValue(request.responseHeaders, 'location'),
+      headersSize: -1,
+      bodySize: responseText ? responseText.length : -1
+    },
+    cache: {},
+    timings: { send: 0, wait: duration, receive: 0 },
+    _requestId: request.requestId,
+    _resourceType: HAR_RESOURCE_TYPES[request.type] || 'other'
   };
+
+  if (request.error) entry._error = request.error;
+  if (request.blockedBy) entry._blockedBy = request.blockedBy;
+  if (request.imported) entry._imported = true;
+
+  return entry;
 }
 
-// ==========================================================================
-// Read Image Handler
-// ==========================================================================
+/**
+ * Guess a webRequest resource type for a HAR entry without one
+ */
+function guessResourceType(harEntry) {
+  const resourceType = (harEntry._resourceType || '').toLowerCase();
+  if (resourceType === 'xhr' || resourceType === 'fetch') return 'xmlhttprequest';
+  if (resourceType === 'document') return 'main_frame';
+  if (resourceType) return resourceType;
+
+  const mimeType = (harEntry.response?.content?.mimeType || '').toLowerCase();
+  if (mimeType.includes('json') || mimeType.includes('xml') || mimeType.includes('graphql')) return 'xmlhttprequest';
+  if (mimeType.includes('html')) return 'main_frame';
+  if (mimeType.includes('javascript')) return 'script';
+  if (mimeType.includes('css')) return 'stylesheet';
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.includes('font')) return 'font';
+  return 'other';
+}
 
-async function handleReadImage(tabId, params) {
-  const { selector, url } = params;
+function parseHarBody(text, maxSize) {
+  if (!text) return null;
+  if (text.length > maxSize) {
+    return text.slice(0, maxSize) + '...[truncated]';
+  }
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+  return text;
+}
 
-  if (!selector && !url) {
-    throw new Error('Either selector or url is required');
+/**
+ * Convert a HAR 1.2 entry into the network buffer format
+ */
+function harEntryToNetworkRequest(harEntry, tabId, index) {
+  const { request: harRequest = {}, response: harResponse = {} } = harEntry;
+  const startTime = Date.parse(harEntry.startedDateTime) || Date.now();
+  const duration = harEntry.time >= 0 ? Math.round(harEntry.time) : 0;
+  const sourceId = String(harEntry._requestId || index);
+
+  let requestBody = null;
+  if (harRequest.postData) {
+    if (Array.isArray(harRequest.postData.params) && harRequest.postData.params.length > 0) {
+      const formData = {};
+      for (const { name, value } of harRequest.postData.params) {
+        (formData[name] = formData[name] || []).push(value || '');
+      }
+      requestBody = { formData };
+    } else {
+      requestBody = parseHarBody(harRequest.postData.text, NETWORK_CONFIG.maxRequestBodySize);
+    }
   }
 
-  // Build script to run in page context
-  // Strategy: draw image onto canvas, export as dataURL
-  // Fallback: if tainted canvas (CORS), fetch the URL as blob and convert to base64
-  const script = `
-    (async () => {
-      try {
-        let imgSrc;
-        let imgEl;
+  let responseText = harResponse.content?.text || '';
+  if (responseText && harResponse.content.encoding === 'base64') {
+    const mimeType = (harResponse.content.mimeType || '').toLowerCase();
+    const isText = /json|xml|text|javascript|graphql/.test(mimeType);
+    try {
+      responseText = isText
+        ? new TextDecoder('utf-8').decode(Uint8Array.from(atob(responseText), c => c.charCodeAt(0)))
+        : '';
+    } catch (e) {
+      responseText = '';
+    }
+  }
 
-        ${selector ? `
-        // Selector mode: find the <img> element
-        imgEl = document.querySelector(${JSON.stringify(selector)});
-        if (!imgEl) {
-          return { error: 'Element not found: ${selector.replace(/'/g, "\\'")}' };
-        }
-        if (imgEl.tagName !== 'IMG') {
-          // Try to find an img inside the element
-          const innerImg = imgEl.querySelector('img');
-          if (innerImg) {
-            imgEl = innerImg;
-          } else {
-            return { error: 'Element is not an <img> and contains no <img>: ' + imgEl.tagName };
+  const request = {
+    requestId: sourceId.startsWith('har-') ? sourceId : `har-${sourceId}`,
+    url: harRequest.url,
+    method: (harRequest.method || 'GET').toUpperCase(),
+    tabId,
+    type: guessResourceType(harEntry),
+    startTime,
+    endTime: startTime + duration,
+    duration,
+    requestBody,
+    requestHeaders: (harRequest.headers || []).map(h => ({ name: h.name, value: h.value })),
+    statusCode: harResponse.status || 0,
+    responseHeaders: (harResponse.headers || []).map(h => ({ name: h.name, value: h.value })),
+    responseBody: parseHarBody(responseText, NETWORK_CONFIG.maxResponseBodySize),
+    responseContentType: harResponse.content?.mimeType || '',
+    imported: true
+  };
+
+  if (harEntry._error) request.error = harEntry._error;
+  if (!request.statusCode && !request.error) request.error = 'No response in HAR';
+
+  return request;
+}
+
+/**
+ * Save a Blob to the Downloads folder and wait for the download to finish
+ */
+async function saveBlobToDownloads(blob, filename) {
+  const blobUrl = URL.createObjectURL(blob);
+
+  try {
+    const downloadId = await browser.downloads.download({
+      url: blobUrl,
+      filename: filename,
+      saveAs: false
+    });
+
+    // Wait for download to complete
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Download timeout')), 10000);
+      const listener = (delta) => {
+        if (delta.id === downloadId && delta.state) {
+          if (delta.state.current === 'complete') {
+            clearTimeout(timeout);
+            browser.downloads.onChanged.removeListener(listener);
+            resolve();
+          } else if (delta.state.current === 'interrupted') {
+            clearTimeout(timeout);
+            browser.downloads.onChanged.removeListener(listener);
+            reject(new Error('Download interrupted'));
           }
         }
-        imgSrc = imgEl.src || imgEl.currentSrc;
-        if (!imgSrc) {
-          return { error: 'Image element has no src' };
-        }
-        ` : `
-        // URL mode: use provided URL directly
-        imgSrc = ${JSON.stringify(url)};
-        `}
+      };
+      browser.downloads.onChanged.addListener(listener);
+    });
 
-        // Helper: fetch image as base64 via blob (CORS fallback)
-        async function fetchAsBase64(imageUrl) {
-          const resp = await fetch(imageUrl);
-          if (!resp.ok) throw new Error('Fetch failed: ' + resp.status);
-          const blob = await resp.blob();
-          return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-          });
-        }
+    const [downloadInfo] = await browser.downloads.search({ id: downloadId });
+    return { downloadId, filePath: downloadInfo?.filename || filename };
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+async function handleExportHar(tabId, params) {
+  const { filter, type, filename: customFilename } = params || {};
+
+  // Reuse get_network_requests filtering, without the result limit
+  const { requests } = handleGetNetworkRequests(tabId, { filter, type, limit: NETWORK_CONFIG.maxRequests });
+  if (requests.length === 0) {
+    throw new Error('No captured network requests to export. Load or interact with the page first.');
+  }
+
+  let tab = null;
+  try {
+    tab = await browser.tabs.get(tabId);
+  } catch (e) {
+    // Tab may have closed - export without page info
+  }
+
+  const pageId = `page_${tabId}`;
+  const har = {
+    log: {
+      version: '1.2',
+      creator: { name: 'Foxhole for Claude', version: browser.runtime.getManifest().version },
+      browser: { name: 'Firefox', version: '' },
+      pages: tab ? [{
+        startedDateTime: new Date(requests[0].startTime).toISOString(),
+        id: pageId,
+        title: tab.title || tab.url,
+        pageTimings: {}
+      }] : [],
+      entries: requests.map(request => ({
+        ...(tab ? { pageref: pageId } : {}),
+        ...networkRequestToHarEntry(request)
+      }))
+    }
+  };
+
+  let hostname = 'network';
+  try {
+    hostname = new URL(tab?.url).hostname.replace(/^www\./, '') || hostname;
+  } catch (e) {
+    // Keep default
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = customFilename
+    ? `${customFilename.replace(/\.har$/i, '')}.har`
+    : `${hostname}-${timestamp}.har`;
+
+  const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+  const { downloadId, filePath } = await saveBlobToDownloads(blob, filename);
+
+  return {
+    success: true,
+    message: `HAR saved: ${filename} (${har.log.entries.length} entries)`,
+    entries: har.log.entries.length,
+    downloadId: downloadId,
+    filename: filename,
+    filePath: filePath,
+    needsUserClick: true
+  };
+}
+
+async function handleImportHar(tabId, params) {
+  const { content, url, replace = false, observe = true } = params || {};
+
+  let harText = content;
+  if (!harText && url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch HAR: HTTP ${response.status}`);
+    }
+    harText = await response.text();
+  }
+  if (!harText) {
+    throw new Error('content (HAR JSON) or url is required');
+  }
+
+  let har;
+  try {
+    har = typeof harText === 'string' ? JSON.parse(harText) : harText;
+  } catch (e) {
+    throw new Error(`Invalid HAR JSON: ${e.message}`);
+  }
+
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid HAR: missing log.entries array');
+  }
+
+  if (replace) {
+    networkRequestBuffers.delete(tabId);
+  }
+
+  let imported = 0;
+  let skipped = 0;
+  entries.forEach((entry, index) => {
+    if (!entry?.request?.url) {
+      skipped++;
+      return;
+    }
+
+    const request = harEntryToNetworkRequest(entry, tabId, index);
+    addToNetworkBuffer(tabId, request);
+    imported++;
+
+    if (observe && window.ApiObserver) {
+      try {
+        window.ApiObserver.processCompletedRequest(request);
+      } catch (e) {
+        console.warn('[ApiObserver] Error:', e);
+      }
+    }
+  });
+
+  return {
+    imported,
+    skipped,
+    buffered: Math.min(imported, NETWORK_CONFIG.maxRequests),
+    total: (networkRequestBuffers.get(tabId) || []).length,
+    note: imported > NETWORK_CONFIG.maxRequests
+      ? `Buffer holds ${NETWORK_CONFIG.maxRequests} requests; oldest imported entries were evicted`
+      : undefined
+  };
+}
+
+// ==========================================================================
+// OpenAPI Generation Handler
+// ==========================================================================
+
+async function handleGenerateOpenapi(tab, params) {
+  const { domain: domainParam, filename: customFilename, minHits = 1 } = params || {};
+
+  if (!window.ApiObserver || !window.OpenApiGenerator) {
+    throw new Error('API observer is not available');
+  }
+
+  let domain = domainParam;
+  if (!domain) {
+    try {
+      domain = new URL(tab.url).hostname;
+    } catch (e) {
+      throw new Error('Could not determine domain from current tab; pass domain explicitly');
+    }
+  }
+  domain = domain.replace(/^www\./, '');
+
+  const patternCount = Object.keys(window.ApiObserver.getPatterns(domain)).length;
+  if (patternCount === 0) {
+    throw new Error(`No API patterns observed for ${domain}. Browse the site (or import_har) so requests can be captured first.`);
+  }
+
+  // Samples from every tab's buffer - the generator keeps only this domain's requests
+  const requests = [];
+  for (const buffer of networkRequestBuffers.values()) {
+    requests.push(...buffer);
+  }
+
+  const { document, operationCount, pathCount, graphqlOperations } = window.OpenApiGenerator.generate(domain, requests, { minHits });
+  if (operationCount === 0) {
+    if (graphqlOperations.length > 0) {
+      throw new Error(`${domain} only has GraphQL operations (${graphqlOperations.length}), which OpenAPI cannot describe - document them from get_network_requests instead`);
+    }
+    throw new Error(`No API patterns for ${domain} have at least ${minHits} hit(s)`);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = customFilename
+    ? `${customFilename.replace(/\.json$/i, '')}.json`
+    : `${domain}-openapi-${timestamp}.json`;
+
+  const blob = new Blob([JSON.stringify(document, null, 2)], { type: 'application/json' });
+  const { downloadId, filePath } = await saveBlobToDownloads(blob, filename);
+
+  return {
+    success: true,
+    message: `OpenAPI 3.1 spec saved: ${filename} (${operationCount} operations, ${pathCount} paths)`,
+    operations: operationCount,
+    paths: Object.keys(document.paths).slice(0, 50),
+    ...(graphqlOperations.length > 0 ? {
+      skippedGraphqlOperations: graphqlOperations.slice(0, 50),
+      note: 'GraphQL operations are not part of the OpenAPI spec'
+    } : {}),
+    downloadId: downloadId,
+    filename: filename,
+    filePath: filePath,
+    needsUserClick: true
+  };
+}
+
+// ==========================================================================
+// Element Screenshot Handler
+// ==========================================================================
+
+async function handleTakeElementScreenshot(tabId, params) {
+  const { selector, ref, frameId, frame } = params;
+  if (!selector && !ref) {
+    throw new Error('selector or ref is required');
+  }
+
+  // Get element bounds from content script
+  const bounds = await sendToContentScript(tabId, 'get_element_bounds', { selector, ref, frameId, frame });
+  if (bounds.error) {
+    throw new Error(bounds.error);
+  }
+
+  // Take full viewport screenshot
+  const dataUrl = await browser.tabs.captureVisibleTab(null, { format: 'png' });
+
+  // Return with element bounds for client-side cropping
+  return {
+    screenshot: dataUrl,
+    bounds,
+    selector: selector || ref,
+    note: frameId || frame
+      ? 'Full viewport captured. Bounds are relative to the frame, not the page.'
+      : 'Full viewport captured. Use bounds to crop to element.'
+  };
+}
+
+// ==========================================================================
+// Read Image Handler
+// ==========================================================================
+
+async function handleReadImage(tabId, params) {
+  const { selector, url } = params;
+
+  if (!selector && !url) {
+    throw new Error('Either selector or url is required');
+  }
+
+  // Build script to run in page context
+  // Strategy: draw image onto canvas, export as dataURL
+  // Fallback: if tainted canvas (CORS), fetch the URL as blob and convert to base64
+  const script = `
+    (async () => {
+      try {
+        let imgSrc;
+        let imgEl;
+
+        ${selector ? `
+        // Selector mode: find the <img> element
+        imgEl = document.querySelector(${JSON.stringify(selector)});
+        if (!imgEl) {
+          return { error: 'Element not found: ${selector.replace(/'/g, "\\'")}' };
+        }
+        if (imgEl.tagName !== 'IMG') {
+          // Try to find an img inside the element
+          const innerImg = imgEl.querySelector('img');
+          if (innerImg) {
+            imgEl = innerImg;
+          } else {
+            return { error: 'Element is not an <img> and contains no <img>: ' + imgEl.tagName };
+          }
+        }
+        imgSrc = imgEl.src || imgEl.currentSrc;
+        if (!imgSrc) {
+          return { error: 'Image element has no src' };
+        }
+        ` : `
+        // URL mode: use provided URL directly
+        imgSrc = ${JSON.stringify(url)};
+        `}
+
+        // Helper: fetch image as base64 via blob (CORS fallback)
+        async function fetchAsBase64(imageUrl) {
+          const resp = await fetch(imageUrl);
+          if (!resp.ok) throw new Error('Fetch failed: ' + resp.status);
+          const blob = await resp.blob();
+          return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+          });
+        }
+
+        // Try canvas approach first (works for same-origin and CORS-enabled images)
+        try {
+          // If we have the element and it's already loaded, use it directly
+          if (imgEl && imgEl.complete && imgEl.naturalWidth > 0) {
+            const canvas = document.createElement('canvas');
+            canvas.width = imgEl.naturalWidth;
+            canvas.height = imgEl.naturalHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(imgEl, 0, 0);
+            const dataUrl = canvas.toDataURL('image/png');
+            return { screenshot: dataUrl };
+          }
+
+          // Load image fresh (handles URL mode and not-yet-loaded images)
+          const img = new Image();
+          img.crossOrigin = 'anonymous';
+          const loaded = await new Promise((resolve, reject) => {
+            img.onload = () => resolve(true);
+            img.onerror = () => reject(new Error('Image load failed'));
+            img.src = imgSrc;
+          });
+
+          const canvas = document.createElement('canvas');
+          canvas.width = img.naturalWidth;
+          canvas.height = img.naturalHeight;
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(img, 0, 0);
+          const dataUrl = canvas.toDataURL('image/png');
+          return { screenshot: dataUrl };
+        } catch (canvasErr) {
+          // Canvas tainted by CORS or load failed — try fetch fallback
+          console.warn('[read_image] Canvas approach failed, trying fetch fallback:', canvasErr.message);
+          try {
+            const dataUrl = await fetchAsBase64(imgSrc);
+            return { screenshot: dataUrl };
+          } catch (fetchErr) {
+            return { error: 'Could not read image. Canvas: ' + canvasErr.message + '. Fetch: ' + fetchErr.message };
+          }
+        }
+      } catch (e) {
+        return { error: e.message };
+      }
+    })()
+  `;
+
+  const result = await sendToContentScript(tabId, 'execute_script', { code: script });
+
+  // execute_script wraps in { result: ... }
+  if (result && result.result) {
+    return result.result;
+  }
+  return result;
+}
+
+// ==========================================================================
+// Wait Handler
+// ==========================================================================
+
+async function handleWait(params) {
+  const { ms } = params;
+  if (!ms || ms <= 0) {
+    throw new Error('ms must be a positive number');
+  }
+  if (ms > 30000) {
+    throw new Error('Maximum wait time is 30000ms (30 seconds)');
+  }
+
+  await new Promise(resolve => setTimeout(resolve, ms));
+  return { waited: ms };
+}
+
+// ==========================================================================
+// Network Request Detail Handler
+// ==========================================================================
+
+function handleGetNetworkRequestDetail(tabId, params) {
+  const { requestId } = params;
+  if (!requestId) {
+    throw new Error('requestId is required');
+  }
+
+  const buffer = networkRequestBuffers.get(tabId) || [];
+  const request = buffer.find(r => r.requestId === requestId);
+
+  if (!request) {
+    return { error: 'Request not found', requestId };
+  }
+
+  return { request: withGraphqlOperations(request) };
+}
+
+// ==========================================================================
+// Replay Request Handler
+// ==========================================================================
+
+const REPLAY_CONFIG = {
+  timeoutMs: 30000,
+  captureWaitMs: 1500,
+  maxDiffKeys: 20
+};
+
+// Headers page scripts cannot set - the browser supplies them (cookies included)
+const FORBIDDEN_REPLAY_HEADERS = [
+  'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+  'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+  'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'via'
+];
+
+function isForbiddenReplayHeader(name) {
+  const lower = name.toLowerCase();
+  return FORBIDDEN_REPLAY_HEADERS.includes(lower) || lower.startsWith('proxy-') || lower.startsWith('sec-');
+}
+
+/**
+ * Claim the replay registered for a request the tab is starting
+ */
+function takePendingReplay(tabId, url, method) {
+  const replays = pendingReplays.get(tabId);
+  if (!replays) return null;
+  const index = replays.findIndex(replay => replay.url === url && replay.method === method);
+  if (index === -1) return null;
+  return replays.splice(index, 1)[0];
+}
+
+/**
+ * Set a value at a dotted path ("user.address.city", "items.0.id"), creating objects on the way
+ */
+function setDottedPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Body for the replay: { body } as a string, or { form } entries for form posts
+ */
+function buildReplayBody(original, params, headers) {
+  const { body, bodyFields } = params;
+
+  if (body !== undefined) {
+    if (typeof body === 'string') return { body };
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return { body: JSON.stringify(body) };
+  }
+
+  const captured = original.requestBody;
+  if (captured === null || captured === undefined) {
+    if (bodyFields) throw new Error('The original request has no body - pass body instead of bodyFields');
+    return {};
+  }
+  if (typeof captured === 'string') {
+    if (captured.endsWith('...[truncated]')) {
+      throw new Error('The original body was truncated when captured - pass the full body');
+    }
+    if (bodyFields) throw new Error('The original body is not JSON or form data - pass body instead of bodyFields');
+    return { body: captured };
+  }
+
+  if (captured.formData) {
+    const form = JSON.parse(JSON.stringify(captured.formData));
+    for (const [name, value] of Object.entries(bodyFields || {})) {
+      form[name] = value === null ? [] : [String(value)];
+    }
+    const contentType = Object.entries(headers).find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+    // fetch writes its own multipart boundary
+    if (contentType.includes('multipart/')) {
+      for (const name of Object.keys(headers)) {
+        if (name.toLowerCase() === 'content-type') delete headers[name];
+      }
+    }
+    return { form: Object.entries(form).filter(([, values]) => values.length > 0), multipart: contentType.includes('multipart/') };
+  }
+
+  const json = JSON.parse(JSON.stringify(captured));
+  for (const [path, value] of Object.entries(bodyFields || {})) {
+    setDottedPath(json, path, value);
+  }
+  return { body: JSON.stringify(json) };
+}
+
+/**
+ * What changed between the original response and the replay's
+ */
+function compareResponses(original, replay) {
+  const comparison = {
+    originalStatus: original.statusCode ?? null,
+    replayStatus: replay.status,
+    statusChanged: original.statusCode !== replay.status
+  };
+
+  if (original.responseBody === undefined) {
+    comparison.body = 'original response body was not captured';
+    return comparison;
+  }
+  comparison.bodyIdentical = JSON.stringify(original.responseBody) === JSON.stringify(replay.body);
+
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!comparison.bodyIdentical && isObject(original.responseBody) && isObject(replay.body)) {
+    const before = original.responseBody;
+    const after = replay.body;
+    const limit = keys => keys.slice(0, REPLAY_CONFIG.maxDiffKeys);
+    comparison.keys = {
+      added: limit(Object.keys(after).filter(key => !(key in before))),
+      removed: limit(Object.keys(before).filter(key => !(key in after))),
+      changed: limit(Object.keys(after).filter(key => key in before && JSON.stringify(before[key]) !== JSON.stringify(after[key])))
+    };
+  } else if (!comparison.bodyIdentical && Array.isArray(original.responseBody) && Array.isArray(replay.body)) {
+    comparison.length = { original: original.responseBody.length, replay: replay.body.length };
+  }
+  return comparison;
+}
+
+/**
+ * Re-send a captured request from the page (its cookies and origin), with
+ * optional edits. The replay is captured next to the original in the buffer.
+ */
+async function handleReplayRequest(tabId, params) {
+  const { requestId, query } = params;
+  if (!requestId) {
+    throw new Error('requestId is required');
+  }
+
+  const buffer = networkRequestBuffers.get(tabId) || [];
+  const original = buffer.find(r => r.requestId === requestId);
+  if (!original) {
+    throw new Error(`Request ${requestId} is not in the network buffer - get_network_requests lists captured IDs`);
+  }
+  if (original.type === 'websocket') {
+    throw new Error('WebSocket connections cannot be replayed');
+  }
+
+  let target;
+  try {
+    target = new URL(params.url || original.url);
+  } catch (e) {
+    throw new Error(`Invalid URL: ${params.url}`);
+  }
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value === null) {
+      target.searchParams.delete(name);
+    } else {
+      target.searchParams.set(name, String(value));
+    }
+  }
+  const method = (params.method || original.method).toUpperCase();
+
+  const headers = {};
+  const droppedHeaders = [];
+  const requested = [
+    ...(original.requestHeaders || []).map(h => [h.name, h.value]),
+    ...Object.entries(params.headers || {})
+  ];
+  for (const [name, value] of requested) {
+    for (const existing of Object.keys(headers)) {
+      if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
+    }
+    if (value === null || value === '') continue;
+    if (isForbiddenReplayHeader(name)) {
+      if (!droppedHeaders.includes(name.toLowerCase())) droppedHeaders.push(name.toLowerCase());
+      continue;
+    }
+    headers[name] = String(value);
+  }
+
+  const payload = method === 'GET' || method === 'HEAD' ? {} : buildReplayBody(original, params, headers);
+  const spec = {
+    url: target.href,
+    method,
+    headers,
+    body: payload.body ?? null,
+    form: payload.form || null,
+    multipart: !!payload.multipart,
+    maxBody: NETWORK_CONFIG.maxResponseBodySize
+  };
+
+  const script = `
+    (async () => {
+      const spec = ${JSON.stringify(spec)};
+      let body = spec.body;
+      if (spec.form) {
+        if (spec.multipart) {
+          body = new FormData();
+          for (const [name, values] of spec.form) values.forEach(value => body.append(name, value));
+        } else {
+          body = new URLSearchParams();
+          for (const [name, values] of spec.form) values.forEach(value => body.append(name, value));
+        }
+      }
+      const started = performance.now();
+      try {
+        const response = await fetch(spec.url, {
+          method: spec.method,
+          headers: spec.headers,
+          body,
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const text = spec.method === 'HEAD' ? '' : await response.text();
+        return {
+          status: response.status,
+          statusText: response.statusText,
+          url: response.url,
+          redirected: response.redirected,
+          headers: Object.fromEntries(response.headers.entries()),
+          text: text.slice(0, spec.maxBody + 1),
+          bodyLength: text.length,
+          duration: Math.round(performance.now() - started)
+        };
+      } catch (e) {
+        return { error: e.message };
+      }
+    })()
+  `;
+
+  // Tag the request in onBeforeRequest so it is stored next to its original
+  const replays = pendingReplays.get(tabId) || [];
+  const pending = { url: target.href, method, originalId: requestId };
+  replays.push(pending);
+  pendingReplays.set(tabId, replays);
+
+  let response;
+  try {
+    response = await executeInPage(tabId, script, { timeout: REPLAY_CONFIG.timeoutMs });
+  } finally {
+    const index = replays.indexOf(pending);
+    if (index !== -1) replays.splice(index, 1);
+    if (replays.length === 0) pendingReplays.delete(tabId);
+  }
+  if (!response) {
+    throw new Error('No result from the page');
+  }
+  if (response.error) {
+    throw new Error(`Replay failed in the page: ${response.error} (cross-origin requests need CORS; the page's CSP may block the URL)`);
+  }
+
+  // onCompleted may land just after the page sees the response
+  const isReplay = r => r.replayOf === requestId && !(original.replays || []).includes(r.requestId);
+  let captured = buffer.find(isReplay);
+  for (let waited = 0; !captured && waited < REPLAY_CONFIG.captureWaitMs; waited += 100) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    captured = (networkRequestBuffers.get(tabId) || []).find(isReplay);
+  }
+  if (captured) {
+    original.replays = [...(original.replays || []), captured.requestId];
+  }
+
+  const replay = {
+    status: response.status,
+    statusText: response.statusText,
+    url: response.url,
+    redirected: response.redirected,
+    headers: response.headers,
+    body: toCapturedBody(response.text),
+    bodyLength: response.bodyLength,
+    duration: response.duration
+  };
+
+  return {
+    replayed: true,
+    originalId: requestId,
+    replayRequestId: captured?.requestId || null,
+    request: {
+      url: spec.url,
+      method,
+      headers: Object.keys(headers),
+      ...(droppedHeaders.length > 0 ? { browserSuppliedHeaders: droppedHeaders } : {})
+    },
+    response: replay,
+    comparison: compareResponses(original, replay)
+  };
+}
+
+// ==========================================================================
+// Request Snippet Generator
+// ==========================================================================
+
+const SNIPPET_FORMATS = ['curl', 'fetch', 'python', 'httpie'];
+
+// Connection-level headers the client sets on its own
+const SNIPPET_SKIPPED_HEADERS = ['host', 'content-length', 'connection', 'keep-alive', 'te', 'transfer-encoding', 'upgrade'];
+
+const SENSITIVE_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie|x-api-key|api-key|apikey)$|token|secret|session|csrf|xsrf/i;
+
+const PYTHON_REQUEST_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * Replace a credential with a placeholder, keeping the auth scheme ("Bearer <redacted>")
+ */
+function maskHeaderValue(name, value) {
+  if (/authorization$/i.test(name)) {
+    const scheme = value.match(/^(\w+)\s+\S/);
+    if (scheme) return `${scheme[1]} <redacted>`;
+  }
+  return '<redacted>';
+}
+
+/**
+ * Headers and body of a captured request in the shape the generators use
+ */
+function prepareSnippetRequest(request, maskAuth) {
+  const maskedHeaders = [];
+  const headers = [];
+  for (const { name, value = '' } of request.requestHeaders || []) {
+    if (SNIPPET_SKIPPED_HEADERS.includes(name.toLowerCase())) continue;
+    if (maskAuth && SENSITIVE_HEADER_PATTERN.test(name)) {
+      maskedHeaders.push(name);
+      headers.push([name, maskHeaderValue(name, value)]);
+    } else {
+      headers.push([name, value]);
+    }
+  }
+
+  const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+  const captured = request.requestBody;
+  const notes = [];
+  let body = { kind: 'none' };
+
+  if (typeof captured === 'string') {
+    if (captured.endsWith('...[truncated]')) {
+      notes.push('The request body was truncated when captured - the snippet carries the truncated text');
+    }
+    body = { kind: 'text', text: captured };
+  } else if (captured?.formData) {
+    const fields = Object.entries(captured.formData).flatMap(([name, values]) => values.map(value => [name, String(value)]));
+    body = { kind: contentType.includes('multipart/') ? 'multipart' : 'form', fields };
+    if (body.kind === 'multipart') {
+      notes.push('Multipart fields are sent as text; file parts were not captured');
+    }
+  } else if (captured !== null && captured !== undefined) {
+    body = { kind: 'json', value: captured, text: JSON.stringify(captured) };
+  }
+
+  // Clients write their own multipart boundary
+  const sentHeaders = body.kind === 'multipart'
+    ? headers.filter(([name]) => name.toLowerCase() !== 'content-type')
+    : headers;
+
+  return { method: request.method.toUpperCase(), url: request.url, headers: sentHeaders, body, maskedHeaders, notes };
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Python literal for a JSON value (None/True/False, 4-space indent)
+ */
+function toPythonLiteral(value, indent = 0) {
+  const pad = ' '.repeat(indent + 4);
+  const end = ' '.repeat(indent);
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number' || typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${pad}${toPythonLiteral(item, indent + 4)},`).join('\n')}\n${end}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${pad}${JSON.stringify(key)}: ${toPythonLiteral(item, indent + 4)},`).join('\n')}\n${end}}`;
+}
+
+/**
+ * Python list of (name, value) tuples; repeated form fields keep their order
+ */
+function toPythonPairs(fields, formatValue = value => JSON.stringify(value)) {
+  return `[\n${fields.map(([name, value]) => `    (${JSON.stringify(name)}, ${formatValue(value)}),`).join('\n')}\n]`;
+}
+
+function buildCurlSnippet({ method, url, headers, body }) {
+  const parts = [`curl ${shellQuote(url)}`];
+  const hasBody = body.kind !== 'none';
+  if (method === 'HEAD') {
+    // -X HEAD leaves curl waiting for a body that never comes
+    parts.push('--head');
+  } else if (method !== 'GET' && !(method === 'POST' && hasBody)) {
+    parts.push(`-X ${method}`);
+  }
+  for (const [name, value] of headers) {
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (body.kind === 'form') {
+    body.fields.forEach(([name, value]) => parts.push(`--data-urlencode ${shellQuote(`${name}=${value}`)}`));
+  } else if (body.kind === 'multipart') {
+    body.fields.forEach(([name, value]) => parts.push(`--form-string ${shellQuote(`${name}=${value}`)}`));
+  } else if (hasBody) {
+    parts.push(`--data-raw ${shellQuote(body.text)}`);
+  }
+  return parts.join(' \\\n  ');
+}
+
+function buildFetchSnippet({ method, url, headers, body }) {
+  // fetch cannot set Cookie and friends; the browser sends its own with credentials: "include"
+  const sendable = headers.filter(([name]) => !isForbiddenReplayHeader(name));
+  const hasCookies = headers.some(([name]) => name.toLowerCase() === 'cookie');
+  const lines = [];
+  const options = [`  method: ${JSON.stringify(method)},`];
+
+  if (sendable.length > 0) {
+    options.push(`  headers: {\n${sendable.map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)},`).join('\n')}\n  },`);
+  }
+  if (body.kind === 'json') {
+    options.push(`  body: JSON.stringify(${JSON.stringify(body.value, null, 2).replace(/\n/g, '\n  ')}),`);
+  } else if (body.kind === 'text') {
+    options.push(`  body: ${JSON.stringify(body.text)},`);
+  } else if (body.kind === 'form') {
+    options.push(`  body: new URLSearchParams(${JSON.stringify(body.fields)}),`);
+  } else if (body.kind === 'multipart') {
+    lines.push('const form = new FormData();');
+    body.fields.forEach(([name, value]) => lines.push(`form.append(${JSON.stringify(name)}, ${JSON.stringify(value)});`));
+    lines.push('');
+    options.push('  body: form,');
+  }
+  if (hasCookies) {
+    options.push('  credentials: "include",');
+  }
+
+  lines.push(`const response = await fetch(${JSON.stringify(url)}, {\n${options.join('\n')}\n});`);
+  return lines.join('\n');
+}
+
+function buildPythonSnippet({ method, url, headers, body }) {
+  const lines = ['import requests', ''];
+  const args = [JSON.stringify(url)];
+  if (!PYTHON_REQUEST_METHODS.includes(method)) {
+    args.unshift(JSON.stringify(method));
+  }
+
+  if (headers.length > 0) {
+    lines.push(`headers = ${toPythonLiteral(Object.fromEntries(headers))}`, '');
+    args.push('headers=headers');
+  }
+  if (body.kind === 'json') {
+    lines.push(`json_data = ${toPythonLiteral(body.value)}`, '');
+    args.push('json=json_data');
+  } else if (body.kind === 'text') {
+    lines.push(`data = ${JSON.stringify(body.text)}`, '');
+    args.push('data=data');
+  } else if (body.kind === 'form') {
+    lines.push(`data = ${toPythonPairs(body.fields)}`, '');
+    args.push('data=data');
+  } else if (body.kind === 'multipart') {
+    lines.push(`files = ${toPythonPairs(body.fields, value => `(None, ${JSON.stringify(value)})`)}`, '');
+    args.push('files=files');
+  }
+
+  const call = PYTHON_REQUEST_METHODS.includes(method) ? `requests.${method.toLowerCase()}` : 'requests.request';
+  lines.push(`response = ${call}(${args.join(', ')})`, 'print(response.status_code)');
+  return lines.join('\n');
+}
+
+function buildHttpieSnippet({ method, url, headers, body }) {
+  const flag = body.kind === 'form' ? ' --form' : body.kind === 'multipart' ? ' --multipart' : '';
+  const parts = [`http${flag} ${method} ${shellQuote(url)}`];
+  for (const [name, value] of headers) {
+    // "Name;" sends an empty header in HTTPie
+    parts.push(shellQuote(value === '' ? `${name};` : `${name}:${value}`));
+  }
+  if (body.kind === 'form' || body.kind === 'multipart') {
+    body.fields.forEach(([name, value]) => parts.push(shellQuote(`${name}=${value}`)));
+  } else if (body.kind !== 'none') {
+    parts.push(`--raw ${shellQuote(body.text)}`);
+  }
+  return parts.join(' \\\n  ');
+}
+
+const SNIPPET_BUILDERS = {
+  curl: buildCurlSnippet,
+  fetch: buildFetchSnippet,
+  python: buildPythonSnippet,
+  httpie: buildHttpieSnippet
+};
+
+/**
+ * Code snippets that reproduce a captured request
+ * @param {object} request - Network buffer entry
+ * @param {object} [options] - { formats, maskAuth (default true) }
+ */
+function generateRequestSnippets(request, options = {}) {
+  const formats = options.formats?.length ? options.formats : SNIPPET_FORMATS;
+  const unknown = formats.filter(format => !SNIPPET_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown snippet format: ${unknown.join(', ')} (use ${SNIPPET_FORMATS.join(', ')})`);
+  }
+  if (request.type === 'websocket') {
+    throw new Error('WebSocket connections have no request snippet');
+  }
+
+  const prepared = prepareSnippetRequest(request, options.maskAuth !== false);
+  const snippets = {};
+  for (const format of formats) {
+    snippets[format] = SNIPPET_BUILDERS[format](prepared);
+  }
+
+  return {
+    requestId: request.requestId,
+    method: prepared.method,
+    url: prepared.url,
+    snippets,
+    ...(prepared.maskedHeaders.length > 0 ? { maskedHeaders: prepared.maskedHeaders } : {}),
+    ...(prepared.notes.length > 0 ? { notes: prepared.notes } : {})
+  };
+}
+
+function handleGenerateRequestSnippet(tabId, params) {
+  const { requestId, formats, maskAuth } = params;
+  if (!requestId) {
+    throw new Error('requestId is required');
+  }
+
+  const buffer = networkRequestBuffers.get(tabId) || [];
+  const request = buffer.find(r => r.requestId === requestId);
+  if (!request) {
+    throw new Error(`Request ${requestId} is not in the network buffer - get_network_requests lists captured IDs`);
+  }
+
+  return generateRequestSnippets(request, { formats, maskAuth });
+}
+
+// ==========================================================================
+// Set Request Headers Handler
+// ==========================================================================
+
+function handleSetRequestHeaders(tabId, params) {
+  const { headers } = params;
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error('headers object is required');
+  }
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      throw new Error(`Header "${name}" must be a string, or null to remove it`);
+    }
+  }
+
+  if (Object.keys(headers).length === 0) {
+    customRequestHeaders.delete(tabId);
+  } else {
+    customRequestHeaders.set(tabId, headers);
+  }
+
+  const removed = Object.keys(headers).filter(name => headers[name] === null || headers[name] === '');
+  return {
+    set: true,
+    headers: Object.keys(headers).filter(name => !removed.includes(name)),
+    removed
+  };
+}
+
+// ==========================================================================
+// Block URLs Handler
+// ==========================================================================
+
+function handleBlockUrls(tabId, params) {
+  const { patterns } = params;
+  if (!patterns || !Array.isArray(patterns)) {
+    throw new Error('patterns array is required');
+  }
+
+  const rules = patterns.map(pattern => {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('patterns must be non-empty strings');
+    }
+    try {
+      return { pattern, regex: compileUrlPattern(pattern), hits: 0 };
+    } catch (e) {
+      throw new Error(`Invalid pattern "${pattern}": ${e.message}`);
+    }
+  });
+
+  if (rules.length === 0) {
+    blockedUrlPatterns.delete(tabId);
+  } else {
+    blockedUrlPatterns.set(tabId, rules);
+  }
+  return { blocked: true, patterns };
+}
+
+// ==========================================================================
+// Response Mock Handlers
+// ==========================================================================
+
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Split an RFC 6901 JSON pointer ("/items/0/name") into keys
+ */
+function parseJsonPointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer: ${pointer}`);
+  }
+  return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getAtPointer(doc, keys) {
+  let node = doc;
+  for (const key of keys) {
+    if (node === null || typeof node !== 'object' || !(key in node)) {
+      throw new Error(`Path not found: /${keys.join('/')}`);
+    }
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * Apply an RFC 6902 JSON patch, returning the patched document
+ */
+function applyJsonPatch(doc, patch) {
+  let root = doc;
+  const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+  const setAt = (keys, value, op) => {
+    if (keys.length === 0) {
+      root = value;
+      return;
+    }
+    const parent = getAtPointer(root, keys.slice(0, -1));
+    const key = keys[keys.length - 1];
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : Number(key);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+        throw new Error(`Invalid array index: ${key}`);
+      }
+      if (op === 'add') {
+        parent.splice(index, 0, value);
+      } else {
+        if (index >= parent.length) throw new Error(`Path not found: /${keys.join('/')}`);
+        parent[index] = value;
+      }
+    } else if (parent !== null && typeof parent === 'object') {
+      if (op === 'replace' && !(key in parent)) throw new Error(`Path not found: /${keys.join('/')}`);
+      parent[key] = value;
+    } else {
+      throw new Error(`Cannot set a child of a primitive at /${keys.join('/')}`);
+    }
+  };
+
+  const removeAt = (keys) => {
+    if (keys.length === 0) throw new Error('Cannot remove the document root');
+    const parent = getAtPointer(root, keys.slice(0, -1));
+    const key = keys[keys.length - 1];
+    getAtPointer(parent, [key]);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  };
+
+  patch.forEach((operation, index) => {
+    const { op, path, from, value } = operation;
+    const keys = parseJsonPointer(path);
+    try {
+      switch (op) {
+        case 'add':
+        case 'replace':
+          setAt(keys, clone(value), op);
+          break;
+        case 'remove':
+          removeAt(keys);
+          break;
+        case 'move': {
+          const fromKeys = parseJsonPointer(from);
+          const moved = getAtPointer(root, fromKeys);
+          removeAt(fromKeys);
+          setAt(keys, moved, 'add');
+          break;
+        }
+        case 'copy':
+          setAt(keys, clone(getAtPointer(root, parseJsonPointer(from))), 'add');
+          break;
+        case 'test':
+          if (JSON.stringify(getAtPointer(root, keys)) !== JSON.stringify(value)) {
+            throw new Error('test failed');
+          }
+          break;
+      }
+    } catch (e) {
+      throw new Error(`Patch op ${index + 1} (${op} ${path}): ${e.message}`);
+    }
+  });
+  return root;
+}
+
+function validateJsonPatch(patch) {
+  if (!Array.isArray(patch)) {
+    throw new Error('patch must be an array of JSON patch operations');
+  }
+  patch.forEach((operation, index) => {
+    if (!JSON_PATCH_OPS.includes(operation?.op)) {
+      throw new Error(`Patch op ${index + 1}: op must be one of ${JSON_PATCH_OPS.join(', ')}`);
+    }
+    parseJsonPointer(operation.path);
+    if (operation.op === 'move' || operation.op === 'copy') parseJsonPointer(operation.from);
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+      throw new Error(`Patch op ${index + 1} (${operation.op}): value is required`);
+    }
+  });
+}
+
+/**
+ * Status overrides for the page hook, which applies them to fetch/XHR -
+ * the stream filter can only change headers and body
+ */
+function getResponseStatusRules(tabId) {
+  return (responseRules.get(tabId) || [])
+    .filter(rule => rule.status)
+    .map(rule => ({
+      source: rule.regex.source,
+      flags: rule.regex.flags,
+      method: rule.method,
+      status: rule.status,
+      statusText: rule.statusText
+    }));
+}
+
+async function broadcastResponseStatusRules(tabId) {
+  try {
+    await browser.tabs.sendMessage(tabId, {
+      action: 'update_setting',
+      params: { responseStatusRules: getResponseStatusRules(tabId) }
+    });
+  } catch (e) {
+    // No content script yet - it asks for the rules when it loads
+  }
+}
+
+/**
+ * Add a mock or rewrite rule, replacing one with the same kind, URL pattern and method
+ */
+async function addResponseRule(tabId, kind, params) {
+  const { url, method, status, statusText, headers } = params;
+  if (!url || typeof url !== 'string') {
+    throw new Error('url pattern is required');
+  }
+  if (status !== undefined && (!Number.isInteger(status) || status < 200 || status > 599)) {
+    throw new Error('status must be an integer from 200 to 599');
+  }
+  if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers))) {
+    throw new Error('headers must be an object of header name -> value (null removes)');
+  }
 
-        // Try canvas approach first (works for same-origin and CORS-enabled images)
-        try {
-          // If we have the element and it's already loaded, use it directly
-          if (imgEl && imgEl.complete && imgEl.naturalWidth > 0) {
-            const canvas = document.createElement('canvas');
-            canvas.width = imgEl.naturalWidth;
-            canvas.height = imgEl.naturalHeight;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(imgEl, 0, 0);
-            const dataUrl = canvas.toDataURL('image/png');
-            return { screenshot: dataUrl };
-          }
+  let regex;
+  try {
+    regex = compileUrlPattern(url);
+  } catch (e) {
+    throw new Error(`Invalid pattern "${url}": ${e.message}`);
+  }
 
-          // Load image fresh (handles URL mode and not-yet-loaded images)
-          const img = new Image();
-          img.crossOrigin = 'anonymous';
-          const loaded = await new Promise((resolve, reject) => {
-            img.onload = () => resolve(true);
-            img.onerror = () => reject(new Error('Image load failed'));
-            img.src = imgSrc;
-          });
+  const rule = {
+    id: `${kind}-${++responseRuleCounter}`,
+    kind,
+    pattern: url,
+    regex,
+    method: method ? method.toUpperCase() : null,
+    status: status || null,
+    statusText: statusText || null,
+    headers: headers || {},
+    hits: 0,
+    lastError: null
+  };
 
-          const canvas = document.createElement('canvas');
-          canvas.width = img.naturalWidth;
-          canvas.height = img.naturalHeight;
-          const ctx = canvas.getContext('2d');
-          ctx.drawImage(img, 0, 0);
-          const dataUrl = canvas.toDataURL('image/png');
-          return { screenshot: dataUrl };
-        } catch (canvasErr) {
-          // Canvas tainted by CORS or load failed — try fetch fallback
-          console.warn('[read_image] Canvas approach failed, trying fetch fallback:', canvasErr.message);
-          try {
-            const dataUrl = await fetchAsBase64(imgSrc);
-            return { screenshot: dataUrl };
-          } catch (fetchErr) {
-            return { error: 'Could not read image. Canvas: ' + canvasErr.message + '. Fetch: ' + fetchErr.message };
-          }
-        }
-      } catch (e) {
-        return { error: e.message };
-      }
-    })()
-  `;
+  if (kind === 'mock') {
+    const { body = '' } = params;
+    rule.body = typeof body === 'string' ? body : JSON.stringify(body);
+    if (typeof body !== 'string') rule.contentType = 'application/json';
+  } else if (params.patch !== undefined) {
+    validateJsonPatch(params.patch);
+    rule.patch = params.patch;
+  }
 
-  const result = await sendToContentScript(tabId, 'execute_script', { code: script });
+  const rules = (responseRules.get(tabId) || [])
+    .filter(existing => !(existing.kind === kind && existing.pattern === rule.pattern && existing.method === rule.method));
+  if (rules.length >= RESPONSE_RULE_CONFIG.maxRules) {
+    throw new Error(`Too many mock/rewrite rules on this tab (max ${RESPONSE_RULE_CONFIG.maxRules}) - clear some with clear_request_rules`);
+  }
+  rules.push(rule);
+  responseRules.set(tabId, rules);
+  await broadcastResponseStatusRules(tabId);
 
-  // execute_script wraps in { result: ... }
-  if (result && result.result) {
-    return result.result;
+  return {
+    added: true,
+    id: rule.id,
+    kind,
+    pattern: rule.pattern,
+    method: rule.method || 'any',
+    ...(rule.status ? { status: rule.status } : {}),
+    activeRules: rules.length,
+    note: 'Applies to requests that start from now on - reload or repeat the action to see it.'
+  };
+}
+
+function handleMockResponse(tabId, params) {
+  return addResponseRule(tabId, 'mock', params);
+}
+
+function handleRewriteResponse(tabId, params) {
+  if (params.patch === undefined && params.status === undefined && params.headers === undefined) {
+    throw new Error('Provide patch, status or headers to rewrite');
   }
-  return result;
+  return addResponseRule(tabId, 'rewrite', params);
+}
+
+function describeResponseRule(rule) {
+  return {
+    id: rule.id,
+    kind: rule.kind,
+    pattern: rule.pattern,
+    method: rule.method || 'any',
+    status: rule.status,
+    headers: Object.keys(rule.headers),
+    ...(rule.kind === 'mock' ? { bodyLength: rule.body.length } : { patchOps: rule.patch?.length || 0 }),
+    hits: rule.hits,
+    ...(rule.lastError ? { lastError: rule.lastError } : {})
+  };
 }
 
 // ==========================================================================
-// Wait Handler
+// Request Rules Handlers
 // ==========================================================================
 
-async function handleWait(params) {
-  const { ms } = params;
-  if (!ms || ms <= 0) {
-    throw new Error('ms must be a positive number');
+function handleListRequestRules(tabId) {
+  const headers = customRequestHeaders.get(tabId) || {};
+  const blocked = blockedUrlPatterns.get(tabId) || [];
+  const mocks = responseRules.get(tabId) || [];
+
+  return {
+    tabId,
+    headers: Object.entries(headers).map(([name, value]) => ({
+      name,
+      action: (value === null || value === '') ? 'remove' : 'set',
+      value: (value === null || value === '') ? null : String(value)
+    })),
+    blocked: blocked.map(rule => ({
+      pattern: rule.pattern,
+      type: getUrlPatternType(rule.pattern),
+      hits: rule.hits
+    })),
+    mocks: mocks.map(describeResponseRule),
+    active: Object.keys(headers).length > 0 || blocked.length > 0 || mocks.length > 0
+  };
+}
+
+function handleClearRequestRules(tabId, params) {
+  const { type = 'all', id } = params || {};
+  const cleared = [];
+
+  // One mock/rewrite rule by id
+  if (id) {
+    const rules = responseRules.get(tabId) || [];
+    if (!rules.some(rule => rule.id === id)) {
+      throw new Error(`No mock/rewrite rule with id ${id} on this tab`);
+    }
+    responseRules.set(tabId, rules.filter(rule => rule.id !== id));
+    broadcastResponseStatusRules(tabId);
+    return { cleared: [id], tabId };
   }
-  if (ms > 30000) {
-    throw new Error('Maximum wait time is 30000ms (30 seconds)');
+
+  if (type === 'all' || type === 'headers') {
+    customRequestHeaders.delete(tabId);
+    cleared.push('headers');
+  }
+  if (type === 'all' || type === 'blocked') {
+    blockedUrlPatterns.delete(tabId);
+    cleared.push('blocked');
+  }
+  if (type === 'all' || type === 'mocks') {
+    responseRules.delete(tabId);
+    broadcastResponseStatusRules(tabId);
+    cleared.push('mocks');
+  }
+  if (cleared.length === 0) {
+    throw new Error(`Unknown rule type: ${type}`);
   }
 
-  await new Promise(resolve => setTimeout(resolve, ms));
-  return { waited: ms };
+  return { cleared, tabId };
 }
 
 // ==========================================================================
-// Network Request Detail Handler
+// Dialog Handlers
 // ==========================================================================
 
-function handleGetNetworkRequestDetail(tabId, params) {
-  const { requestId } = params;
-  if (!requestId) {
-    throw new Error('requestId is required');
-  }
+function getDialogPolicy(tabId) {
+  return dialogPolicies.get(tabId) || { policy: 'ask', next: null };
+}
 
-  const buffer = networkRequestBuffers.get(tabId) || [];
-  const request = buffer.find(r => r.requestId === requestId);
+/**
+ * Push the tab's dialog policy to every frame's page hook
+ */
+async function broadcastDialogPolicy(tabId) {
+  try {
+    await browser.tabs.sendMessage(tabId, {
+      action: 'update_setting',
+      params: { dialogPolicy: getDialogPolicy(tabId) }
+    });
+  } catch (e) {
+    // No content script yet - it asks for the policy when it loads
+  }
+}
 
-  if (!request) {
-    return { error: 'Request not found', requestId };
+async function handleSetDialogPolicy(tabId, params) {
+  const { policy, promptText } = params;
+  if (!DIALOG_POLICIES.includes(policy)) {
+    throw new Error(`policy must be one of: ${DIALOG_POLICIES.join(', ')}`);
   }
 
-  return { request };
+  const state = { policy, next: getDialogPolicy(tabId).next };
+  if (promptText !== undefined) state.promptText = String(promptText);
+  dialogPolicies.set(tabId, state);
+  await broadcastDialogPolicy(tabId);
+
+  return { tabId, policy, ...(state.promptText !== undefined ? { promptText: state.promptText } : {}) };
 }
 
-// ==========================================================================
-// Set Request Headers Handler
-// ==========================================================================
+async function handleAnswerDialog(tabId, params) {
+  const { accept = true, text } = params;
+  const state = { ...getDialogPolicy(tabId) };
+  state.next = { accept: accept !== false };
+  if (text !== undefined) state.next.text = String(text);
+  dialogPolicies.set(tabId, state);
+  await broadcastDialogPolicy(tabId);
 
-function handleSetRequestHeaders(tabId, params) {
-  const { headers } = params;
-  if (!headers || typeof headers !== 'object') {
-    throw new Error('headers object is required');
+  const open = (dialogBuffers.get(tabId) || []).filter(d => d.state === 'open');
+  return {
+    armed: true,
+    answer: state.next,
+    note: open.length > 0
+      ? `The page already has a ${open[0].type} dialog open ("${open[0].message.slice(0, 80)}") - only the user can answer it. This answer applies to the next dialog.`
+      : 'The next alert/confirm/prompt on this tab is answered with this; trigger it now.'
+  };
+}
+
+/**
+ * Record a dialog event from the page hook: 'opened' (waiting on the user),
+ * 'closed' (the user answered) or 'handled' (answered by policy)
+ */
+function addDialogEvent(tabId, data) {
+  if (!data?.id || !data.phase) return;
+  if (!dialogBuffers.has(tabId)) {
+    dialogBuffers.set(tabId, []);
+  }
+  const buffer = dialogBuffers.get(tabId);
+
+  if (data.phase === 'closed') {
+    const entry = buffer.find(d => d.id === data.id);
+    if (entry) {
+      entry.state = 'answered';
+      entry.handledBy = 'user';
+      entry.accepted = data.accepted;
+      entry.response = data.response;
+      entry.closedAt = data.timestamp;
+    }
+    browser.runtime.sendMessage({ type: 'DIALOG_CLOSED', tabId, dialogId: data.id }).catch(() => {});
+    return;
+  }
+
+  const entry = {
+    id: data.id,
+    type: data.type,
+    message: String(data.message || ''),
+    ...(data.defaultValue !== undefined ? { defaultValue: data.defaultValue } : {}),
+    state: data.phase === 'opened' ? 'open' : 'answered',
+    handledBy: data.phase === 'opened' ? null : data.handledBy,
+    accepted: data.phase === 'opened' ? null : data.accepted,
+    response: data.phase === 'opened' ? null : data.response,
+    url: data.location,
+    frame: data.frame === true,
+    timestamp: data.timestamp
+  };
+  buffer.push(entry);
+  // Keep last 100 entries
+  while (buffer.length > 100) {
+    buffer.shift();
+  }
+
+  // A consumed answer_dialog answer is gone from the page hook - drop it everywhere
+  const state = dialogPolicies.get(tabId);
+  if (data.handledBy === 'answer' && state?.next) {
+    state.next = null;
+    broadcastDialogPolicy(tabId);
   }
 
-  customRequestHeaders.set(tabId, headers);
-  return { set: true, headers: Object.keys(headers) };
+  browser.runtime.sendMessage({ type: 'DIALOG_OPENED', tabId, dialog: entry }).catch(() => {});
 }
 
 // ==========================================================================
-// Block URLs Handler
+// Side-Effect Reports
 // ==========================================================================
 
-function handleBlockUrls(tabId, params) {
-  const { patterns } = params;
-  if (!patterns || !Array.isArray(patterns)) {
-    throw new Error('patterns array is required');
+const SIDE_EFFECT_CONFIG = {
+  defaultSettleMs: 1000,
+  maxSettleMs: 10000,
+  maxRequests: 15,
+  maxConsoleErrors: 10
+};
+
+// Subresources that say little about what an action did
+const STATIC_REQUEST_TYPES = ['image', 'imageset', 'font', 'stylesheet', 'media'];
+
+/**
+ * Run an interaction tool, wait for the page to settle and report what changed:
+ * DOM regions, URL, network requests started, console errors, dialogs and tabs
+ */
+async function runWithSideEffects(tab, toolName, toolInput) {
+  const tabId = tab.id;
+  const { observe, settleMs, ...input } = toolInput;
+  // settleMs: 0 is a valid request - only a missing or non-numeric value gets the default
+  const requestedSettle = Number(settleMs ?? SIDE_EFFECT_CONFIG.defaultSettleMs);
+  const settle = Number.isFinite(requestedSettle)
+    ? Math.min(Math.max(requestedSettle, 0), SIDE_EFFECT_CONFIG.maxSettleMs)
+    : SIDE_EFFECT_CONFIG.defaultSettleMs;
+  const frameParams = { frameId: input.frameId, frame: input.frame };
+
+  const startedAt = Date.now();
+  const tabsBefore = new Set((await browser.tabs.query({})).map(t => t.id));
+  await sendToContentScript(tabId, 'start_effects', frameParams).catch(() => null);
+
+  const result = await sendToContentScript(tabId, toolName, input);
+  if (result?.error) {
+    await sendToContentScript(tabId, 'collect_effects', frameParams).catch(() => null);
+    return result;
   }
 
-  blockedUrlPatterns.set(tabId, patterns);
-  return { blocked: true, patterns };
+  await new Promise(resolve => setTimeout(resolve, settle));
+
+  const dom = await sendToContentScript(tabId, 'collect_effects', frameParams).catch(() => null);
+  const after = await browser.tabs.get(tabId).catch(() => null);
+  const effects = { settleMs: settle };
+
+  if (after && after.url !== tab.url) {
+    effects.url = { from: tab.url, to: after.url };
+  }
+
+  if (dom?.observed) {
+    effects.dom = { mutations: dom.mutations, regions: dom.regions };
+    if (dom.moreRegions) effects.dom.moreRegions = dom.moreRegions;
+    if (dom.dialogs.length > 0) effects.dom.dialogs = dom.dialogs;
+  } else {
+    effects.dom = { note: effects.url ? 'Page navigated - new document loaded' : 'DOM changes not available' };
+  }
+
+  // Completed requests are in the buffer, in-flight ones still pending
+  const started = [
+    ...(networkRequestBuffers.get(tabId) || []).filter(r => r.startTime >= startedAt),
+    ...Array.from(pendingRequests.values()).filter(r => r.tabId === tabId && r.startTime >= startedAt)
+  ];
+  const requests = started.filter(r => !STATIC_REQUEST_TYPES.includes(r.type));
+  if (requests.length > 0) {
+    effects.network = requests.slice(0, SIDE_EFFECT_CONFIG.maxRequests).map(r => ({
+      method: r.method,
+      url: r.url,
+      type: r.type,
+      status: r.statusCode ?? (r.error ? `failed: ${r.error}` : 'pending'),
+      ...(r.duration !== undefined ? { duration: Math.round(r.duration) } : {})
+    }));
+    if (requests.length > SIDE_EFFECT_CONFIG.maxRequests) {
+      effects.moreRequests = requests.length - SIDE_EFFECT_CONFIG.maxRequests;
+    }
+  }
+  if (started.length > requests.length) {
+    effects.staticRequests = started.length - requests.length;
+  }
+
+  const consoleErrors = [
+    ...(consoleBuffers.get(tabId) || [])
+      .filter(e => e.level === 'error' && e.timestamp >= startedAt)
+      .map(e => (e.args || []).map(arg => typeof arg === 'string' ? arg : arg?.message || '').join(' ')),
+    ...(errorBuffers.get(tabId) || [])
+      .filter(e => e.timestamp >= startedAt)
+      .map(e => e.message)
+  ];
+  if (consoleErrors.length > 0) {
+    effects.consoleErrors = consoleErrors.slice(0, SIDE_EFFECT_CONFIG.maxConsoleErrors).map(text => String(text).slice(0, 300));
+  }
+
+  const dialogs = (dialogBuffers.get(tabId) || []).filter(d => d.timestamp >= startedAt);
+  if (dialogs.length > 0) {
+    effects.dialogs = dialogs.map(d => ({ type: d.type, message: d.message, state: d.state, handledBy: d.handledBy }));
+  }
+
+  const newTabs = (await browser.tabs.query({})).filter(t => !tabsBefore.has(t.id));
+  if (newTabs.length > 0) {
+    effects.newTabs = newTabs.map(t => ({ tabId: t.id, url: t.url, fromThisTab: t.openerTabId === tabId }));
+  }
+
+  return { ...result, effects };
 }
 
 // ==========================================================================
 // Query Buffer Handler
 // ==========================================================================
 
+/**
+ * Keep entries matching every field of a filter object. String values match
+ * as substrings of string fields; anything else must be equal.
+ */
+function filterBufferEntries(buffer, filter) {
+  const fields = Object.entries(filter);
+  return buffer.filter(entry => fields.every(([field, expected]) => {
+    const actual = entry[field];
+    if (typeof expected === 'string' && typeof actual === 'string') {
+      return actual.includes(expected);
+    }
+    return actual === expected;
+  }));
+}
+
 function handleQueryBuffer(tabId, params) {
-  const { type, transform } = params;
+  const { type, transform, filter } = params;
   if (!type) {
     throw new Error('type is required');
   }
-  if (!transform) {
-    throw new Error('transform is required');
+  if (!transform && !filter) {
+    throw new Error('transform or filter is required');
   }
 
   let buffer;
@@ -1326,15 +3553,26 @@ function handleQueryBuffer(tabId, params) {
     case 'websocket':
       buffer = websocketBuffers.get(tabId) || [];
       break;
+    case 'streams':
+      buffer = streamBuffers.get(tabId) || [];
+      break;
+    case 'dialogs':
+      buffer = dialogBuffers.get(tabId) || [];
+      break;
     default:
       throw new Error(`Unknown buffer type: ${type}`);
   }
 
+  const originalCount = buffer.length;
+  if (filter) {
+    buffer = filterBufferEntries(buffer, filter);
+  }
+
   // Apply JS transform
   try {
-    const transformFn = new Function('data', `return data${transform}`);
+    const transformFn = new Function('data', `return data${transform || ''}`);
     const result = transformFn(buffer);
-    return { result, type, originalCount: buffer.length };
+    return { result, type, originalCount, ...(filter ? { matched: buffer.length } : {}) };
   } catch (e) {
     return { error: `Transform error: ${e.message}`, transform };
   }
@@ -1365,6 +3603,14 @@ function handleClearBuffer(tabId, params) {
     websocketBuffers.delete(tabId);
     cleared.push('websocket');
   }
+  if (dataType === 'all' || dataType === 'streams') {
+    streamBuffers.delete(tabId);
+    cleared.push('streams');
+  }
+  if (dataType === 'all' || dataType === 'dialogs') {
+    dialogBuffers.delete(tabId);
+    cleared.push('dialogs');
+  }
 
   return { cleared, tabId };
 }
@@ -1403,8 +3649,18 @@ function addToWebsocketBuffer(tabId, entry) {
   }
   const buffer = websocketBuffers.get(tabId);
   buffer.push(entry);
-  // Keep last 200 entries
-  while (buffer.length > 200) {
+  while (buffer.length > STREAM_CONFIG.maxEntries) {
+    buffer.shift();
+  }
+}
+
+function addToStreamBuffer(tabId, entry) {
+  if (!streamBuffers.has(tabId)) {
+    streamBuffers.set(tabId, []);
+  }
+  const buffer = streamBuffers.get(tabId);
+  buffer.push(entry);
+  while (buffer.length > STREAM_CONFIG.maxEntries) {
     buffer.shift();
   }
 }
@@ -1545,6 +3801,137 @@ async function handleDeleteSiteSpec(tab, params) {
   }
 }
 
+// ==========================================================================
+// Workflow Handlers
+// ==========================================================================
+
+async function handleSaveWorkflow(tab, params) {
+  const { description, params: paramExamples = {} } = params;
+
+  if (!description) {
+    return { success: false, error: 'description is required' };
+  }
+  if (!window.WorkflowEngine || !window.SiteKnowledge) {
+    return { success: false, error: 'Workflow engine not available' };
+  }
+
+  let domain;
+  try {
+    domain = new URL(tab.url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return { success: false, error: 'Could not determine domain from current tab' };
+  }
+
+  const recording = window.getRecordedWorkflowSteps?.() || { calls: [], startUrl: null };
+  if (recording.calls.length === 0) {
+    return { success: false, error: 'No successful click_element/type_text/select_option/press_key/wait_for_element/navigate calls recorded yet' };
+  }
+
+  try {
+    const workflow = window.WorkflowEngine.buildWorkflow(recording.calls, {
+      params: paramExamples,
+      startUrl: recording.startUrl
+    });
+    return await saveWorkflowSpec(domain, description, workflow);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Store a workflow as a 'shortcut' spec, updating the spec with the same title if one exists
+ * @param {string} domain
+ * @param {string} description - Spec title
+ * @param {Object} workflow - From WorkflowEngine.createWorkflow/buildWorkflow
+ */
+async function saveWorkflowSpec(domain, description, workflow) {
+  try {
+    const content = window.WorkflowEngine.describeWorkflow(workflow).replace(/```/g, '`\u200B``');
+
+    const existing = await window.SiteKnowledge.get(domain);
+    const match = existing?.find(e => e.title.toLowerCase() === description.toLowerCase());
+
+    const spec = match
+      ? await window.SiteKnowledge.update(domain, match.id, { type: 'shortcut', content, workflow, path: '*' })
+      : await window.SiteKnowledge.add(domain, { type: 'shortcut', title: description, content, workflow, path: '*' });
+
+    if (!spec) {
+      return { success: false, error: 'Failed to save workflow' };
+    }
+
+    console.log(`[Workflow] ${match ? 'Updated' : 'Saved'} workflow for ${domain}:`, description);
+    return {
+      success: true,
+      message: `${match ? 'Updated' : 'Saved'} workflow for ${domain}: "${description}" (${workflow.steps.length} steps)`,
+      action: match ? 'updated' : 'created',
+      spec_id: spec.id,
+      params: workflow.params,
+      steps: content
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function handleRunWorkflow(tab, params) {
+  const { spec_id, params: args = {} } = params;
+
+  if (!spec_id) {
+    return { success: false, error: 'spec_id is required' };
+  }
+  if (!window.WorkflowEngine || !window.SiteKnowledge) {
+    return { success: false, error: 'Workflow engine not available' };
+  }
+
+  const domain = new URL(tab.url).hostname.replace(/^www\./, '');
+  const specs = await window.SiteKnowledge.get(domain);
+  const spec = specs?.find(s => s.id === spec_id);
+  if (!spec) {
+    return { success: false, error: `Spec ${spec_id} not found for ${domain}` };
+  }
+  if (!spec.workflow) {
+    return { success: false, error: `Spec "${spec.title}" has no recorded workflow` };
+  }
+
+  // Each step goes through the normal tool path, then waits for any page load it triggered
+  const executeStep = async (toolName, toolInput) => {
+    const result = await executeTool(toolName, toolInput);
+    if (!result?.error) {
+      await handleWaitForNavigation(tab.id, { timeout: 30000 });
+    }
+    return result;
+  };
+
+  let result;
+  try {
+    result = await window.WorkflowEngine.replay(spec.workflow, args, executeStep);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  await window.SiteKnowledge.markUsed(domain, spec.id, result.success);
+
+  if (result.success) {
+    return {
+      success: true,
+      workflow: spec.title,
+      message: `Replayed "${spec.title}" (${result.stepsRun} steps)`
+    };
+  }
+
+  const failed = result.failedStep;
+  return {
+    success: false,
+    workflow: spec.title,
+    error: `Step ${failed.index + 1} failed (${failed.description}): ${failed.error}`,
+    stepsRun: result.stepsRun,
+    totalSteps: result.totalSteps,
+    failedStep: failed.description,
+    remainingSteps: result.remainingSteps,
+    message: 'Workflow stopped. Continue from the failed step manually, then update the workflow with save_workflow.'
+  };
+}
+
 // ==========================================================================
 // Fetch URL Handler
 // ==========================================================================
@@ -2126,8 +4513,8 @@ async function handleDetectPageTech(tabId) {
   `;
 
   try {
-    const result = await browser.tabs.executeScript(tabId, { code: script, frameId: 0 });
-    return result[0] || { error: 'No result from script' };
+    // Page world - window.__NEXT_DATA__, React fibers etc. are invisible to the isolated world
+    return (await executeInPage(tabId, script)) || { error: 'No result from script' };
   } catch (error) {
     return { error: error.message };
   }
@@ -2761,8 +5148,7 @@ async function handleInspectAppState(tabId, params) {
   `;
 
   try {
-    const result = await browser.tabs.executeScript(tabId, { code: script, frameId: 0 });
-    return result[0] || { error: 'No result from script' };
+    return (await executeInPage(tabId, script)) || { error: 'No result from script' };
   } catch (error) {
     return { error: error.message };
   }
@@ -2777,6 +5163,14 @@ window.executeTool = executeTool;
 window.addToConsoleBuffer = addToConsoleBuffer;
 window.addToErrorBuffer = addToErrorBuffer;
 window.addToWebsocketBuffer = addToWebsocketBuffer;
+window.addDialogEvent = addDialogEvent;
+
+// Export dialog policy access for content scripts and the sidebar
+window.getDialogPolicy = getDialogPolicy;
+window.setDialogPolicy = handleSetDialogPolicy;
+
+// Export mock status overrides for content scripts
+window.getResponseStatusRules = getResponseStatusRules;
 
 // Export network buffer access for debugging
 window.getNetworkRequests = (tabId) => networkRequestBuffers.get(tabId) || [];
@@ -2784,6 +5178,23 @@ window.clearAllNetworkRequests = () => networkRequestBuffers.clear();
 
 // Export header/blocking access
 window.getCustomRequestHeaders = (tabId) => customRequestHeaders.get(tabId) || {};
-window.getBlockedUrlPatterns = (tabId) => blockedUrlPatterns.get(tabId) || [];
+window.getBlockedUrlPatterns = (tabId) => (blockedUrlPatterns.get(tabId) || []).map(rule => rule.pattern);
+window.listRequestRules = handleListRequestRules;
+
+// Export HAR access for sidebar actions
+window.exportHar = handleExportHar;
+window.importHar = handleImportHar;
+window.clearRequestRules = (tabId, id) => handleClearRequestRules(tabId, id ? { id } : { type: 'all' });
+
+// Export snippet generation for the activity log's "Copy as" buttons
+window.generateRequestSnippet = handleGenerateRequestSnippet;
+
+// Export workflow saving/replay for the macro recorder and specs panel
+window.saveWorkflowSpec = saveWorkflowSpec;
+window.runWorkflow = async (specId, args) => {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return { success: false, error: 'No active tab found' };
+  return handleRunWorkflow(tab, { spec_id: specId, params: args });
+};
 
 console.log('[Claude Assistant] Tool router initialized');
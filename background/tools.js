@@ -145,7 +145,11 @@ const BROWSER_TOOLS = [
       properties: {
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
         includeTags: {
           type: 'boolean',
@@ -162,7 +166,11 @@ const BROWSER_TOOLS = [
       properties: {
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
     },
@@ -175,7 +183,11 @@ const BROWSER_TOOLS = [
       properties: {
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
         selector: {
           type: 'string',
@@ -188,9 +200,38 @@ const BROWSER_TOOLS = [
       },
     },
   },
+  {
+    name: 'get_accessibility_snapshot',
+    description: 'Get a compact accessibility tree of the page: role, accessible name and state (checked, expanded, disabled, value...) per node, computed from ARIA roles, labels and visibility. Each interactive node gets a short ref like "e12" that click_element, type_text, select_option, hover_element, fill_form and other interaction tools accept instead of a CSS selector. Refs stay valid until the next snapshot. Prefer this over get_page_content/get_dom_structure when you need to act on the page.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        selector: {
+          type: 'string',
+          description: 'CSS selector of a region to snapshot (default: body)',
+        },
+        interactiveOnly: {
+          type: 'boolean',
+          description: 'List only interactive nodes (buttons, links, inputs...) as a flat list. Default: false',
+        },
+        maxNodes: {
+          type: 'number',
+          description: 'Maximum nodes in the output (default: 500)',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+      },
+    },
+  },
   {
     name: 'query_selector',
-    description: 'Query DOM elements using CSS selector. Returns matching elements with their tag, id, classes, and text content.',
+    description: 'Query DOM elements using CSS selector. Returns matching elements with their tag, id, classes, and text content. Selectors on all DOM tools can cross shadow roots with ">>>" (e.g. "my-app >>> settings-panel >>> button.save").',
     input_schema: {
       type: 'object',
       properties: {
@@ -200,7 +241,11 @@ const BROWSER_TOOLS = [
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
       required: ['selector'],
@@ -216,6 +261,10 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the element',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         properties: {
           type: 'array',
           items: { type: 'string' },
@@ -223,10 +272,13 @@ const BROWSER_TOOLS = [
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
-      required: ['selector'],
     },
   },
   {
@@ -246,7 +298,11 @@ const BROWSER_TOOLS = [
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
       required: ['selector'],
@@ -262,17 +318,24 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the element',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
-      required: ['selector'],
     },
   },
   {
     name: 'list_frames',
-    description: 'List all frames (iframes) with URLs and frameIds.',
+    description: 'List all frames (iframes) with their frameIds, parent frames, URLs and iframe selectors. Pass a frameId (or frame selector) to DOM and interaction tools to run them inside that frame.',
     input_schema: {
       type: 'object',
       properties: {},
@@ -284,7 +347,7 @@ const BROWSER_TOOLS = [
   // ============================================================================
   {
     name: 'click_element',
-    description: 'Click on a DOM element',
+    description: 'Click on a DOM element. Pass observe: true to get back what the click changed (effects).',
     input_schema: {
       type: 'object',
       properties: {
@@ -292,17 +355,32 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the element to click',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+        observe: {
+          type: 'boolean',
+          description: 'Wait for the page to settle and return an "effects" report: DOM regions changed, URL change, network requests started, console errors, dialogs and new tabs. Saves follow-up dom_stats/get_network_requests/screenshot calls',
+        },
+        settleMs: {
+          type: 'number',
+          description: 'How long to watch for effects when observe is true (default: 1000, max: 10000)',
         },
       },
-      required: ['selector'],
     },
   },
   {
     name: 'type_text',
-    description: 'Type text into an input element. REPLACES existing content by default (clears field first).',
+    description: 'Type text into an input, textarea or rich-text editor (contenteditable, ProseMirror, Draft.js, Slate, Quill, CodeMirror, Monaco - detected automatically). REPLACES existing content by default. The result reports the editor, the strategy used, the text now in the editor and whether the typed text verifiably landed.',
     input_schema: {
       type: 'object',
       properties: {
@@ -310,20 +388,41 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the input element',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         text: {
           type: 'string',
           description: 'Text to type',
         },
+        mode: {
+          type: 'string',
+          enum: ['replace', 'append', 'insert'],
+          description: 'replace (default) clears the field first, append adds to the end, insert types at the current cursor/selection',
+        },
         append: {
           type: 'boolean',
-          description: 'If true, append to existing text instead of replacing. Default: false (replaces)',
+          description: 'Same as mode: "append" (kept for older specs)',
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+        observe: {
+          type: 'boolean',
+          description: 'Wait for the page to settle and return an "effects" report: DOM regions changed, URL change, network requests started, console errors, dialogs and new tabs. Saves follow-up dom_stats/get_network_requests/screenshot calls',
+        },
+        settleMs: {
+          type: 'number',
+          description: 'How long to watch for effects when observe is true (default: 1000, max: 10000)',
         },
       },
-      required: ['selector', 'text'],
+      required: ['text'],
     },
   },
   {
@@ -334,7 +433,23 @@ const BROWSER_TOOLS = [
       properties: {
         fields: {
           type: 'object',
-          description: 'Object mapping CSS selectors to values. E.g., {"#name": "John", "#email": "john@example.com"}',
+          description: 'Object mapping CSS selectors (or snapshot refs like "e12") to values. E.g., {"#name": "John", "#email": "john@example.com"}. Text fields and rich-text editors are typed into like type_text; selects take the option value',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+        observe: {
+          type: 'boolean',
+          description: 'Wait for the page to settle and return an "effects" report: DOM regions changed, URL change, network requests started, console errors, dialogs and new tabs. Saves follow-up dom_stats/get_network_requests/screenshot calls',
+        },
+        settleMs: {
+          type: 'number',
+          description: 'How long to watch for effects when observe is true (default: 1000, max: 10000)',
         },
       },
       required: ['fields'],
@@ -358,6 +473,18 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for element to scroll into view (takes precedence over x/y)',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
       },
     },
   },
@@ -371,12 +498,19 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the element to hover',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
-      required: ['selector'],
     },
   },
   {
@@ -389,12 +523,19 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the element to focus',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
-      required: ['selector'],
     },
   },
   {
@@ -416,9 +557,17 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'Optional CSS selector - focuses element before key press',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
       required: ['key'],
@@ -434,6 +583,10 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the <select> element',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         value: {
           type: 'string',
           description: 'Value of the option to select',
@@ -444,10 +597,13 @@ const BROWSER_TOOLS = [
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
-      required: ['selector'],
     },
   },
   {
@@ -460,16 +616,256 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the checkbox/radio element',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         checked: {
           type: 'boolean',
           description: 'Whether to check (true) or uncheck (false) the element',
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
-      required: ['selector', 'checked'],
+      required: ['checked'],
+    },
+  },
+  {
+    name: 'drag_element',
+    description: `Drag an element onto another element, or by an offset. For kanban boards, sortable lists, sliders and resizers.
+
+METHODS:
+- auto (default): HTML5 drag-and-drop when the element is draggable="true", pointer/mouse events otherwise
+- pointer: pointerdown/mousedown, a path of moves, pointerup/mouseup (dnd-kit, react-beautiful-dnd, SortableJS fallback, sliders)
+- html5: dragstart/dragenter/dragover/drop/dragend with a shared DataTransfer
+
+Native range inputs are set to the value under the drop point. Check the result (dropHandled, upTarget) and verify the new order/state afterwards.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        selector: {
+          type: 'string',
+          description: 'CSS selector of the element to drag',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
+        targetSelector: {
+          type: 'string',
+          description: 'CSS selector of the element to drop onto',
+        },
+        targetRef: {
+          type: 'string',
+          description: 'Snapshot ref of the element to drop onto - alternative to targetSelector',
+        },
+        offsetX: {
+          type: 'number',
+          description: 'Horizontal distance in px: from the source without a target, or from the target center with one',
+        },
+        offsetY: {
+          type: 'number',
+          description: 'Vertical distance in px: from the source without a target, or from the target center with one (e.g. negative to drop above)',
+        },
+        method: {
+          type: 'string',
+          enum: ['auto', 'pointer', 'html5'],
+          description: 'Event model to use (default: auto)',
+        },
+        steps: {
+          type: 'number',
+          description: 'Number of intermediate moves (default: 10)',
+        },
+        holdMs: {
+          type: 'number',
+          description: 'Pause after pressing before the first move, for libraries with a press delay (default: 0)',
+        },
+        stepDelayMs: {
+          type: 'number',
+          description: 'Delay between moves in ms (default: 16)',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+      },
+    },
+  },
+  {
+    name: 'pointer_sequence',
+    description: 'Press at the first point of a path, move through the rest and release at the last. Points are viewport coordinates {x, y} or element centers {selector|ref, offsetX?, offsetY?}. Use for drawing, range pickers, canvas apps and custom drag gestures that drag_element does not cover.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'At least two points, e.g. [{"selector": ".handle"}, {"x": 400, "y": 220}]',
+        },
+        dnd: {
+          type: 'string',
+          enum: ['pointer', 'html5', 'both'],
+          description: 'pointer (default): pointer + mouse events; html5: drag-and-drop events; both: pointer events and drag-and-drop events along the same path',
+        },
+        steps: {
+          type: 'number',
+          description: 'Intermediate moves between consecutive points (default: 10)',
+        },
+        holdMs: {
+          type: 'number',
+          description: 'Pause after pressing before the first move, for libraries with a press delay (default: 0)',
+        },
+        stepDelayMs: {
+          type: 'number',
+          description: 'Delay between moves in ms (default: 16)',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'drop_file',
+    description: 'Create a file from text or base64 content and drop it onto a drop zone, or attach it to an input[type=file]. The page receives a real File (name, type, bytes) through the drop event\'s DataTransfer or the input\'s files.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        selector: {
+          type: 'string',
+          description: 'CSS selector of the drop zone or file input',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
+        name: {
+          type: 'string',
+          description: 'File name including extension (default: file.txt)',
+        },
+        content: {
+          type: 'string',
+          description: 'Text content of the file',
+        },
+        base64: {
+          type: 'string',
+          description: 'Binary content as base64 (a data: URL prefix is allowed) - alternative to content',
+        },
+        mimeType: {
+          type: 'string',
+          description: 'MIME type (default: guessed from the extension)',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+      },
+    },
+  },
+  {
+    name: 'click_at',
+    description: 'Click at viewport coordinates - for canvas apps, obfuscated markup and anything easier to find by sight. Take coordinates from take_labeled_screenshot (mark centers) or a screenshot. Sends pointer/mouse down, up and click to the element under the point and reports what was hit. Points over an iframe return the frame and frame-relative coordinates to retry with.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        x: {
+          type: 'number',
+          description: 'Viewport x in CSS pixels (relative to the frame when frameId/frame is given)',
+        },
+        y: {
+          type: 'number',
+          description: 'Viewport y in CSS pixels (relative to the frame when frameId/frame is given)',
+        },
+        button: {
+          type: 'string',
+          enum: ['left', 'middle', 'right'],
+          description: 'Mouse button (default: left; right also sends contextmenu)',
+        },
+        clickCount: {
+          type: 'number',
+          description: '2 for a double click (default: 1)',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+        observe: {
+          type: 'boolean',
+          description: 'Wait for the page to settle and return an "effects" report: DOM regions changed, URL change, network requests started, console errors, dialogs and new tabs. Saves follow-up dom_stats/get_network_requests/screenshot calls',
+        },
+        settleMs: {
+          type: 'number',
+          description: 'How long to watch for effects when observe is true (default: 1000, max: 10000)',
+        },
+      },
+      required: ['x', 'y'],
+    },
+  },
+  {
+    name: 'type_at',
+    description: 'Click at viewport coordinates to focus a field, then type into it like type_text (rich-text editors included). For fields that have no usable selector.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        x: {
+          type: 'number',
+          description: 'Viewport x in CSS pixels (relative to the frame when frameId/frame is given)',
+        },
+        y: {
+          type: 'number',
+          description: 'Viewport y in CSS pixels (relative to the frame when frameId/frame is given)',
+        },
+        text: {
+          type: 'string',
+          description: 'Text to type',
+        },
+        mode: {
+          type: 'string',
+          enum: ['replace', 'append', 'insert'],
+          description: 'replace (default) clears the field first, append adds to the end, insert types at the current cursor/selection',
+        },
+        frameId: {
+          type: 'number',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+        observe: {
+          type: 'boolean',
+          description: 'Wait for the page to settle and return an "effects" report: DOM regions changed, URL change, network requests started, console errors, dialogs and new tabs. Saves follow-up dom_stats/get_network_requests/screenshot calls',
+        },
+        settleMs: {
+          type: 'number',
+          description: 'How long to watch for effects when observe is true (default: 1000, max: 10000)',
+        },
+      },
+      required: ['x', 'y', 'text'],
     },
   },
 
@@ -478,7 +874,7 @@ const BROWSER_TOOLS = [
   // ============================================================================
   {
     name: 'take_screenshot',
-    description: 'Take a screenshot. By default returns base64 for viewing. Use saveTo to save directly to Downloads folder.',
+    description: 'Take a screenshot. By default returns base64 for viewing. Use saveTo to save directly to Downloads folder. fullPage scrolls through the whole page and stitches the segments (fixed headers appear once); long pages come back as several top-to-bottom images.',
     input_schema: {
       type: 'object',
       properties: {
@@ -489,7 +885,15 @@ const BROWSER_TOOLS = [
         format: {
           type: 'string',
           enum: ['png', 'jpeg'],
-          description: 'Image format (default: png)',
+          description: 'Image format (default: png, jpeg for fullPage)',
+        },
+        fullPage: {
+          type: 'boolean',
+          description: 'Capture the entire scrollable page, not just the viewport',
+        },
+        scrollContainer: {
+          type: 'string',
+          description: 'CSS selector of an inner scrolling element (app layouts with a scrolling main pane) to capture in full instead of the page. Implies fullPage',
         },
       },
     },
@@ -504,12 +908,32 @@ const BROWSER_TOOLS = [
           type: 'string',
           description: 'CSS selector for the element to capture',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e12") - alternative to selector',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
+        },
+      },
+    },
+  },
+  {
+    name: 'take_labeled_screenshot',
+    description: 'Screenshot of the viewport with a numbered box over every visible interactive element (Set-of-Marks), plus a map from each label to its selector, role, name, bounds and center. Use it to pick elements by sight, then act with click_element (selector) or click_at (center). Image pixels equal viewport CSS pixels. Marks cover the top frame only.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        maxMarks: {
+          type: 'number',
+          description: 'Maximum number of labeled elements (default: 150)',
         },
       },
-      required: ['selector'],
     },
   },
   {
@@ -863,7 +1287,12 @@ EXAMPLES:
   // Complex logic (wrap in IIFE)
   (() => { const data = {}; /* logic */; return data; })()
 
-Returns the result of the last expression.`,
+  // Page globals (app stores, framework objects) need world: 'page'
+  window.__NEXT_DATA__.props.pageProps
+
+Returns the result of the last expression.
+
+WORLDS: 'isolated' (default) runs in the extension sandbox - same DOM, but page JS globals and expando properties are invisible. 'page' runs in the page's own JS world; results are structured-cloned back (DOM nodes, functions, Maps and cycles are converted to plain data). In page world, code that is not a single expression must use \`return\`. If the site's CSP blocks inline scripts, page world falls back to running with window/document bound to the page's objects (result has via: 'xray'); reach globals as window.x there.`,
     input_schema: {
       type: 'object',
       properties: {
@@ -871,9 +1300,22 @@ Returns the result of the last expression.`,
           type: 'string',
           description: 'JavaScript code to execute. Returns the result of the last expression.',
         },
+        world: {
+          type: 'string',
+          enum: ['isolated', 'page'],
+          description: "Where to run: 'isolated' (default, extension sandbox) or 'page' (page globals visible)",
+        },
+        timeout: {
+          type: 'number',
+          description: 'Page world only: milliseconds to wait for the result, including awaited promises (default: 10000)',
+        },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
       required: ['code'],
@@ -899,7 +1341,11 @@ Returns the result of the last expression.`,
         },
         frameId: {
           type: 'number',
-          description: 'Frame ID for iframes (default: 0 = top frame)',
+          description: 'Frame ID from list_frames (default: 0 = top frame)',
+        },
+        frame: {
+          type: 'string',
+          description: 'CSS selector of an iframe to run in instead of frameId (resolved inside frameId when both are given)',
         },
       },
       required: ['selector'],
@@ -938,13 +1384,13 @@ Returns the result of the last expression.`,
   // ============================================================================
   {
     name: 'get_network_requests',
-    description: 'Get captured network requests. Requires network capture to be enabled.',
+    description: 'Get captured network requests. Requires network capture to be enabled. GraphQL calls carry a `graphql` list with each operation\'s name, type, top-level fields and variable names.',
     input_schema: {
       type: 'object',
       properties: {
         filter: {
           type: 'string',
-          description: 'Filter requests by URL pattern (substring match)',
+          description: 'Filter requests by URL pattern or GraphQL operation name (substring match)',
         },
         type: {
           type: 'string',
@@ -966,6 +1412,79 @@ Returns the result of the last expression.`,
       properties: {},
     },
   },
+  {
+    name: 'export_har',
+    description: 'Save the current tab\'s captured network requests as a HAR 1.2 file in Downloads (openable in DevTools, Charles, Insomnia, etc.). ONLY when the user asks for a HAR/network export.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        filter: {
+          type: 'string',
+          description: 'Only export requests whose URL/method contains this text',
+        },
+        type: {
+          type: 'string',
+          enum: ['xmlhttprequest', 'document', 'script', 'stylesheet', 'image', 'font', 'other'],
+          description: 'Only export requests of this type',
+        },
+        filename: {
+          type: 'string',
+          description: 'Filename without extension (default: "<hostname>-<timestamp>")',
+        },
+      },
+    },
+  },
+  {
+    name: 'import_har',
+    description: 'Load a HAR file (e.g. exported from DevTools) into the current tab\'s network buffer so get_network_requests, query_buffer and the API observer can analyze it. Imported requests have IDs prefixed "har-" and imported: true.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'HAR JSON text',
+        },
+        url: {
+          type: 'string',
+          description: 'URL to fetch the HAR from (alternative to content)',
+        },
+        replace: {
+          type: 'boolean',
+          description: 'Clear the tab\'s existing network buffer first (default: false)',
+        },
+        observe: {
+          type: 'boolean',
+          description: 'Feed imported requests to the API observer (default: true)',
+        },
+      },
+    },
+  },
+  {
+    name: 'generate_openapi',
+    description: `Generate an OpenAPI 3.1 spec (JSON) from API endpoints passively observed on a domain and save it to Downloads.
+
+Uses the API observer's endpoint patterns (METHOD /path/{id}) plus captured request/response bodies from the network buffer to infer path/query parameters, request bodies, response schemas, and auth header schemes.
+
+USE FOR: "Document APIs", "export an OpenAPI/Swagger spec", handing endpoints to codegen or API clients.
+Works only on traffic already captured — browse the site or import_har first. Do NOT navigate or fetch endpoints to fill gaps.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'Domain to document (default: current tab hostname)',
+        },
+        minHits: {
+          type: 'number',
+          description: 'Only include endpoints observed at least this many times (default: 1)',
+        },
+        filename: {
+          type: 'string',
+          description: 'Filename without extension (default: "<domain>-openapi-<timestamp>")',
+        },
+      },
+    },
+  },
   {
     name: 'get_network_request_detail',
     description: 'Get full details of a network request by ID (headers, bodies).',
@@ -980,15 +1499,95 @@ Returns the result of the last expression.`,
       required: ['requestId'],
     },
   },
+  {
+    name: 'replay_request',
+    description: `Re-send a captured request from the page (with its cookies and origin), optionally edited, and compare the new response with the original.
+
+The replay is captured in the network buffer right after the original. Headers the browser controls (Cookie, Origin, Referer, User-Agent, Sec-*) are not copied - the browser supplies its own.
+
+EXAMPLES:
+- {"requestId": "123"} — replay unchanged
+- {"requestId": "123", "query": {"page": "2", "debug": null}} — set/remove query params
+- {"requestId": "123", "bodyFields": {"user.role": "admin", "items.0.qty": 5}} — edit fields of a JSON or form body
+- {"requestId": "123", "method": "DELETE", "headers": {"X-Trace": null}} — change method, drop a header`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        requestId: {
+          type: 'string',
+          description: 'ID of the captured request (from get_network_requests)',
+        },
+        url: {
+          type: 'string',
+          description: 'Replace the URL (query edits apply on top)',
+        },
+        method: {
+          type: 'string',
+          description: 'Replace the HTTP method',
+        },
+        headers: {
+          type: 'object',
+          description: 'Header overrides (null or "" removes a header)',
+        },
+        query: {
+          type: 'object',
+          description: 'Query param overrides (null removes a param)',
+        },
+        body: {
+          description: 'Replace the whole body (string, or an object sent as JSON)',
+        },
+        bodyFields: {
+          type: 'object',
+          description: 'Dotted path -> new value on the original JSON body, or field name -> value on a form body',
+        },
+      },
+      required: ['requestId'],
+    },
+  },
+  {
+    name: 'generate_request_snippet',
+    description: `Turn a captured request into ready-to-run cURL, JavaScript fetch, Python requests and HTTPie snippets, with the exact method, URL, headers and body that were sent.
+
+Auth header values (Authorization, Cookie, API keys, tokens, CSRF headers) are masked by default; pass maskAuth: false only when the user asks for working credentials.
+
+USE FOR: documenting how to call an endpoint, handing a request to a script or API client. Prefer this over writing snippets by hand.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        requestId: {
+          type: 'string',
+          description: 'ID of the captured request (from get_network_requests)',
+        },
+        formats: {
+          type: 'array',
+          items: { type: 'string', enum: ['curl', 'fetch', 'python', 'httpie'] },
+          description: 'Snippet formats (default: all four)',
+        },
+        maskAuth: {
+          type: 'boolean',
+          description: 'Replace credential header values with <redacted> (default: true)',
+        },
+      },
+      required: ['requestId'],
+    },
+  },
   {
     name: 'set_request_headers',
-    description: 'Set custom request headers for subsequent requests',
+    description: `Add, override, or remove request headers on every subsequent request from the current tab (documents, scripts, XHR/fetch, etc.).
+
+Replaces any header rules previously set for this tab. Pass an empty object to remove all header rules.
+
+EXAMPLES:
+- {"headers": {"Authorization": "Bearer abc123"}} — inject/override a header
+- {"headers": {"Cookie": null}} — strip a header (null or "" removes it)
+
+Rules stay active until cleared with clear_request_rules or the tab is closed. Reload the page to apply them to the document itself.`,
     input_schema: {
       type: 'object',
       properties: {
         headers: {
           type: 'object',
-          description: 'Headers to set (key-value pairs)',
+          description: 'Header name → value. Use null or "" to remove the header from outgoing requests.',
         },
       },
       required: ['headers'],
@@ -996,19 +1595,132 @@ Returns the result of the last expression.`,
   },
   {
     name: 'block_urls',
-    description: 'Block specific URLs or patterns from loading',
+    description: `Cancel requests from the current tab whose URL matches any pattern. Replaces any block patterns previously set for this tab; pass an empty array to unblock everything.
+
+PATTERN SYNTAX:
+- Glob: "*" matches any characters and the whole URL must match — e.g. "*://*.doubleclick.net/*", "*.mp4"
+- Plain text without "*": substring match — e.g. "google-analytics.com"
+- Regex: wrap in slashes — e.g. "/\\/api\\/v[0-9]+\\/ads/i"
+
+Blocked requests appear in get_network_requests with error and blockedBy fields.`,
     input_schema: {
       type: 'object',
       properties: {
         patterns: {
           type: 'array',
           items: { type: 'string' },
-          description: 'URL patterns to block (supports wildcards)',
+          description: 'URL patterns to block (glob with *, plain substring, or /regex/flags)',
         },
       },
       required: ['patterns'],
     },
   },
+  {
+    name: 'mock_response',
+    description: `Serve a fake response to matching requests from the current tab, to test frontend edge cases: empty lists, errors, feature flags.
+
+The body is replaced in the response stream and the page's fetch/XHR sees the given status. The real request is still sent, so avoid mocking requests whose server-side effect you do not want.
+
+EXAMPLES:
+- {"url": "*/api/items*", "body": {"items": []}} - empty list
+- {"url": "*/api/profile", "method": "GET", "status": 500, "body": {"error": "Internal"}} - server error
+
+Adding a rule with the same url and method replaces it. Rules apply to requests started afterwards, until clear_request_rules or the tab closes. Mocked requests show mockedBy in get_network_requests.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'URL pattern, same syntax as block_urls (glob with *, plain substring, or /regex/flags)',
+        },
+        method: {
+          type: 'string',
+          description: 'Only match this HTTP method (default: any)',
+        },
+        status: {
+          type: 'number',
+          description: 'Status code the page sees (200-599, default: the real one)',
+        },
+        statusText: {
+          type: 'string',
+          description: 'Status text to go with status',
+        },
+        headers: {
+          type: 'object',
+          description: 'Response header name -> value. Use null or "" to remove the header.',
+        },
+        body: {
+          description: 'Response body: a string, or any JSON value (sent as JSON with Content-Type application/json). Default: empty',
+        },
+      },
+      required: ['url'],
+    },
+  },
+  {
+    name: 'rewrite_response',
+    description: `Alter real responses to matching requests from the current tab: patch the JSON body, change the status, or override headers.
+
+patch is an RFC 6902 JSON patch applied to the parsed body, e.g. [{"op": "replace", "path": "/flags/newCheckout", "value": true}, {"op": "remove", "path": "/items/0"}]. If the body is not JSON or an op fails, the original body passes through and list_request_rules shows the error.
+
+Adding a rule with the same url and method replaces it. Rules apply to requests started afterwards, until clear_request_rules or the tab closes.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'URL pattern, same syntax as block_urls (glob with *, plain substring, or /regex/flags)',
+        },
+        method: {
+          type: 'string',
+          description: 'Only match this HTTP method (default: any)',
+        },
+        status: {
+          type: 'number',
+          description: 'Status code the page sees (200-599, default: the real one)',
+        },
+        statusText: {
+          type: 'string',
+          description: 'Status text to go with status',
+        },
+        headers: {
+          type: 'object',
+          description: 'Response header name -> value. Use null or "" to remove the header.',
+        },
+        patch: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'JSON patch operations (add, remove, replace, move, copy, test)',
+        },
+      },
+      required: ['url'],
+    },
+  },
+  {
+    name: 'list_request_rules',
+    description: 'List request-rewriting rules active on the current tab: header rules from set_request_headers, block patterns from block_urls, and response mocks/rewrites (with hit counts).',
+    input_schema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'clear_request_rules',
+    description: 'Remove request-rewriting rules from the current tab so requests go out unmodified again.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['headers', 'blocked', 'mocks', 'all'],
+          description: 'Which rules to clear (default: "all")',
+        },
+        id: {
+          type: 'string',
+          description: 'Remove only the mock/rewrite rule with this id (from mock_response or list_request_rules)',
+        },
+      },
+    },
+  },
 
   // ============================================================================
   // CLIPBOARD
@@ -1037,25 +1749,80 @@ Returns the result of the last expression.`,
   },
 
   // ============================================================================
-  // BUFFER QUERY (for console, errors, websocket data)
+  // JAVASCRIPT DIALOGS
+  // ============================================================================
+  {
+    name: 'set_dialog_policy',
+    description: `Set how alert/confirm/prompt dialogs on the current tab are handled. A native dialog blocks the page (and any tool call waiting on it) until someone answers it.
+
+POLICIES:
+- ask (default): the browser shows the dialog and the user answers it; the sidebar tells them the page is waiting
+- accept: answer automatically - confirm returns true, prompt returns promptText (or its default value); beforeunload "Leave page?" prompts are suppressed
+- dismiss: answer automatically - confirm returns false, prompt returns null
+
+Every dialog is recorded in the "dialogs" buffer (query_buffer). Use answer_dialog to answer just the next one.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        policy: {
+          type: 'string',
+          enum: ['ask', 'accept', 'dismiss'],
+          description: 'How to handle dialogs on this tab',
+        },
+        promptText: {
+          type: 'string',
+          description: 'Text returned from prompt() dialogs under the accept policy (default: the prompt\'s default value)',
+        },
+      },
+      required: ['policy'],
+    },
+  },
+  {
+    name: 'answer_dialog',
+    description: 'Answer the next alert/confirm/prompt dialog the current tab opens, regardless of the policy. Call this BEFORE the action that triggers the dialog (e.g. answer_dialog then click "Delete"). A dialog that is already open can only be answered by the user.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        accept: {
+          type: 'boolean',
+          description: 'Accept (OK) or dismiss (Cancel) the dialog (default: true)',
+        },
+        text: {
+          type: 'string',
+          description: 'Text to enter into a prompt() dialog',
+        },
+      },
+    },
+  },
+
+  // ============================================================================
+  // BUFFER QUERY (for console, errors, websocket and stream data)
   // ============================================================================
   {
     name: 'query_buffer',
-    description: 'Query buffered data (console logs, errors, network, websocket) with JS transform to shape/filter results.',
+    description: `Query buffered data (console logs, errors, network, websocket, streams, dialogs) with a field filter and/or JS transform to shape results.
+
+Dialog entries: { type, message, state, handledBy, accepted, response, url, timestamp }.
+WebSocket entries (one per lifecycle event or frame): { connectionId, url, event: connecting|open|message|error|close, direction: send|receive, dataType: text|binary|blob, data, size (bytes), preview (hex, binary frames), elapsed (ms since the socket was created), code, reason, timestamp }.
+Stream entries (EventSource and streamed fetch responses - text/event-stream and NDJSON, one per event/record): { connectionId, url, format: sse|ndjson, event: open|message|close|error, eventType, lastEventId, data, size, elapsed (ms since the response started), frames and bytes on close, timestamp }.`,
     input_schema: {
       type: 'object',
       properties: {
         type: {
           type: 'string',
-          enum: ['console', 'errors', 'network', 'websocket'],
+          enum: ['console', 'errors', 'network', 'websocket', 'streams', 'dialogs'],
           description: 'Buffer type to query',
         },
+        filter: {
+          type: 'object',
+          description: 'Keep entries whose fields match, applied before transform. String values match as substrings, others exactly. Example: {"connectionId": "ws-ab12-1", "direction": "receive", "data": "price"}',
+        },
         transform: {
           type: 'string',
-          description: 'Required JS expression applied to data array. Examples: .filter(x => x.level === "error").slice(-20) or .sort((a,b) => b.duration - a.duration).slice(0,5)',
+          description: 'JS expression applied to the data array (required unless filter is given). Examples: .filter(x => x.level === "error").slice(-20) or .sort((a,b) => b.duration - a.duration).slice(0,5)',
         },
       },
-      required: ['type', 'transform'],
+      required: ['type'],
     },
   },
   {
@@ -1066,7 +1833,7 @@ Returns the result of the last expression.`,
       properties: {
         dataType: {
           type: 'string',
-          enum: ['console', 'network', 'websocket', 'errors', 'all'],
+          enum: ['console', 'network', 'websocket', 'streams', 'errors', 'dialogs', 'all'],
           description: 'Specific data type to clear (default: all)',
         },
       },
@@ -1144,6 +1911,52 @@ Domain is auto-detected from the current tab.`,
       required: ['spec_id'],
     },
   },
+  {
+    name: 'save_workflow',
+    description: `Save the click_element/type_text/select_option/press_key/wait_for_element/navigate calls that succeeded in this task (or the previous one, if this task has none yet) as a replayable workflow — a "shortcut" spec that run_workflow can replay later without you.
+
+Pass the values that should vary between runs as params; every occurrence of an example value in a selector, typed text or URL becomes a {{name}} placeholder. If the task did not start with navigate, the page it started on is added as the first step.
+
+SAVE AFTER a multi-step interaction (search, login, checkout step, form submission) worked end to end. Reusing the same description updates the existing workflow.
+
+Domain is auto-detected from the current tab.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        description: {
+          type: 'string',
+          description: 'One-line summary of what the workflow does (e.g., "Search products by keyword")',
+        },
+        params: {
+          type: 'object',
+          description: 'Param name -> the example value used in this run (e.g., {"query": "usb-c cable"})',
+          additionalProperties: { type: 'string' },
+        },
+      },
+      required: ['description'],
+    },
+  },
+  {
+    name: 'run_workflow',
+    description: `Replay a saved workflow (specs marked **Workflow:**) step by step, without further LLM calls. Much cheaper and faster than repeating the steps yourself.
+
+If a step fails, replay stops and the result lists the failed step, its error and the remaining steps — continue from there manually, then re-save the workflow with save_workflow (or delete it if the site changed).`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        spec_id: {
+          type: 'string',
+          description: 'The spec ID shown as "#..." at the end of the spec heading',
+        },
+        params: {
+          type: 'object',
+          description: 'Values for the workflow params (e.g., {"query": "hdmi adapter"})',
+          additionalProperties: { type: 'string' },
+        },
+      },
+      required: ['spec_id'],
+    },
+  },
 
   // ============================================================================
   // EXTERNAL FETCH (Background fetch without navigation)
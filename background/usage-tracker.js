@@ -0,0 +1,275 @@
+/**
+ * Usage Tracker
+ *
+ * Prices every API request with a per-model pricing table and keeps daily
+ * cost totals (broken down by domain and model) plus a log of recent tasks,
+ * so the sidebar can show running costs, background.js can enforce the daily
+ * spending cap, and the usage page can show where money went.
+ *
+ * Storage: browser.storage.local
+ *   usageStats: { days: { 'YYYY-MM-DD': DayStats }, tasks: TaskRecord[] }
+ *   modelPricing: [{ model, input, output }] - user overrides, USD per 1M tokens
+ *   dailySpendingCap: number - USD, 0 = no cap
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    storageKey: 'usageStats',
+    maxDays: 90,
+    maxTasks: 200,
+    maxTaskLabelLength: 120,
+  };
+
+  // USD per 1M tokens. Keys match model IDs by prefix (dated snapshots share pricing).
+  const MODEL_PRICING = {
+    'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.10 },
+    'claude-sonnet-4-5': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.30 },
+    'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.50 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.30 },
+    'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.50 },
+  };
+
+  // Cache multipliers applied to user-supplied input prices
+  const CACHE_WRITE_MULTIPLIER = 1.25;
+  const CACHE_READ_MULTIPLIER = 0.10;
+
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  let stats = { days: {}, tasks: [] };
+  let customPricing = {};
+  let dailySpendingCap = 0;
+  let loaded = false;
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Local calendar day key, e.g. "2026-03-14"
+   */
+  function dayKey(date = new Date()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+
+  function getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '') || 'unknown';
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  function emptyDay() {
+    return {
+      cost: 0,
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      byDomain: {},
+      byModel: {},
+    };
+  }
+
+  function addTo(bucket, key, cost) {
+    if (!bucket[key]) bucket[key] = { cost: 0, requests: 0 };
+    bucket[key].cost += cost;
+    bucket[key].requests++;
+  }
+
+  function pruneOldDays() {
+    const keys = Object.keys(stats.days).sort();
+    while (keys.length > CONFIG.maxDays) {
+      delete stats.days[keys.shift()];
+    }
+  }
+
+  async function save() {
+    try {
+      await browser.storage.local.set({ [CONFIG.storageKey]: stats });
+    } catch (e) {
+      console.warn('[UsageTracker] Failed to save:', e.message);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pricing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Resolve pricing for a model: user overrides first, then the built-in
+   * table by longest matching prefix. Returns null for unpriced models
+   * (e.g. local models), which are counted at $0.
+   */
+  function getPricing(model) {
+    if (!model) return null;
+    if (customPricing[model]) return customPricing[model];
+
+    let best = null;
+    let bestLength = 0;
+    for (const [prefix, pricing] of Object.entries(MODEL_PRICING)) {
+      if (model.startsWith(prefix) && prefix.length > bestLength) {
+        best = pricing;
+        bestLength = prefix.length;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Cost in USD for one request's usage
+   * @param {string} model - Model ID
+   * @param {Object} usage - { input, output, cacheCreation, cacheRead } token counts
+   * @returns {number}
+   */
+  function estimateCost(model, usage) {
+    const pricing = getPricing(model);
+    if (!pricing) return 0;
+
+    return (
+      (usage.input || 0) * pricing.input +
+      (usage.output || 0) * pricing.output +
+      (usage.cacheCreation || 0) * pricing.cacheWrite +
+      (usage.cacheRead || 0) * pricing.cacheRead
+    ) / 1_000_000;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recording
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Record one completed API request
+   * @param {Object} params - { url, model, usage }
+   * @returns {{ cost: number, todayCost: number, priced: boolean }}
+   */
+  function recordRequest({ url, model, usage }) {
+    const cost = estimateCost(model, usage);
+    const key = dayKey();
+    if (!stats.days[key]) {
+      stats.days[key] = emptyDay();
+      pruneOldDays();
+    }
+
+    const day = stats.days[key];
+    day.cost += cost;
+    day.requests++;
+    day.inputTokens += usage.input || 0;
+    day.outputTokens += usage.output || 0;
+    day.cacheReadTokens += usage.cacheRead || 0;
+    day.cacheWriteTokens += usage.cacheCreation || 0;
+    addTo(day.byDomain, getDomain(url), cost);
+    addTo(day.byModel, model || 'unknown', cost);
+
+    save();
+    return { cost, todayCost: day.cost, priced: getPricing(model) !== null };
+  }
+
+  /**
+   * Record a finished task (one user message and its whole tool loop)
+   * @param {Object} task - { url, label, model, cost, requests, toolCalls }
+   */
+  function recordTask({ url, label, model, cost, requests, toolCalls }) {
+    if (!requests) return;
+
+    stats.tasks.push({
+      timestamp: Date.now(),
+      domain: getDomain(url),
+      label: (label || '').slice(0, CONFIG.maxTaskLabelLength),
+      model,
+      cost,
+      requests,
+      toolCalls: toolCalls || 0,
+    });
+    if (stats.tasks.length > CONFIG.maxTasks) {
+      stats.tasks = stats.tasks.slice(-CONFIG.maxTasks);
+    }
+    save();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Spending cap
+  // ---------------------------------------------------------------------------
+
+  function getTodayCost() {
+    return stats.days[dayKey()]?.cost || 0;
+  }
+
+  /**
+   * @returns {{ exceeded: boolean, cap: number, spent: number }}
+   */
+  function checkSpendingCap() {
+    const spent = getTodayCost();
+    return {
+      exceeded: dailySpendingCap > 0 && spent >= dailySpendingCap,
+      cap: dailySpendingCap,
+      spent,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  function applyPricingOverrides(entries) {
+    customPricing = {};
+    for (const entry of entries || []) {
+      if (!entry?.model || typeof entry.input !== 'number' || typeof entry.output !== 'number') continue;
+      customPricing[entry.model] = {
+        input: entry.input,
+        output: entry.output,
+        cacheWrite: entry.input * CACHE_WRITE_MULTIPLIER,
+        cacheRead: entry.input * CACHE_READ_MULTIPLIER,
+      };
+    }
+  }
+
+  async function init() {
+    if (loaded) return;
+    try {
+      const result = await browser.storage.local.get([CONFIG.storageKey, 'modelPricing', 'dailySpendingCap']);
+      if (result[CONFIG.storageKey]) {
+        stats = { days: {}, tasks: [], ...result[CONFIG.storageKey] };
+      }
+      applyPricingOverrides(result.modelPricing);
+      dailySpendingCap = Number(result.dailySpendingCap) || 0;
+      loaded = true;
+    } catch (e) {
+      console.warn('[UsageTracker] Failed to load:', e.message);
+    }
+
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local') return;
+      if (changes.modelPricing) applyPricingOverrides(changes.modelPricing.newValue);
+      if (changes.dailySpendingCap) dailySpendingCap = Number(changes.dailySpendingCap.newValue) || 0;
+      // Cleared from the usage page
+      if (changes[CONFIG.storageKey] && !changes[CONFIG.storageKey].newValue) {
+        stats = { days: {}, tasks: [] };
+      }
+    });
+  }
+
+  init();
+
+  window.UsageTracker = {
+    MODEL_PRICING,
+    getPricing,
+    estimateCost,
+    recordRequest,
+    recordTask,
+    getTodayCost,
+    checkSpendingCap,
+  };
+})();
@@ -0,0 +1,386 @@
+/**
+ * Workflow Engine
+ *
+ * Structured, replayable workflows for site 'shortcut' specs. A workflow is an
+ * ordered list of click / type / select / press_key / wait_for_element /
+ * navigate steps with CSS selectors and {{param}} placeholders, built from a
+ * successful tool sequence recorded in handleToolCalls or from the user's own
+ * actions (macro-recorder.js), and replayed step by step by the tool router -
+ * no LLM round-trip unless a step fails.
+ *
+ * Workflow shape (stored on the SiteKnowledge item as `workflow`):
+ *   { version: 1, params: ['query'], steps: [
+ *       { action: 'navigate', url: 'https://example.com/search' },
+ *       { action: 'type', selector: '#q', text: '{{query}}' },
+ *       { action: 'click', selector: 'button[type="submit"]' },
+ *       { action: 'wait_for_element', selector: '.results', timeout: 10000 },
+ *   ] }
+ */
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Config
+  // ---------------------------------------------------------------------------
+
+  const CONFIG = {
+    version: 1,
+    maxSteps: 50,
+    defaultWaitTimeout: 10000,
+    stepDelayMs: 300,
+  };
+
+  // Workflow step action -> tool that performs it
+  const STEP_TOOLS = {
+    click: 'click_element',
+    type: 'type_text',
+    select: 'select_option',
+    press_key: 'press_key',
+    wait_for_element: 'wait_for_element',
+    navigate: 'navigate',
+  };
+
+  const TOOL_STEPS = Object.fromEntries(
+    Object.entries(STEP_TOOLS).map(([action, tool]) => [tool, action])
+  );
+
+  // Step fields that may contain {{param}} placeholders
+  const TEMPLATE_FIELDS = ['selector', 'text', 'value', 'url'];
+
+  // Fields where a recorded example value is replaced by its placeholder.
+  // Selectors are never rewritten - a short example like "1" would hit #item-1.
+  const TEMPLATIZED_FIELDS = ['text', 'value'];
+
+  const ABSOLUTE_URL_PREFIX = /^[a-z][\w+.-]*:\/\/[^/?#]*/i;
+
+  const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][\w-]*)\s*\}\}/g;
+
+  // ---------------------------------------------------------------------------
+  // Building
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether a tool call can be recorded as a workflow step
+   * @param {string} toolName
+   */
+  function isRecordableTool(toolName) {
+    return Object.prototype.hasOwnProperty.call(TOOL_STEPS, toolName);
+  }
+
+  /**
+   * Convert one recorded tool call to a workflow step
+   * @param {{ name: string, input: Object }} call
+   * @returns {Object|null}
+   */
+  function toolCallToStep({ name, input }) {
+    switch (TOOL_STEPS[name]) {
+      case 'click':
+        return { action: 'click', selector: input.selector };
+      case 'type':
+        return {
+          action: 'type',
+          selector: input.selector,
+          text: String(input.text ?? ''),
+          ...(input.mode && input.mode !== 'replace' ? { mode: input.mode } : input.append ? { append: true } : {}),
+        };
+      case 'select':
+        return input.value !== undefined
+          ? { action: 'select', selector: input.selector, value: String(input.value) }
+          : { action: 'select', selector: input.selector, text: String(input.text ?? '') };
+      case 'press_key':
+        return {
+          action: 'press_key',
+          key: input.key,
+          ...(input.selector ? { selector: input.selector } : {}),
+        };
+      case 'wait_for_element':
+        return {
+          action: 'wait_for_element',
+          selector: input.selector,
+          timeout: input.timeout || CONFIG.defaultWaitTimeout,
+        };
+      case 'navigate':
+        return { action: 'navigate', url: input.url };
+      default:
+        return null;
+    }
+  }
+
+  function safeDecode(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Placeholder for a value that is exactly one of the examples, else the value
+   */
+  function templatize(value, params) {
+    const match = Object.entries(params).find(([, example]) =>
+      example !== undefined && example !== null && String(example) !== '' && String(example) === value);
+    return match ? `{{${match[0]}}}` : value;
+  }
+
+  /**
+   * Templatize a URL's path segments and query values, compared decoded so
+   * "new+york" and "new%20york" match the example "new york"
+   */
+  function templatizeUrl(url, params) {
+    const prefix = url.match(ABSOLUTE_URL_PREFIX)?.[0] || '';
+    const hashIndex = url.indexOf('#');
+    const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+    const rest = url.slice(prefix.length, hashIndex === -1 ? undefined : hashIndex);
+    const queryIndex = rest.indexOf('?');
+    const path = queryIndex === -1 ? rest : rest.slice(0, queryIndex);
+    const query = queryIndex === -1 ? null : rest.slice(queryIndex + 1);
+
+    const templatizeSegment = (segment) => {
+      const result = templatize(safeDecode(segment), params);
+      return result.startsWith('{{') ? result : segment;
+    };
+
+    const newPath = path.split('/').map(templatizeSegment).join('/');
+    const newQuery = query === null ? '' : '?' + query.split('&').map(pair => {
+      const eq = pair.indexOf('=');
+      return eq === -1 ? pair : `${pair.slice(0, eq + 1)}${templatizeSegment(pair.slice(eq + 1))}`;
+    }).join('&');
+
+    return prefix + newPath + newQuery + hash;
+  }
+
+  /**
+   * Build a workflow from steps that are already in workflow form
+   * @param {Object[]} steps - Workflow steps, in order
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.params] - Param name -> example value used during recording
+   * @param {string} [options.startUrl] - Page the sequence started on (prepended as a navigate step)
+   * @returns {Object} Workflow
+   */
+  function createWorkflow(steps, options = {}) {
+    const params = options.params || {};
+    const workflowSteps = steps.map(step => ({ ...step }));
+
+    if (options.startUrl && workflowSteps[0]?.action !== 'navigate') {
+      workflowSteps.unshift({ action: 'navigate', url: options.startUrl });
+    }
+
+    for (const step of workflowSteps) {
+      for (const field of TEMPLATIZED_FIELDS) {
+        if (typeof step[field] === 'string') {
+          step[field] = templatize(step[field], params);
+        }
+      }
+      if (typeof step.url === 'string') {
+        step.url = templatizeUrl(step.url, params);
+      }
+    }
+
+    const workflow = { version: CONFIG.version, params: [], steps: workflowSteps };
+    validateWorkflow(workflow);
+    // Recorded steps may carry placeholders of their own (e.g. {{password}})
+    workflow.params = [...new Set([...Object.keys(params), ...getPlaceholders(workflow)])];
+    return workflow;
+  }
+
+  /**
+   * Build a workflow from a recorded tool sequence
+   * @param {Array<{ name: string, input: Object }>} toolCalls - Successful calls, in order
+   * @param {Object} [options] - Same as createWorkflow
+   * @returns {Object} Workflow
+   */
+  function buildWorkflow(toolCalls, options = {}) {
+    const steps = toolCalls.map(call => {
+      const step = toolCallToStep(call);
+      // Frame selectors survive reloads; numeric frame IDs do not
+      if (step && step.action !== 'navigate' && call.input.frame) step.frame = call.input.frame;
+      return step;
+    });
+    return createWorkflow(steps.filter(Boolean), options);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Validation & resolution
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Throws if the workflow is malformed
+   */
+  function validateWorkflow(workflow) {
+    if (!workflow || !Array.isArray(workflow.steps)) {
+      throw new Error('Workflow has no steps');
+    }
+    if (workflow.steps.length === 0) {
+      throw new Error(`Workflow has no replayable steps (${Object.keys(STEP_TOOLS).join(', ')})`);
+    }
+    if (workflow.steps.length > CONFIG.maxSteps) {
+      throw new Error(`Workflow has ${workflow.steps.length} steps (max ${CONFIG.maxSteps})`);
+    }
+
+    workflow.steps.forEach((step, index) => {
+      if (!STEP_TOOLS[step.action]) {
+        throw new Error(`Step ${index + 1}: unknown action "${step.action}"`);
+      }
+      const required = step.action === 'navigate' ? 'url' : step.action === 'press_key' ? 'key' : 'selector';
+      if (!step[required]) {
+        throw new Error(`Step ${index + 1} (${step.action}): missing ${required}`);
+      }
+    });
+  }
+
+  /**
+   * Placeholder names used anywhere in the workflow
+   * @returns {string[]}
+   */
+  function getPlaceholders(workflow) {
+    const names = new Set();
+    for (const step of workflow.steps) {
+      for (const field of TEMPLATE_FIELDS) {
+        if (typeof step[field] !== 'string') continue;
+        for (const match of step[field].matchAll(PLACEHOLDER_PATTERN)) {
+          names.add(match[1]);
+        }
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Substitute param values into the steps
+   * @param {Object} workflow
+   * @param {Object<string, string>} [args]
+   * @returns {Object[]} Concrete steps
+   */
+  function resolveSteps(workflow, args = {}) {
+    validateWorkflow(workflow);
+
+    const missing = getPlaceholders(workflow).filter(name => args[name] === undefined || args[name] === null);
+    if (missing.length > 0) {
+      throw new Error(`Missing workflow params: ${missing.join(', ')}`);
+    }
+
+    return workflow.steps.map(step => {
+      const resolved = { ...step };
+      for (const field of TEMPLATE_FIELDS) {
+        if (typeof resolved[field] !== 'string') continue;
+        // Values go into URLs encoded, unless the placeholder is the whole URL
+        const encode = field === 'url' && !/^\{\{[^}]+\}\}$/.test(resolved[field].trim());
+        resolved[field] = resolved[field].replace(PLACEHOLDER_PATTERN, (_, name) =>
+          (encode ? encodeURIComponent(String(args[name])) : String(args[name])));
+      }
+      return resolved;
+    });
+  }
+
+  /**
+   * Tool call equivalent of a resolved step
+   * @returns {{ name: string, input: Object }}
+   */
+  function stepToToolCall(step) {
+    const { action, label, ...input } = step;
+    return { name: STEP_TOOLS[action], input };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Describing
+  // ---------------------------------------------------------------------------
+
+  function describeStep(step) {
+    let target = step.label ? `${step.selector} ("${step.label}")` : step.selector;
+    if (step.frame) target += ` in frame ${step.frame}`;
+    switch (step.action) {
+      case 'click':
+        return `click ${target}`;
+      case 'type':
+        return `${step.mode === 'append' || step.append ? 'append' : step.mode === 'insert' ? 'insert' : 'type'} "${step.text}" into ${target}`;
+      case 'select':
+        return `select "${step.value ?? step.text}" in ${target}`;
+      case 'press_key':
+        return `press ${step.key}${step.selector ? ` in ${target}` : ''}`;
+      case 'wait_for_element':
+        return `wait for ${step.selector}`;
+      case 'navigate':
+        return `navigate to ${step.url}`;
+      default:
+        return step.action;
+    }
+  }
+
+  /**
+   * Numbered step list, used as the spec's content
+   */
+  function describeWorkflow(workflow) {
+    const lines = workflow.steps.map((step, i) => `${i + 1}. ${describeStep(step)}`);
+    if (workflow.params?.length > 0) {
+      lines.unshift(`Params: ${workflow.params.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Replay
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a workflow's steps in order, stopping at the first failure
+   * @param {Object} workflow
+   * @param {Object<string, string>} args - Param values
+   * @param {Function} executeStep - async (toolName, toolInput, step) => result; a result with `error` fails the step
+   * @param {Object} [options] - { onStep(index, step), stepDelayMs }
+   * @returns {Promise<Object>} { success, stepsRun, totalSteps, failedStep?, remainingSteps? }
+   */
+  async function replay(workflow, args, executeStep, options = {}) {
+    const steps = resolveSteps(workflow, args);
+    const delay = options.stepDelayMs ?? CONFIG.stepDelayMs;
+
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      const { name, input } = stepToToolCall(step);
+      options.onStep?.(index, step);
+
+      let error = null;
+      try {
+        const result = await executeStep(name, input, step);
+        if (result?.error) error = result.error;
+        else if (result?.success === false) error = result.message || 'Step reported failure';
+      } catch (e) {
+        error = e.message;
+      }
+
+      if (error) {
+        return {
+          success: false,
+          stepsRun: index,
+          totalSteps: steps.length,
+          failedStep: { index, step, description: describeStep(step), error },
+          remainingSteps: steps.slice(index + 1).map(describeStep),
+        };
+      }
+
+      if (delay > 0 && index < steps.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return { success: true, stepsRun: steps.length, totalSteps: steps.length };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init
+  // ---------------------------------------------------------------------------
+
+  window.WorkflowEngine = {
+    STEP_TOOLS,
+    isRecordableTool,
+    createWorkflow,
+    buildWorkflow,
+    validateWorkflow,
+    getPlaceholders,
+    resolveSteps,
+    describeStep,
+    describeWorkflow,
+    replay,
+  };
+})();
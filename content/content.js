@@ -40,6 +40,30 @@
     }
   });
 
+  // Forward dialogs seen by the page hook (sync event - a native dialog may block right after)
+  document.addEventListener('__claude_assistant_dialog', (event) => {
+    let dialog;
+    try {
+      dialog = JSON.parse(event.detail);
+    } catch (e) {
+      return;
+    }
+    browser.runtime.sendMessage({
+      type: 'js_dialog',
+      data: { ...dialog, timestamp: Date.now(), location: window.location.href, frame: window !== window.top }
+    }).catch(() => {});
+  });
+
+  // Current dialog policy for this tab
+  browser.runtime.sendMessage({ type: 'get_dialog_policy' }).then(dialogPolicy => {
+    if (dialogPolicy) window.postMessage({ type: '__claude_assistant_setting', dialogPolicy }, '*');
+  }).catch(() => {});
+
+  // Status overrides of this tab's mock/rewrite rules
+  browser.runtime.sendMessage({ type: 'get_response_status_rules' }).then(responseStatusRules => {
+    if (responseStatusRules?.length) window.postMessage({ type: '__claude_assistant_setting', responseStatusRules }, '*');
+  }).catch(() => {});
+
   // Inject console hook into page context
   const pageScript = `
 (function() {
@@ -48,12 +72,24 @@
 
   let captureLogSource = true;
 
+  // Per-tab dialog handling, pushed by the content script: { policy, promptText, next }
+  let dialogPolicy = { policy: 'ask', next: null };
+
+  // Per-tab mock/rewrite status overrides, pushed by the content script
+  let responseStatusRules = [];
+
   // Listen for setting updates from content script
   window.addEventListener('message', (event) => {
     if (event.source !== window) return;
     if (event.data?.type === '__claude_assistant_setting' && 'captureLogSource' in event.data) {
       captureLogSource = event.data.captureLogSource;
     }
+    if (event.data?.type === '__claude_assistant_setting' && 'dialogPolicy' in event.data) {
+      dialogPolicy = event.data.dialogPolicy || { policy: 'ask', next: null };
+    }
+    if (event.data?.type === '__claude_assistant_setting' && 'responseStatusRules' in event.data) {
+      responseStatusRules = Array.isArray(event.data.responseStatusRules) ? event.data.responseStatusRules : [];
+    }
   });
 
   const originalConsole = {
@@ -118,6 +154,223 @@
   }
 
   ['log', 'warn', 'error', 'info', 'debug'].forEach(interceptConsole);
+
+  // Dialog interception. Reported with a synchronous event so the content
+  // script hears about a native dialog before it blocks the page.
+  let dialogSeq = 0;
+
+  function reportDialog(detail) {
+    try {
+      document.dispatchEvent(new CustomEvent('__claude_assistant_dialog', { detail: JSON.stringify(detail) }));
+    } catch (e) {}
+  }
+
+  function interceptDialog(type) {
+    const original = window[type];
+    window[type] = function(message, defaultValue) {
+      const dialog = {
+        id: Date.now().toString(36) + '-' + (++dialogSeq),
+        type,
+        message: message === undefined ? '' : String(message).slice(0, 2000)
+      };
+      if (type === 'prompt') dialog.defaultValue = defaultValue === undefined ? '' : String(defaultValue);
+
+      const next = dialogPolicy.next;
+      if (!next && dialogPolicy.policy !== 'accept' && dialogPolicy.policy !== 'dismiss') {
+        // 'ask' - the user answers the browser's own dialog
+        reportDialog(Object.assign({ phase: 'opened' }, dialog));
+        const response = original.apply(window, arguments);
+        reportDialog({
+          phase: 'closed',
+          id: dialog.id,
+          accepted: type === 'confirm' ? response : type === 'prompt' ? response !== null : true,
+          response: response === undefined ? null : response
+        });
+        return response;
+      }
+
+      let accept = dialogPolicy.policy === 'accept';
+      let promptText = dialogPolicy.promptText !== undefined ? dialogPolicy.promptText : dialog.defaultValue;
+      if (next) {
+        dialogPolicy.next = null;
+        accept = next.accept !== false;
+        if (next.text !== undefined) promptText = next.text;
+      }
+
+      let response;
+      if (type === 'confirm') response = accept;
+      else if (type === 'prompt') response = accept ? String(promptText) : null;
+
+      reportDialog(Object.assign({
+        phase: 'handled',
+        handledBy: next ? 'answer' : dialogPolicy.policy,
+        accepted: accept,
+        response: response === undefined ? null : response
+      }, dialog));
+      return response;
+    };
+  }
+
+  ['alert', 'confirm', 'prompt'].forEach(interceptDialog);
+
+  // beforeunload: handlers added from script are wrapped so a "Leave page?"
+  // request is recorded, and suppressed under the 'accept' policy
+  const reportedUnloads = new WeakSet();
+
+  function guardBeforeUnload(handler) {
+    return function(event) {
+      let requested = false;
+      const suppress = dialogPolicy.policy === 'accept';
+      const guarded = new Proxy(event, {
+        get(target, prop) {
+          if (prop === 'preventDefault') {
+            return function() {
+              requested = true;
+              if (!suppress) target.preventDefault();
+            };
+          }
+          const value = Reflect.get(target, prop);
+          return typeof value === 'function' ? value.bind(target) : value;
+        },
+        set(target, prop, value) {
+          if (prop === 'returnValue') {
+            if (value) requested = true;
+            if (!suppress) target.returnValue = value;
+            return true;
+          }
+          return Reflect.set(target, prop, value);
+        }
+      });
+
+      let result = typeof handler === 'function' ? handler.call(this, guarded) : handler.handleEvent(guarded);
+      if (typeof result === 'string' && result) requested = true;
+      if (suppress) result = undefined;
+
+      if (requested && !reportedUnloads.has(event)) {
+        reportedUnloads.add(event);
+        reportDialog({
+          phase: 'handled',
+          id: Date.now().toString(36) + '-' + (++dialogSeq),
+          type: 'beforeunload',
+          message: '',
+          handledBy: suppress ? 'accept' : 'browser',
+          accepted: suppress ? true : null,
+          response: null
+        });
+      }
+      return result;
+    };
+  }
+
+  const guardedListeners = new WeakMap();
+  const originalAddEventListener = EventTarget.prototype.addEventListener;
+  const originalRemoveEventListener = EventTarget.prototype.removeEventListener;
+
+  EventTarget.prototype.addEventListener = function(type, listener, options) {
+    if (this === window && type === 'beforeunload' && listener) {
+      if (!guardedListeners.has(listener)) guardedListeners.set(listener, guardBeforeUnload(listener));
+      return originalAddEventListener.call(this, type, guardedListeners.get(listener), options);
+    }
+    return originalAddEventListener.call(this, type, listener, options);
+  };
+
+  EventTarget.prototype.removeEventListener = function(type, listener, options) {
+    if (this === window && type === 'beforeunload' && listener && guardedListeners.has(listener)) {
+      return originalRemoveEventListener.call(this, type, guardedListeners.get(listener), options);
+    }
+    return originalRemoveEventListener.call(this, type, listener, options);
+  };
+
+  try {
+    const handlerProperty = Object.getOwnPropertyDescriptor(window, 'onbeforeunload') ||
+      Object.getOwnPropertyDescriptor(Window.prototype, 'onbeforeunload');
+    let pageHandler = null;
+    Object.defineProperty(window, 'onbeforeunload', {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return pageHandler;
+      },
+      set(handler) {
+        pageHandler = typeof handler === 'function' ? handler : null;
+        handlerProperty.set.call(window, pageHandler && guardBeforeUnload(pageHandler));
+      }
+    });
+  } catch (e) {}
+
+  // Status overrides from mock_response/rewrite_response rules. The stream
+  // filter in the background serves the body and headers; only the page can
+  // see a different status. Rules: [{ source, flags, method, status, statusText }]
+  const NULL_BODY_STATUSES = [204, 205, 304];
+
+  function findStatusRule(url, method) {
+    if (responseStatusRules.length === 0) return null;
+    let absolute;
+    try {
+      absolute = new URL(url, location.href).href;
+    } catch (e) {
+      return null;
+    }
+    const upper = (method || 'GET').toUpperCase();
+    return responseStatusRules.find(rule => {
+      if (rule.method && rule.method !== upper) return false;
+      try {
+        return new RegExp(rule.source, rule.flags).test(absolute);
+      } catch (e) {
+        return false;
+      }
+    }) || null;
+  }
+
+  try {
+    const originalFetch = window.fetch;
+    window.fetch = function(input, init) {
+      const promise = originalFetch.apply(this, arguments);
+      // Read url/method without touching a Request's body
+      const url = input instanceof Request ? input.url : String(input);
+      const method = (init && init.method) || (input instanceof Request ? input.method : 'GET');
+      const rule = findStatusRule(url, method);
+      if (!rule) return promise;
+      return promise.then(response => {
+        const mocked = new Response(NULL_BODY_STATUSES.includes(rule.status) ? null : response.body, {
+          status: rule.status,
+          statusText: rule.statusText || '',
+          headers: response.headers
+        });
+        Object.defineProperty(mocked, 'url', { value: response.url });
+        Object.defineProperty(mocked, 'redirected', { value: response.redirected });
+        return mocked;
+      });
+    };
+  } catch (e) {}
+
+  try {
+    const xhrRules = new WeakMap();
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function(method, url) {
+      xhrRules.set(this, findStatusRule(String(url), method));
+      return originalOpen.apply(this, arguments);
+    };
+
+    const statusProperty = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'status');
+    const statusTextProperty = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'statusText');
+    Object.defineProperty(XMLHttpRequest.prototype, 'status', {
+      configurable: true,
+      enumerable: true,
+      get() {
+        const rule = xhrRules.get(this);
+        return rule && this.readyState >= 2 ? rule.status : statusProperty.get.call(this);
+      }
+    });
+    Object.defineProperty(XMLHttpRequest.prototype, 'statusText', {
+      configurable: true,
+      enumerable: true,
+      get() {
+        const rule = xhrRules.get(this);
+        return rule && this.readyState >= 2 ? (rule.statusText || '') : statusTextProperty.get.call(this);
+      }
+    });
+  } catch (e) {}
 })();
 `;
 
@@ -190,54 +443,134 @@
     }
   });
 
-  // WebSocket interception (wrapped in try-catch as Firefox marks WebSocket as read-only)
-  try {
-    const OriginalWebSocket = window.WebSocket;
-    window.WebSocket = function(...args) {
-      const ws = new OriginalWebSocket(...args);
-      const url = args[0];
+  // ==========================================================================
+  // WEBSOCKET CAPTURE
+  // Assigning window.WebSocket here only changes this script's Xray view, and
+  // the inline page hook is blocked by strict CSPs. exportFunction defines the
+  // wrapper in the page's own scope instead; content scripts run at
+  // document_start, so it is in place before any page script opens a socket.
+  // EventSource and streamed fetch responses are framed by the background
+  // script's response stream filter.
+  // ==========================================================================
 
-      ws.addEventListener('message', (event) => {
-        try {
-          browser.runtime.sendMessage({
-            type: 'websocket_message',
-            data: {
-              direction: 'receive',
-              url,
-              data: event.data,
-              timestamp: Date.now(),
-              location: window.location.href
-            }
-          }).catch(() => {});
-        } catch (e) {
-          // Ignore
-        }
-      });
+  const WEBSOCKET_CAPTURE = {
+    maxDataLength: 10000,
+    previewBytes: 32
+  };
 
-      const originalSend = ws.send;
-      ws.send = function(data) {
-        try {
-          browser.runtime.sendMessage({
-            type: 'websocket_message',
-            data: {
-              direction: 'send',
-              url,
-              data,
-              timestamp: Date.now(),
-              location: window.location.href
-            }
-          }).catch(() => {});
-        } catch (e) {
-          // Ignore
-        }
-        return originalSend.call(this, data);
+  const captureId = Math.random().toString(36).slice(2, 6);
+  let websocketSeq = 0;
+
+  function reportWebsocket(entry) {
+    browser.runtime.sendMessage({
+      type: 'websocket_message',
+      data: {
+        ...entry,
+        transport: 'websocket',
+        timestamp: Date.now(),
+        location: window.location.href,
+        frame: window !== window.top
+      }
+    }).catch(() => {});
+  }
+
+  /**
+   * Size, type and (truncated) content of a frame. Binary frames get a hex
+   * preview of their first bytes. Page objects arrive as Xrays, so this
+   * duck-types instead of using instanceof.
+   */
+  function describeWebsocketData(data) {
+    if (typeof data === 'string') {
+      const truncated = data.length > WEBSOCKET_CAPTURE.maxDataLength;
+      return {
+        dataType: 'text',
+        size: new TextEncoder().encode(data).length,
+        data: truncated ? data.slice(0, WEBSOCKET_CAPTURE.maxDataLength) : data,
+        ...(truncated ? { truncated: true } : {})
+      };
+    }
+    if (data && typeof data.byteLength === 'number') {
+      const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, Math.min(data.byteLength, WEBSOCKET_CAPTURE.previewBytes))
+        : new Uint8Array(data, 0, Math.min(data.byteLength, WEBSOCKET_CAPTURE.previewBytes));
+      return {
+        dataType: 'binary',
+        size: data.byteLength,
+        data: null,
+        preview: Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ')
       };
+    }
+    if (data && typeof data.size === 'number') {
+      return { dataType: 'blob', size: data.size, data: null };
+    }
+    return { dataType: typeof data, size: 0, data: null };
+  }
 
-      return ws;
-    };
+  /**
+   * Report a page socket's lifecycle and frames under one connection ID
+   * @param {Object} socket - The page's WebSocket (waived)
+   * @param {Function} pageSend - WebSocket.prototype.send (waived)
+   */
+  function watchWebsocket(socket, pageSend) {
+    const connectionId = `ws-${captureId}-${++websocketSeq}`;
+    const created = performance.now();
+    const xray = XPCNativeWrapper(socket);
+    const url = String(xray.url);
+    const elapsed = () => Math.round(performance.now() - created);
+
+    reportWebsocket({ connectionId, url, event: 'connecting', elapsed: 0 });
+
+    xray.addEventListener('open', () => {
+      reportWebsocket({ connectionId, url, event: 'open', protocol: xray.protocol, extensions: xray.extensions, elapsed: elapsed() });
+    });
+    xray.addEventListener('message', (event) => {
+      reportWebsocket({ connectionId, url, event: 'message', direction: 'receive', ...describeWebsocketData(event.data), elapsed: elapsed() });
+    });
+    xray.addEventListener('error', () => {
+      reportWebsocket({ connectionId, url, event: 'error', elapsed: elapsed() });
+    });
+    xray.addEventListener('close', (event) => {
+      reportWebsocket({ connectionId, url, event: 'close', code: event.code, reason: event.reason, wasClean: event.wasClean, elapsed: elapsed() });
+    });
+
+    // Per-socket send, so the frame is reported with this connection's ID
+    exportFunction(function(data) {
+      const result = pageSend.call(socket, data);
+      reportWebsocket({ connectionId, url, event: 'message', direction: 'send', ...describeWebsocketData(data), elapsed: elapsed() });
+      return result;
+    }, socket, { defineAs: 'send' });
+  }
+
+  function hookPageWebsocket() {
+    const pageWindow = window.wrappedJSObject;
+    const PageWebSocket = pageWindow.WebSocket;
+    if (typeof PageWebSocket !== 'function') return;
+    const pageSend = PageWebSocket.prototype.send;
+
+    exportFunction(function WebSocket(url, protocols) {
+      const socket = arguments.length > 1 ? new PageWebSocket(url, protocols) : new PageWebSocket(url);
+      try {
+        watchWebsocket(socket, pageSend);
+      } catch (e) {
+        // Never break the page's socket over capture
+      }
+      return socket;
+    }, pageWindow, { defineAs: 'WebSocket' });
+
+    // Keep instanceof checks and WebSocket.OPEN-style constants working
+    const hooked = pageWindow.WebSocket;
+    hooked.prototype = PageWebSocket.prototype;
+    for (const name of ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED']) {
+      hooked[name] = PageWebSocket[name];
+    }
+  }
+
+  try {
+    if (typeof exportFunction === 'function' && window.wrappedJSObject) {
+      hookPageWebsocket();
+    }
   } catch (e) {
-    // WebSocket interception not available (Firefox marks it as read-only)
-    // Continue without WebSocket monitoring
+    // Page world not reachable (e.g. sandboxed document) - no WebSocket capture
   }
 
   // ==========================================================================
@@ -474,6 +807,213 @@
     return { cleared };
   }
 
+  // ==========================================================================
+  // MACRO RECORDER
+  // Captures the user's own clicks, typing and selects as workflow steps
+  // (navigations are recorded by the background script)
+  // ==========================================================================
+
+  let recorderActive = false;
+  let pendingTypeTarget = null;
+  let lastTypeStep = null;
+
+  const RECORDER_CLICKABLE = 'a, button, input, select, textarea, label, summary, [role="button"], [role="link"], [role="menuitem"], [role="tab"], [role="option"], [role="checkbox"], [onclick]';
+  const RECORDER_TEXT_INPUT_TYPES = ['text', 'email', 'search', 'password', 'tel', 'url', 'number'];
+
+  function startRecorder() {
+    // Selectors are resolved against the top document on replay
+    if (window !== window.top) return { recording: false, reason: 'not top frame' };
+    if (recorderActive) return { recording: true, alreadyActive: true };
+
+    recorderActive = true;
+    document.addEventListener('click', handleRecorderClick, true);
+    document.addEventListener('input', handleRecorderInput, true);
+    document.addEventListener('change', handleRecorderChange, true);
+    document.addEventListener('keydown', handleRecorderKeydown, true);
+    showRecorderIndicator();
+
+    return { recording: true };
+  }
+
+  function stopRecorder() {
+    if (!recorderActive) return { recording: false };
+
+    flushPendingType();
+    recorderActive = false;
+    pendingTypeTarget = null;
+    lastTypeStep = null;
+    document.removeEventListener('click', handleRecorderClick, true);
+    document.removeEventListener('input', handleRecorderInput, true);
+    document.removeEventListener('change', handleRecorderChange, true);
+    document.removeEventListener('keydown', handleRecorderKeydown, true);
+    document.getElementById('claude-recorder-indicator')?.remove();
+
+    return { recording: false };
+  }
+
+  function showRecorderIndicator() {
+    const show = () => {
+      if (document.getElementById('claude-recorder-indicator') || !document.body) return;
+      const indicator = document.createElement('div');
+      indicator.id = 'claude-recorder-indicator';
+      indicator.textContent = '\u25CF Recording';
+      indicator.style.cssText = 'position:fixed;top:8px;right:8px;z-index:2147483647;pointer-events:none;' +
+        'background:#8B1538;color:#fff;font:600 12px/1 sans-serif;padding:6px 10px;border-radius:12px;opacity:0.9;';
+      document.body.appendChild(indicator);
+    };
+    if (document.body) {
+      show();
+    } else {
+      document.addEventListener('DOMContentLoaded', show, { once: true });
+    }
+  }
+
+  function sendRecorderStep(step) {
+    try {
+      browser.runtime.sendMessage({ type: 'recorder_step', step }).catch(() => {});
+    } catch (e) {
+      // Ignore
+    }
+  }
+
+  function isRecorderTextField(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return false;
+    if (el.tagName === 'TEXTAREA' || el.isContentEditable) return true;
+    return el.tagName === 'INPUT' && RECORDER_TEXT_INPUT_TYPES.includes((el.type || 'text').toLowerCase());
+  }
+
+  // Short human-readable name for the step list. Never a field's value - that is what
+  // the user typed (possibly a password); the step list falls back to the selector.
+  function describeRecordedElement(el) {
+    const isInputButton = el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type);
+    const text = el.getAttribute('aria-label') ||
+      (el.tagName === 'INPUT' ? el.placeholder || el.name || (isInputButton ? el.value : '') : el.innerText) ||
+      el.title || '';
+    return text.trim().replace(/\s+/g, ' ').slice(0, 60);
+  }
+
+  /**
+   * Selector that matches only this element, preferring stable attributes,
+   * then the selection-mode selector (scoped by its meaningful parent), then
+   * an nth-of-type path.
+   */
+  function buildRecorderSelector(el) {
+    // Inside a shadow root: "host >>> inner", with inner unique within the root
+    const root = el.getRootNode();
+    const scope = root instanceof ShadowRoot ? root : document;
+    const tag = el.tagName.toLowerCase();
+    const candidates = [];
+
+    // Skip generated-looking IDs (long digit runs)
+    if (el.id && !/\d{4,}/.test(el.id)) candidates.push(`#${CSS.escape(el.id)}`);
+    for (const attr of ['data-testid', 'data-test', 'data-qa', 'name', 'aria-label', 'placeholder']) {
+      const value = el.getAttribute(attr);
+      if (value) candidates.push(`${tag}[${attr}="${CSS.escape(value)}"]`);
+    }
+    candidates.push(buildSelector(el));
+    const parent = findMeaningfulParent(el);
+    if (parent) candidates.push(`${buildSelector(parent)} ${buildSelector(el)}`);
+
+    let selector = null;
+    for (const candidate of candidates) {
+      try {
+        const matches = scope.querySelectorAll(candidate);
+        if (matches.length === 1 && matches[0] === el) {
+          selector = candidate;
+          break;
+        }
+      } catch (e) {
+        // Invalid selector (unusual class/id characters) - try the next one
+      }
+    }
+    selector = selector || buildPathSelector(el);
+    return scope === document ? selector : `${buildRecorderSelector(root.host)} >>> ${selector}`;
+  }
+
+  function buildPathSelector(el) {
+    const parts = [];
+    let current = el;
+    while (current && current !== document.body && current !== document.documentElement) {
+      if (current.id && !/\d{4,}/.test(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      const tag = current.tagName.toLowerCase();
+      const siblings = current.parentElement
+        ? [...current.parentElement.children].filter(child => child.tagName === current.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  function flushPendingType(target = pendingTypeTarget) {
+    if (!target) return;
+    if (target === pendingTypeTarget) pendingTypeTarget = null;
+
+    const selector = buildRecorderSelector(target);
+    const isPassword = target.tagName === 'INPUT' && target.type === 'password';
+    // Passwords are never recorded - they become a {{password}} param
+    const text = isPassword ? '{{password}}' : (target.isContentEditable ? target.innerText : target.value);
+
+    // Enter and the following change event both flush the same value
+    if (lastTypeStep && lastTypeStep.selector === selector && lastTypeStep.text === text) return;
+    lastTypeStep = { selector, text };
+
+    sendRecorderStep({ action: 'type', selector, text, label: describeRecordedElement(target) });
+  }
+
+  function handleRecorderClick(e) {
+    if (!recorderActive || !e.isTrusted) return;
+
+    const el = e.target.closest?.(RECORDER_CLICKABLE) || e.target;
+    if (el.nodeType !== Node.ELEMENT_NODE) return;
+    if (pendingTypeTarget && pendingTypeTarget !== el) flushPendingType();
+
+    // Focusing a field is implied by typing into it; selects are recorded on change;
+    // labels forward a click to their control, which is recorded instead
+    if (isRecorderTextField(el) || el.tagName === 'SELECT' || el.tagName === 'OPTION') return;
+    if (el.tagName === 'LABEL' && el.control) return;
+
+    lastTypeStep = null;
+    sendRecorderStep({ action: 'click', selector: buildRecorderSelector(el), label: describeRecordedElement(el) });
+  }
+
+  function handleRecorderInput(e) {
+    if (!recorderActive || !e.isTrusted) return;
+    const target = isRecorderTextField(e.target) ? e.target : e.target.closest?.('[contenteditable]');
+    if (!target || !isRecorderTextField(target)) return;
+    if (pendingTypeTarget && pendingTypeTarget !== target) flushPendingType();
+    pendingTypeTarget = target;
+  }
+
+  function handleRecorderChange(e) {
+    if (!recorderActive || !e.isTrusted) return;
+    const el = e.target;
+
+    if (el.tagName === 'SELECT') {
+      flushPendingType();
+      sendRecorderStep({
+        action: 'select',
+        selector: buildRecorderSelector(el),
+        value: el.value,
+        label: el.selectedOptions[0]?.textContent.trim().slice(0, 60) || ''
+      });
+    } else if (isRecorderTextField(el)) {
+      flushPendingType(el);
+    }
+  }
+
+  function handleRecorderKeydown(e) {
+    if (!recorderActive || !e.isTrusted || e.key !== 'Enter') return;
+    const el = e.target;
+    if (!isRecorderTextField(el) || el.tagName === 'TEXTAREA' || el.isContentEditable) return;
+
+    flushPendingType(el);
+    sendRecorderStep({ action: 'press_key', key: 'Enter', selector: buildRecorderSelector(el) });
+  }
+
   // ==========================================================================
   // Command Handlers - Receive commands from background script
   // ==========================================================================
@@ -611,21 +1151,63 @@
       case 'get_dom_structure':
         return handleGetDomStructure(params);
 
+      case 'get_accessibility_snapshot':
+        return handleGetAccessibilitySnapshot(params);
+
       case 'wait_for_element':
         return handleWaitForElement(params);
 
       case 'fill_form':
         return handleFillForm(params);
 
+      case 'drag_element':
+        return handleDragElement(params);
+
+      case 'pointer_sequence':
+        return handlePointerSequence(params);
+
+      case 'drop_file':
+        return handleDropFile(params);
+
+      case 'show_marks':
+        return handleShowMarks(params);
+
+      case 'hide_marks':
+        return hideMarks();
+
+      case 'click_at':
+        return handleClickAt(params);
+
+      case 'type_at':
+        return handleTypeAt(params);
+
+      case 'start_full_page':
+        return handleStartFullPage(params);
+
+      case 'scroll_full_page':
+        return handleScrollFullPage(params);
+
+      case 'end_full_page':
+        return handleEndFullPage();
+
       case 'list_frames':
         return handleListFrames(params);
 
+      case 'resolve_frame':
+        return handleResolveFrame(params);
+
       case 'update_setting':
         if ('captureLogSource' in params) {
           captureLogSource = params.captureLogSource;
           // Also update the page script
           window.postMessage({ type: '__claude_assistant_setting', captureLogSource: params.captureLogSource }, '*');
         }
+        if ('dialogPolicy' in params) {
+          window.postMessage({ type: '__claude_assistant_setting', dialogPolicy: params.dialogPolicy }, '*');
+        }
+        if ('responseStatusRules' in params) {
+          window.postMessage({ type: '__claude_assistant_setting', responseStatusRules: params.responseStatusRules }, '*');
+        }
         return { success: true };
 
       // User-driven selection mode
@@ -642,6 +1224,20 @@
       case 'clear_user_selections':
         return clearUserSelections();
 
+      // Side-effect reports around interaction tools
+      case 'start_effects':
+        return handleStartEffects();
+
+      case 'collect_effects':
+        return handleCollectEffects();
+
+      // Macro recorder
+      case 'start_recording':
+        return startRecorder();
+
+      case 'stop_recording':
+        return stopRecorder();
+
       // Clean text (remove excessive blank lines)
       case 'clean_text':
         return handleCleanText(params);
@@ -678,14 +1274,67 @@
     }
   }
 
+  /**
+   * Shadow root of a host. Content scripts can also reach closed roots
+   * (Firefox openOrClosedShadowRoot).
+   */
+  function getShadowRoot(host) {
+    return host.openOrClosedShadowRoot || host.shadowRoot || null;
+  }
+
+  /**
+   * querySelectorAll that crosses shadow roots: "host >>> inner" matches
+   * `inner` inside the shadow root of every `host`. Segments chain
+   * ("app-shell >>> nav-menu >>> button").
+   */
+  function querySelectorAllDeep(selector, root = document) {
+    const parts = selector.split('>>>').map(part => part.trim());
+    if (parts.some(part => !part)) {
+      throw new Error(`Invalid selector: ${selector} (empty segment around >>>)`);
+    }
+
+    let scopes = [root];
+    for (const hostSelector of parts.slice(0, -1)) {
+      scopes = scopes
+        .flatMap(scope => Array.from(scope.querySelectorAll(hostSelector)))
+        .map(getShadowRoot)
+        .filter(Boolean);
+    }
+    const target = parts[parts.length - 1];
+    return scopes.flatMap(scope => Array.from(scope.querySelectorAll(target)));
+  }
+
+  function querySelectorDeep(selector, root = document) {
+    if (!selector.includes('>>>')) return root.querySelector(selector);
+    return querySelectorAllDeep(selector, root)[0] || null;
+  }
+
   function findElement(selector) {
-    const element = document.querySelector(selector);
+    const element = querySelectorDeep(selector);
     if (!element) {
       throw new Error(`Element not found: ${selector}`);
     }
     return element;
   }
 
+  /**
+   * Element for a tool call: a snapshot ref when given, else the CSS selector
+   */
+  function findTarget(params) {
+    if (params.ref) return resolveRef(params.ref);
+    if (!params.selector) throw new Error('selector or ref is required');
+    return findElement(params.selector);
+  }
+
+  /**
+   * Target fields for a result. Ref calls also get a unique selector, so the
+   * step can be recorded and replayed after the ref expires.
+   */
+  function describeTarget(params, element) {
+    if (!params.ref) return { selector: params.selector };
+    return { ref: params.ref, selector: buildRecorderSelector(element) };
+  }
+
   // ==========================================================================
   // DOM Query Handlers
   // ==========================================================================
@@ -694,7 +1343,7 @@
     const { selector, all } = params;
 
     if (all) {
-      const elements = Array.from(document.querySelectorAll(selector));
+      const elements = querySelectorAllDeep(selector);
       return {
         elements: elements.map((el, index) => ({
           index,
@@ -705,7 +1354,7 @@
         }))
       };
     } else {
-      const element = document.querySelector(selector);
+      const element = querySelectorDeep(selector);
       if (!element) {
         return { found: false };
       }
@@ -734,8 +1383,8 @@
   }
 
   function handleGetElementProperties(params) {
-    const { selector, properties } = params;
-    const element = findElement(selector);
+    const { properties } = params;
+    const element = findTarget(params);
 
     const result = {
       tagName: element.tagName,
@@ -771,8 +1420,7 @@
   }
 
   function handleGetElementBounds(params) {
-    const { selector } = params;
-    const element = findElement(selector);
+    const element = findTarget(params);
     const rect = element.getBoundingClientRect();
 
     return {
@@ -946,7 +1594,7 @@
       return spaces + '<' + tag + attrs + '>\n' + childResults.join('\n') + '\n' + spaces + '</' + tag + '>';
     }
 
-    const root = document.querySelector(selector);
+    const root = querySelectorDeep(selector);
     if (!root) {
       return { error: 'Selector not found', selector: selector };
     }
@@ -959,42 +1607,899 @@
   }
 
   // ==========================================================================
-  // Script Execution
+  // Accessibility Snapshot
+  // Compact role/name/state tree with short refs (e1, e2...) on interactive
+  // nodes. Refs resolve in findTarget() until the next snapshot replaces them.
   // ==========================================================================
 
-  async function handleExecuteScript(params) {
-    const { script, code, preview, force } = params;
-    const scriptCode = script || code; // Support both 'script' and 'code' parameter names
-    const PAYLOAD_LIMIT = 50000; // 50KB threshold
+  const SNAPSHOT_DEFAULT_MAX_NODES = 500;
+  const SNAPSHOT_MAX_NAME_LENGTH = 80;
+  const SNAPSHOT_MAX_TEXT_LENGTH = 100;
+  const SNAPSHOT_REF_PATTERN = /^e\d+$/;
+
+  const SNAPSHOT_INTERACTIVE_ROLES = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+    'listbox', 'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab',
+    'switch', 'slider', 'spinbutton', 'treeitem'
+  ]);
+
+  // Roles whose accessible name comes from their text content
+  const SNAPSHOT_NAME_FROM_CONTENT = new Set([
+    'button', 'link', 'heading', 'option', 'tab', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'treeitem', 'cell', 'columnheader', 'rowheader', 'switch',
+    'checkbox', 'radio', 'tooltip'
+  ]);
+
+  // Landmark/structure roles kept in the tree even without a name
+  const SNAPSHOT_STRUCTURE_ROLES = new Set([
+    'navigation', 'main', 'banner', 'contentinfo', 'complementary', 'search',
+    'dialog', 'alertdialog', 'list', 'listitem', 'table', 'row', 'heading', 'img',
+    'tablist', 'tabpanel', 'menu', 'menubar', 'tree', 'grid', 'alert', 'status',
+    'progressbar'
+  ]);
+
+  let snapshotRefs = new Map();
+  let snapshotRefCounter = 0;
+
+  function implicitRole(el) {
+    const tag = el.tagName.toLowerCase();
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return el.hasAttribute('href') ? 'link' : null;
+      case 'button':
+      case 'summary':
+        return 'button';
+      case 'input': {
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        if (type === 'hidden') return null;
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox') return 'checkbox';
+        if (type === 'radio') return 'radio';
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (type === 'search') return el.hasAttribute('list') ? 'combobox' : 'searchbox';
+        return el.hasAttribute('list') ? 'combobox' : 'textbox';
+      }
+      case 'select':
+        return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'textarea':
+        return 'textbox';
+      case 'option':
+        return 'option';
+      case 'img':
+        return el.getAttribute('alt') === '' ? null : 'img';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return 'heading';
+      case 'nav':
+        return 'navigation';
+      case 'main':
+        return 'main';
+      case 'aside':
+        return 'complementary';
+      case 'header':
+        return el.closest('article, aside, main, nav, section') ? null : 'banner';
+      case 'footer':
+        return el.closest('article, aside, main, nav, section') ? null : 'contentinfo';
+      case 'form':
+        return 'form';
+      case 'section':
+        return 'region';
+      case 'dialog':
+        return 'dialog';
+      case 'ul':
+      case 'ol':
+        return 'list';
+      case 'li':
+        return 'listitem';
+      case 'table':
+        return 'table';
+      case 'tr':
+        return 'row';
+      case 'th':
+        return el.closest('thead') || el.getAttribute('scope') === 'col' ? 'columnheader' : 'rowheader';
+      case 'td':
+        return 'cell';
+      case 'fieldset':
+        return 'group';
+      case 'progress':
+        return 'progressbar';
+      default:
+        if (el.isContentEditable && !el.parentElement?.isContentEditable) return 'textbox';
+        return null;
+    }
+  }
 
-    if (!scriptCode) {
-      return { error: 'No script/code provided' };
+  function getRole(el) {
+    const explicit = el.getAttribute('role')?.trim().split(/\s+/)[0];
+    if (explicit && explicit !== 'presentation' && explicit !== 'none') return explicit;
+    if (explicit) return null;
+    return implicitRole(el);
+  }
+
+  function snapshotText(text, max) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > max ? clean.slice(0, max - 3) + '...' : clean;
+  }
+
+  function getAccessibleName(el, role) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' ');
+      if (text.trim()) return snapshotText(text, SNAPSHOT_MAX_NAME_LENGTH);
     }
 
-    let result;
-    try {
-      result = eval(scriptCode);
-      // Handle promises returned from evaluated scripts
-      if (result && typeof result.then === 'function') {
-        result = await result;
-      }
-    } catch (evalError) {
-      return {
-        error: 'Script execution failed',
-        message: evalError.message,
-        name: evalError.name
-      };
+    const ariaLabel = el.getAttribute('aria-label');
+    if (ariaLabel?.trim()) return snapshotText(ariaLabel, SNAPSHOT_MAX_NAME_LENGTH);
+
+    if (el.labels?.length > 0) {
+      return snapshotText(Array.from(el.labels).map(label => label.textContent).join(' '), SNAPSHOT_MAX_NAME_LENGTH);
     }
 
-    // Check payload size
-    let serialized;
-    try {
-      serialized = JSON.stringify(result);
-    } catch (e) {
-      serialized = String(result);
+    const tag = el.tagName;
+    if ((tag === 'IMG' || tag === 'AREA') && el.alt) return snapshotText(el.alt, SNAPSHOT_MAX_NAME_LENGTH);
+    if (tag === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return snapshotText(el.value || el.type, SNAPSHOT_MAX_NAME_LENGTH);
+    }
+    if (tag === 'FIELDSET') {
+      const legend = el.querySelector(':scope > legend');
+      if (legend) return snapshotText(legend.textContent, SNAPSHOT_MAX_NAME_LENGTH);
     }
 
-    const payloadSize = serialized.length;
+    if (SNAPSHOT_NAME_FROM_CONTENT.has(role)) {
+      const text = snapshotText(el.innerText || el.textContent, SNAPSHOT_MAX_NAME_LENGTH);
+      if (text) return text;
+    }
+
+    return snapshotText(el.getAttribute('title') || el.getAttribute('placeholder') || '', SNAPSHOT_MAX_NAME_LENGTH);
+  }
+
+  function getSnapshotStates(el, role) {
+    const states = [];
+    const aria = name => el.getAttribute(`aria-${name}`);
+
+    if (role === 'heading') {
+      const level = aria('level') || el.tagName.match(/^H(\d)$/)?.[1];
+      if (level) states.push(`level=${level}`);
+    }
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      if (el.checked) states.push('checked');
+    } else if (aria('checked') === 'true' || aria('checked') === 'mixed') {
+      states.push(aria('checked') === 'mixed' ? 'checked=mixed' : 'checked');
+    }
+    if (aria('pressed') === 'true') states.push('pressed');
+    if (aria('selected') === 'true' || (el.tagName === 'OPTION' && el.selected)) states.push('selected');
+    if (aria('expanded') !== null) states.push(`expanded=${aria('expanded')}`);
+    if (el.tagName === 'DETAILS' || (el.tagName === 'SUMMARY' && el.parentElement?.tagName === 'DETAILS')) {
+      const details = el.tagName === 'DETAILS' ? el : el.parentElement;
+      states.push(`expanded=${details.open}`);
+    }
+    if (el.disabled || aria('disabled') === 'true') states.push('disabled');
+    if (el.required || aria('required') === 'true') states.push('required');
+    if (aria('invalid') === 'true') states.push('invalid');
+    if (el.readOnly) states.push('readonly');
+    if (document.activeElement === el) states.push('focused');
+    return states;
+  }
+
+  function getSnapshotValue(el, role) {
+    if (el.tagName === 'INPUT' && el.type === 'password') return el.value ? '****' : '';
+    if (role === 'combobox' && el.tagName === 'SELECT') {
+      return snapshotText(el.selectedOptions[0]?.textContent, SNAPSHOT_MAX_TEXT_LENGTH);
+    }
+    if (['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider'].includes(role)) {
+      const value = el.isContentEditable ? el.innerText : el.value;
+      return snapshotText(value, SNAPSHOT_MAX_TEXT_LENGTH);
+    }
+    return '';
+  }
+
+  function isInteractive(el, role) {
+    if (SNAPSHOT_INTERACTIVE_ROLES.has(role)) return true;
+    // Clickable containers without a role (div onclick, tabindex widgets)
+    return el.hasAttribute('onclick') || (el.tabIndex >= 0 && el.hasAttribute('tabindex') && !['BODY', 'HTML'].includes(el.tagName));
+  }
+
+  function isSnapshotHidden(el, style) {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse') return true;
+    return false;
+  }
+
+  function quoteSnapshot(text) {
+    return '"' + text.replace(/"/g, '\\"') + '"';
+  }
+
+  function handleGetAccessibilitySnapshot(params) {
+    const maxNodes = params.maxNodes || SNAPSHOT_DEFAULT_MAX_NODES;
+    const interactiveOnly = params.interactiveOnly || false;
+    const root = params.selector ? findElement(params.selector) : document.body;
+    if (!root) throw new Error('Page has no body yet');
+
+    // Previous refs expire with this snapshot
+    snapshotRefs = new Map();
+    const lines = [];
+    let truncated = false;
+
+    function emit(indent, line) {
+      if (lines.length >= maxNodes) {
+        truncated = true;
+        return false;
+      }
+      lines.push('  '.repeat(indent) + '- ' + line);
+      return true;
+    }
+
+    function walkChildren(node, indent) {
+      const shadowRoot = getShadowRoot(node);
+      const children = shadowRoot ? [...shadowRoot.childNodes, ...node.childNodes] : node.childNodes;
+      for (const child of children) {
+        if (truncated) return;
+        if (child.nodeType === Node.TEXT_NODE) {
+          if (interactiveOnly) continue;
+          const text = snapshotText(child.textContent, SNAPSHOT_MAX_TEXT_LENGTH);
+          if (text) emit(indent, `text ${quoteSnapshot(text)}`);
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          walk(child, indent);
+        }
+      }
+    }
+
+    function walk(el, indent) {
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD'].includes(el.tagName)) return;
+      const style = window.getComputedStyle(el);
+      if (isSnapshotHidden(el, style)) return;
+
+      const role = getRole(el);
+      const interactive = isInteractive(el, role);
+      const name = role || interactive ? getAccessibleName(el, role) : '';
+      const keep = interactive ||
+        (!interactiveOnly && role && (SNAPSHOT_STRUCTURE_ROLES.has(role) || name));
+
+      if (!keep) {
+        walkChildren(el, indent);
+        return;
+      }
+
+      let line = role || 'generic';
+      if (name) line += ' ' + quoteSnapshot(name);
+      if (interactive) {
+        const ref = `e${++snapshotRefCounter}`;
+        snapshotRefs.set(ref, el);
+        line += ` [ref=${ref}]`;
+      }
+      for (const state of getSnapshotStates(el, role)) line += ` [${state}]`;
+      const value = getSnapshotValue(el, role);
+      if (value) line += ` value=${quoteSnapshot(value)}`;
+      if (role === 'link' && el.getAttribute('href') && !interactiveOnly) {
+        const href = el.getAttribute('href');
+        line += ` href=${quoteSnapshot(href.length > 80 ? href.slice(0, 77) + '...' : href)}`;
+      }
+      if (!emit(indent, line)) return;
+
+      // Named leaves (buttons, links, headings) already carry their text
+      const nameFromContent = SNAPSHOT_NAME_FROM_CONTENT.has(role) && name;
+      if (nameFromContent && !el.querySelector('a, button, input, select, textarea, [role], [tabindex]')) return;
+      // Field contents are already in value=
+      if (role === 'textbox' || role === 'searchbox' || (el.tagName === 'SELECT' && role === 'combobox')) return;
+      walkChildren(el, interactiveOnly ? indent : indent + 1);
+    }
+
+    walk(root, 0);
+
+    return {
+      snapshot: lines.join('\n'),
+      refCount: snapshotRefs.size,
+      nodeCount: lines.length,
+      truncated,
+      url: location.href,
+      title: document.title,
+      hint: truncated
+        ? `Snapshot cut at ${maxNodes} nodes - pass selector to snapshot a region or interactiveOnly: true`
+        : 'Pass ref (e.g. "e12") instead of selector to click_element, type_text, select_option, etc. Refs expire at the next snapshot.'
+    };
+  }
+
+  /**
+   * Element for a ref from the latest snapshot
+   */
+  function resolveRef(ref) {
+    const element = snapshotRefs.get(ref);
+    if (!element) {
+      throw new Error(`Unknown ref: ${ref}. Refs expire when a new snapshot is taken - call get_accessibility_snapshot again.`);
+    }
+    if (!element.isConnected) {
+      throw new Error(`Ref ${ref} is no longer on the page (it was re-rendered) - take a new snapshot.`);
+    }
+    return element;
+  }
+
+  // ==========================================================================
+  // Set-of-Marks and Coordinate Targeting
+  // Numbered boxes over the visible interactive elements for a labeled
+  // screenshot, and clicks/typing at viewport coordinates for pages that are
+  // easier to drive by sight (canvas apps, obfuscated class names).
+  // ==========================================================================
+
+  const MARKS_DEFAULT_MAX = 150;
+  const MARK_MIN_SIZE = 4;
+  const MARK_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#9a6324', '#800000'];
+
+  // Pointer buttons: 'button' value and 'buttons' bitmask
+  const POINTER_BUTTONS = {
+    left: { button: 0, buttons: 1 },
+    middle: { button: 1, buttons: 4 },
+    right: { button: 2, buttons: 2 }
+  };
+
+  /**
+   * elementFromPoint that descends into shadow roots
+   */
+  function deepElementFromPoint(x, y) {
+    let el = document.elementFromPoint(x, y);
+    while (el) {
+      const shadowRoot = getShadowRoot(el);
+      const inner = shadowRoot?.elementFromPoint(x, y);
+      if (!inner || inner === el) break;
+      el = inner;
+    }
+    return el;
+  }
+
+  // contains() across shadow boundaries
+  function composedContains(ancestor, node) {
+    for (let current = node; current; current = current.parentNode || current.host) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  function collectInteractive(root, found) {
+    for (const el of root.querySelectorAll('*')) {
+      if (isInteractive(el, getRole(el))) found.push(el);
+      const shadowRoot = getShadowRoot(el);
+      if (shadowRoot) collectInteractive(shadowRoot, found);
+    }
+    return found;
+  }
+
+  /**
+   * In the viewport, big enough to hit, and not covered by something else
+   */
+  function isMarkable(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width < MARK_MIN_SIZE || rect.height < MARK_MIN_SIZE) return false;
+    if (rect.bottom <= 0 || rect.right <= 0 || rect.top >= window.innerHeight || rect.left >= window.innerWidth) return false;
+
+    const style = window.getComputedStyle(el);
+    if (isSnapshotHidden(el, style) || Number(style.opacity) === 0) return false;
+
+    const center = visibleCenter(rect);
+    const hit = deepElementFromPoint(center.x, center.y);
+    return !!hit && (composedContains(el, hit) || composedContains(hit, el));
+  }
+
+  // Center of the part of the rect inside the viewport
+  function visibleCenter(rect) {
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    const right = Math.min(rect.right, window.innerWidth);
+    const bottom = Math.min(rect.bottom, window.innerHeight);
+    return { x: (left + right) / 2, y: (top + bottom) / 2 };
+  }
+
+  function drawMarks(marks) {
+    hideMarks();
+    const overlay = document.createElement('div');
+    overlay.id = 'claude-marks-overlay';
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;pointer-events:none;';
+
+    for (const mark of marks) {
+      const color = MARK_COLORS[(mark.label - 1) % MARK_COLORS.length];
+      const { x, y, width, height } = mark.bounds;
+      const box = document.createElement('div');
+      box.style.cssText = `position:absolute;left:${x}px;top:${y}px;width:${width}px;height:${height}px;` +
+        `box-sizing:border-box;border:2px solid ${color};border-radius:2px;`;
+      const tag = document.createElement('span');
+      tag.textContent = String(mark.label);
+      // Above the box, or inside it when the box touches the top edge
+      tag.style.cssText = `position:absolute;left:-2px;${y < 16 ? 'top:0' : 'bottom:100%'};background:${color};color:#fff;` +
+        'font:bold 11px/14px monospace;padding:0 3px;border-radius:2px;white-space:nowrap;';
+      box.appendChild(tag);
+      overlay.appendChild(box);
+    }
+
+    document.documentElement.appendChild(overlay);
+  }
+
+  function hideMarks() {
+    document.getElementById('claude-marks-overlay')?.remove();
+    return { success: true };
+  }
+
+  /**
+   * Label the visible interactive elements and draw the overlay. The caller
+   * captures the screenshot and then calls hide_marks.
+   */
+  function handleShowMarks(params) {
+    const maxMarks = params.maxMarks || MARKS_DEFAULT_MAX;
+    if (!document.body) throw new Error('Page has no body yet');
+
+    const candidates = collectInteractive(document.body, []).filter(isMarkable);
+    // An interactive element inside another (icon span in a button) shares its mark
+    const elements = candidates.filter(el => !candidates.some(other => other !== el && composedContains(other, el)));
+
+    const marks = elements.slice(0, maxMarks).map((el, index) => {
+      const rect = el.getBoundingClientRect();
+      const role = getRole(el);
+      const center = visibleCenter(rect);
+      return {
+        label: index + 1,
+        selector: buildRecorderSelector(el),
+        role: role || el.tagName.toLowerCase(),
+        name: getAccessibleName(el, role),
+        bounds: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+        center: roundPoint(center)
+      };
+    });
+
+    drawMarks(marks);
+    return {
+      marks,
+      truncated: elements.length > maxMarks,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio,
+        scrollX: Math.round(window.scrollX),
+        scrollY: Math.round(window.scrollY)
+      }
+    };
+  }
+
+  /**
+   * Element under a viewport point. Points over an iframe cannot be followed
+   * from here - the error gives the frame selector and frame-relative point.
+   */
+  function elementAtPoint(x, y) {
+    if (typeof x !== 'number' || typeof y !== 'number') {
+      throw new Error('x and y are required (viewport CSS pixels)');
+    }
+    if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+      throw new Error(`(${x}, ${y}) is outside the ${window.innerWidth}x${window.innerHeight} viewport - scroll first`);
+    }
+    const el = deepElementFromPoint(x, y);
+    if (!el) throw new Error(`No element at (${x}, ${y})`);
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      const rect = el.getBoundingClientRect();
+      throw new Error(`(${x}, ${y}) is inside an iframe - call again with frame: ${JSON.stringify(buildRecorderSelector(el))} ` +
+        `and x: ${Math.round(x - rect.left - el.clientLeft)}, y: ${Math.round(y - rect.top - el.clientTop)}`);
+    }
+    return el;
+  }
+
+  function pointerInit(point, button, buttons) {
+    return {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: point.x,
+      clientY: point.y,
+      screenX: point.x + window.mozInnerScreenX,
+      screenY: point.y + window.mozInnerScreenY,
+      button,
+      buttons
+    };
+  }
+
+  /**
+   * Full press/release/click sequence at a point, as a real mouse would send it
+   */
+  function clickAtPoint(point, buttonName = 'left', clickCount = 1) {
+    const { button, buttons } = POINTER_BUTTONS[buttonName] || POINTER_BUTTONS.left;
+    const target = elementAtPoint(point.x, point.y);
+    const pointer = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    for (let detail = 1; detail <= clickCount; detail++) {
+      target.dispatchEvent(new PointerEvent('pointerdown', { ...pointerInit(point, button, buttons), ...pointer }));
+      target.dispatchEvent(new MouseEvent('mousedown', { ...pointerInit(point, button, buttons), detail }));
+      // Synthetic mousedown does not move focus
+      if (detail === 1) {
+        const focusable = target.closest('input, textarea, select, button, a[href], [tabindex], [contenteditable]');
+        if (focusable && document.activeElement !== focusable) focusable.focus({ preventScroll: true });
+      }
+      target.dispatchEvent(new PointerEvent('pointerup', { ...pointerInit(point, button, 0), ...pointer }));
+      target.dispatchEvent(new MouseEvent('mouseup', { ...pointerInit(point, button, 0), detail }));
+      if (buttonName === 'right') {
+        target.dispatchEvent(new MouseEvent('contextmenu', { ...pointerInit(point, button, 0), detail }));
+      } else if (buttonName === 'left') {
+        target.dispatchEvent(new MouseEvent('click', { ...pointerInit(point, button, 0), detail }));
+      }
+    }
+    if (clickCount === 2 && buttonName === 'left') {
+      target.dispatchEvent(new MouseEvent('dblclick', { ...pointerInit(point, button, 0), detail: 2 }));
+    }
+    return target;
+  }
+
+  function describePointTarget(el) {
+    const role = getRole(el);
+    return { target: buildRecorderSelector(el), role: role || el.tagName.toLowerCase(), name: getAccessibleName(el, role) };
+  }
+
+  function handleClickAt(params) {
+    const { x, y, button = 'left', clickCount = 1 } = params;
+    if (!POINTER_BUTTONS[button]) {
+      throw new Error(`Unknown button: ${button} (use left, middle or right)`);
+    }
+    const target = clickAtPoint({ x, y }, button, Math.min(Math.max(clickCount, 1), 3));
+    return { success: true, clicked: true, x, y, button, ...describePointTarget(target) };
+  }
+
+  async function handleTypeAt(params) {
+    const { x, y, text } = params;
+    const mode = params.mode || 'replace';
+    if (!TYPE_MODES.includes(mode)) {
+      throw new Error(`Unknown mode: ${mode} (use ${TYPE_MODES.join(', ')})`);
+    }
+
+    const focusedBefore = document.activeElement;
+    const target = clickAtPoint({ x, y });
+    // Only the element at the point (or an editor around it) or a field the click focused,
+    // e.g. through a label - never some field elsewhere inside a large container
+    const focused = document.activeElement !== focusedBefore ? document.activeElement : null;
+    const field = detectEditor(target, false) ? target : focused;
+    if (!field || !detectEditor(field, false)) {
+      throw new Error(`No text field or editor at (${x}, ${y}) - found <${target.tagName.toLowerCase()}> ${buildRecorderSelector(target)}`);
+    }
+
+    const typed = await typeIntoEditor(field, String(text ?? ''), mode);
+    return { success: true, typed: true, x, y, ...describePointTarget(field), ...typed };
+  }
+
+  // ==========================================================================
+  // Full-Page Capture
+  // Scrolls the page (or a scroll container) segment by segment for the
+  // background script to capture and stitch. Fixed elements are hidden after
+  // the first segment and sticky ones pinned in place, so headers and chat
+  // widgets appear once instead of on every segment.
+  // ==========================================================================
+
+  let fullPageCapture = null;
+
+  function isDocumentScroller(el) {
+    return el === document.scrollingElement || el === document.documentElement || el === document.body;
+  }
+
+  /**
+   * Measure the scroll area and the viewport rect each segment shows
+   */
+  function handleStartFullPage(params) {
+    if (fullPageCapture) handleEndFullPage();
+
+    const scroller = params.selector ? findElement(params.selector) : (document.scrollingElement || document.documentElement);
+    const isDocument = isDocumentScroller(scroller);
+    if (!isDocument && scroller.scrollHeight <= scroller.clientHeight) {
+      throw new Error(`Element is not scrollable: ${params.selector}`);
+    }
+
+    let rect;
+    if (isDocument) {
+      rect = { x: 0, y: 0, width: document.documentElement.clientWidth, height: document.documentElement.clientHeight };
+    } else {
+      const bounds = scroller.getBoundingClientRect();
+      const x = Math.max(bounds.left + scroller.clientLeft, 0);
+      const y = Math.max(bounds.top + scroller.clientTop, 0);
+      rect = {
+        x,
+        y,
+        width: Math.min(scroller.clientWidth, window.innerWidth - x),
+        height: Math.min(scroller.clientHeight, window.innerHeight - y)
+      };
+      if (rect.width <= 0 || rect.height <= 0) {
+        throw new Error(`Scroll container is outside the viewport - scroll it into view first: ${params.selector}`);
+      }
+    }
+
+    fullPageCapture = {
+      scroller,
+      isDocument,
+      scrollX: isDocument ? window.scrollX : scroller.scrollLeft,
+      scrollY: isDocument ? window.scrollY : scroller.scrollTop,
+      scrollBehavior: [scroller, document.documentElement].map(el => [el, el.style.getPropertyValue('scroll-behavior')]),
+      neutralized: null
+    };
+    // Smooth scrolling would still be moving when the segment is captured
+    for (const [el] of fullPageCapture.scrollBehavior) el.style.setProperty('scroll-behavior', 'auto', 'important');
+
+    return {
+      rect: {
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        width: Math.floor(rect.width),
+        height: Math.floor(rect.height)
+      },
+      scrollHeight: scroller.scrollHeight,
+      container: !isDocument
+    };
+  }
+
+  // Hide fixed elements, pin sticky ones where they sit in the flow
+  function neutralizeFixedElements() {
+    const { scroller, isDocument } = fullPageCapture;
+    const changed = [];
+
+    for (const el of document.querySelectorAll('body *')) {
+      const position = window.getComputedStyle(el).position;
+      // A fixed app shell around the scroll container stays
+      if (position === 'fixed' && (isDocument || !el.contains(scroller))) {
+        changed.push([el, 'visibility', el.style.getPropertyValue('visibility'), el.style.getPropertyPriority('visibility')]);
+        el.style.setProperty('visibility', 'hidden', 'important');
+      } else if (position === 'sticky' && (isDocument || scroller.contains(el))) {
+        changed.push([el, 'position', el.style.getPropertyValue('position'), el.style.getPropertyPriority('position')]);
+        el.style.setProperty('position', 'static', 'important');
+      }
+    }
+    return changed;
+  }
+
+  function handleScrollFullPage(params) {
+    if (!fullPageCapture) throw new Error('No full-page capture in progress');
+    const { scroller, isDocument } = fullPageCapture;
+    const y = Math.max(Number(params.y) || 0, 0);
+
+    if (y > 0 && !fullPageCapture.neutralized) {
+      fullPageCapture.neutralized = neutralizeFixedElements();
+    }
+    if (isDocument) {
+      window.scrollTo(0, y);
+    } else {
+      scroller.scrollTop = y;
+    }
+
+    // The last segment stops short when the page cannot scroll further
+    return {
+      y: Math.round(isDocument ? window.scrollY : scroller.scrollTop),
+      scrollHeight: scroller.scrollHeight
+    };
+  }
+
+  function handleEndFullPage() {
+    if (!fullPageCapture) return { success: true };
+    const { scroller, isDocument, scrollX, scrollY, scrollBehavior, neutralized } = fullPageCapture;
+    fullPageCapture = null;
+
+    for (const [el, property, value, priority] of neutralized || []) {
+      if (value) {
+        el.style.setProperty(property, value, priority);
+      } else {
+        el.style.removeProperty(property);
+      }
+    }
+    if (isDocument) {
+      window.scrollTo(scrollX, scrollY);
+    } else {
+      scroller.scrollLeft = scrollX;
+      scroller.scrollTop = scrollY;
+    }
+    for (const [el, value] of scrollBehavior) {
+      if (value) {
+        el.style.setProperty('scroll-behavior', value);
+      } else {
+        el.style.removeProperty('scroll-behavior');
+      }
+    }
+    return { success: true };
+  }
+
+  // ==========================================================================
+  // Script Execution
+  // ==========================================================================
+
+  const PAGE_SCRIPT_TIMEOUT = 10000;
+
+  /**
+   * Convert a script result to plain data that survives structured clone and
+   * JSON (DOM nodes, functions, Maps, cycles...). Self-contained: its source is
+   * also injected into page-world scripts, and it only duck-types so it works
+   * on objects from either world.
+   */
+  function toCloneable(value, depth = 0, seen = new WeakSet()) {
+    if (value === null || value === undefined) return value;
+    const type = typeof value;
+    if (type === 'string' || type === 'number' || type === 'boolean') return value;
+    if (type === 'bigint') return value.toString();
+    if (type === 'symbol') return value.toString();
+    if (type === 'function') return '[function ' + (value.name || 'anonymous') + ']';
+    if (depth > 20) return '[max depth]';
+
+    try {
+      if (value === value.window) return '[Window]';
+      if (typeof value.nodeType === 'number' && typeof value.nodeName === 'string') {
+        if (value.nodeType !== 1) return '[' + value.nodeName + ']';
+        return '[<' + value.nodeName.toLowerCase() + (value.id ? '#' + value.id : '') + '>]';
+      }
+    } catch (e) {
+      return '[unreadable]';
+    }
+
+    const tag = Object.prototype.toString.call(value);
+    if (tag === '[object Date]') return isNaN(value) ? 'Invalid Date' : value.toISOString();
+    if (tag === '[object RegExp]') return String(value);
+    if (tag === '[object Error]' || (typeof value.message === 'string' && typeof value.stack === 'string')) {
+      return { name: value.name, message: value.message, stack: String(value.stack).slice(0, 500) };
+    }
+    if (tag === '[object Promise]') return '[Promise]';
+
+    // Only ancestors count as cycles; shared references are serialized again
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    let result;
+    if (tag === '[object Map]') {
+      result = Array.from(value.entries()).map(([k, v]) => [toCloneable(k, depth + 1, seen), toCloneable(v, depth + 1, seen)]);
+    } else if (tag === '[object Set]' || Array.isArray(value) || ArrayBuffer.isView(value)) {
+      result = Array.from(value).map(item => toCloneable(item, depth + 1, seen));
+    } else {
+      result = {};
+      for (const key of Object.keys(value)) {
+        try {
+          result[key] = toCloneable(value[key], depth + 1, seen);
+        } catch (e) {
+          result[key] = '[error: ' + e.message + ']';
+        }
+      }
+    }
+    seen.delete(value);
+    return result;
+  }
+
+  /**
+   * Whether code is a single expression (page-world scripts are compiled as
+   * function bodies, so expressions get an implicit return)
+   */
+  function isExpression(code) {
+    try {
+      new Function('return (' + code + '\n);');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Page-world script for one call: acks synchronously (so a CSP block can be
+   * detected right after injection), runs the body and posts the result back.
+   */
+  function buildPageWorldScript(id, body) {
+    return `(function() {
+  document.dispatchEvent(new CustomEvent('__claude_assistant_exec_ack_${id}'));
+  const toCloneable = ${toCloneable.toString()};
+  const post = (data) => window.postMessage(Object.assign({ type: '__claude_assistant_exec_result', id: '${id}' }, data), '*');
+  (async () => {
+${body}
+  })().then(
+    value => {
+      try {
+        post({ ok: true, value: toCloneable(value) });
+      } catch (e) {
+        post({ ok: false, name: 'DataCloneError', message: 'Result could not be serialized: ' + e.message });
+      }
+    },
+    error => post({ ok: false, name: (error && error.name) || 'Error', message: (error && error.message) || String(error) })
+  );
+})();`;
+  }
+
+  /**
+   * CSP fallback: run in the content script with `window`/`document` bound to
+   * the page's own objects via Xray waivers. Page globals are reachable as
+   * window.x, but bare global names resolve in the content script.
+   */
+  async function runWithXrayWaiver(body) {
+    const pageWindow = window.wrappedJSObject;
+    const run = new Function('window', 'document', 'globalThis', 'self', `return (async () => {\n${body}\n})();`);
+    const value = await run(pageWindow, document.wrappedJSObject, pageWindow, pageWindow);
+    return toCloneable(value);
+  }
+
+  /**
+   * Run code in the page's JS world and resolve with { value, via }
+   */
+  function runInPageWorld(code, timeout) {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2);
+    const body = isExpression(code) ? `return (${code}\n);` : code;
+    const ackEvent = `__claude_assistant_exec_ack_${id}`;
+
+    return new Promise((resolve, reject) => {
+      let acked = false;
+      const onAck = () => { acked = true; };
+      const onMessage = (event) => {
+        if (event.source !== window) return;
+        const data = event.data;
+        if (data?.type !== '__claude_assistant_exec_result' || data.id !== id) return;
+        cleanup();
+        if (data.ok) {
+          resolve({ value: data.value, via: 'page' });
+        } else {
+          const error = new Error(data.message);
+          error.name = data.name;
+          reject(error);
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Page script timed out after ${timeout}ms`));
+      }, timeout);
+
+      function cleanup() {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        document.removeEventListener(ackEvent, onAck);
+      }
+
+      document.addEventListener(ackEvent, onAck);
+      window.addEventListener('message', onMessage);
+
+      const pageScript = document.createElement('script');
+      pageScript.textContent = buildPageWorldScript(id, body);
+      (document.documentElement || document.head || document.body).appendChild(pageScript);
+      pageScript.remove();
+
+      // Inline scripts run synchronously on insertion - no ack means CSP blocked it
+      // (or it failed to parse, which the fallback reports as a SyntaxError)
+      if (!acked) {
+        cleanup();
+        runWithXrayWaiver(body).then(value => resolve({ value, via: 'xray' }), reject);
+      }
+    });
+  }
+
+  async function handleExecuteScript(params) {
+    const { script, code, preview, force, world = 'isolated', timeout } = params;
+    const scriptCode = script || code; // Support both 'script' and 'code' parameter names
+    const PAYLOAD_LIMIT = 50000; // 50KB threshold
+
+    if (!scriptCode) {
+      return { error: 'No script/code provided' };
+    }
+    if (world !== 'isolated' && world !== 'page') {
+      return { error: `Unknown world: ${world} (use 'page' or 'isolated')` };
+    }
+
+    let result;
+    let via = null;
+    try {
+      if (world === 'page') {
+        ({ value: result, via } = await runInPageWorld(scriptCode, timeout || PAGE_SCRIPT_TIMEOUT));
+      } else {
+        result = eval(scriptCode);
+        // Handle promises returned from evaluated scripts
+        if (result && typeof result.then === 'function') {
+          result = await result;
+        }
+      }
+    } catch (evalError) {
+      return {
+        error: 'Script execution failed',
+        message: evalError.message,
+        name: evalError.name,
+        ...(world === 'page' ? { world } : {})
+      };
+    }
+
+    // Check payload size
+    let serialized;
+    try {
+      serialized = JSON.stringify(result);
+    } catch (e) {
+      serialized = String(result);
+    }
+
+    const payloadSize = serialized.length;
 
     // If payload exceeds limit and not forced/preview
     if (payloadSize > PAYLOAD_LIMIT && !preview && !force) {
@@ -1020,6 +2525,10 @@
       };
     }
 
+    if (world === 'page') {
+      // via: 'page' (inline script) or 'xray' (CSP blocked inline scripts)
+      return { result, world, via };
+    }
     return { result };
   }
 
@@ -1028,35 +2537,27 @@
   // ==========================================================================
 
   function handleClickElement(params) {
-    const { selector } = params;
-    const element = findElement(selector);
+    const element = findTarget(params);
     element.click();
-    return { success: true, clicked: true, selector };
+    return { success: true, clicked: true, ...describeTarget(params, element) };
   }
 
-  function handleTypeText(params) {
-    const { selector, text, append } = params;
-    const element = findElement(selector);
-
-    element.focus();
-
-    // REPLACE by default, only append if explicitly requested
-    if (append) {
-      element.value += text;
-    } else {
-      element.value = text;
+  async function handleTypeText(params) {
+    const { text, append } = params;
+    // REPLACE by default; `append: true` is the older spelling of mode 'append'
+    const mode = params.mode || (append ? 'append' : 'replace');
+    if (!TYPE_MODES.includes(mode)) {
+      throw new Error(`Unknown mode: ${mode} (use ${TYPE_MODES.join(', ')})`);
     }
+    const element = findTarget(params);
 
-    // Trigger input events
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-
-    return { success: true, typed: true, selector, replaced: !append };
+    const typed = await typeIntoEditor(element, String(text ?? ''), mode);
+    return { success: true, typed: true, ...describeTarget(params, element), replaced: mode === 'replace', ...typed };
   }
 
   function handlePressKey(params) {
-    const { selector, key, ctrlKey, shiftKey, altKey, metaKey } = params;
-    const element = selector ? findElement(selector) : document.activeElement;
+    const { selector, ref, key, ctrlKey, shiftKey, altKey, metaKey } = params;
+    const element = selector || ref ? findTarget(params) : document.activeElement;
 
     const eventOptions = {
       key,
@@ -1077,11 +2578,11 @@
   }
 
   function handleScroll(params) {
-    const { x, y, selector } = params;
+    const { x, y, selector, ref } = params;
 
-    // If selector provided, scroll to element
-    if (selector) {
-      return handleScrollToElement({ selector, behavior: params.behavior });
+    // If selector or ref provided, scroll to element
+    if (selector || ref) {
+      return handleScrollToElement({ selector, ref, behavior: params.behavior });
     }
 
     window.scrollTo(x || 0, y || 0);
@@ -1089,15 +2590,14 @@
   }
 
   function handleScrollToElement(params) {
-    const { selector, behavior } = params;
-    const element = findElement(selector);
+    const { behavior } = params;
+    const element = findTarget(params);
     element.scrollIntoView({ behavior: behavior || 'smooth', block: 'center' });
-    return { success: true, scrolled: true, selector };
+    return { success: true, scrolled: true, ...describeTarget(params, element) };
   }
 
   function handleHoverElement(params) {
-    const { selector } = params;
-    const element = findElement(selector);
+    const element = findTarget(params);
 
     const rect = element.getBoundingClientRect();
     const eventOptions = {
@@ -1110,19 +2610,18 @@
     element.dispatchEvent(new MouseEvent('mouseover', eventOptions));
     element.dispatchEvent(new MouseEvent('mouseenter', eventOptions));
 
-    return { success: true };
+    return { success: true, ...describeTarget(params, element) };
   }
 
   function handleFocusElement(params) {
-    const { selector } = params;
-    const element = findElement(selector);
+    const element = findTarget(params);
     element.focus();
-    return { success: true };
+    return { success: true, ...describeTarget(params, element) };
   }
 
   function handleSelectOption(params) {
-    const { selector, value, index, text } = params;
-    const element = findElement(selector);
+    const { value, index, text } = params;
+    const element = findTarget(params);
 
     if (element.tagName !== 'SELECT') {
       throw new Error('Element is not a SELECT element');
@@ -1148,12 +2647,12 @@
     }
 
     element.dispatchEvent(new Event('change', { bubbles: true }));
-    return { success: true, selected: selectedOption };
+    return { success: true, selected: selectedOption, ...describeTarget(params, element) };
   }
 
   function handleSetCheckbox(params) {
-    const { selector, checked } = params;
-    const element = findElement(selector);
+    const { checked } = params;
+    const element = findTarget(params);
 
     if (element.type !== 'checkbox' && element.type !== 'radio') {
       throw new Error('Element is not a checkbox or radio button');
@@ -1161,10 +2660,10 @@
 
     element.checked = checked;
     element.dispatchEvent(new Event('change', { bubbles: true }));
-    return { success: true };
+    return { success: true, ...describeTarget(params, element) };
   }
 
-  function handleFillForm(params) {
+  async function handleFillForm(params) {
     const { fields } = params;
 
     if (!fields || typeof fields !== 'object') {
@@ -1174,11 +2673,17 @@
     const results = [];
     for (const [selector, value] of Object.entries(fields)) {
       try {
-        const element = findElement(selector);
-        element.value = value;
-        element.dispatchEvent(new Event('input', { bubbles: true }));
-        element.dispatchEvent(new Event('change', { bubbles: true }));
-        results.push({ selector, success: true });
+        // Keys may be snapshot refs as well as selectors
+        const element = SNAPSHOT_REF_PATTERN.test(selector) ? resolveRef(selector) : findElement(selector);
+        if (element.tagName === 'SELECT' || ['checkbox', 'radio', 'file'].includes(element.type)) {
+          element.value = value;
+          element.dispatchEvent(new Event('input', { bubbles: true }));
+          element.dispatchEvent(new Event('change', { bubbles: true }));
+          results.push({ selector, success: true });
+        } else {
+          const typed = await typeIntoEditor(element, String(value ?? ''), 'replace');
+          results.push({ selector, success: true, editor: typed.editor, verified: typed.verified });
+        }
       } catch (e) {
         results.push({ selector, success: false, error: e.message });
       }
@@ -1187,6 +2692,724 @@
     return { success: true, filled: true, fieldCount: Object.keys(fields).length, results };
   }
 
+  // ==========================================================================
+  // Drag and Pointer Gestures
+  // Pointer/mouse paths and HTML5 drag-and-drop for sortable lists, kanban
+  // boards, sliders and drop zones. Coordinates are viewport CSS pixels.
+  // ==========================================================================
+
+  const GESTURE_DEFAULT_STEPS = 10;
+  const GESTURE_STEP_DELAY_MS = 16;
+  const DROP_FILE_MAX_BYTES = 10 * 1024 * 1024;
+
+  const DROP_FILE_TYPES = {
+    txt: 'text/plain', csv: 'text/csv', json: 'application/json', html: 'text/html',
+    xml: 'application/xml', md: 'text/markdown', pdf: 'application/pdf', png: 'image/png',
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    svg: 'image/svg+xml', zip: 'application/zip'
+  };
+
+  function gestureDelay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function roundPoint(point) {
+    return { x: Math.round(point.x), y: Math.round(point.y) };
+  }
+
+  function centerOf(el, offsetX = 0, offsetY = 0) {
+    const rect = el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2 + offsetX, y: rect.top + rect.height / 2 + offsetY };
+  }
+
+  /**
+   * A path point: { x, y } or { selector | ref, offsetX?, offsetY? } (element center)
+   */
+  function resolvePoint(point) {
+    if (point?.selector || point?.ref) {
+      return centerOf(findTarget(point), point.offsetX || 0, point.offsetY || 0);
+    }
+    if (typeof point?.x !== 'number' || typeof point?.y !== 'number') {
+      throw new Error('Each point needs x and y, or a selector/ref');
+    }
+    return { x: point.x, y: point.y };
+  }
+
+  // Intermediate moves between points - drag libraries ignore a single jump
+  function interpolatePath(points, steps) {
+    const path = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      for (let step = 1; step <= steps; step++) {
+        path.push({ x: from.x + (to.x - from.x) * step / steps, y: from.y + (to.y - from.y) * step / steps });
+      }
+    }
+    return path;
+  }
+
+  function dispatchPointer(phase, point) {
+    const target = deepElementFromPoint(point.x, point.y) || document.body;
+    const init = pointerInit(point, 0, phase === 'up' ? 0 : 1);
+    target.dispatchEvent(new PointerEvent(`pointer${phase}`, { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true }));
+    target.dispatchEvent(new MouseEvent(`mouse${phase}`, init));
+    return target;
+  }
+
+  function dispatchDrag(target, type, point, dataTransfer) {
+    return target.dispatchEvent(new DragEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: point.x,
+      clientY: point.y,
+      dataTransfer
+    }));
+  }
+
+  /**
+   * Press at the first point, move along the path, release at the last.
+   * pointer: pointer + mouse events; html5: dragstart/dragover/drop/dragend
+   * on the draggable under the first point (as browsers do after mousedown).
+   */
+  async function runGesture(path, options) {
+    const { pointer = true, html5 = false, holdMs = 0, stepDelayMs = GESTURE_STEP_DELAY_MS } = options;
+    const start = path[0];
+    const end = path[path.length - 1];
+
+    const downTarget = dispatchPointer('down', start);
+    let drag = null;
+    if (html5) {
+      drag = { source: downTarget.closest('[draggable="true"]') || downTarget, dataTransfer: new DataTransfer(), over: null };
+      dispatchDrag(drag.source, 'dragstart', start, drag.dataTransfer);
+    }
+    if (holdMs > 0) await gestureDelay(holdMs);
+
+    for (const point of path.slice(1)) {
+      if (pointer) dispatchPointer('move', point);
+      if (drag) {
+        const over = document.elementFromPoint(point.x, point.y);
+        if (over && over !== drag.over) {
+          if (drag.over) dispatchDrag(drag.over, 'dragleave', point, drag.dataTransfer);
+          dispatchDrag(over, 'dragenter', point, drag.dataTransfer);
+          drag.over = over;
+        }
+        if (drag.over) dispatchDrag(drag.over, 'dragover', point, drag.dataTransfer);
+        dispatchDrag(drag.source, 'drag', point, drag.dataTransfer);
+      }
+      await gestureDelay(stepDelayMs);
+    }
+
+    const result = { downTarget: buildRecorderSelector(downTarget) };
+    if (drag) {
+      result.dropTarget = drag.over ? buildRecorderSelector(drag.over) : null;
+      // A drop handler that calls preventDefault() accepted the drop
+      result.dropHandled = drag.over ? !dispatchDrag(drag.over, 'drop', end, drag.dataTransfer) : false;
+      dispatchDrag(drag.source, 'dragend', end, drag.dataTransfer);
+    }
+    if (pointer) {
+      result.upTarget = buildRecorderSelector(dispatchPointer('up', end));
+    }
+    return result;
+  }
+
+  // Native range inputs ignore synthetic pointer events - set the value the drop point maps to
+  function setRangeFromPoint(input, point) {
+    const rect = input.getBoundingClientRect();
+    const min = input.min === '' ? 0 : Number(input.min);
+    const max = input.max === '' ? 100 : Number(input.max);
+    const step = input.step === '' || input.step === 'any' ? 0 : Number(input.step);
+    const ratio = Math.min(Math.max((point.x - rect.left) / rect.width, 0), 1);
+    let value = min + ratio * (max - min);
+    if (step > 0) value = min + Math.round((value - min) / step) * step;
+
+    setNativeValue(input, String(value));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    return { method: 'range-value', value: input.value };
+  }
+
+  async function handleDragElement(params) {
+    const { targetSelector, targetRef, offsetX, offsetY, method = 'auto' } = params;
+    if (!['auto', 'pointer', 'html5'].includes(method)) {
+      throw new Error(`Unknown method: ${method} (use auto, pointer or html5)`);
+    }
+    const source = findTarget(params);
+    source.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    const from = centerOf(source);
+
+    let to;
+    let target = null;
+    if (targetSelector || targetRef) {
+      target = findTarget({ selector: targetSelector, ref: targetRef });
+      // Offsets shift the drop point within the target (e.g. its top edge to drop above)
+      to = centerOf(target, offsetX || 0, offsetY || 0);
+    } else if (offsetX !== undefined || offsetY !== undefined) {
+      to = { x: from.x + (offsetX || 0), y: from.y + (offsetY || 0) };
+    } else {
+      throw new Error('Provide targetSelector/targetRef or offsetX/offsetY');
+    }
+
+    if (source.tagName === 'INPUT' && source.type === 'range') {
+      return { success: true, dragged: true, ...setRangeFromPoint(source, to), ...describeTarget(params, source) };
+    }
+
+    const draggable = source.closest('[draggable="true"]');
+    const html5 = method === 'html5' || (method === 'auto' && !!draggable);
+    const path = interpolatePath([from, to], params.steps || GESTURE_DEFAULT_STEPS);
+    const gesture = await runGesture(path, { pointer: !html5, html5, holdMs: params.holdMs, stepDelayMs: params.stepDelayMs });
+
+    return {
+      success: true,
+      dragged: true,
+      method: html5 ? 'html5' : 'pointer',
+      from: roundPoint(from),
+      to: roundPoint(to),
+      ...(target ? { target: buildRecorderSelector(target) } : {}),
+      ...gesture,
+      ...describeTarget(params, source)
+    };
+  }
+
+  async function handlePointerSequence(params) {
+    const { path, dnd = 'pointer' } = params;
+    if (!Array.isArray(path) || path.length < 2) {
+      throw new Error('path needs at least two points');
+    }
+    if (!['pointer', 'html5', 'both'].includes(dnd)) {
+      throw new Error(`Unknown dnd mode: ${dnd} (use pointer, html5 or both)`);
+    }
+
+    const points = path.map(resolvePoint);
+    const steps = params.steps ?? GESTURE_DEFAULT_STEPS;
+    const gesture = await runGesture(interpolatePath(points, Math.max(steps, 1)), {
+      pointer: dnd !== 'html5',
+      html5: dnd !== 'pointer',
+      holdMs: params.holdMs,
+      stepDelayMs: params.stepDelayMs
+    });
+
+    return { success: true, points: points.map(roundPoint), dnd, ...gesture };
+  }
+
+  function decodeBase64(base64) {
+    const binary = atob(base64.replace(/^data:[^,]*,/, '').replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  function handleDropFile(params) {
+    const { name = 'file.txt', content, base64, mimeType } = params;
+    if (content === undefined && base64 === undefined) {
+      throw new Error('content or base64 is required');
+    }
+
+    const bytes = base64 !== undefined ? decodeBase64(base64) : new TextEncoder().encode(String(content));
+    if (bytes.length > DROP_FILE_MAX_BYTES) {
+      throw new Error(`File is ${bytes.length} bytes (max ${DROP_FILE_MAX_BYTES})`);
+    }
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    const file = new File([bytes], name, { type: mimeType || DROP_FILE_TYPES[extension] || 'application/octet-stream' });
+    const dataTransfer = new DataTransfer();
+    dataTransfer.items.add(file);
+    const fileInfo = { name: file.name, size: file.size, type: file.type };
+
+    const element = findTarget(params);
+    if (element.tagName === 'INPUT' && element.type === 'file') {
+      element.files = dataTransfer.files;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+      return { success: true, attached: true, file: fileInfo, ...describeTarget(params, element) };
+    }
+
+    element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    const point = centerOf(element);
+    dispatchDrag(element, 'dragenter', point, dataTransfer);
+    dispatchDrag(element, 'dragover', point, dataTransfer);
+    const dropHandled = !dispatchDrag(element, 'drop', point, dataTransfer);
+
+    return { success: true, dropped: true, dropHandled, file: fileInfo, ...describeTarget(params, element) };
+  }
+
+  // ==========================================================================
+  // Typing Strategies
+  // Detects the editor behind a target and types through what it listens to:
+  // keystrokes on form fields, the public API of CodeMirror 5, Monaco and
+  // Quill, paste (Draft.js) or beforeinput (Slate) events, and a selection
+  // range + insertText for other contenteditable editors (ProseMirror,
+  // CodeMirror 6, Gmail). The editor's text is read back afterwards.
+  // ==========================================================================
+
+  const TYPE_MODES = ['replace', 'append', 'insert'];
+  // Longer text goes into form fields in one input event
+  const KEYSTROKE_MAX_LENGTH = 200;
+  const TYPE_REPORT_MAX_LENGTH = 500;
+  // Inputs that sanitize every write - a partial value ("2024-", "1.") is invalid and gets cleared
+  const WHOLE_VALUE_INPUT_TYPES = ['number', 'date', 'time', 'datetime-local', 'month', 'week', 'color', 'range'];
+  const EDITOR_SELECTOR = [
+    '.CodeMirror', '.monaco-editor', '.cm-editor', '.ql-container', '.DraftEditor-root',
+    '[data-slate-editor="true"]', '.ProseMirror', '[contenteditable="true"]', 'textarea',
+    'input:not([type="hidden"])'
+  ].join(', ');
+
+  // Lets editors sync their model with a DOM selection change
+  function waitForEditor() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  /**
+   * Editor behind an element: { type, root } (null if it takes no text).
+   * With searchInside, a wrapper element resolves to the first editor inside it.
+   */
+  function detectEditor(el, searchInside = true) {
+    const codeMirror5 = el.closest('.CodeMirror');
+    if (codeMirror5?.wrappedJSObject?.CodeMirror) return { type: 'codemirror5', root: codeMirror5 };
+
+    const monaco = el.closest('.monaco-editor');
+    if (monaco) return { type: 'monaco', root: monaco };
+
+    const codeMirror6 = el.closest('.cm-editor');
+    if (codeMirror6) return { type: 'codemirror6', root: codeMirror6.querySelector('.cm-content') || codeMirror6 };
+
+    const quill = el.closest('.ql-container');
+    if (quill) return { type: 'quill', root: quill.querySelector('.ql-editor') || quill, container: quill };
+
+    const draft = el.closest('.DraftEditor-root');
+    if (draft) return { type: 'draftjs', root: draft.querySelector('[contenteditable="true"]') || draft };
+
+    const slate = el.closest('[data-slate-editor="true"]');
+    if (slate) return { type: 'slate', root: slate };
+
+    const proseMirror = el.closest('.ProseMirror');
+    if (proseMirror) return { type: 'prosemirror', root: proseMirror };
+
+    if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') return { type: 'native', root: el };
+
+    if (el.isContentEditable) {
+      let root = el;
+      while (root.parentElement?.isContentEditable) root = root.parentElement;
+      return { type: 'contenteditable', root };
+    }
+
+    // A wrapper around the editor (e.g. a Jira field container)
+    if (!searchInside) return null;
+    const inner = el.querySelector(EDITOR_SELECTOR);
+    return inner ? detectEditor(inner) : null;
+  }
+
+  function getQuill(container) {
+    const page = container.wrappedJSObject;
+    return page.__quill || window.wrappedJSObject.Quill?.find?.(page) || null;
+  }
+
+  function getMonacoEditor(root) {
+    const editors = window.wrappedJSObject.monaco?.editor?.getEditors?.();
+    if (!editors) return null;
+    const target = root.wrappedJSObject;
+    for (let i = 0; i < editors.length; i++) {
+      const node = editors[i].getDomNode();
+      if (node && (node === target || node.contains(target))) return editors[i];
+    }
+    return null;
+  }
+
+  function readEditorText(editor) {
+    switch (editor.type) {
+      case 'native':
+        return editor.root.value;
+      case 'codemirror5':
+        return editor.root.wrappedJSObject.CodeMirror.getValue();
+      case 'monaco': {
+        const monaco = getMonacoEditor(editor.root);
+        return monaco ? monaco.getModel().getValue() : editor.root.querySelector('.view-lines')?.innerText || '';
+      }
+      case 'quill': {
+        const quill = getQuill(editor.container);
+        return quill ? quill.getText().replace(/\n$/, '') : editor.root.innerText;
+      }
+      default:
+        return editor.root.innerText;
+    }
+  }
+
+  /**
+   * Select the range the text should replace: everything (replace), the end
+   * (append), or the current selection inside the editor (insert)
+   */
+  function selectForMode(root, mode) {
+    root.focus();
+    const selection = window.getSelection();
+    if (mode === 'insert' && selection.rangeCount > 0 && root.contains(selection.anchorNode)) return;
+
+    const range = document.createRange();
+    range.selectNodeContents(root);
+    if (mode !== 'replace') range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  function typeNative(el, text, mode) {
+    el.focus();
+    let start = el.value.length;
+    let end = el.value.length;
+    if (mode === 'replace') {
+      start = 0;
+    } else if (mode === 'insert' && typeof el.selectionStart === 'number') {
+      start = el.selectionStart;
+      end = el.selectionEnd;
+    }
+
+    if (text.length > KEYSTROKE_MAX_LENGTH || WHOLE_VALUE_INPUT_TYPES.includes(el.type)) {
+      setNativeValue(el, el.value.slice(0, start) + text + el.value.slice(end));
+      el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertFromPaste', data: text }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return 'input-event';
+    }
+
+    if (start !== end) {
+      setNativeValue(el, el.value.slice(0, start) + el.value.slice(end));
+      el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+    }
+
+    // One keydown/beforeinput/input/keyup round per character, like real typing,
+    // so masks, autocompletes and keyup listeners see each keystroke
+    let caret = start;
+    for (const char of text) {
+      const lineBreak = char === '\n';
+      const keyOptions = { key: lineBreak ? 'Enter' : char, bubbles: true, cancelable: true };
+      const inputType = lineBreak ? 'insertLineBreak' : 'insertText';
+
+      if (el.dispatchEvent(new KeyboardEvent('keydown', keyOptions))) {
+        el.dispatchEvent(new KeyboardEvent('keypress', keyOptions));
+        if (el.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType, data: char }))) {
+          // Input handlers may have reformatted the value (masks)
+          const current = el.value;
+          caret = Math.min(caret, current.length);
+          setNativeValue(el, current.slice(0, caret) + char + current.slice(caret));
+          caret += char.length;
+          try {
+            el.setSelectionRange(caret, caret);
+          } catch (e) {
+            // email/number inputs have no selection
+          }
+          el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType, data: char }));
+          if (typeof el.selectionEnd === 'number') caret = el.selectionEnd;
+        }
+      }
+      el.dispatchEvent(new KeyboardEvent('keyup', keyOptions));
+    }
+
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return 'keystrokes';
+  }
+
+  function typeCodeMirror5(root, text, mode) {
+    const cm = root.wrappedJSObject.CodeMirror;
+    cm.focus();
+    if (mode === 'replace') {
+      cm.setValue(text);
+    } else {
+      if (mode === 'append') cm.execCommand('goDocEnd');
+      cm.replaceSelection(text);
+    }
+    return 'codemirror5-api';
+  }
+
+  async function typeMonaco(root, text, mode) {
+    const editor = getMonacoEditor(root);
+    if (!editor) {
+      // Bundled Monaco without the global: type into its hidden textarea at the cursor
+      if (mode !== 'insert') {
+        throw new Error('Monaco editor API (window.monaco) is not exposed on this page - use mode "insert" to type at the cursor');
+      }
+      const textarea = root.querySelector('textarea');
+      if (!textarea) throw new Error('Monaco input area not found');
+      textarea.focus();
+      document.execCommand('insertText', false, text);
+      return 'monaco-textarea';
+    }
+
+    editor.focus();
+    const model = editor.getModel();
+    if (mode === 'replace') {
+      model.setValue(text);
+      return 'monaco-api';
+    }
+    if (mode === 'append') {
+      const lineNumber = model.getLineCount();
+      editor.setPosition(cloneInto({ lineNumber, column: model.getLineMaxColumn(lineNumber) }, window));
+    }
+    editor.trigger('keyboard', 'type', cloneInto({ text }, window));
+    return 'monaco-api';
+  }
+
+  function typeQuill(editor, text, mode) {
+    const quill = getQuill(editor.container);
+    if (!quill) return null;
+
+    if (mode === 'replace') {
+      quill.setText(text, 'user');
+    } else {
+      const end = quill.getLength() - 1;
+      const index = mode === 'append' ? end : (quill.getSelection(true)?.index ?? end);
+      quill.insertText(index, text, 'user');
+      quill.setSelection(index + text.length, 0, 'user');
+    }
+    return 'quill-api';
+  }
+
+  async function typeContentEditable(root, text, mode) {
+    selectForMode(root, mode);
+    await waitForEditor();
+
+    // Trusted beforeinput/input through the browser's own editing path
+    if (document.execCommand('insertText', false, text)) return 'insert-text';
+
+    if (root.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType: 'insertText', data: text }))) {
+      const range = window.getSelection().getRangeAt(0);
+      range.deleteContents();
+      range.insertNode(document.createTextNode(text));
+      range.collapse(false);
+      root.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    }
+    return 'beforeinput';
+  }
+
+  // Draft.js ignores DOM edits it did not make but takes pasted text
+  async function typeByPaste(root, text, mode) {
+    selectForMode(root, mode);
+    await waitForEditor();
+
+    const data = new DataTransfer();
+    data.setData('text/plain', text);
+    const pasted = !root.dispatchEvent(new ClipboardEvent('paste', { bubbles: true, cancelable: true, clipboardData: data }));
+    return pasted ? 'paste' : typeContentEditable(root, text, 'insert');
+  }
+
+  // Slate applies insertText beforeinput events to its model
+  async function typeByBeforeInput(root, text, mode) {
+    selectForMode(root, mode);
+    await waitForEditor();
+
+    const handled = !root.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType: 'insertText', data: text }));
+    return handled ? 'beforeinput' : typeByPaste(root, text, 'insert');
+  }
+
+  function normalizeTypedText(text) {
+    return String(text).replace(/[\s\u00a0\u200b]+/g, ' ').trim();
+  }
+
+  /**
+   * Type into whatever editor is behind el and report what landed
+   * @returns {Promise<{ editor, strategy, mode, text, verified }>}
+   */
+  async function typeIntoEditor(el, text, mode) {
+    const editor = detectEditor(el);
+    if (!editor) {
+      throw new Error(`Element is not a text field or editor (<${el.tagName.toLowerCase()}>)`);
+    }
+
+    let strategy;
+    switch (editor.type) {
+      case 'native':
+        strategy = typeNative(editor.root, text, mode);
+        break;
+      case 'codemirror5':
+        strategy = typeCodeMirror5(editor.root, text, mode);
+        break;
+      case 'monaco':
+        strategy = await typeMonaco(editor.root, text, mode);
+        break;
+      case 'quill':
+        strategy = typeQuill(editor, text, mode) || await typeContentEditable(editor.root, text, mode);
+        break;
+      case 'draftjs':
+        strategy = await typeByPaste(editor.root, text, mode);
+        break;
+      case 'slate':
+        strategy = await typeByBeforeInput(editor.root, text, mode);
+        break;
+      default:
+        strategy = await typeContentEditable(editor.root, text, mode);
+    }
+
+    // Editors re-render from their model asynchronously
+    await waitForEditor();
+    const landed = readEditorText(editor);
+    const expected = normalizeTypedText(text);
+    const actual = normalizeTypedText(landed);
+    const secret = editor.type === 'native' && editor.root.type === 'password';
+
+    return {
+      editor: editor.type,
+      strategy,
+      mode,
+      text: secret ? '****' : landed.length > TYPE_REPORT_MAX_LENGTH ? landed.slice(0, TYPE_REPORT_MAX_LENGTH) + '...' : landed,
+      verified: mode === 'replace' ? actual === expected : actual.includes(expected)
+    };
+  }
+
+  // ==========================================================================
+  // Side-Effect Observation
+  // DOM mutations during an interaction's settle window, grouped by page region
+  // (the background adds URL, network, console, dialog and tab changes)
+  // ==========================================================================
+
+  const EFFECT_REGION_ROLES = new Set([
+    'main', 'navigation', 'banner', 'contentinfo', 'complementary', 'search', 'form',
+    'region', 'dialog', 'alertdialog', 'alert', 'status', 'tabpanel', 'menu', 'listbox',
+    'table', 'grid'
+  ]);
+  const EFFECT_DIALOG_SELECTOR = 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]';
+  const EFFECT_ATTRIBUTES = [
+    'class', 'style', 'hidden', 'open', 'disabled', 'value', 'src', 'href',
+    'aria-hidden', 'aria-expanded', 'aria-selected', 'aria-checked', 'aria-busy'
+  ];
+  const EFFECT_MAX_REGIONS = 8;
+  const EFFECT_MAX_TEXT = 200;
+  // Past this, mutations are only counted (animations, tickers)
+  const EFFECT_MAX_DETAILED_MUTATIONS = 2000;
+
+  let effectsWatch = null;
+
+  // Our own overlays and indicators are not side effects of the page
+  function isExtensionNode(node) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !!el?.closest('[id^="claude-"]');
+  }
+
+  function findEffectRegion(node) {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (el && el !== document.body && el !== document.documentElement) {
+      if (EFFECT_REGION_ROLES.has(getRole(el)) || el.hasAttribute('aria-live')) return el;
+      el = el.parentElement;
+    }
+    return document.body || document.documentElement;
+  }
+
+  function describeRegion(el) {
+    const role = getRole(el) || el.tagName.toLowerCase();
+    const name = el === document.body ? '' : getAccessibleName(el, role);
+    return name ? `${role} ${quoteSnapshot(name)}` : role;
+  }
+
+  function recordEffect(record) {
+    if (isExtensionNode(record.target)) return;
+    effectsWatch.mutationCount++;
+    if (effectsWatch.mutationCount > EFFECT_MAX_DETAILED_MUTATIONS) return;
+
+    let region = effectsWatch.regionCache.get(record.target);
+    if (!region) {
+      region = findEffectRegion(record.target);
+      if (!region) return;
+      effectsWatch.regionCache.set(record.target, region);
+    }
+    let entry = effectsWatch.regions.get(region);
+    if (!entry) {
+      entry = { added: 0, removed: 0, textChanges: 0, attributes: new Set(), text: '' };
+      effectsWatch.regions.set(region, entry);
+    }
+
+    if (record.type === 'childList') {
+      for (const node of record.addedNodes) {
+        if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) continue;
+        if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) continue;
+        if (isExtensionNode(node)) continue;
+        entry.added++;
+        if (entry.text.length < EFFECT_MAX_TEXT) {
+          entry.text = snapshotText(`${entry.text} ${node.textContent}`, EFFECT_MAX_TEXT);
+        }
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.matches(EFFECT_DIALOG_SELECTOR)) effectsWatch.dialogCandidates.add(node);
+          node.querySelectorAll(EFFECT_DIALOG_SELECTOR).forEach(el => effectsWatch.dialogCandidates.add(el));
+        }
+      }
+      for (const node of record.removedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.textContent.trim())) {
+          entry.removed++;
+        }
+      }
+    } else if (record.type === 'characterData') {
+      entry.textChanges++;
+    } else if (record.type === 'attributes') {
+      entry.attributes.add(record.attributeName);
+      if (record.target.matches(EFFECT_DIALOG_SELECTOR)) effectsWatch.dialogCandidates.add(record.target);
+    }
+  }
+
+  function handleStartEffects() {
+    effectsWatch?.observer.disconnect();
+    const observer = new MutationObserver(records => records.forEach(recordEffect));
+    effectsWatch = {
+      observer,
+      regions: new Map(),
+      regionCache: new WeakMap(),
+      dialogCandidates: new Set(),
+      visibleDialogs: new Set(Array.from(document.querySelectorAll(EFFECT_DIALOG_SELECTOR))
+        .filter(el => !isSnapshotHidden(el, getComputedStyle(el)))),
+      mutationCount: 0
+    };
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: EFFECT_ATTRIBUTES
+    });
+    return { observing: true };
+  }
+
+  function handleCollectEffects() {
+    // A navigation during the settle window leaves a fresh document with nothing to report
+    if (!effectsWatch) return { observed: false };
+
+    const watch = effectsWatch;
+    watch.observer.takeRecords().forEach(recordEffect);
+    watch.observer.disconnect();
+    effectsWatch = null;
+
+    const regions = Array.from(watch.regions.entries())
+      .filter(([el]) => el.isConnected)
+      .map(([el, entry]) => {
+        const region = {
+          region: describeRegion(el),
+          selector: el === document.body ? 'body' : buildRecorderSelector(el),
+          added: entry.added,
+          removed: entry.removed
+        };
+        if (entry.textChanges > 0) region.textChanges = entry.textChanges;
+        if (entry.attributes.size > 0) region.attributes = Array.from(entry.attributes);
+        if (entry.text) region.addedText = entry.text;
+        // Live regions (toasts, form errors) announce their current text
+        if (el.hasAttribute('aria-live') || ['alert', 'status'].includes(getRole(el))) {
+          region.liveText = snapshotText(el.textContent, EFFECT_MAX_TEXT);
+        }
+        return region;
+      })
+      .sort((a, b) => (b.added + b.removed + (b.textChanges || 0)) - (a.added + a.removed + (a.textChanges || 0)));
+
+    const dialogs = Array.from(watch.dialogCandidates)
+      .filter(el => el.isConnected && !watch.visibleDialogs.has(el) && !isSnapshotHidden(el, getComputedStyle(el)))
+      .map(el => ({
+        dialog: describeRegion(el),
+        selector: buildRecorderSelector(el),
+        text: snapshotText(el.textContent, EFFECT_MAX_TEXT)
+      }));
+
+    return {
+      observed: true,
+      mutations: watch.mutationCount,
+      regions: regions.slice(0, EFFECT_MAX_REGIONS),
+      ...(regions.length > EFFECT_MAX_REGIONS ? { moreRegions: regions.length - EFFECT_MAX_REGIONS } : {}),
+      dialogs,
+      url: window.location.href
+    };
+  }
+
   // ==========================================================================
   // Clean Text Handler
   // ==========================================================================
@@ -1465,7 +3688,7 @@
       const startTime = Date.now();
 
       const check = () => {
-        const el = document.querySelector(selector);
+        const el = querySelectorDeep(selector);
         if (el) {
           resolve({
             found: true,
@@ -1485,19 +3708,30 @@
     });
   }
 
+  /**
+   * Frame ID of an <iframe>/<frame> element (-1 if it has no browsing context yet)
+   */
+  function getElementFrameId(el) {
+    try {
+      return browser.runtime.getFrameId(el);
+    } catch (e) {
+      return -1;
+    }
+  }
+
   function handleListFrames() {
     const frames = [];
 
-    // Add main frame
+    // Add this frame
     frames.push({
-      frameId: 0,
+      frameId: window === window.top ? 0 : getElementFrameId(window),
       url: window.location.href,
       name: window.name || '(top)',
-      isTop: true
+      isTop: window === window.top
     });
 
     // Find all iframes
-    const iframes = document.querySelectorAll('iframe');
+    const iframes = document.querySelectorAll('iframe, frame');
     iframes.forEach((iframe, index) => {
       let url = 'about:blank';
       try {
@@ -1508,17 +3742,35 @@
       }
 
       frames.push({
-        frameId: index + 1,
+        frameId: getElementFrameId(iframe),
         url,
         name: iframe.name || iframe.id || `iframe-${index}`,
         isTop: false,
-        selector: iframe.id ? `#${iframe.id}` : (iframe.name ? `iframe[name="${iframe.name}"]` : `iframe:nth-of-type(${index + 1})`)
+        selector: buildRecorderSelector(iframe)
       });
     });
 
     return { frames, count: frames.length };
   }
 
+  /**
+   * Frame ID for a frame selector (the `frame` parameter of DOM tools)
+   */
+  function handleResolveFrame(params) {
+    const element = findElement(params.selector);
+    if (element.tagName !== 'IFRAME' && element.tagName !== 'FRAME') {
+      throw new Error(`Frame selector matched <${element.tagName.toLowerCase()}>, not an iframe: ${params.selector}`);
+    }
+    if (typeof browser.runtime.getFrameId !== 'function') {
+      throw new Error('Frame selectors require Firefox 96+ - pass a numeric frameId from list_frames instead');
+    }
+    const frameId = getElementFrameId(element);
+    if (frameId < 0) {
+      throw new Error(`Frame not loaded yet: ${params.selector}`);
+    }
+    return { frameId, selector: params.selector };
+  }
+
   // ==========================================================================
   // Initialization
   // ==========================================================================
@@ -9,17 +9,44 @@
   // Default settings
   const DEFAULT_SETTINGS = {
     apiKey: '',
+    apiProvider: 'anthropic',
+    apiBaseUrl: '',
+    apiAuthScheme: 'x-api-key',
+    customModels: [],
     defaultModel: 'claude-haiku-4-5',
     autonomyMode: 'ask',
-    highRiskTools: ['click_element', 'type_text', 'navigate', 'execute_script', 'fill_form', 'press_key', 'create_tab', 'close_tab'],
+    highRiskTools: ['click_element', 'type_text', 'navigate', 'execute_script', 'fill_form', 'press_key', 'run_workflow', 'drag_element', 'pointer_sequence', 'drop_file', 'click_at', 'type_at', 'replay_request', 'create_tab', 'close_tab'],
     maxTokens: 8192,
     maxToolIterations: 15,
     temperature: 0,
+    thinkingEnabled: false,
+    thinkingBudget: 4096,
+    dailySpendingCap: 0,
+    modelPricing: [],
     networkCaptureEnabled: false
   };
 
+  // High-risk tools introduced after the first release - mirror ADDED_HIGH_RISK_TOOLS in background/background.js
+  const ADDED_HIGH_RISK_TOOLS = ['run_workflow', 'drag_element', 'pointer_sequence', 'drop_file', 'click_at', 'type_at', 'replay_request'];
+
+  // Provider presets - mirror PROVIDER_DEFAULTS in background/llm-providers.js
+  const PROVIDER_PRESETS = {
+    anthropic: { baseUrl: 'https://api.anthropic.com/v1', authScheme: 'x-api-key', keyPlaceholder: 'sk-ant-...' },
+    openai: { baseUrl: 'http://localhost:11434/v1', authScheme: 'bearer', keyPlaceholder: 'Leave empty if the server needs no key' }
+  };
+
+  // Built-in models, used when no custom model list is configured
+  const BUILTIN_MODELS = [
+    { id: 'claude-haiku-4-5', label: 'Claude Haiku 4.5' },
+    { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5 (beta)' },
+    { id: 'claude-opus-4-5', label: 'Claude Opus 4.5 (beta)' }
+  ];
+
   // DOM Elements
   const elements = {
+    apiProvider: document.getElementById('api-provider'),
+    apiBaseUrl: document.getElementById('api-base-url'),
+    apiAuthScheme: document.getElementById('api-auth-scheme'),
     apiKey: document.getElementById('api-key'),
     toggleVisibility: document.getElementById('toggle-visibility'),
     eyeIcon: document.getElementById('eye-icon'),
@@ -27,11 +54,17 @@
     statusIndicator: document.getElementById('status-indicator'),
     statusText: document.getElementById('status-text'),
     defaultModel: document.getElementById('default-model'),
+    customModels: document.getElementById('custom-models'),
     autonomyMode: document.getElementById('autonomy-mode'),
     highRiskTools: document.getElementById('high-risk-tools'),
     maxTokens: document.getElementById('max-tokens'),
     maxToolIterations: document.getElementById('max-tool-iterations'),
     temperature: document.getElementById('temperature'),
+    thinkingEnabled: document.getElementById('thinking-enabled'),
+    thinkingBudget: document.getElementById('thinking-budget'),
+    dailySpendingCap: document.getElementById('daily-spending-cap'),
+    modelPricing: document.getElementById('model-pricing'),
+    openUsage: document.getElementById('open-usage'),
     networkCapture: document.getElementById('network-capture'),
     clearHistory: document.getElementById('clear-history'),
     saveSettings: document.getElementById('save-settings'),
@@ -59,19 +92,34 @@
     try {
       const result = await browser.storage.local.get([
         'apiKey',
+        'apiProvider',
+        'apiBaseUrl',
+        'apiAuthScheme',
+        'customModels',
         'defaultModel',
         'autonomyMode',
         'highRiskTools',
+        'knownHighRiskTools',
         'maxTokens',
         'maxToolIterations',
         'temperature',
+        'thinkingEnabled',
+        'thinkingBudget',
+        'dailySpendingCap',
+        'modelPricing',
         'networkCaptureEnabled',
         'apiKeyStatus'
       ]);
 
+      // Provider
+      elements.apiProvider.value = result.apiProvider || DEFAULT_SETTINGS.apiProvider;
+      elements.apiBaseUrl.value = result.apiBaseUrl || DEFAULT_SETTINGS.apiBaseUrl;
+      elements.apiAuthScheme.value = result.apiAuthScheme || DEFAULT_SETTINGS.apiAuthScheme;
+      updateProviderPlaceholders();
+
       // API Key
       elements.apiKey.value = result.apiKey || DEFAULT_SETTINGS.apiKey;
-      lastSavedApiKey = result.apiKey || '';
+      lastSavedConnection = getConnectionSignature();
 
       // Update API status indicator based on stored status
       if (result.apiKeyStatus) {
@@ -80,14 +128,20 @@
         updateStatusIndicator('untested');
       }
 
-      // Default Model
-      elements.defaultModel.value = result.defaultModel || DEFAULT_SETTINGS.defaultModel;
+      // Model list and default model
+      const customModels = result.customModels || DEFAULT_SETTINGS.customModels;
+      elements.customModels.value = formatModelList(customModels);
+      populateModelSelect(result.defaultModel || DEFAULT_SETTINGS.defaultModel);
 
       // Autonomy Mode
       elements.autonomyMode.value = result.autonomyMode || DEFAULT_SETTINGS.autonomyMode;
 
       // High Risk Tools
-      const highRiskTools = result.highRiskTools || DEFAULT_SETTINGS.highRiskTools;
+      // Saved lists miss tools added since; the background adds them on load, this covers a page opened first
+      const knownTools = result.knownHighRiskTools || [];
+      const highRiskTools = result.highRiskTools
+        ? [...result.highRiskTools, ...ADDED_HIGH_RISK_TOOLS.filter(tool => !knownTools.includes(tool))]
+        : DEFAULT_SETTINGS.highRiskTools;
       const checkboxes = elements.highRiskTools.querySelectorAll('input[type="checkbox"]');
       checkboxes.forEach(checkbox => {
         checkbox.checked = highRiskTools.includes(checkbox.value);
@@ -102,6 +156,14 @@
       // Temperature (use explicit check for 0 since it's falsy)
       elements.temperature.value = result.temperature !== undefined ? result.temperature : DEFAULT_SETTINGS.temperature;
 
+      // Extended Thinking
+      elements.thinkingEnabled.checked = result.thinkingEnabled || DEFAULT_SETTINGS.thinkingEnabled;
+      elements.thinkingBudget.value = result.thinkingBudget || DEFAULT_SETTINGS.thinkingBudget;
+
+      // Usage & Costs
+      elements.dailySpendingCap.value = result.dailySpendingCap || DEFAULT_SETTINGS.dailySpendingCap;
+      elements.modelPricing.value = formatPricingList(result.modelPricing || DEFAULT_SETTINGS.modelPricing);
+
       // Network Capture
       elements.networkCapture.checked = result.networkCaptureEnabled || DEFAULT_SETTINGS.networkCaptureEnabled;
 
@@ -111,8 +173,125 @@
     }
   }
 
-  // Track the last saved API key to detect changes
-  let lastSavedApiKey = '';
+  // Track the last saved key + backend to detect changes
+  let lastSavedConnection = '';
+
+  /**
+   * Parse the model list textarea: one model per line, "id" or "id = Label"
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function parseModelList(text) {
+    const models = [];
+    for (const line of text.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      const [id, ...labelParts] = trimmed.split('=');
+      const label = labelParts.join('=').trim();
+      if (id.trim() && !models.some(m => m.id === id.trim())) {
+        models.push({ id: id.trim(), label: label || id.trim() });
+      }
+    }
+    return models;
+  }
+
+  /**
+   * Format a stored model list back into textarea lines
+   */
+  function formatModelList(models) {
+    return models.map(m => (m.label && m.label !== m.id ? `${m.id} = ${m.label}` : m.id)).join('\n');
+  }
+
+  /**
+   * Parse the pricing textarea: one model per line, "id = input / output" (USD per 1M tokens)
+   * @returns {Array<{model: string, input: number, output: number}>}
+   */
+  function parsePricingList(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      const match = trimmed.match(/^(.+?)\s*=\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+      if (!match) continue;
+      const input = parseFloat(match[2]);
+      const output = parseFloat(match[3]);
+      if (isNaN(input) || isNaN(output)) continue;
+      entries.push({ model: match[1].trim(), input, output });
+    }
+    return entries;
+  }
+
+  /**
+   * Format stored pricing overrides back into textarea lines
+   */
+  function formatPricingList(entries) {
+    return entries.map(e => `${e.model} = ${e.input} / ${e.output}`).join('\n');
+  }
+
+  /**
+   * Rebuild the default model select from the model list textarea
+   * @param {string} selected - Model ID to select if still available
+   */
+  function populateModelSelect(selected) {
+    const custom = parseModelList(elements.customModels.value);
+    const models = custom.length > 0 ? custom : BUILTIN_MODELS;
+
+    elements.defaultModel.innerHTML = '';
+    for (const model of models) {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.label;
+      elements.defaultModel.appendChild(option);
+    }
+
+    elements.defaultModel.value = models.some(m => m.id === selected) ? selected : models[0].id;
+  }
+
+  /**
+   * Show the selected provider's defaults as placeholders
+   */
+  function updateProviderPlaceholders() {
+    const preset = PROVIDER_PRESETS[elements.apiProvider.value] || PROVIDER_PRESETS.anthropic;
+    elements.apiBaseUrl.placeholder = preset.baseUrl;
+    elements.apiKey.placeholder = elements.apiAuthScheme.value === 'none' ? 'Not required' : preset.keyPlaceholder;
+  }
+
+  /**
+   * Key + backend fingerprint, so a provider change also triggers validation
+   */
+  function getConnectionSignature() {
+    return [
+      elements.apiProvider.value,
+      elements.apiBaseUrl.value.trim(),
+      elements.apiAuthScheme.value,
+      elements.apiKey.value.trim()
+    ].join('|');
+  }
+
+  /**
+   * True when talking to api.anthropic.com directly (enables the key format check)
+   */
+  function isOfficialAnthropicEndpoint() {
+    const baseUrl = elements.apiBaseUrl.value.trim().replace(/\/+$/, '');
+    return elements.apiProvider.value === 'anthropic' &&
+      (!baseUrl || baseUrl === PROVIDER_PRESETS.anthropic.baseUrl);
+  }
+
+  /**
+   * Ask the background script to send a minimal request with the form's
+   * current provider settings
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async function requestConnectionTest(apiKey) {
+    return browser.runtime.sendMessage({
+      type: 'TEST_API_CONNECTION',
+      apiKey,
+      apiProvider: elements.apiProvider.value,
+      apiBaseUrl: elements.apiBaseUrl.value.trim(),
+      apiAuthScheme: elements.apiAuthScheme.value,
+      customModels: parseModelList(elements.customModels.value),
+      model: elements.defaultModel.value
+    });
+  }
 
   /**
    * Save all settings to storage
@@ -120,9 +299,10 @@
   async function saveSettings() {
     try {
       const newApiKey = elements.apiKey.value.trim();
+      const keyless = elements.apiAuthScheme.value === 'none';
 
-      // Check if API key changed and needs validation
-      if (newApiKey && newApiKey !== lastSavedApiKey) {
+      // Check if API key or backend changed and needs validation
+      if ((newApiKey || keyless) && getConnectionSignature() !== lastSavedConnection) {
         // Validate the new API key first
         const isValid = await validateAndSaveApiKey(newApiKey);
         if (!isValid) {
@@ -152,14 +332,35 @@
       if (temperature > 1) temperature = 1;
       elements.temperature.value = temperature;
 
+      // Validate thinking budget
+      const thinkingBudget = clampThinkingBudget(elements.thinkingBudget.value);
+      elements.thinkingBudget.value = thinkingBudget;
+
+      // Validate spending cap (0 = no cap)
+      let dailySpendingCap = parseFloat(elements.dailySpendingCap.value);
+      if (isNaN(dailySpendingCap) || dailySpendingCap < 0) dailySpendingCap = 0;
+      elements.dailySpendingCap.value = dailySpendingCap;
+
+      const modelPricing = parsePricingList(elements.modelPricing.value);
+      elements.modelPricing.value = formatPricingList(modelPricing);
+
       const settings = {
         apiKey: newApiKey,
+        apiProvider: elements.apiProvider.value,
+        apiBaseUrl: elements.apiBaseUrl.value.trim(),
+        apiAuthScheme: elements.apiAuthScheme.value,
+        customModels: parseModelList(elements.customModels.value),
         defaultModel: elements.defaultModel.value,
         autonomyMode: elements.autonomyMode.value,
         highRiskTools: highRiskTools,
+        knownHighRiskTools: ADDED_HIGH_RISK_TOOLS,
         maxTokens: maxTokens,
         maxToolIterations: maxToolIterations,
         temperature: temperature,
+        thinkingEnabled: elements.thinkingEnabled.checked,
+        thinkingBudget: thinkingBudget,
+        dailySpendingCap: dailySpendingCap,
+        modelPricing: modelPricing,
         networkCaptureEnabled: elements.networkCapture.checked
       };
 
@@ -185,12 +386,22 @@
   }
 
   /**
-   * Validate API key against Anthropic servers and save if valid
+   * Clamp a thinking budget to the API's accepted range
+   */
+  function clampThinkingBudget(value) {
+    let budget = parseInt(value, 10);
+    if (isNaN(budget) || budget < 1024) budget = 1024;
+    if (budget > 32000) budget = 32000;
+    return budget;
+  }
+
+  /**
+   * Validate API key against the configured backend and save if valid
    * Returns true if valid, false if invalid
    */
   async function validateAndSaveApiKey(apiKey) {
-    // Basic format check
-    if (!apiKey.startsWith('sk-ant-')) {
+    // Basic format check (only meaningful for api.anthropic.com)
+    if (isOfficialAnthropicEndpoint() && !apiKey.startsWith('sk-ant-')) {
       highlightApiKeyError('Invalid format. Anthropic API keys start with "sk-ant-"');
       return false;
     }
@@ -200,33 +411,18 @@
     elements.saveSettings.textContent = 'Validating API Key...';
 
     try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: 'claude-haiku-4-5',
-          max_tokens: 10,
-          messages: [{ role: 'user', content: 'Hi' }]
-        })
-      });
+      const result = await requestConnectionTest(apiKey);
 
-      if (response.ok) {
+      if (result?.success) {
         updateStatusIndicator('valid');
         await browser.storage.local.set({ apiKeyStatus: 'valid' });
-        lastSavedApiKey = apiKey;
+        lastSavedConnection = getConnectionSignature();
         elements.apiKey.classList.remove('error');
         elements.apiKey.classList.add('success');
         setTimeout(() => elements.apiKey.classList.remove('success'), 2000);
         return true;
       } else {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
-        highlightApiKeyError('Invalid API key: ' + errorMessage);
+        highlightApiKeyError('Connection test failed: ' + (result?.error || 'No response from background script'));
         return false;
       }
 
@@ -286,7 +482,7 @@
   async function testConnection() {
     const apiKey = elements.apiKey.value.trim();
 
-    if (!apiKey) {
+    if (!apiKey && elements.apiAuthScheme.value !== 'none') {
       showSaveStatus('error', 'Please enter an API key first');
       return;
     }
@@ -296,31 +492,16 @@
     elements.testConnection.textContent = 'Testing...';
 
     try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: 'claude-haiku-4-5',
-          max_tokens: 10,
-          messages: [{ role: 'user', content: 'Hi' }]
-        })
-      });
+      const result = await requestConnectionTest(apiKey);
 
-      if (response.ok) {
+      if (result?.success) {
         updateStatusIndicator('valid');
         await browser.storage.local.set({ apiKeyStatus: 'valid' });
-        showSaveStatus('success', 'API key is valid');
+        showSaveStatus('success', `Connected to ${result.provider} (${result.model})`);
       } else {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
         updateStatusIndicator('invalid');
         await browser.storage.local.set({ apiKeyStatus: 'invalid' });
-        showSaveStatus('error', 'Invalid API key: ' + errorMessage);
+        showSaveStatus('error', 'Connection test failed: ' + (result?.error || 'No response from background script'));
       }
 
     } catch (error) {
@@ -412,14 +593,34 @@
     // Test connection
     elements.testConnection.addEventListener('click', testConnection);
 
-    // Clear API status and error state when key changes
-    elements.apiKey.addEventListener('input', () => {
+    // Clear API status and error state when key or backend changes
+    const resetConnectionStatus = () => {
       elements.apiKey.classList.remove('error', 'success');
       if (elements.statusIndicator.classList.contains('valid') ||
           elements.statusIndicator.classList.contains('invalid')) {
         updateStatusIndicator('untested');
         browser.storage.local.set({ apiKeyStatus: 'untested' });
       }
+    };
+    elements.apiKey.addEventListener('input', resetConnectionStatus);
+    elements.apiBaseUrl.addEventListener('input', resetConnectionStatus);
+
+    // Switching provider applies its default auth scheme
+    elements.apiProvider.addEventListener('change', () => {
+      const preset = PROVIDER_PRESETS[elements.apiProvider.value];
+      if (preset) elements.apiAuthScheme.value = preset.authScheme;
+      updateProviderPlaceholders();
+      resetConnectionStatus();
+    });
+
+    elements.apiAuthScheme.addEventListener('change', () => {
+      updateProviderPlaceholders();
+      resetConnectionStatus();
+    });
+
+    // Keep the default model select in sync with the model list
+    elements.customModels.addEventListener('input', () => {
+      populateModelSelect(elements.defaultModel.value);
     });
 
     // Save settings
@@ -431,6 +632,11 @@
     // Clear conversation history
     elements.clearHistory.addEventListener('click', clearConversationHistory);
 
+    // Usage & cost history page
+    elements.openUsage.addEventListener('click', () => {
+      browser.tabs.create({ url: browser.runtime.getURL('usage/usage.html') });
+    });
+
     // Auto-save on Enter key in API key field
     elements.apiKey.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
@@ -447,6 +653,11 @@
       elements.maxTokens.value = value;
     });
 
+    // Validate thinking budget on blur
+    elements.thinkingBudget.addEventListener('blur', () => {
+      elements.thinkingBudget.value = clampThinkingBudget(elements.thinkingBudget.value);
+    });
+
     // Validate max tool iterations on blur
     elements.maxToolIterations.addEventListener('blur', () => {
       let value = parseInt(elements.maxToolIterations.value, 10);
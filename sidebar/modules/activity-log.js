@@ -19,7 +19,14 @@ const DEFAULT_HIGH_RISK_TOOLS = [
   'navigate',
   'execute_script',
   'fill_form',
-  'submit_form'
+  'press_key',
+  'run_workflow',
+  'drag_element',
+  'pointer_sequence',
+  'drop_file',
+  'click_at',
+  'type_at',
+  'replay_request'
 ];
 
 // ========== Helper Functions ==========
@@ -348,6 +355,111 @@ function createViewAsHtmlButton(markdownContent, filename) {
   return htmlBtn;
 }
 
+// ========== Request Snippets ==========
+
+/**
+ * Snippet formats offered by the "Copy as" buttons, in display order.
+ */
+const SNIPPET_FORMATS = [
+  { format: 'curl', label: 'cURL' },
+  { format: 'fetch', label: 'fetch' },
+  { format: 'python', label: 'Python' },
+  { format: 'httpie', label: 'HTTPie' }
+];
+
+/**
+ * Network tools whose results list captured requests, mapped to those requests.
+ */
+const SNIPPET_SOURCE_TOOLS = {
+  get_network_requests: (result) => result.requests,
+  get_network_request_detail: (result) => (result.request ? [result.request] : [])
+};
+
+/**
+ * Short option label for a captured request ("GET /api/items?page=2",
+ * "POST /graphql (GetViewer)").
+ *
+ * @param {Object} request - Network buffer entry
+ * @returns {string} Label text
+ */
+function describeSnippetRequest(request) {
+  let path = request.url;
+  try {
+    const url = new URL(request.url);
+    path = url.pathname + url.search;
+  } catch (e) {
+    // Keep the raw URL
+  }
+  const operations = (request.graphql || []).map(op => op.operationName).filter(Boolean);
+  const label = `${request.method} ${path}${operations.length > 0 ? ` (${operations.join(', ')})` : ''}`;
+  return label.length > 70 ? label.substring(0, 69) + '…' : label;
+}
+
+/**
+ * Creates the "Copy as" row for network results: a request picker (when
+ * there is more than one) and a button per snippet format. Snippets come
+ * from the background generator with auth headers masked.
+ *
+ * @param {Object[]} requests - Captured requests from the tool result
+ * @param {Function} onCopy - async (requestId, format) => snippet text
+ * @returns {HTMLElement|null} The row element, or null if nothing can be copied
+ */
+function createSnippetActions(requests, onCopy) {
+  const copyable = (requests || []).filter(request => request?.requestId && request.type !== 'websocket');
+  if (copyable.length === 0) return null;
+
+  const row = document.createElement('div');
+  row.className = 'activity-detail-section snippet-actions';
+
+  const label = document.createElement('span');
+  label.className = 'activity-detail-label';
+  label.textContent = 'Copy as:';
+  row.appendChild(label);
+
+  let picker = null;
+  if (copyable.length > 1) {
+    picker = document.createElement('select');
+    picker.className = 'snippet-request';
+    // Most recent first
+    [...copyable].reverse().forEach(request => {
+      const option = document.createElement('option');
+      option.value = request.requestId;
+      option.textContent = describeSnippetRequest(request);
+      option.title = request.url;
+      picker.appendChild(option);
+    });
+    row.appendChild(picker);
+  }
+
+  SNIPPET_FORMATS.forEach(({ format, label: text }) => {
+    const btn = document.createElement('button');
+    btn.className = 'snippet-copy-btn';
+    btn.textContent = text;
+    btn.title = `Copy as ${text} (auth headers masked)`;
+
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const requestId = picker ? picker.value : copyable[0].requestId;
+      try {
+        const snippet = await onCopy(requestId, format);
+        await navigator.clipboard.writeText(snippet);
+        btn.textContent = '✓ Copied';
+      } catch (err) {
+        console.error('Copy snippet failed:', err);
+        btn.textContent = '✗ Failed';
+        btn.title = err.message;
+      }
+      setTimeout(() => {
+        btn.textContent = text;
+      }, 1500);
+    });
+
+    row.appendChild(btn);
+  });
+
+  return row;
+}
+
 // ========== Core Activity Log Functions ==========
 
 /**
@@ -496,6 +608,7 @@ function updateResultDisplay(toolItem, result, isError) {
  * @param {boolean} isError - Whether the result is an error
  * @param {Object} [callbacks] - Optional callbacks for side effects
  * @param {Function} [callbacks.onSiteSpecSaved] - Called when save_site_spec succeeds
+ * @param {Function} [callbacks.onCopyRequestSnippet] - async (requestId, format) => snippet, enables "Copy as" on network results
  */
 function updateResult(chatContainer, toolId, result, isError, callbacks = {}) {
   const toolItem = chatContainer.querySelector(`.activity-item[data-tool-id="${toolId}"]`);
@@ -517,6 +630,15 @@ function updateResult(chatContainer, toolId, result, isError, callbacks = {}) {
         // Ignore parse errors
       }
     }
+
+    const getRequests = SNIPPET_SOURCE_TOOLS[toolName];
+    if (getRequests && callbacks.onCopyRequestSnippet && result && typeof result === 'object') {
+      const details = toolItem.querySelector('.activity-item-details');
+      const actions = createSnippetActions(getRequests(result), callbacks.onCopyRequestSnippet);
+      if (details && actions && !details.querySelector('.snippet-actions')) {
+        details.appendChild(actions);
+      }
+    }
   }
 
   // Add download buttons at message level for file results
@@ -604,6 +726,7 @@ window.ActivityLog = {
   formatResult,
   createDownloadButtons,
   createViewAsHtmlButton,
+  createSnippetActions,
   isHighRiskTool,
   // Internal helpers exposed for testing/extensibility
   updateResultDisplay,
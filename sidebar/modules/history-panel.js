@@ -0,0 +1,238 @@
+/**
+ * History Panel Module
+ * Searches the conversation archive (IndexedDB in the background page) and
+ * lets the user reopen or delete archived conversations.
+ */
+
+// Use window.RenderUtils (loaded before this script)
+
+/**
+ * @typedef {Object} ArchivedConversationSummary
+ * @property {string} id - Archive ID
+ * @property {string} domain - Domain the conversation started on
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {string} firstMessage - First user message (truncated)
+ * @property {number} createdAt - Timestamp of first archive
+ * @property {number} updatedAt - Timestamp of last completed response
+ * @property {number} messageCount - Number of messages
+ * @property {Object|null} tokenUsage - Cumulative token usage
+ * @property {number} cost - Estimated USD cost
+ * @property {string[]} toolsUsed - Tool names used in the conversation
+ * @property {string} [snippet] - Text around the first search match
+ */
+
+/**
+ * @typedef {Object} HistoryPanelElements
+ * @property {HTMLElement} historyModal - The modal container
+ * @property {HTMLInputElement} historySearch - Search input
+ * @property {HTMLInputElement} historySiteOnly - "This site only" checkbox
+ * @property {HTMLElement} historyResults - Results list container
+ * @property {HTMLElement} historyCount - Footer count element
+ */
+
+const HISTORY_SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Creates a history panel instance.
+ *
+ * @param {HistoryPanelElements} elements - DOM elements for the history UI
+ * @param {Object} callbacks
+ * @param {Function} callbacks.sendMessage - Sends a message to the background script
+ * @param {Function} callbacks.onReopen - Called with the full archived record to load into the current tab
+ * @returns {Object} History panel public API
+ */
+function createHistoryPanel(elements, callbacks) {
+  const {
+    historyModal,
+    historySearch,
+    historySiteOnly,
+    historyResults,
+    historyCount
+  } = elements;
+
+  let currentDomain = '';
+  let searchTimer = null;
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const today = new Date();
+    if (date.toDateString() === today.toDateString()) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  function formatTokens(usage) {
+    if (!usage) return '';
+    const total = (usage.input || 0) + (usage.output || 0);
+    return total > 0 ? `${(total / 1000).toFixed(1)}k tokens` : '';
+  }
+
+  /**
+   * Renders one archived conversation as a card.
+   *
+   * @param {ArchivedConversationSummary} item
+   * @returns {string} HTML string
+   */
+  function renderHistoryCard(item) {
+    const escape = window.RenderUtils.escapeHtml;
+    const heading = item.firstMessage || item.title || '(untitled)';
+    const meta = [
+      item.domain,
+      formatDate(item.updatedAt),
+      `${item.messageCount} messages`,
+      formatTokens(item.tokenUsage),
+      item.cost > 0 ? `$${item.cost.toFixed(2)}` : ''
+    ].filter(Boolean);
+
+    let html = `<div class="history-card" data-archive-id="${escape(item.id)}">`;
+    html += '<div class="history-card-header">';
+    html += `<h3 class="history-title" title="${escape(item.title || '')}">${escape(heading)}</h3>`;
+    html += `<button class="history-delete-btn" data-archive-id="${escape(item.id)}" title="Delete from history">&times;</button>`;
+    html += '</div>';
+    html += `<div class="history-meta">${meta.map(escape).join(' &middot; ')}</div>`;
+    if (item.snippet) {
+      html += `<div class="history-snippet">${escape(item.snippet)}</div>`;
+    }
+    if (item.toolsUsed?.length > 0) {
+      html += `<div class="history-tools">${item.toolsUsed.slice(0, 8).map(t => `<code>${escape(t)}</code>`).join(' ')}</div>`;
+    }
+    html += `<button class="history-reopen-btn" data-archive-id="${escape(item.id)}">Reopen in this tab</button>`;
+    html += '</div>';
+    return html;
+  }
+
+  function renderResults(results, query) {
+    if (results.length === 0) {
+      historyResults.innerHTML = `<div class="history-empty">${query ? 'No conversations match your search.' : 'No archived conversations yet.'}</div>`;
+    } else {
+      historyResults.innerHTML = results.map(renderHistoryCard).join('');
+      attachResultListeners();
+    }
+    historyCount.textContent = `${results.length} conversation${results.length !== 1 ? 's' : ''}`;
+  }
+
+  function attachResultListeners() {
+    historyResults.querySelectorAll('.history-reopen-btn').forEach(btn => {
+      btn.addEventListener('click', () => reopen(btn.dataset.archiveId));
+    });
+    historyResults.querySelectorAll('.history-delete-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteConversation(btn.dataset.archiveId);
+      });
+    });
+  }
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  /**
+   * Runs a search with the current input and filter values.
+   */
+  async function runSearch() {
+    const query = historySearch.value.trim();
+    try {
+      const response = await callbacks.sendMessage({
+        type: 'SEARCH_ARCHIVE',
+        query,
+        domain: historySiteOnly.checked ? currentDomain : undefined
+      });
+      if (response?.error) throw new Error(response.error);
+      renderResults(response?.results || [], query);
+    } catch (error) {
+      console.error('[History] Search failed:', error);
+      historyResults.innerHTML = `<div class="history-empty">Search failed: ${window.RenderUtils.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  function scheduleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, HISTORY_SEARCH_DEBOUNCE_MS);
+  }
+
+  /**
+   * Loads the full record and hands it to the sidebar.
+   *
+   * @param {string} id - Archive ID
+   */
+  async function reopen(id) {
+    try {
+      const response = await callbacks.sendMessage({ type: 'GET_ARCHIVED_CONVERSATION', id });
+      if (response?.error) throw new Error(response.error);
+      if (!response?.record) throw new Error('Conversation not found');
+
+      if (callbacks.onReopen(response.record) !== false) {
+        hide();
+      }
+    } catch (error) {
+      console.error('[History] Reopen failed:', error);
+      historyResults.insertAdjacentHTML('afterbegin',
+        `<div class="history-empty">Could not reopen: ${window.RenderUtils.escapeHtml(error.message)}</div>`);
+    }
+  }
+
+  /**
+   * Deletes an archived conversation after confirmation.
+   *
+   * @param {string} id - Archive ID
+   */
+  async function deleteConversation(id) {
+    if (!confirm('Delete this conversation from history?')) return;
+
+    try {
+      await callbacks.sendMessage({ type: 'DELETE_ARCHIVED_CONVERSATION', id });
+      await runSearch();
+    } catch (error) {
+      console.error('[History] Delete failed:', error);
+    }
+  }
+
+  // ============================================================================
+  // MODAL
+  // ============================================================================
+
+  /**
+   * Shows the history modal with recent conversations.
+   */
+  async function show() {
+    try {
+      const response = await callbacks.sendMessage({ type: 'GET_CURRENT_TAB_URL' });
+      currentDomain = response?.url ? new URL(response.url).hostname.replace(/^www\./, '') : '';
+    } catch {
+      currentDomain = '';
+    }
+    historySiteOnly.disabled = !currentDomain;
+    if (!currentDomain) historySiteOnly.checked = false;
+
+    window.Helpers.showModal(historyModal);
+    historySearch.focus();
+    await runSearch();
+  }
+
+  function hide() {
+    clearTimeout(searchTimer);
+    window.Helpers.hideModal(historyModal);
+  }
+
+  historySearch.addEventListener('input', scheduleSearch);
+  historySiteOnly.addEventListener('change', runSearch);
+
+  // Public API
+  return {
+    show,
+    hide,
+    search: runSearch
+  };
+}
+
+// Export for MV2 compatibility (script tag loading)
+if (typeof window !== 'undefined') {
+  window.HistoryPanel = { createHistoryPanel };
+}
@@ -0,0 +1,299 @@
+/**
+ * Macro Recorder Module
+ * Sidebar controls for recording the user's own actions in the current tab.
+ * Shows captured steps live and saves them as a site workflow or hands them
+ * to Claude as a demonstration.
+ */
+
+// Use window.RenderUtils (loaded before this script)
+
+/**
+ * @typedef {Object} RecordedStep
+ * @property {'click'|'type'|'select'|'press_key'|'navigate'} action - Step type
+ * @property {string} [selector] - CSS selector of the target element
+ * @property {string} [text] - Typed text
+ * @property {string} [value] - Selected option value
+ * @property {string} [key] - Pressed key
+ * @property {string} [url] - Navigation URL
+ * @property {string} [label] - Human-readable element name
+ */
+
+/**
+ * @typedef {Object} MacroRecorderElements
+ * @property {HTMLButtonElement} recordBtn - Toolbar button that starts/stops recording
+ * @property {HTMLElement} recorderPanel - Panel container
+ * @property {HTMLElement} recorderStatus - Status text
+ * @property {HTMLElement} recorderSteps - Step list
+ * @property {HTMLElement} recorderActions - Save/demonstrate controls (shown once stopped)
+ * @property {HTMLInputElement} recorderName - Workflow name input
+ * @property {HTMLButtonElement} recorderStop - Stop button
+ * @property {HTMLButtonElement} recorderSave - Save as workflow button
+ * @property {HTMLButtonElement} recorderDemo - Send to Claude button
+ * @property {HTMLButtonElement} recorderDiscard - Discard button
+ */
+
+/**
+ * Creates a macro recorder instance.
+ *
+ * @param {MacroRecorderElements} elements - DOM elements for the recorder UI
+ * @param {Object} callbacks
+ * @param {Function} callbacks.sendMessage - Sends a message to the background script
+ * @param {Function} callbacks.onDemonstrate - Called with demonstration text to put in the chat input
+ * @param {Function} callbacks.onNotify - Called with (text, type) for user feedback
+ * @returns {Object} Macro recorder public API
+ */
+function createMacroRecorder(elements, callbacks) {
+  const {
+    recordBtn,
+    recorderPanel,
+    recorderStatus,
+    recorderSteps,
+    recorderActions,
+    recorderName,
+    recorderStop,
+    recorderSave,
+    recorderDemo,
+    recorderDiscard
+  } = elements;
+
+  let recordingTabId = null;
+  let isRecording = false;
+  let startUrl = '';
+  /** @type {RecordedStep[]} */
+  let steps = [];
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  /**
+   * One-line description of a step (mirrors WorkflowEngine.describeStep).
+   *
+   * @param {RecordedStep} step
+   * @returns {string}
+   */
+  function describeStep(step) {
+    const target = step.label ? `"${step.label}" (${step.selector})` : step.selector;
+    switch (step.action) {
+      case 'click':
+        return `click ${target}`;
+      case 'type':
+        return `type "${step.text}" into ${target}`;
+      case 'select':
+        return `select "${step.label || step.value}" in ${step.selector}`;
+      case 'press_key':
+        return `press ${step.key} in ${step.selector}`;
+      case 'navigate':
+        return `navigate to ${step.url}`;
+      default:
+        return step.action;
+    }
+  }
+
+  /**
+   * Renders a step row. Once stopped, type and select steps get a param name
+   * input so the saved workflow can take a different value on each run.
+   *
+   * @param {RecordedStep} step
+   * @param {number} index
+   * @returns {string} HTML string
+   */
+  function renderStep(step, index) {
+    const escape = window.RenderUtils.escapeHtml;
+    let html = `<li class="recorder-step" title="${escape(step.selector || step.url || '')}">`;
+    html += `<span class="recorder-step-text">${escape(describeStep(step))}</span>`;
+    const parameterizable = (step.action === 'type' && !/^\{\{.+\}\}$/.test(step.text)) || step.action === 'select';
+    if (!isRecording && parameterizable) {
+      html += `<input type="text" class="recorder-param" data-step-index="${index}" placeholder="param name">`;
+    }
+    html += '</li>';
+    return html;
+  }
+
+  function render() {
+    const visible = isRecording || steps.length > 0;
+    recorderPanel.classList.toggle('hidden', !visible);
+    recordBtn.classList.toggle('recording', isRecording);
+    recordBtn.title = isRecording ? 'Stop recording' : 'Record your actions';
+
+    if (!visible) return;
+
+    recorderStatus.textContent = isRecording
+      ? `Recording... ${steps.length} step${steps.length !== 1 ? 's' : ''}`
+      : `Recorded ${steps.length} step${steps.length !== 1 ? 's' : ''}`;
+    recorderStop.classList.toggle('hidden', !isRecording);
+    recorderActions.classList.toggle('hidden', isRecording || steps.length === 0);
+
+    recorderSteps.innerHTML = steps.length > 0
+      ? steps.map(renderStep).join('')
+      : '<li class="recorder-empty">Click, type and select on the page - each action appears here.</li>';
+    recorderSteps.scrollTop = recorderSteps.scrollHeight;
+  }
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  async function start() {
+    try {
+      const response = await callbacks.sendMessage({ type: 'START_RECORDING' });
+      if (response?.error) throw new Error(response.error);
+
+      recordingTabId = response.tabId;
+      startUrl = response.startUrl || '';
+      steps = [];
+      isRecording = true;
+      recorderName.value = '';
+      render();
+    } catch (error) {
+      console.error('[Recorder] Start failed:', error);
+      callbacks.onNotify(`Could not start recording: ${error.message}`, 'error');
+    }
+  }
+
+  async function stop() {
+    try {
+      const response = await callbacks.sendMessage({ type: 'STOP_RECORDING', tabId: recordingTabId });
+      if (response?.error) throw new Error(response.error);
+      steps = response.steps || steps;
+    } catch (error) {
+      console.error('[Recorder] Stop failed:', error);
+    }
+    isRecording = false;
+    render();
+  }
+
+  async function discard() {
+    try {
+      await callbacks.sendMessage({ type: 'DISCARD_RECORDING', tabId: recordingTabId });
+    } catch (error) {
+      console.error('[Recorder] Discard failed:', error);
+    }
+    recordingTabId = null;
+    isRecording = false;
+    steps = [];
+    render();
+  }
+
+  /**
+   * Param name -> recorded example value, from the param inputs
+   *
+   * @returns {Object<string, string>}
+   */
+  function collectParams() {
+    const params = {};
+    recorderSteps.querySelectorAll('.recorder-param').forEach(input => {
+      const name = input.value.trim().replace(/[^\w-]/g, '_');
+      const step = steps[Number(input.dataset.stepIndex)];
+      if (!name || !step) return;
+      params[name] = step.action === 'select' ? step.value : step.text;
+    });
+    return params;
+  }
+
+  async function save() {
+    const description = recorderName.value.trim();
+    if (!description) {
+      recorderName.focus();
+      return;
+    }
+
+    recorderSave.disabled = true;
+    try {
+      const response = await callbacks.sendMessage({
+        type: 'SAVE_RECORDING',
+        tabId: recordingTabId,
+        description,
+        params: collectParams()
+      });
+      if (!response?.success) throw new Error(response?.error || 'Failed to save');
+
+      callbacks.onNotify(response.message, 'success');
+      await discard();
+    } catch (error) {
+      console.error('[Recorder] Save failed:', error);
+      callbacks.onNotify(`Could not save workflow: ${error.message}`, 'error');
+    } finally {
+      recorderSave.disabled = false;
+    }
+  }
+
+  /**
+   * Puts the recorded steps into the chat input as a demonstration; the user
+   * adds the instruction ("do this for every row").
+   */
+  function demonstrate() {
+    const lines = steps.map((step, i) => `${i + 1}. ${describeStep(step)}`);
+    const text = `Here is a demonstration I recorded on ${startUrl}:\n${lines.join('\n')}\n\n`;
+    callbacks.onDemonstrate(text);
+  }
+
+  // ============================================================================
+  // BACKGROUND EVENTS
+  // ============================================================================
+
+  /**
+   * Handles RECORDING_STEP from the background script.
+   *
+   * @param {Object} message - { tabId, step, index }
+   */
+  function handleStep(message) {
+    if (!isRecording || message.tabId !== recordingTabId) return;
+    steps[message.index] = message.step;
+    render();
+  }
+
+  /**
+   * Handles RECORDING_STOPPED (e.g. the step limit was reached).
+   *
+   * @param {Object} message - { tabId, steps }
+   */
+  function handleStopped(message) {
+    if (message.tabId !== recordingTabId) return;
+    steps = message.steps || steps;
+    isRecording = false;
+    render();
+  }
+
+  /**
+   * Restores a recording still running in the background (sidebar reopened).
+   */
+  async function restore() {
+    try {
+      const response = await callbacks.sendMessage({ type: 'GET_RECORDING' });
+      if (!response || response.error || (!response.recording && !response.steps?.length)) return;
+      recordingTabId = response.tabId;
+      startUrl = response.startUrl || '';
+      steps = response.steps;
+      isRecording = response.recording;
+      render();
+    } catch (error) {
+      console.error('[Recorder] Restore failed:', error);
+    }
+  }
+
+  recordBtn.addEventListener('click', () => (isRecording ? stop() : start()));
+  recorderStop.addEventListener('click', stop);
+  recorderDiscard.addEventListener('click', discard);
+  recorderSave.addEventListener('click', save);
+  recorderDemo.addEventListener('click', demonstrate);
+  recorderName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+
+  // Public API
+  return {
+    start,
+    stop,
+    discard,
+    restore,
+    handleStep,
+    handleStopped,
+    isRecording: () => isRecording
+  };
+}
+
+// Export for MV2 compatibility (script tag loading)
+if (typeof window !== 'undefined') {
+  window.MacroRecorder = { createMacroRecorder };
+}
@@ -12,6 +12,8 @@
  */
 const MESSAGE_HANDLERS = {
   'STREAM_DELTA': (msg, ctx) => ctx.streamRenderer.handleDelta(msg.text),
+  'STREAM_THINKING_START': (msg, ctx) => ctx.streamRenderer.handleThinkingStart(msg.redacted === true),
+  'STREAM_THINKING_DELTA': (msg, ctx) => ctx.streamRenderer.handleThinkingDelta(msg.text),
   'STREAM_TOOL_USE': (msg, ctx) => ctx.streamRenderer.handleToolUse({
     id: msg.toolId,
     name: msg.toolName,
@@ -27,8 +29,12 @@ const MESSAGE_HANDLERS = {
     msg.cacheCreationTokens,
     msg.cacheReadTokens
   ),
+  'COST_UPDATE': (msg, ctx) => ctx.tokenDisplay.updateCost(msg.requestCost, msg.todayCost, msg.priced),
   'ITERATION_LIMIT_REACHED': (msg, ctx) => showIterationLimitPrompt(msg.promptId, msg.currentIteration, ctx),
-  'TAB_CREATED_BY_TOOL': (msg, ctx) => handleTabCreated(msg, ctx)
+  'SPENDING_CAP_REACHED': (msg, ctx) => showSpendingCapPrompt(msg.promptId, msg.spent, msg.cap, ctx),
+  'TAB_CREATED_BY_TOOL': (msg, ctx) => handleTabCreated(msg, ctx),
+  'RECORDING_STEP': (msg, ctx) => ctx.macroRecorder?.handleStep(msg),
+  'RECORDING_STOPPED': (msg, ctx) => ctx.macroRecorder?.handleStopped(msg)
 };
 
 /**
@@ -213,6 +219,59 @@ function respondToIterationPrompt(promptId, allowMore, ctx) {
   }
 }
 
+/**
+ * Shows spending cap prompt when today's estimated spend reaches the
+ * configured daily cap. The task stays paused until the user answers.
+ *
+ * @param {string} promptId - Unique ID for this prompt (for response correlation)
+ * @param {number} spent - Today's estimated spend in USD
+ * @param {number} cap - Configured daily cap in USD
+ * @param {Object} ctx - Handler context
+ */
+function showSpendingCapPrompt(promptId, spent, cap, ctx) {
+  const existingPrompt = ctx.chatContainer.querySelector('.spending-cap-prompt');
+  if (existingPrompt) existingPrompt.remove();
+
+  const promptElement = document.createElement('div');
+  promptElement.className = 'message system iteration-prompt spending-cap-prompt';
+  promptElement.innerHTML = `
+    <div class="message-content">
+      <div class="iteration-prompt-content">
+        <div class="iteration-prompt-header">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="12" y1="1" x2="12" y2="23"/>
+            <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/>
+          </svg>
+          <span>Daily spending cap reached</span>
+        </div>
+        <p class="iteration-prompt-text">Today's estimated spend is $${spent.toFixed(2)} (cap $${cap.toFixed(2)}). Continue this task anyway?</p>
+        <div class="iteration-prompt-buttons">
+          <div class="iteration-more-buttons">
+            <button class="iteration-btn" data-proceed="true">Continue anyway</button>
+            <button class="iteration-btn stop-now-btn" data-proceed="false">Stop</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  promptElement.querySelectorAll('.iteration-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const proceed = btn.dataset.proceed === 'true';
+      browser.runtime.sendMessage({
+        type: 'SPENDING_CAP_RESPONSE',
+        promptId: promptId,
+        proceed: proceed
+      });
+      ctx.addEphemeralMessage(proceed ? 'Continuing past the daily cap for this task...' : 'Paused.', proceed ? 'warning' : 'info', 3000);
+      promptElement.remove();
+    });
+  });
+
+  ctx.chatContainer.appendChild(promptElement);
+  ctx.scrollToBottom();
+}
+
 /**
  * Creates the MessageHandler module.
  *
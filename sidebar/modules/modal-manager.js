@@ -93,7 +93,9 @@ function handleClearChatConfirmed() {
   config.callbacks.setState({
     conversation: [],
     tokenUsage: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
-    lastTurnTokens: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 }
+    lastTurnTokens: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
+    conversationCost: 0,
+    archiveId: null
   });
 
   config.callbacks.refreshTokenDisplay();
@@ -110,6 +112,8 @@ function handleClearChatConfirmed() {
       conversation: [],
       tokenUsage: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
       lastTurnTokens: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
+      conversationCost: 0,
+      archiveId: null,
       chatHtml: null
     });
   }
@@ -361,7 +365,7 @@ function showApiKeyModal() {
 
 /**
  * Handles saving and validating the API key.
- * Validates format, tests against Anthropic API, and stores if valid.
+ * Validates format, tests against the configured provider, and stores if valid.
  */
 async function handleApiKeySave() {
   const apiKey = config.elements.apiKeyInput.value.trim();
@@ -378,7 +382,11 @@ async function handleApiKeySave() {
     return;
   }
 
-  if (!apiKey.startsWith('sk-ant-')) {
+  // Key format check only applies to api.anthropic.com (the default backend)
+  const { apiProvider, apiBaseUrl } = await browser.storage.local.get(['apiProvider', 'apiBaseUrl']);
+  const officialEndpoint = (!apiProvider || apiProvider === 'anthropic') &&
+    (!apiBaseUrl || apiBaseUrl.replace(/\/+$/, '') === 'https://api.anthropic.com/v1');
+  if (officialEndpoint && !apiKey.startsWith('sk-ant-')) {
     showApiKeyError('Invalid format. Anthropic API keys start with "sk-ant-"');
     return;
   }
@@ -390,23 +398,10 @@ async function handleApiKeySave() {
   saveBtn.textContent = 'Validating...';
 
   try {
-    // Validate against Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5',
-        max_tokens: 10,
-        messages: [{ role: 'user', content: 'Hi' }]
-      })
-    });
+    // Validate against the configured provider (background sends a minimal request)
+    const result = await browser.runtime.sendMessage({ type: 'TEST_API_CONNECTION', apiKey });
 
-    if (response.ok) {
+    if (result?.success) {
       // Success - save the key
       await browser.storage.local.set({ apiKey, apiKeyStatus: 'valid' });
       config.callbacks.setState({ apiKeyConfigured: true });
@@ -430,9 +425,7 @@ async function handleApiKeySave() {
 
     } else {
       // API returned an error
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
-      showApiKeyError(`Invalid API key: ${errorMessage}`);
+      showApiKeyError(`Invalid API key: ${result?.error || 'No response from background script'}`);
     }
 
   } catch (error) {
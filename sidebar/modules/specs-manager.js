@@ -17,6 +17,7 @@
  * @property {Object<string, string>} [selectors] - Legacy format: CSS selectors
  * @property {string[]} [avoid] - Legacy format: things to avoid
  * @property {string} [path] - URL path pattern this spec applies to
+ * @property {{params: string[], steps: Object[]}} [workflow] - Replayable steps (shortcut specs saved with save_workflow)
  */
 
 /**
@@ -39,9 +40,11 @@
  *
  * @param {SpecsManagerElements} elements - DOM elements for the specs UI
  * @param {Function} sendMessage - Function to send messages to background script
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onWorkflowResult] - Called with (spec, result, args) after a workflow run
  * @returns {Object} Specs manager public API
  */
-function createSpecsManager(elements, sendMessage) {
+function createSpecsManager(elements, sendMessage, callbacks = {}) {
   // Private state
   let currentSpecsDomain = '';
   let currentSpecsData = [];
@@ -187,6 +190,11 @@ function createSpecsManager(elements, sendMessage) {
       html += '</ul></div>';
     }
 
+    // Replayable workflow: param inputs and run button
+    if (spec.workflow) {
+      html += renderWorkflowControls(spec);
+    }
+
     // Path constraint
     if (spec.path && spec.path !== '*') {
       html += `<div class="note-path">Applies to: ${window.RenderUtils.escapeHtml(spec.path)}</div>`;
@@ -196,6 +204,26 @@ function createSpecsManager(elements, sendMessage) {
     return html;
   }
 
+  /**
+   * Renders the param inputs and Run button for a workflow spec.
+   *
+   * @param {Spec} spec - A spec with a workflow
+   * @returns {string} HTML string
+   */
+  function renderWorkflowControls(spec) {
+    const escape = window.RenderUtils.escapeHtml;
+    let html = `<div class="note-section spec-workflow" data-note-id="${escape(spec.id)}">`;
+    for (const param of spec.workflow.params || []) {
+      html += '<label class="workflow-param">';
+      html += `<span>${escape(param)}</span>`;
+      html += `<input type="text" data-param="${escape(param)}" placeholder="${escape(param)}">`;
+      html += '</label>';
+    }
+    html += `<button class="workflow-run-btn" data-note-id="${escape(spec.id)}">Run workflow (${spec.workflow.steps.length} steps)</button>`;
+    html += '</div>';
+    return html;
+  }
+
   /**
    * Renders all specs as HTML cards.
    *
@@ -362,6 +390,59 @@ function createSpecsManager(elements, sendMessage) {
         }
       });
     });
+
+    notesRendered.querySelectorAll('.workflow-run-btn').forEach(btn => {
+      btn.addEventListener('click', () => runWorkflow(btn));
+    });
+  }
+
+  /**
+   * Replays a workflow spec in the current tab via the background script.
+   * Param values come from the inputs rendered next to the button.
+   *
+   * @param {HTMLButtonElement} runBtn - The clicked run button
+   */
+  async function runWorkflow(runBtn) {
+    const specId = runBtn.dataset.noteId;
+    const spec = currentSpecsData.find(s => s.id === specId);
+    if (!spec?.workflow) return;
+
+    const args = {};
+    runBtn.closest('.spec-workflow').querySelectorAll('input[data-param]').forEach(input => {
+      args[input.dataset.param] = input.value;
+    });
+
+    const missing = (spec.workflow.params || []).filter(name => !args[name]);
+    if (missing.length > 0) {
+      runBtn.textContent = `Missing: ${missing.join(', ')}`;
+      setTimeout(() => {
+        runBtn.textContent = `Run workflow (${spec.workflow.steps.length} steps)`;
+      }, 2000);
+      return;
+    }
+
+    runBtn.textContent = 'Running...';
+    runBtn.disabled = true;
+
+    let result;
+    try {
+      result = await sendMessage({
+        type: 'RUN_WORKFLOW',
+        domain: currentSpecsDomain,
+        specId,
+        params: args
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    runBtn.textContent = result?.success ? 'Done!' : 'Failed';
+    setTimeout(() => {
+      runBtn.textContent = `Run workflow (${spec.workflow.steps.length} steps)`;
+      runBtn.disabled = false;
+    }, 2000);
+
+    callbacks.onWorkflowResult?.(spec, result, args);
   }
 
   /**
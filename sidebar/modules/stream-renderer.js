@@ -28,6 +28,12 @@ let lastRenderedText = '';
 /** @type {boolean} Whether tools were executed since last text (for paragraph breaks) */
 let toolsExecutedSinceLastText = false;
 
+/** @type {HTMLElement|null} Reasoning section currently receiving thinking deltas */
+let activeReasoningSection = null;
+
+/** @type {number} Timestamp when the active reasoning section started */
+let reasoningStartTime = 0;
+
 // ========== Configuration ==========
 
 /**
@@ -172,6 +178,8 @@ function stopStreamingInterval() {
  * @returns {HTMLElement} The text container element
  */
 function appendStreamingText(contentElement, text) {
+  finishReasoningSection();
+
   // Remove initial cursor if still present
   const cursor = contentElement.querySelector('.streaming-cursor');
   if (cursor) cursor.remove();
@@ -224,6 +232,117 @@ function appendStreamingText(contentElement, text) {
   return textContainer;
 }
 
+// ========== Reasoning (Extended Thinking) ==========
+
+/**
+ * Creates a collapsible reasoning section for a thinking block.
+ * Open while streaming, collapsed once the model moves on.
+ *
+ * @param {boolean} redacted - Whether the block is redacted (encrypted) reasoning
+ * @returns {HTMLElement} The reasoning <details> element
+ */
+function createReasoningSection(redacted = false) {
+  const section = document.createElement('details');
+  section.className = 'reasoning-section streaming';
+  section.open = !redacted;
+  section.innerHTML = `
+    <summary class="reasoning-summary">
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M9 18h6M10 22h4M12 2a7 7 0 0 0-4 12.74V17h8v-2.26A7 7 0 0 0 12 2z"/>
+      </svg>
+      <span class="reasoning-label">Reasoning...</span>
+    </summary>
+    <div class="reasoning-text"></div>
+  `;
+  if (redacted) {
+    section.querySelector('.reasoning-text').textContent = 'Part of the reasoning was redacted by the provider.';
+  }
+  return section;
+}
+
+/**
+ * Marks the active reasoning section as finished: collapses it and shows
+ * how long the model spent thinking.
+ */
+function finishReasoningSection() {
+  if (!activeReasoningSection) return;
+
+  const seconds = Math.max(1, Math.round((Date.now() - reasoningStartTime) / 1000));
+  const label = activeReasoningSection.querySelector('.reasoning-label');
+  if (label) label.textContent = `Reasoning (${seconds}s)`;
+
+  activeReasoningSection.classList.remove('streaming');
+  activeReasoningSection.open = false;
+  activeReasoningSection = null;
+}
+
+/**
+ * Handles the start of a thinking block.
+ *
+ * @param {boolean} redacted - Whether the block is redacted reasoning
+ * @param {Object} state - Current streaming state
+ * @param {number} state.currentTabId - The currently active tab ID
+ * @param {number|null} state.streamingTabId - The tab ID where streaming started
+ * @param {Object} elements - DOM elements
+ * @param {HTMLElement} elements.chatContainer - The chat container element
+ */
+function handleThinkingStart(redacted, state, elements) {
+  if (!Helpers.isCurrentTab(state.currentTabId, state.streamingTabId)) {
+    return;
+  }
+
+  const msgElement = elements.chatContainer.querySelector('.message.assistant:last-child');
+  if (!msgElement) return;
+
+  const contentElement = msgElement.querySelector('.message-content');
+  const cursor = contentElement.querySelector('.streaming-cursor');
+  if (cursor) cursor.remove();
+
+  finishReasoningSection();
+
+  const section = createReasoningSection(redacted);
+  const indicator = contentElement.querySelector('.streaming-indicator');
+  contentElement.insertBefore(section, indicator || null);
+
+  if (redacted) {
+    section.classList.remove('streaming');
+    section.querySelector('.reasoning-label').textContent = 'Reasoning (redacted)';
+    return;
+  }
+
+  activeReasoningSection = section;
+  reasoningStartTime = Date.now();
+  RenderUtils.scrollToBottom(elements.chatContainer);
+}
+
+/**
+ * Handles thinking text deltas. Text is appended as plain text (no markdown)
+ * to keep long reasoning streams cheap to render.
+ *
+ * @param {string} text - The thinking delta
+ * @param {Object} state - Current streaming state
+ * @param {Object} elements - DOM elements
+ * @param {HTMLElement} elements.chatContainer - The chat container element
+ */
+function handleThinkingDelta(text, state, elements) {
+  if (!text || !Helpers.isCurrentTab(state.currentTabId, state.streamingTabId)) {
+    return;
+  }
+
+  // Delta without a start (e.g. tab switched mid-block) - open a section now
+  if (!activeReasoningSection || !activeReasoningSection.isConnected) {
+    activeReasoningSection = null;
+    handleThinkingStart(false, state, elements);
+    if (!activeReasoningSection) return;
+  }
+
+  const textEl = activeReasoningSection.querySelector('.reasoning-text');
+  textEl.appendChild(document.createTextNode(text));
+  if (activeReasoningSection.open) {
+    textEl.scrollTop = textEl.scrollHeight;
+  }
+}
+
 // ========== Main Stream Handlers ==========
 
 /**
@@ -307,6 +426,8 @@ function handleToolUse(toolUse, state, elements, callbacks = {}) {
     indicator.style.display = 'none';
   }
 
+  finishReasoningSection();
+
   // Mark that tools have been used - next text should start a new paragraph
   toolsExecutedSinceLastText = true;
 
@@ -385,6 +506,7 @@ function handleResult(toolUseId, result, isError, state, elements, callbacks = {
 function handleError(error, state, elements, callbacks = {}) {
   // Stop streaming interval on error
   stopStreamingInterval();
+  finishReasoningSection();
 
   // Only update DOM if we're on the tab that started the stream
   if (!Helpers.isCurrentTab(state.currentTabId, state.streamingTabId)) {
@@ -501,6 +623,7 @@ function processComplexity(text, msgElement, callbacks = {}) {
 function finalizeMessage(contentElement, finalText, callbacks = {}) {
   // Stop streaming interval and clean up state
   stopStreamingInterval();
+  finishReasoningSection();
 
   // Remove streaming cursor and indicator
   const cursor = contentElement.querySelector('.streaming-cursor');
@@ -599,6 +722,7 @@ function triggerContinuation(state, callbacks = {}) {
  * @param {string} image.mediaType - Image MIME type
  * @param {Object} [callbacks] - Optional callback functions
  * @param {Function} [callbacks.onCopyTask] - Callback for copy task button click
+ * @param {Function} [callbacks.onExportTest] - Callback for export as test button click
  * @returns {HTMLElement} The created message element
  */
 function createMessageElement(role, content, image = null, callbacks = {}) {
@@ -647,6 +771,12 @@ function createMessageElement(role, content, image = null, callbacks = {}) {
           <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
         </svg>
       </button>
+      <button class="msg-action-btn export-test-btn" title="Export as test">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="16 18 22 12 16 6"/>
+          <polyline points="8 6 2 12 8 18"/>
+        </svg>
+      </button>
     `;
     msgElement.appendChild(actionsDiv);
 
@@ -655,6 +785,11 @@ function createMessageElement(role, content, image = null, callbacks = {}) {
       const copyTaskBtn = actionsDiv.querySelector('.copy-task-btn');
       copyTaskBtn.addEventListener('click', () => callbacks.onCopyTask(msgElement));
     }
+
+    if (callbacks.onExportTest) {
+      const exportTestBtn = actionsDiv.querySelector('.export-test-btn');
+      exportTestBtn.addEventListener('click', () => callbacks.onExportTest(msgElement));
+    }
   }
 
   msgElement.appendChild(contentElement);
@@ -702,6 +837,8 @@ window.StreamRenderer = {
   handleToolUse,
   handleResult,
   handleError,
+  handleThinkingStart,
+  handleThinkingDelta,
 
   // Message creation
   createMessageElement,
@@ -55,6 +55,7 @@
  * @property {Function} handleInputChange - Handles input change to update button state
  * @property {Function} updateAutonomyUI - Updates autonomy UI to reflect current setting
  * @property {Function} handleCopyTaskClick - Handles copy task button click
+ * @property {Function} handleExportTestClick - Handles export as test button click
  */
 
 /**
@@ -259,13 +260,13 @@ const PRESET_PROMPTS = [
   { icon: null, label: 'Visual Selection', prompt: 'Let me select some items on this page visually.', menuOnly: true },
   { divider: true },
   { icon: '🔍', label: 'Record API Traffic', prompt: 'Monitor network traffic as I browse this site. Summarize API endpoints, methods, and request patterns. For large payloads, just note the structure - don\'t dump raw data. I want to understand how to replicate this site\'s functionality programmatically.' },
-  { icon: '📋', label: 'Document APIs', prompt: 'Analyze the network calls captured so far. Document the internal APIs: list endpoints, auth headers, request formats, and response structures. Create a quick reference I can use to call these APIs directly.' },
+  { icon: '📋', label: 'Document APIs', prompt: 'Analyze the network calls captured so far. Document the internal APIs: list endpoints, auth headers, request formats, and response structures. Create a quick reference I can use to call these APIs directly, with a cURL or fetch example per endpoint.' },
   { icon: '🗺️', label: 'Map DOM Structure', prompt: "Analyze this page's DOM structure and document the key selectors for: navigation, search, product/item listings, forms, and interactive elements. Save as site specs for future reference." },
   { divider: true },
-  { icon: '🛡️', label: 'Security Audit', prompt: 'Audit this page for privacy and security issues. Check for: third-party trackers and analytics scripts, dark patterns (hidden opt-ins, misleading buttons, forced consent), exposed data in the DOM or network requests, insecure form actions, and suspicious external resource loading. Summarize findings by severity.' },
+  { icon: '🛡️', label: 'Security Audit', prompt: 'Audit this page for privacy and security issues. Check for: third-party trackers and analytics scripts, dark patterns (hidden opt-ins, misleading buttons, forced consent), exposed data in the DOM or network requests, insecure form actions, and suspicious external resource loading. Take a full-page screenshot as visual evidence. Summarize findings by severity.' },
   { icon: '🧲', label: 'Extract Content', prompt: "Extract content from this page. Scan the DOM to see what's here, then ask me what I want to keep (e.g., just posts, just products, just articles). Once I tell you, extract that content — clean, no ads, no clutter — and ask how I want it: view as HTML, save as markdown, or summarize in chat." },
   { divider: true },
-  { icon: '🔬', label: 'Dev Audit', prompt: 'Run a developer audit on this page. Detect the tech stack (frameworks, state management, UI libraries, build tools, analytics), check Core Web Vitals and performance metrics, and run a WCAG accessibility audit. Summarize all findings with actionable issues.' },
+  { icon: '🔬', label: 'Dev Audit', prompt: 'Run a developer audit on this page. Detect the tech stack (frameworks, state management, UI libraries, build tools, analytics), check Core Web Vitals and performance metrics, run a WCAG accessibility audit, and take a full-page screenshot as visual evidence. Summarize all findings with actionable issues.' },
   { icon: '🧬', label: 'Deep Recon', prompt: 'Stay in this tab. No new tabs, no navigation, no fetching endpoints. Run detect_page_tech, read get_network_requests for already-captured traffic, and inspect_app_state for live data. Top 3 per category max. Map: which DOM sections use which APIs, what state drives the UI, what\'s API-callable vs UI-only. Save a site profile and key specs.' },
 ];
 
@@ -377,6 +378,16 @@ function reattachChatEventListeners(chatContainer, callbacks) {
     }
   });
 
+  const exportTestBtns = chatContainer.querySelectorAll('.export-test-btn');
+  exportTestBtns.forEach(btn => {
+    const msgElement = btn.closest('.message');
+    if (msgElement) {
+      const newBtn = btn.cloneNode(true);
+      btn.parentNode.replaceChild(newBtn, btn);
+      newBtn.addEventListener('click', () => callbacks.handleExportTestClick(msgElement));
+    }
+  });
+
   const activityHeaders = chatContainer.querySelectorAll('.activity-header');
   activityHeaders.forEach(header => {
     const activityLog = header.closest('.activity-log');
@@ -0,0 +1,418 @@
+/**
+ * Test Exporter Module
+ * Turns the tool calls of a finished task into a runnable Playwright
+ * (TypeScript) or Cypress spec. Interaction tools become actions, waits
+ * become waits and query_selector checks become assertions, so an
+ * exploratory session can be kept as a regression test.
+ */
+
+/**
+ * @typedef {Object} ExportedToolCall
+ * @property {string} name - Tool name
+ * @property {Object} input - Tool input
+ * @property {*} result - Parsed tool result (object when it was JSON, else text)
+ * @property {boolean} isError - Whether the tool call failed
+ */
+
+/**
+ * @typedef {Object} TestExportOptions
+ * @property {string} [title] - Test title (usually the user's request)
+ * @property {string} [startUrl] - Page to open first when the task did not navigate itself
+ */
+
+/** Longest query_selector text that is turned into a text assertion */
+const TEST_EXPORT_MAX_ASSERT_TEXT = 80;
+
+/** Keys press_key accepts -> Cypress type() sequences */
+const CYPRESS_KEYS = {
+  Enter: '{enter}',
+  Escape: '{esc}',
+  Backspace: '{backspace}',
+  Delete: '{del}',
+  ArrowUp: '{upArrow}',
+  ArrowDown: '{downArrow}',
+  ArrowLeft: '{leftArrow}',
+  ArrowRight: '{rightArrow}',
+  Home: '{home}',
+  End: '{end}',
+  PageUp: '{pageUp}',
+  PageDown: '{pageDown}',
+  ' ': ' '
+};
+
+const PLAYWRIGHT_MODIFIERS = { ctrl: 'Control', control: 'Control', shift: 'Shift', alt: 'Alt', meta: 'Meta', cmd: 'Meta' };
+const CYPRESS_MODIFIERS = { ctrl: '{ctrl}', control: '{ctrl}', shift: '{shift}', alt: '{alt}', meta: '{meta}', cmd: '{meta}' };
+
+// ============================================================================
+// COLLECTING
+// ============================================================================
+
+/**
+ * Reads the tool calls of an assistant message from its activity log.
+ * Works on restored and archived chats, since it only needs the rendered HTML.
+ *
+ * @param {HTMLElement} msgElement - Assistant message element
+ * @returns {ExportedToolCall[]}
+ */
+function collectToolCalls(msgElement) {
+  const items = msgElement.querySelectorAll('.activity-item');
+  return Array.from(items).map(item => {
+    const name = item.dataset.toolName || item.querySelector('.activity-item-name')?.firstChild?.textContent || '';
+    const inputText = item.querySelector('.activity-detail-content')?.textContent || '{}';
+    const resultText = item.querySelector('.result-content')?.textContent || '';
+
+    let input = {};
+    try {
+      input = JSON.parse(inputText);
+    } catch (e) {
+      // Input that is not JSON cannot be exported
+    }
+
+    let result = resultText;
+    try {
+      result = JSON.parse(resultText);
+    } catch (e) {
+      // Truncated or plain-text result - keep the text
+    }
+
+    // Snapshot refs expire - use the selector the content script resolved
+    if (input.ref && result?.selector) {
+      input = { ...input, selector: result.selector };
+    }
+
+    return { name, input, result, isError: item.classList.contains('error') };
+  }).filter(call => call.name && !call.isError);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Single-quoted JS/TS string literal
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function quote(value) {
+  const escaped = String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+  return `'${escaped}'`;
+}
+
+/**
+ * Text from a query_selector result worth asserting on, or null.
+ * Uses the first run of text without line breaks or repeated spaces (Cypress
+ * compares raw text), cut at a word boundary when long.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+function assertableText(text) {
+  if (typeof text !== 'string') return null;
+  const segment = text.split(/\s*\n\s*|\s{2,}/).map(part => part.trim()).find(Boolean);
+  if (!segment) return null;
+  if (segment.length <= TEST_EXPORT_MAX_ASSERT_TEXT) return segment;
+  const cut = segment.slice(0, TEST_EXPORT_MAX_ASSERT_TEXT);
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > 20 ? cut.slice(0, lastSpace) : cut;
+}
+
+/**
+ * Assertion facts from a query_selector call, or null if the result is unreadable.
+ *
+ * @param {ExportedToolCall} call
+ * @returns {{ selector: string, count?: number, exists?: boolean, text?: string|null }|null}
+ */
+function queryAssertion(call) {
+  const { selector } = call.input;
+  const result = call.result;
+  if (!selector || !result || typeof result !== 'object') return null;
+
+  if (Array.isArray(result.elements)) {
+    return { selector, count: result.elements.length };
+  }
+  if (result.found === false) {
+    return { selector, exists: false };
+  }
+  if (result.found === true) {
+    return { selector, exists: true, text: assertableText(result.textContent) };
+  }
+  return null;
+}
+
+/**
+ * Page the spec should open first: the task's own first navigation wins.
+ *
+ * @param {ExportedToolCall[]} calls
+ * @param {string} [startUrl]
+ * @returns {string|null}
+ */
+function initialUrl(calls, startUrl) {
+  const firstAction = calls.find(call => call.name in PLAYWRIGHT_STEPS);
+  if (firstAction?.name === 'navigate') return null;
+  return startUrl || null;
+}
+
+function testTitle(options) {
+  const title = (options.title || '').replace(/\s+/g, ' ').trim();
+  if (!title) return 'recorded Foxhole task';
+  return title.length > 100 ? title.slice(0, 97) + '...' : title;
+}
+
+// ============================================================================
+// PLAYWRIGHT
+// ============================================================================
+
+/**
+ * Locator expression. Playwright CSS already pierces open shadow roots, so
+ * "host >>> inner" becomes a descendant selector.
+ */
+function pwLocator(selector, frame) {
+  const css = quote(String(selector ?? '').replace(/\s*>>>\s*/g, ' '));
+  return frame ? `page.frameLocator(${quote(frame)}).locator(${css})` : `page.locator(${css})`;
+}
+
+function playwrightKey(input) {
+  const modifiers = (input.modifiers || []).map(m => PLAYWRIGHT_MODIFIERS[String(m).toLowerCase()]).filter(Boolean);
+  return [...modifiers, input.key].join('+');
+}
+
+/** Whether a type_text call added to the existing text (append/insert) */
+function keepsText(input) {
+  return input.append || (input.mode !== undefined && input.mode !== 'replace');
+}
+
+/** Tool name -> Playwright statements */
+const PLAYWRIGHT_STEPS = {
+  navigate: input => [`await page.goto(${quote(input.url)});`],
+  reload_page: () => ['await page.reload();'],
+  go_back: () => ['await page.goBack();'],
+  go_forward: () => ['await page.goForward();'],
+  click_element: input => [`await ${pwLocator(input.selector, input.frame)}.click();`],
+  hover_element: input => [`await ${pwLocator(input.selector, input.frame)}.hover();`],
+  focus_element: input => [`await ${pwLocator(input.selector, input.frame)}.focus();`],
+  type_text: input => [keepsText(input)
+    ? `await ${pwLocator(input.selector, input.frame)}.pressSequentially(${quote(input.text)});`
+    : `await ${pwLocator(input.selector, input.frame)}.fill(${quote(input.text)});`],
+  fill_form: input => Object.entries(input.fields || {}).map(([selector, value]) =>
+    `await ${pwLocator(selector, input.frame)}.fill(${quote(value)});`),
+  select_option: input => [input.value !== undefined
+    ? `await ${pwLocator(input.selector, input.frame)}.selectOption(${quote(input.value)});`
+    : `await ${pwLocator(input.selector, input.frame)}.selectOption({ label: ${quote(input.text)} });`],
+  set_checkbox: input => [`await ${pwLocator(input.selector, input.frame)}.setChecked(${input.checked !== false});`],
+  press_key: input => [input.selector
+    ? `await ${pwLocator(input.selector, input.frame)}.press(${quote(playwrightKey(input))});`
+    : `await page.keyboard.press(${quote(playwrightKey(input))});`],
+  scroll_to: input => [input.selector
+    ? `await ${pwLocator(input.selector, input.frame)}.scrollIntoViewIfNeeded();`
+    : `await page.evaluate(() => window.scrollTo(${Number(input.x) || 0}, ${Number(input.y) || 0}));`],
+  wait_for_element: input => [input.timeout
+    ? `await ${pwLocator(input.selector, input.frame)}.first().waitFor({ timeout: ${Number(input.timeout)} });`
+    : `await ${pwLocator(input.selector, input.frame)}.first().waitFor();`],
+  wait_for_navigation: () => ["await page.waitForLoadState('load');"],
+  wait: input => [`await page.waitForTimeout(${Number(input.ms) || 0});`],
+  query_selector: (input, call) => {
+    const assertion = queryAssertion(call);
+    if (!assertion) return [];
+    const locator = pwLocator(assertion.selector, input.frame);
+    if (assertion.count !== undefined) return [`await expect(${locator}).toHaveCount(${assertion.count});`];
+    if (!assertion.exists) return [`await expect(${locator}).toHaveCount(0);`];
+    const lines = [`await expect(${locator}.first()).toBeAttached();`];
+    if (assertion.text) lines.push(`await expect(${locator}.first()).toContainText(${quote(assertion.text)});`);
+    return lines;
+  }
+};
+
+/**
+ * Generates a Playwright Test spec (TypeScript).
+ *
+ * @param {ExportedToolCall[]} calls - Successful tool calls, in order
+ * @param {TestExportOptions} [options]
+ * @returns {{ code: string, steps: number, skipped: string[] }}
+ */
+function generatePlaywrightSpec(calls, options = {}) {
+  const body = [];
+  const skipped = [];
+  const url = initialUrl(calls, options.startUrl);
+  if (url) body.push(`await page.goto(${quote(url)});`);
+
+  let steps = 0;
+  for (const call of calls) {
+    const step = PLAYWRIGHT_STEPS[call.name];
+    if (!step) {
+      skipped.push(call.name);
+      continue;
+    }
+    const lines = step(call.input, call);
+    if (lines.length > 0) steps++;
+    body.push(...lines);
+  }
+
+  const code = [
+    "import { test, expect } from '@playwright/test';",
+    '',
+    '// Exported from Foxhole for Claude' + (skipped.length > 0 ? ` (skipped: ${[...new Set(skipped)].join(', ')})` : ''),
+    `test(${quote(testTitle(options))}, async ({ page }) => {`,
+    ...body.map(line => `  ${line}`),
+    '});',
+    ''
+  ].join('\n');
+
+  return { code, steps, skipped };
+}
+
+// ============================================================================
+// CYPRESS
+// ============================================================================
+
+/**
+ * cy.get() chain: "host >>> inner" walks shadow roots with .shadow().find(),
+ * and frame selectors enter same-origin iframes through contentDocument.
+ */
+function cyGet(selector, frame, options) {
+  const [first, ...rest] = String(selector ?? '').split('>>>').map(part => part.trim());
+  const optionArg = options ? `, ${options}` : '';
+  let chain = frame
+    ? `cy.get(${quote(frame)}).its('0.contentDocument.body').then(cy.wrap).find(${quote(first)}${optionArg})`
+    : `cy.get(${quote(first)}${optionArg})`;
+  for (const part of rest) {
+    chain += `.shadow().find(${quote(part)})`;
+  }
+  return chain;
+}
+
+function cypressKey(input) {
+  const modifiers = (input.modifiers || []).map(m => CYPRESS_MODIFIERS[String(m).toLowerCase()]).filter(Boolean);
+  const key = CYPRESS_KEYS[input.key] || (input.key.length === 1 ? input.key : `{${input.key.toLowerCase()}}`);
+  return modifiers.join('') + key;
+}
+
+/**
+ * cy.type() for literal text; braces would otherwise be read as key sequences
+ */
+function cypressType(selector, text, clear, frame) {
+  const value = String(text ?? '');
+  const target = `${cyGet(selector, frame)}${clear ? '.clear()' : ''}`;
+  if (!value) return `${target};`;
+  const options = value.includes('{') ? ', { parseSpecialCharSequences: false }' : '';
+  return `${target}.type(${quote(value)}${options});`;
+}
+
+/** Tool name -> Cypress statements */
+const CYPRESS_STEPS = {
+  navigate: input => [`cy.visit(${quote(input.url)});`],
+  reload_page: () => ['cy.reload();'],
+  go_back: () => ["cy.go('back');"],
+  go_forward: () => ["cy.go('forward');"],
+  click_element: input => [`${cyGet(input.selector, input.frame)}.click();`],
+  hover_element: input => [`${cyGet(input.selector, input.frame)}.trigger('mouseover');`],
+  focus_element: input => [`${cyGet(input.selector, input.frame)}.focus();`],
+  type_text: input => [cypressType(input.selector, input.text, !keepsText(input), input.frame)],
+  fill_form: input => Object.entries(input.fields || {}).map(([selector, value]) => cypressType(selector, value, true, input.frame)),
+  select_option: input => [`${cyGet(input.selector, input.frame)}.select(${quote(input.value ?? input.text)});`],
+  set_checkbox: input => [`${cyGet(input.selector, input.frame)}.${input.checked !== false ? 'check' : 'uncheck'}();`],
+  press_key: input => [input.selector
+    ? `${cyGet(input.selector, input.frame)}.type(${quote(cypressKey(input))});`
+    : `cy.focused().type(${quote(cypressKey(input))});`],
+  scroll_to: input => [input.selector
+    ? `${cyGet(input.selector, input.frame)}.scrollIntoView();`
+    : `cy.scrollTo(${Number(input.x) || 0}, ${Number(input.y) || 0});`],
+  wait_for_element: input => [input.timeout
+    ? `${cyGet(input.selector, input.frame, `{ timeout: ${Number(input.timeout)} }`)}.should('exist');`
+    : `${cyGet(input.selector, input.frame)}.should('exist');`],
+  // cy commands already wait for the next page to load
+  wait_for_navigation: () => [],
+  wait: input => [`cy.wait(${Number(input.ms) || 0});`],
+  query_selector: (input, call) => {
+    const assertion = queryAssertion(call);
+    if (!assertion) return [];
+    const target = cyGet(assertion.selector, input.frame);
+    if (assertion.count !== undefined) {
+      return [assertion.count > 0 ? `${target}.should('have.length', ${assertion.count});` : `${target}.should('not.exist');`];
+    }
+    if (!assertion.exists) return [`${target}.should('not.exist');`];
+    if (assertion.text) return [`${target}.first().should('contain.text', ${quote(assertion.text)});`];
+    return [`${target}.should('exist');`];
+  }
+};
+
+/**
+ * Generates a Cypress spec (JavaScript).
+ *
+ * @param {ExportedToolCall[]} calls - Successful tool calls, in order
+ * @param {TestExportOptions} [options]
+ * @returns {{ code: string, steps: number, skipped: string[] }}
+ */
+function generateCypressSpec(calls, options = {}) {
+  const body = [];
+  const skipped = [];
+  const url = initialUrl(calls, options.startUrl);
+  if (url) body.push(`cy.visit(${quote(url)});`);
+
+  let steps = 0;
+  for (const call of calls) {
+    const step = CYPRESS_STEPS[call.name];
+    if (!step) {
+      skipped.push(call.name);
+      continue;
+    }
+    const lines = step(call.input, call);
+    if (lines.length > 0) steps++;
+    body.push(...lines);
+  }
+
+  const code = [
+    '// Exported from Foxhole for Claude' + (skipped.length > 0 ? ` (skipped: ${[...new Set(skipped)].join(', ')})` : ''),
+    "describe('Foxhole task', () => {",
+    `  it(${quote(testTitle(options))}, () => {`,
+    ...body.map(line => `    ${line}`),
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+
+  return { code, steps, skipped };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/** Supported output formats */
+const TEST_FORMATS = {
+  playwright: { label: 'Playwright', extension: '.spec.ts', generate: generatePlaywrightSpec },
+  cypress: { label: 'Cypress', extension: '.cy.js', generate: generateCypressSpec }
+};
+
+/**
+ * Generates a spec in the given format.
+ *
+ * @param {'playwright'|'cypress'} format
+ * @param {ExportedToolCall[]} calls
+ * @param {TestExportOptions} [options]
+ * @returns {{ code: string, steps: number, skipped: string[], filename: string }}
+ */
+function generateSpec(format, calls, options = {}) {
+  const target = TEST_FORMATS[format];
+  if (!target) throw new Error(`Unknown test format: ${format}`);
+
+  const spec = target.generate(calls, options);
+  const slug = testTitle(options).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'task';
+  return { ...spec, filename: `foxhole-${slug}${target.extension}` };
+}
+
+// Export for MV2 compatibility (script tag loading)
+if (typeof window !== 'undefined') {
+  window.TestExporter = {
+    TEST_FORMATS,
+    collectToolCalls,
+    generatePlaywrightSpec,
+    generateCypressSpec,
+    generateSpec
+  };
+}
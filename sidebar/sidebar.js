@@ -38,8 +38,20 @@
   /** @type {Object} Token usage for last turn only */
   let lastTurnTokens = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
 
+  /** @type {number} Estimated USD spent on this tab's conversation */
+  let conversationCost = 0;
+
+  /** @type {number} Estimated USD spent today across all tabs (from background) */
+  let todayCost = 0;
+
+  /** @type {boolean} Whether the current model has known pricing */
+  let costPriced = true;
+
+  /** @type {string|null} Conversation archive record ID for this tab's conversation */
+  let archiveId = null;
+
   /** @type {string[]} Tools that require confirmation in 'ask' mode */
-  let configuredHighRiskTools = ['click_element', 'type_text', 'navigate', 'execute_script', 'fill_form', 'press_key'];
+  let configuredHighRiskTools = ['click_element', 'type_text', 'navigate', 'execute_script', 'fill_form', 'press_key', 'run_workflow', 'drag_element', 'pointer_sequence', 'drop_file', 'click_at', 'type_at', 'replay_request'];
 
   /** @type {Array} Pending images to send with next message */
   let pendingImages = [];
@@ -71,6 +83,7 @@
   const sendBtn = document.getElementById('send-btn');
   const stopBtn = document.getElementById('stop-btn');
   const modelSelect = document.getElementById('model-select');
+  const thinkingSelect = document.getElementById('thinking-select');
   const clearChatBtn = document.getElementById('clear-chat-btn');
   const menuBtn = document.getElementById('menu-btn');
   const dropdownMenu = document.getElementById('dropdown-menu');
@@ -82,7 +95,12 @@
   const imagePreviewContainer = document.getElementById('image-preview-container');
   // imagePreview and removeImageBtn are now created dynamically per-image in renderImagePreviews()
   const settingsMenuBtn = document.getElementById('settings-menu-btn');
+  const usageMenuBtn = document.getElementById('usage-menu-btn');
+  const historyMenuBtn = document.getElementById('history-menu-btn');
   const exportContextBtn = document.getElementById('export-context-btn');
+  const exportHarBtn = document.getElementById('export-har-btn');
+  const importHarBtn = document.getElementById('import-har-btn');
+  const importHarInput = document.getElementById('import-har-input');
   const reportPromptBtn = document.getElementById('report-prompt-btn');
 
   // Modal Elements
@@ -113,6 +131,25 @@
   const notesViewSource = document.getElementById('notes-view-source');
   const notesClearAll = document.getElementById('notes-clear-all');
   const attachMenu = document.getElementById('attach-menu');
+  // History Modal Elements
+  const historyModal = document.getElementById('history-modal');
+  const historyClose = document.getElementById('history-close');
+  const historyDone = document.getElementById('history-done');
+  const historySearch = document.getElementById('history-search');
+  const historySiteOnly = document.getElementById('history-site-only');
+  const historyResults = document.getElementById('history-results');
+  const historyCount = document.getElementById('history-count');
+  // Macro Recorder Elements
+  const recordBtn = document.getElementById('record-btn');
+  const recorderPanel = document.getElementById('recorder-panel');
+  const recorderStatus = document.getElementById('recorder-status');
+  const recorderSteps = document.getElementById('recorder-steps');
+  const recorderActions = document.getElementById('recorder-actions');
+  const recorderName = document.getElementById('recorder-name');
+  const recorderStop = document.getElementById('recorder-stop');
+  const recorderSave = document.getElementById('recorder-save');
+  const recorderDemo = document.getElementById('recorder-demo');
+  const recorderDiscard = document.getElementById('recorder-discard');
 
   // ============================================================================
   // MODULE INSTANCES
@@ -121,6 +158,12 @@
   /** @type {Object|null} SpecsManager instance */
   let specsManager = null;
 
+  /** @type {Object|null} HistoryPanel instance */
+  let historyPanel = null;
+
+  /** @type {Object|null} MacroRecorder instance */
+  let macroRecorder = null;
+
 
   // ============================================================================
   // STATE ACCESSORS (for modules)
@@ -137,6 +180,8 @@
       apiKeyConfigured,
       tokenUsage,
       lastTurnTokens,
+      conversationCost,
+      archiveId,
       configuredHighRiskTools,
       pendingImages,
       currentTabId,
@@ -155,6 +200,8 @@
     if ('apiKeyConfigured' in updates) apiKeyConfigured = updates.apiKeyConfigured;
     if ('tokenUsage' in updates) tokenUsage = updates.tokenUsage;
     if ('lastTurnTokens' in updates) lastTurnTokens = updates.lastTurnTokens;
+    if ('conversationCost' in updates) conversationCost = updates.conversationCost;
+    if ('archiveId' in updates) archiveId = updates.archiveId;
     if ('pendingImages' in updates) pendingImages = updates.pendingImages;
     if ('currentTabId' in updates) currentTabId = updates.currentTabId;
     if ('currentWindowId' in updates) currentWindowId = updates.currentWindowId;
@@ -182,8 +229,46 @@
         notesViewSource,
         notesBadge
       },
-      (msg) => browser.runtime.sendMessage(msg)
+      (msg) => browser.runtime.sendMessage(msg),
+      { onWorkflowResult: handleWorkflowResult }
+    );
+
+    // Initialize HistoryPanel
+    historyPanel = window.HistoryPanel.createHistoryPanel(
+      {
+        historyModal,
+        historySearch,
+        historySiteOnly,
+        historyResults,
+        historyCount
+      },
+      {
+        sendMessage: (msg) => browser.runtime.sendMessage(msg),
+        onReopen: reopenArchivedConversation
+      }
+    );
+
+    // Initialize MacroRecorder
+    macroRecorder = window.MacroRecorder.createMacroRecorder(
+      {
+        recordBtn,
+        recorderPanel,
+        recorderStatus,
+        recorderSteps,
+        recorderActions,
+        recorderName,
+        recorderStop,
+        recorderSave,
+        recorderDemo,
+        recorderDiscard
+      },
+      {
+        sendMessage: (msg) => browser.runtime.sendMessage(msg),
+        onDemonstrate: insertDemonstration,
+        onNotify: (text, type) => addEphemeralMessage(text, type)
+      }
     );
+    macroRecorder.restore();
 
     // Initialize ModalManager
     window.ModalManager.init({
@@ -261,6 +346,8 @@
             conversation: [],
             tokenUsage: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
             lastTurnTokens: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
+            conversationCost: 0,
+            archiveId: null,
             chatHtml: null,
             autonomyMode: autonomyMode
           });
@@ -269,6 +356,7 @@
         console.log(`[Sidebar] Initialized for window ${currentWindowId}, tab ${currentTabId}`);
         updateTabInfo();
         updateApiIndicator();
+        updateRulesIndicator();
       }
 
       browser.tabs.onActivated.addListener(handleTabActivated);
@@ -306,6 +394,7 @@
     specsManager?.updateBadge();
     updateTabInfo();
     updateApiIndicator();
+    updateRulesIndicator();
   }
 
   function handleTabRemoved(tabId, _removeInfo) {
@@ -319,6 +408,8 @@
       conversation: [...conversation],
       tokenUsage: { ...tokenUsage },
       lastTurnTokens: { ...lastTurnTokens },
+      conversationCost,
+      archiveId,
       chatHtml: chatContainer.innerHTML,
       scrollTop: chatContainer.scrollTop,
       autonomyMode: autonomyMode
@@ -342,6 +433,8 @@
         conversation: conv,
         tokenUsage: tabState.tokenUsage,
         lastTurnTokens: tabState.lastTurnTokens,
+        conversationCost: tabState.conversationCost || 0,
+        archiveId: tabState.archiveId || null,
         chatHtml,
         scrollTop: tabState.scrollTop,
         autonomyMode: tabState.autonomyMode,
@@ -371,6 +464,8 @@
       conversation = [...savedState.conversation];
       tokenUsage = { ...savedState.tokenUsage };
       lastTurnTokens = savedState.lastTurnTokens ? { ...savedState.lastTurnTokens } : { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+      conversationCost = savedState.conversationCost || 0;
+      archiveId = savedState.archiveId || null;
       autonomyMode = savedState.autonomyMode || 'ask';
       if (savedState.chatHtml) {
         chatContainer.innerHTML = savedState.chatHtml;
@@ -389,12 +484,16 @@
       conversation = [];
       tokenUsage = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
       lastTurnTokens = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+      conversationCost = 0;
+      archiveId = null;
       chatContainer.innerHTML = window.TabManager.getWelcomeMessageHtml();
       window.TabManager.attachPromptButtonListeners(userInput);
       tabConversations.set(tabId, {
         conversation: [],
         tokenUsage: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
         lastTurnTokens: { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 },
+        conversationCost: 0,
+        archiveId: null,
         chatHtml: null,
         autonomyMode: autonomyMode
       });
@@ -408,7 +507,8 @@
 
   function reattachChatEventListeners() {
     window.TabManager.reattachChatEventListeners(chatContainer, {
-      handleCopyTaskClick
+      handleCopyTaskClick,
+      handleExportTestClick
     });
   }
 
@@ -416,15 +516,65 @@
   // SETTINGS
   // ============================================================================
 
+  /**
+   * Replace the model picker options with the configured model list.
+   * An empty list keeps the built-in Claude models from sidebar.html.
+   */
+  function populateModelSelect(customModels) {
+    if (!modelSelect.dataset.builtinOptions) {
+      modelSelect.dataset.builtinOptions = modelSelect.innerHTML;
+    }
+
+    if (!Array.isArray(customModels) || customModels.length === 0) {
+      modelSelect.innerHTML = modelSelect.dataset.builtinOptions;
+    } else {
+      modelSelect.innerHTML = '';
+      for (const model of customModels) {
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = model.label || model.id;
+        modelSelect.appendChild(option);
+      }
+    }
+
+    // Keep the current choice if it is still offered
+    const available = Array.from(modelSelect.options).map(o => o.value);
+    if (!available.includes(selectedModel)) {
+      selectedModel = available[0];
+    }
+    modelSelect.value = selectedModel;
+  }
+
+  /**
+   * Select the default extended thinking budget from settings. Budgets not in
+   * the preset list get their own option so the configured value is kept.
+   */
+  function applyDefaultThinkingBudget(enabled, budget) {
+    const value = enabled ? String(budget || 4096) : '0';
+    if (!Array.from(thinkingSelect.options).some(o => o.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `Think ${Math.round(parseInt(value, 10) / 1024)}k`;
+      thinkingSelect.appendChild(option);
+    }
+    thinkingSelect.value = value;
+  }
+
   async function loadSettings() {
     try {
-      const result = await browser.storage.local.get(['autonomyMode', 'defaultModel', 'highRiskTools']);
+      const result = await browser.storage.local.get([
+        'autonomyMode', 'defaultModel', 'highRiskTools', 'customModels', 'thinkingEnabled', 'thinkingBudget'
+      ]);
+
+      applyDefaultThinkingBudget(result.thinkingEnabled, result.thinkingBudget);
 
       if (result.autonomyMode) {
         autonomyMode = result.autonomyMode;
         window.ModalManager?.autonomy?.updateUI?.();
       }
 
+      populateModelSelect(result.customModels);
+
       if (result.defaultModel) {
         selectedModel = result.defaultModel;
         modelSelect.value = selectedModel;
@@ -433,6 +583,11 @@
       if (result.highRiskTools) {
         configuredHighRiskTools = result.highRiskTools;
       }
+
+      const usage = await browser.runtime.sendMessage({ type: 'GET_TODAY_COST' });
+      if (typeof usage?.todayCost === 'number') {
+        todayCost = usage.todayCost;
+      }
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -442,18 +597,31 @@
       if (changes.highRiskTools) {
         configuredHighRiskTools = changes.highRiskTools.newValue;
       }
+      if (changes.customModels) {
+        populateModelSelect(changes.customModels.newValue);
+      }
+      if (changes.thinkingEnabled || changes.thinkingBudget) {
+        browser.storage.local.get(['thinkingEnabled', 'thinkingBudget']).then(r => {
+          applyDefaultThinkingBudget(r.thinkingEnabled, r.thinkingBudget);
+        });
+      }
+      if (changes.apiAuthScheme?.newValue === 'none') {
+        apiKeyConfigured = true;
+      }
     });
   }
 
   async function checkApiKey() {
     try {
-      const result = await browser.storage.local.get(['apiKey', 'apiKeyStatus']);
+      const result = await browser.storage.local.get(['apiKey', 'apiKeyStatus', 'apiAuthScheme']);
       console.log('[Sidebar] API key check:', {
         hasKey: !!result.apiKey,
         keyLength: result.apiKey?.length || 0,
-        status: result.apiKeyStatus
+        status: result.apiKeyStatus,
+        authScheme: result.apiAuthScheme
       });
-      apiKeyConfigured = !!result.apiKey;
+      // Keyless backends (e.g. a local Ollama server) need no key
+      apiKeyConfigured = !!result.apiKey || result.apiAuthScheme === 'none';
       if (!apiKeyConfigured) {
         console.log('[Sidebar] No API key found, showing modal');
         window.ModalManager.apiKey.show();
@@ -520,12 +688,41 @@
       dropdownMenu.classList.add('hidden');
     });
 
+    // Conversation history (archive search / reopen)
+    historyMenuBtn.addEventListener('click', () => {
+      dropdownMenu.classList.add('hidden');
+      historyPanel?.show();
+    });
+    historyClose.addEventListener('click', () => historyPanel?.hide());
+    historyDone.addEventListener('click', () => historyPanel?.hide());
+
+    // Usage & cost history
+    usageMenuBtn.addEventListener('click', () => {
+      browser.tabs.create({ url: browser.runtime.getURL('usage/usage.html') });
+      dropdownMenu.classList.add('hidden');
+    });
+
     // Export context
     exportContextBtn.addEventListener('click', () => {
       dropdownMenu.classList.add('hidden');
       exportContext();
     });
 
+    // HAR export/import
+    exportHarBtn.addEventListener('click', () => {
+      dropdownMenu.classList.add('hidden');
+      exportHar();
+    });
+    importHarBtn.addEventListener('click', () => {
+      dropdownMenu.classList.add('hidden');
+      importHarInput.click();
+    });
+    importHarInput.addEventListener('change', () => {
+      const file = importHarInput.files[0];
+      importHarInput.value = '';
+      if (file) importHar(file);
+    });
+
     // Report prompt button
     reportPromptBtn.addEventListener('click', () => {
       userInput.value = 'Generate report based on your findings';
@@ -657,6 +854,51 @@
     if (userInput.value.length > 0) reportPromptBtn.classList.add('hidden');
   }
 
+  /**
+   * Reports a workflow run from the specs panel. A failed replay is handed to
+   * Claude with the failed step and what was left to do.
+   */
+  function handleWorkflowResult(spec, result, args) {
+    if (result?.success) {
+      addEphemeralMessage(`Workflow "${spec.title}" finished (${spec.workflow.steps.length} steps)`, 'success');
+      return;
+    }
+
+    specsManager.hide();
+    if (isStreaming || !result?.failedStep) {
+      addEphemeralMessage(`Workflow "${spec.title}" failed: ${result?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    const paramText = Object.keys(args).length > 0
+      ? ` with params ${JSON.stringify(args)}`
+      : '';
+    const lines = [
+      `I ran the saved workflow "${spec.title}" (spec_id ${spec.id})${paramText} and it stopped at step ${result.stepsRun + 1}: ${result.failedStep}.`,
+      `Error: ${result.error}`
+    ];
+    if (result.remainingSteps?.length > 0) {
+      lines.push('', 'Remaining steps:', ...result.remainingSteps.map((step, i) => `${result.stepsRun + i + 2}. ${step}`));
+    }
+    lines.push('', 'Please finish the workflow from the failed step, then update it with save_workflow.');
+
+    userInput.value = lines.join('\n');
+    handleSendMessage();
+  }
+
+  /**
+   * Puts a recorded demonstration in front of whatever is in the input,
+   * leaving the cursor at the end for the user's instruction.
+   */
+  function insertDemonstration(text) {
+    userInput.value = text + userInput.value;
+    userInput.style.height = 'auto';
+    userInput.style.height = Math.min(userInput.scrollHeight, 120) + 'px';
+    userInput.focus();
+    userInput.setSelectionRange(userInput.value.length, userInput.value.length);
+    handleInputChange();
+  }
+
   async function handleSendMessage() {
     const text = userInput.value.trim();
     const hasImages = pendingImages.length > 0;
@@ -729,6 +971,7 @@
         type: 'CHAT_MESSAGE',
         conversation: conversation,
         model: selectedModel,
+        thinkingBudget: parseInt(thinkingSelect.value, 10) || 0,
         windowId: currentWindowId,
         autonomyMode: autonomyMode
       });
@@ -810,7 +1053,7 @@
       return;
     }
 
-    if (message.type !== 'STREAM_DELTA') {
+    if (message.type !== 'STREAM_DELTA' && message.type !== 'STREAM_THINKING_DELTA') {
       console.log('[Sidebar] Received message:', message.type, message);
     }
 
@@ -818,6 +1061,13 @@
       case 'STREAM_DELTA':
         handleStreamDelta(message.text);
         break;
+      case 'STREAM_THINKING_START':
+        stopThinkingTimer();
+        window.StreamRenderer.handleThinkingStart(message.redacted === true, { currentTabId, streamingTabId }, { chatContainer });
+        break;
+      case 'STREAM_THINKING_DELTA':
+        window.StreamRenderer.handleThinkingDelta(message.text, { currentTabId, streamingTabId }, { chatContainer });
+        break;
       case 'STREAM_TOOL_USE':
         handleToolUse({
           id: message.toolId,
@@ -840,12 +1090,30 @@
       case 'TOKEN_USAGE':
         updateTokenUsage(message.inputTokens, message.outputTokens, message.cacheCreationTokens, message.cacheReadTokens);
         break;
+      case 'COST_UPDATE':
+        updateCost(message.requestCost, message.todayCost, message.priced);
+        break;
       case 'ITERATION_LIMIT_REACHED':
         showIterationLimitPrompt(message.promptId, message.currentIteration);
         break;
+      case 'SPENDING_CAP_REACHED':
+        showSpendingCapPrompt(message.promptId, message.spent, message.cap);
+        break;
       case 'TAB_CREATED_BY_TOOL':
         handleTabCreatedByTool(message);
         break;
+      case 'RECORDING_STEP':
+        macroRecorder?.handleStep(message);
+        break;
+      case 'RECORDING_STOPPED':
+        macroRecorder?.handleStopped(message);
+        break;
+      case 'DIALOG_OPENED':
+        handleDialogOpened(message.tabId, message.dialog);
+        break;
+      case 'DIALOG_CLOSED':
+        chatContainer.querySelector(`.dialog-prompt[data-dialog-id="${CSS.escape(message.dialogId)}"]`)?.remove();
+        break;
     }
   }
 
@@ -861,6 +1129,7 @@
         specsManager?.updateBadge();
         updateTabInfo();
         updateApiIndicator();
+        updateRulesIndicator();
       }
     }
   }
@@ -962,6 +1231,115 @@
     }
   }
 
+  function showSpendingCapPrompt(promptId, spent, cap) {
+    const existingPrompt = chatContainer.querySelector('.spending-cap-prompt');
+    if (existingPrompt) existingPrompt.remove();
+
+    const promptElement = document.createElement('div');
+    promptElement.className = 'message system iteration-prompt spending-cap-prompt';
+    promptElement.innerHTML = `
+      <div class="message-content">
+        <div class="iteration-prompt-content">
+          <div class="iteration-prompt-header">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="12" y1="1" x2="12" y2="23"/>
+              <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/>
+            </svg>
+            <span>Daily spending cap reached</span>
+          </div>
+          <p class="iteration-prompt-text">Today's estimated spend is ${formatUsd(spent)} (cap ${formatUsd(cap)}). Continue this task anyway?</p>
+          <div class="iteration-prompt-buttons">
+            <div class="iteration-more-buttons">
+              <button class="iteration-btn" data-proceed="true">Continue anyway</button>
+              <button class="iteration-btn stop-now-btn" data-proceed="false">Stop</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    promptElement.querySelectorAll('.iteration-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const proceed = btn.dataset.proceed === 'true';
+        browser.runtime.sendMessage({
+          type: 'SPENDING_CAP_RESPONSE',
+          promptId: promptId,
+          proceed: proceed
+        });
+        addEphemeralMessage(proceed ? 'Continuing past the daily cap for this task...' : 'Paused.', proceed ? 'warning' : 'info', 3000);
+        promptElement.remove();
+      });
+    });
+
+    chatContainer.appendChild(promptElement);
+    window.RenderUtils.scrollToBottom(chatContainer);
+  }
+
+  // ============================================================================
+  // JAVASCRIPT DIALOGS
+  // ============================================================================
+
+  function handleDialogOpened(tabId, dialog) {
+    if (tabId !== currentTabId || !dialog) return;
+
+    if (dialog.state !== 'open') {
+      // Answered by the tab's policy or answer_dialog - just say so
+      if (dialog.type === 'beforeunload') return;
+      const verb = dialog.accepted ? 'Accepted' : 'Dismissed';
+      const answer = dialog.type === 'prompt' && dialog.accepted ? ` with "${dialog.response}"` : '';
+      addEphemeralMessage(`${verb} page ${dialog.type}${answer}: ${dialog.message.slice(0, 120)}`, 'info', 4000);
+      return;
+    }
+
+    showDialogPrompt(tabId, dialog);
+  }
+
+  function showDialogPrompt(tabId, dialog) {
+    const escape = window.RenderUtils.escapeHtml;
+    const promptElement = document.createElement('div');
+    promptElement.className = 'message system iteration-prompt dialog-prompt';
+    promptElement.dataset.dialogId = dialog.id;
+    promptElement.innerHTML = `
+      <div class="message-content">
+        <div class="iteration-prompt-content">
+          <div class="iteration-prompt-header">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="3" y="4" width="18" height="14" rx="2"/>
+              <line x1="12" y1="8" x2="12" y2="12"/>
+              <line x1="12" y1="15" x2="12.01" y2="15"/>
+            </svg>
+            <span>The page is waiting on a ${escape(dialog.type)} dialog</span>
+          </div>
+          <p class="iteration-prompt-text dialog-prompt-message">${escape(dialog.message || '(no message)')}</p>
+          <p class="iteration-prompt-text">Answer it in the page - Claude's current action is paused until you do.</p>
+          <div class="iteration-prompt-buttons">
+            <div class="iteration-more-buttons">
+              <button class="iteration-btn" data-policy="accept">Auto-accept on this tab</button>
+              <button class="iteration-btn" data-policy="dismiss">Auto-dismiss on this tab</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    promptElement.querySelectorAll('.iteration-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const policy = btn.dataset.policy;
+        try {
+          const response = await browser.runtime.sendMessage({ type: 'SET_DIALOG_POLICY', tabId, policy });
+          if (response?.error) throw new Error(response.error);
+          addEphemeralMessage(`Future dialogs on this tab will be ${policy === 'accept' ? 'accepted' : 'dismissed'} automatically. Answer the open one in the page.`, 'success', 4000);
+        } catch (e) {
+          console.error('Failed to set dialog policy:', e);
+        }
+        promptElement.querySelectorAll('.iteration-btn').forEach(b => { b.disabled = true; });
+      });
+    });
+
+    chatContainer.appendChild(promptElement);
+    window.RenderUtils.scrollToBottom(chatContainer);
+  }
+
   // ============================================================================
   // STREAMING HANDLERS
   // ============================================================================
@@ -1065,6 +1443,9 @@
 
     window.RenderUtils.forceScrollToBottom(chatContainer);
 
+    // Archive the conversation so it can be searched and reopened later
+    archiveCurrentConversation([...new Set(currentStreamingTools)]);
+
     // Handle pending tab switch
     const tabToSwitchTo = pendingTabSwitch;
     const activityItems = activityLog?.querySelectorAll('.activity-item');
@@ -1085,6 +1466,7 @@
       specsManager?.updateBadge();
       updateTabInfo();
       updateApiIndicator();
+      updateRulesIndicator();
     }
 
     // Persist state after each completed response
@@ -1094,6 +1476,97 @@
     checkAndCompressContext();
   }
 
+  // ============================================================================
+  // CONVERSATION ARCHIVE
+  // ============================================================================
+
+  /**
+   * Upserts this tab's conversation into the IndexedDB archive (background).
+   * The first archive assigns a stable ID so later responses update the same record.
+   */
+  async function archiveCurrentConversation(toolsUsed) {
+    if (conversation.length === 0 || !currentTabId) return;
+
+    if (!archiveId) {
+      archiveId = `conv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    try {
+      const tab = await browser.tabs.get(currentTabId);
+      const response = await browser.runtime.sendMessage({
+        type: 'ARCHIVE_CONVERSATION',
+        entry: {
+          id: archiveId,
+          url: tab?.url,
+          title: tab?.title,
+          conversation,
+          chatHtml: chatContainer.innerHTML.replace(/src="data:[^"]+"/g, 'src=""'),
+          tokenUsage: {
+            input: tokenUsage.input + lastTurnTokens.input,
+            output: tokenUsage.output + lastTurnTokens.output,
+            cacheCreation: tokenUsage.cacheCreation + lastTurnTokens.cacheCreation,
+            cacheRead: tokenUsage.cacheRead + lastTurnTokens.cacheRead
+          },
+          cost: conversationCost,
+          model: selectedModel,
+          toolsUsed
+        }
+      });
+      if (response?.error) {
+        console.warn('[Archive] Failed to archive conversation:', response.error);
+      }
+    } catch (error) {
+      console.warn('[Archive] Failed to archive conversation:', error);
+    }
+  }
+
+  /**
+   * Loads an archived conversation into the current tab so it can be continued.
+   * Returns false when the reopen is refused (e.g. while streaming).
+   */
+  function reopenArchivedConversation(record) {
+    if (isStreaming) {
+      addEphemeralMessage('Wait for the current response to finish before reopening a conversation.', 'error', 4000);
+      return false;
+    }
+
+    if (pendingImages.length > 0) {
+      clearPendingImages();
+    }
+
+    conversation = [...record.conversation];
+    tokenUsage = record.tokenUsage
+      ? { input: 0, output: 0, cacheCreation: 0, cacheRead: 0, ...record.tokenUsage }
+      : { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+    lastTurnTokens = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+    conversationCost = record.cost || 0;
+    archiveId = record.id;
+
+    if (record.chatHtml) {
+      chatContainer.innerHTML = record.chatHtml;
+      reattachChatEventListeners();
+    } else {
+      chatContainer.innerHTML = '';
+      for (const msg of conversation) {
+        const text = typeof msg.content === 'string'
+          ? msg.content
+          : msg.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+        if (text) addMessageToUI(msg.role, text);
+      }
+    }
+
+    refreshTokenDisplay();
+    handleInputChange();
+    reportPromptBtn.classList.add('hidden');
+    saveCurrentTabState();
+    persistSidebarState();
+
+    const when = new Date(record.updatedAt).toLocaleString();
+    addEphemeralMessage(`Reopened conversation from ${record.domain} (${when}). New messages continue it.`, 'success', 4000);
+    window.RenderUtils.forceScrollToBottom(chatContainer);
+    return true;
+  }
+
   async function checkAndCompressContext() {
     if (!window.ContextManager) return;
 
@@ -1176,9 +1649,17 @@
     }
 
     window.ActivityLog.updateResult(chatContainer, toolId, result, isError, {
-      onSiteSpecSaved: () => specsManager?.updateBadge()
+      onSiteSpecSaved: () => specsManager?.updateBadge(),
+      onCopyRequestSnippet: async (requestId, format) => {
+        const response = await browser.runtime.sendMessage({ type: 'GET_REQUEST_SNIPPET', tabId: currentTabId, requestId, format });
+        if (response?.error) throw new Error(response.error);
+        return response.snippet;
+      }
     });
 
+    // Request rule tools change what the tab sends - refresh the toolbar indicator
+    updateRulesIndicator();
+
     requestAnimationFrame(() => {
       const activityLog = chatContainer.querySelector('.activity-log');
       if (activityLog) {
@@ -1206,7 +1687,8 @@
 
   function createMessageElement(role, content, image = null) {
     return window.StreamRenderer.createMessageElement(role, content, image, {
-      onCopyTask: handleCopyTaskClick
+      onCopyTask: handleCopyTaskClick,
+      onExportTest: handleExportTestClick
     });
   }
 
@@ -1315,10 +1797,11 @@
     const cumulativeTotal = tokenUsage.input + tokenUsage.output + lastTurnTotal;
     const cacheRead = tokenUsage.cacheRead + lastTurnTokens.cacheRead;
 
-    // Format: "2.3k (+0.8k)" or "2.3k (+0.8k) | 1.2k cached"
+    // Format: "2.3k (+0.8k)" or "2.3k (+0.8k) | 1.2k cached | $0.04"
     let displayText = toK(cumulativeTotal);
     if (lastTurnTotal > 0) displayText += ` (+${toK(lastTurnTotal)})`;
     if (cacheRead > 0) displayText += ` | ${toK(cacheRead)} cached`;
+    if (conversationCost > 0) displayText += ` | ${formatUsd(conversationCost)}`;
     tokenDisplay.textContent = displayText;
 
     // Visual tier based on cumulative token count
@@ -1351,9 +1834,28 @@
       if (cacheRead > 0) tooltipLines.push(`Cache read: ${cacheRead.toLocaleString()} tokens`);
       if (cacheCreation > 0) tooltipLines.push(`Cache write: ${cacheCreation.toLocaleString()} tokens`);
     }
+    tooltipLines.push('--- Cost (estimated) ---');
+    tooltipLines.push(`This conversation: ${formatUsd(conversationCost)}`);
+    tooltipLines.push(`Today (all tabs): ${formatUsd(todayCost)}`);
+    if (!costPriced) tooltipLines.push('No pricing for this model - add it under Settings > Pricing');
     tokenDisplay.title = tooltipLines.join('\n');
   }
 
+  function formatUsd(amount) {
+    if (amount > 0 && amount < 0.01) return '<$0.01';
+    return `$${amount.toFixed(2)}`;
+  }
+
+  /**
+   * Adds a priced request to this conversation's running cost.
+   */
+  function updateCost(requestCost, newTodayCost, priced) {
+    conversationCost += requestCost || 0;
+    if (typeof newTodayCost === 'number') todayCost = newTodayCost;
+    costPriced = priced !== false;
+    refreshTokenDisplay();
+  }
+
   /**
    * Updates token usage from streaming events.
    * When inputTokens is provided, it's a new turn - previous lastTurn gets accumulated.
@@ -1471,6 +1973,89 @@
     });
   }
 
+  // ============================================================================
+  // REQUEST RULES INDICATOR
+  // ============================================================================
+
+  async function updateRulesIndicator() {
+    const indicator = document.getElementById('rules-indicator');
+    const countEl = document.getElementById('rules-indicator-count');
+    if (!indicator || !countEl || currentTabId === null) return;
+
+    try {
+      const rules = await browser.runtime.sendMessage({ type: 'GET_REQUEST_RULES', tabId: currentTabId });
+      renderMocksPanel(rules?.mocks || []);
+      if (!rules?.active) {
+        indicator.classList.add('hidden');
+        return;
+      }
+
+      const lines = [
+        ...rules.headers.map(h => h.action === 'remove' ? `Remove header: ${h.name}` : `Set header: ${h.name}`),
+        ...rules.blocked.map(b => `Block: ${b.pattern} (${b.hits} hit${b.hits !== 1 ? 's' : ''})`),
+        ...(rules.mocks || []).map(m => {
+          const label = m.kind === 'mock' ? 'Mock' : 'Rewrite';
+          const status = m.status ? ` -> ${m.status}` : '';
+          const error = m.lastError ? ` - error: ${m.lastError}` : '';
+          return `${label}: ${m.method} ${m.pattern}${status} (${m.hits} hit${m.hits !== 1 ? 's' : ''})${error}`;
+        })
+      ];
+      countEl.textContent = lines.length;
+      indicator.title = `Requests from this tab are being modified:\n${lines.join('\n')}\n\nClick to clear all rules`;
+      indicator.classList.remove('hidden');
+    } catch (e) {
+      indicator.classList.add('hidden');
+      renderMocksPanel([]);
+    }
+  }
+
+  /**
+   * List the tab's mock/rewrite rules above the input, each removable
+   */
+  function renderMocksPanel(mocks) {
+    const panel = document.getElementById('mocks-panel');
+    const list = document.getElementById('mocks-list');
+    if (!panel || !list) return;
+
+    panel.classList.toggle('hidden', mocks.length === 0);
+    const escape = window.RenderUtils.escapeHtml;
+    list.innerHTML = mocks.map(m => {
+      const text = `${m.kind === 'mock' ? 'Mock' : 'Rewrite'} ${m.method} ${m.pattern}${m.status ? ` -> ${m.status}` : ''}`;
+      const hits = `${m.hits} hit${m.hits !== 1 ? 's' : ''}`;
+      return `<li class="mock-rule" title="${escape(m.lastError ? `Last error: ${m.lastError}` : text)}">` +
+        `<span class="mock-rule-text${m.lastError ? ' mock-rule-error' : ''}">${escape(text)}</span>` +
+        `<span class="mock-rule-hits">${hits}</span>` +
+        `<button class="mock-remove-btn" data-rule-id="${escape(m.id)}" title="Remove this rule">&times;</button></li>`;
+    }).join('');
+
+    list.querySelectorAll('.mock-remove-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await browser.runtime.sendMessage({ type: 'CLEAR_REQUEST_RULES', tabId: currentTabId, id: btn.dataset.ruleId });
+        } catch (e) {
+          console.error('Failed to remove mock rule:', e);
+        }
+        updateRulesIndicator();
+      });
+    });
+  }
+
+  setInterval(updateRulesIndicator, 10000);
+
+  // Click indicator to drop all header/block rules for this tab
+  const rulesIndicator = document.getElementById('rules-indicator');
+  if (rulesIndicator) {
+    rulesIndicator.addEventListener('click', async () => {
+      try {
+        await browser.runtime.sendMessage({ type: 'CLEAR_REQUEST_RULES', tabId: currentTabId });
+        addEphemeralMessage('Request rules cleared for this tab', 'success', 3000);
+      } catch (e) {
+        console.error('Failed to clear request rules:', e);
+      }
+      updateRulesIndicator();
+    });
+  }
+
   // ============================================================================
   // LEARNING SYSTEM
   // ============================================================================
@@ -1692,6 +2277,40 @@
     }
   }
 
+  // ============================================================================
+  // HAR EXPORT / IMPORT
+  // ============================================================================
+
+  async function exportHar() {
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'EXPORT_HAR', tabId: currentTabId });
+      if (result?.error) {
+        addEphemeralMessage(`HAR export failed: ${result.error}`, 'error', 5000);
+        return;
+      }
+      addEphemeralMessage(result.message, 'success', 4000);
+    } catch (error) {
+      console.error('HAR export error:', error);
+      addEphemeralMessage(`HAR export failed: ${error.message}`, 'error', 5000);
+    }
+  }
+
+  async function importHar(file) {
+    try {
+      const content = await file.text();
+      const result = await browser.runtime.sendMessage({ type: 'IMPORT_HAR', tabId: currentTabId, content });
+      if (result?.error) {
+        addEphemeralMessage(`HAR import failed: ${result.error}`, 'error', 5000);
+        return;
+      }
+      addEphemeralMessage(`Imported ${result.imported} requests from ${file.name}`, 'success', 4000);
+      updateApiIndicator();
+    } catch (error) {
+      console.error('HAR import error:', error);
+      addEphemeralMessage(`HAR import failed: ${error.message}`, 'error', 5000);
+    }
+  }
+
   // ============================================================================
   // COPY TASK
   // ============================================================================
@@ -1776,6 +2395,100 @@
     }
   }
 
+  // ============================================================================
+  // EXPORT AS TEST
+  // ============================================================================
+
+  /**
+   * Text of the user message that started the task shown in msgElement
+   */
+  function findTaskRequest(msgElement) {
+    const messages = Array.from(chatContainer.querySelectorAll('.message'));
+    for (let i = messages.indexOf(msgElement) - 1; i >= 0; i--) {
+      if (messages[i].classList.contains('user')) {
+        return messages[i].querySelector('.message-content')?.textContent || '';
+      }
+    }
+    return '';
+  }
+
+  function closeExportTestMenus() {
+    chatContainer.querySelectorAll('.export-test-menu').forEach(menu => {
+      menu.closest('.message-actions')?.classList.remove('menu-open');
+      menu.remove();
+    });
+  }
+
+  /**
+   * Shows the Playwright / Cypress choice under the export button
+   */
+  function handleExportTestClick(msgElement) {
+    const actionsDiv = msgElement.querySelector('.message-actions');
+    const isOpen = !!actionsDiv?.querySelector('.export-test-menu');
+    closeExportTestMenus();
+    if (!actionsDiv || isOpen) return;
+
+    if (window.TestExporter.collectToolCalls(msgElement).length === 0) {
+      addEphemeralMessage('No successful tool calls to export', 'error', 3000);
+      return;
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'export-test-menu';
+    for (const [format, { label }] of Object.entries(window.TestExporter.TEST_FORMATS)) {
+      const option = document.createElement('button');
+      option.className = 'export-test-option';
+      option.textContent = label;
+      option.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeExportTestMenus();
+        exportTaskAsTest(msgElement, format);
+      });
+      menu.appendChild(option);
+    }
+    actionsDiv.appendChild(menu);
+    actionsDiv.classList.add('menu-open');
+
+    setTimeout(() => {
+      document.addEventListener('click', closeExportTestMenus, { once: true });
+    }, 0);
+  }
+
+  /**
+   * Downloads the task's tool calls as a Playwright or Cypress spec
+   *
+   * @param {HTMLElement} msgElement - Assistant message of the finished task
+   * @param {'playwright'|'cypress'} format
+   */
+  async function exportTaskAsTest(msgElement, format) {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      const calls = window.TestExporter.collectToolCalls(msgElement);
+      const spec = window.TestExporter.generateSpec(format, calls, {
+        title: findTaskRequest(msgElement),
+        startUrl: tab?.url
+      });
+
+      const blob = new Blob([spec.code], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = spec.filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      const label = window.TestExporter.TEST_FORMATS[format].label;
+      const skipped = spec.skipped.length > 0 ? `, ${spec.skipped.length} skipped` : '';
+      addEphemeralMessage(`Exported ${spec.steps} step${spec.steps !== 1 ? 's' : ''} as ${label} test${skipped}`, 'success', 3000);
+    } catch (error) {
+      console.error('[ExportTest] Error:', error);
+      addEphemeralMessage(`Export failed: ${error.message}`, 'error', 5000);
+    }
+  }
+
   // ============================================================================
   // BOOTSTRAP
   // ============================================================================
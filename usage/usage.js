@@ -0,0 +1,278 @@
+/**
+ * Foxhole for Claude - Usage & Costs Page
+ * Renders the cost history recorded by background/usage-tracker.js
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_TASK_ROWS = 25;
+
+  // DOM Elements
+  const elements = {
+    todayCost: document.getElementById('today-cost'),
+    todayDetail: document.getElementById('today-detail'),
+    weekCost: document.getElementById('week-cost'),
+    weekDetail: document.getElementById('week-detail'),
+    monthCost: document.getElementById('month-cost'),
+    monthDetail: document.getElementById('month-detail'),
+    capValue: document.getElementById('cap-value'),
+    rangeSelect: document.getElementById('range-select'),
+    domainTable: document.getElementById('domain-table'),
+    modelTable: document.getElementById('model-table'),
+    taskTable: document.getElementById('task-table'),
+    dailyTable: document.getElementById('daily-table'),
+    clearUsage: document.getElementById('clear-usage')
+  };
+
+  let stats = { days: {}, tasks: [] };
+  let dailySpendingCap = 0;
+
+  /**
+   * Initialize the usage page
+   */
+  async function init() {
+    await loadUsage();
+    render();
+    setupEventListeners();
+  }
+
+  async function loadUsage() {
+    try {
+      const result = await browser.storage.local.get(['usageStats', 'dailySpendingCap']);
+      stats = { days: {}, tasks: [], ...result.usageStats };
+      dailySpendingCap = Number(result.dailySpendingCap) || 0;
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * Local calendar day key, matching usage-tracker.js
+   */
+  function dayKey(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+
+  /**
+   * Day keys for the last N days, today included
+   */
+  function lastDayKeys(count) {
+    const keys = [];
+    const date = new Date();
+    for (let i = 0; i < count; i++) {
+      keys.push(dayKey(date));
+      date.setDate(date.getDate() - 1);
+    }
+    return keys;
+  }
+
+  function formatUsd(amount) {
+    if (amount > 0 && amount < 0.01) return '<$0.01';
+    return `$${amount.toFixed(2)}`;
+  }
+
+  function formatTokens(n) {
+    if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
+    if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
+    return String(n);
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function sumDays(keys) {
+    const total = { cost: 0, requests: 0 };
+    for (const key of keys) {
+      const day = stats.days[key];
+      if (!day) continue;
+      total.cost += day.cost;
+      total.requests += day.requests;
+    }
+    return total;
+  }
+
+  /**
+   * Merge a per-day breakdown (byDomain / byModel) across days
+   */
+  function mergeBuckets(keys, field) {
+    const merged = {};
+    for (const key of keys) {
+      const buckets = stats.days[key]?.[field] || {};
+      for (const [name, bucket] of Object.entries(buckets)) {
+        if (!merged[name]) merged[name] = { cost: 0, requests: 0 };
+        merged[name].cost += bucket.cost;
+        merged[name].requests += bucket.requests;
+      }
+    }
+    return Object.entries(merged).sort(([, a], [, b]) => b.cost - a.cost);
+  }
+
+  // ============================================================================
+  // Rendering
+  // ============================================================================
+
+  function render() {
+    renderSummary();
+    renderBreakdowns();
+    renderDailyHistory();
+  }
+
+  function renderSummary() {
+    const today = sumDays(lastDayKeys(1));
+    const week = sumDays(lastDayKeys(7));
+    const month = sumDays(lastDayKeys(30));
+
+    elements.todayCost.textContent = formatUsd(today.cost);
+    elements.todayDetail.textContent = `${today.requests} requests`;
+    elements.todayCost.classList.toggle('over-cap', dailySpendingCap > 0 && today.cost >= dailySpendingCap);
+    elements.weekCost.textContent = formatUsd(week.cost);
+    elements.weekDetail.textContent = `${week.requests} requests`;
+    elements.monthCost.textContent = formatUsd(month.cost);
+    elements.monthDetail.textContent = `${month.requests} requests`;
+    elements.capValue.textContent = dailySpendingCap > 0 ? formatUsd(dailySpendingCap) : 'None';
+  }
+
+  function renderBreakdowns() {
+    const keys = lastDayKeys(parseInt(elements.rangeSelect.value, 10));
+    elements.domainTable.innerHTML = renderBucketTable(mergeBuckets(keys, 'byDomain'), 'Domain');
+    elements.modelTable.innerHTML = renderBucketTable(mergeBuckets(keys, 'byModel'), 'Model');
+    renderTasks(new Set(keys));
+  }
+
+  function renderBucketTable(rows, label) {
+    if (rows.length === 0) {
+      return '<p class="empty-state">No usage recorded in this range.</p>';
+    }
+
+    const maxCost = Math.max(...rows.map(([, b]) => b.cost)) || 1;
+    const body = rows.map(([name, bucket]) => `
+      <tr>
+        <td>${escapeHtml(name)}</td>
+        <td style="width: 35%;"><div class="bar" style="width: ${(bucket.cost / maxCost * 100).toFixed(1)}%;"></div></td>
+        <td class="num">${bucket.requests}</td>
+        <td class="num">${formatUsd(bucket.cost)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="usage-table">
+        <thead><tr><th>${label}</th><th></th><th class="num">Requests</th><th class="num">Cost</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  function renderTasks(keySet) {
+    const tasks = (stats.tasks || [])
+      .filter(task => keySet.has(dayKey(new Date(task.timestamp))))
+      .sort((a, b) => b.toolCalls - a.toolCalls || b.cost - a.cost)
+      .slice(0, MAX_TASK_ROWS);
+
+    if (tasks.length === 0) {
+      elements.taskTable.innerHTML = '<p class="empty-state">No tasks recorded in this range.</p>';
+      return;
+    }
+
+    const body = tasks.map(task => `
+      <tr>
+        <td class="num">${new Date(task.timestamp).toLocaleString()}</td>
+        <td>${escapeHtml(task.domain)}</td>
+        <td class="task-label" title="${escapeHtml(task.label || '')}">${escapeHtml(task.label || '')}</td>
+        <td class="num">${task.toolCalls}</td>
+        <td class="num">${task.requests}</td>
+        <td class="num">${formatUsd(task.cost)}</td>
+      </tr>
+    `).join('');
+
+    elements.taskTable.innerHTML = `
+      <table class="usage-table">
+        <thead><tr><th>When</th><th>Domain</th><th>Task</th><th class="num">Tools</th><th class="num">Requests</th><th class="num">Cost</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  function renderDailyHistory() {
+    const keys = Object.keys(stats.days).sort().reverse();
+    if (keys.length === 0) {
+      elements.dailyTable.innerHTML = '<p class="empty-state">No usage recorded yet.</p>';
+      return;
+    }
+
+    const body = keys.map(key => {
+      const day = stats.days[key];
+      const overCap = dailySpendingCap > 0 && day.cost >= dailySpendingCap;
+      return `
+        <tr>
+          <td>${key}</td>
+          <td class="num">${day.requests}</td>
+          <td class="num">${formatTokens(day.inputTokens)}</td>
+          <td class="num">${formatTokens(day.outputTokens)}</td>
+          <td class="num">${formatTokens(day.cacheReadTokens)}</td>
+          <td class="num"${overCap ? ' style="color: var(--error-color);"' : ''}>${formatUsd(day.cost)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    elements.dailyTable.innerHTML = `
+      <table class="usage-table">
+        <thead><tr><th>Day</th><th class="num">Requests</th><th class="num">Input</th><th class="num">Output</th><th class="num">Cache read</th><th class="num">Cost</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  // ============================================================================
+  // Actions
+  // ============================================================================
+
+  async function clearUsageHistory() {
+    if (!confirm('Clear all recorded usage and cost history?')) {
+      return;
+    }
+
+    try {
+      await browser.storage.local.remove('usageStats');
+      stats = { days: {}, tasks: [] };
+      render();
+    } catch (error) {
+      console.error('Failed to clear usage:', error);
+    }
+  }
+
+  function setupEventListeners() {
+    elements.rangeSelect.addEventListener('change', renderBreakdowns);
+    elements.clearUsage.addEventListener('click', clearUsageHistory);
+
+    // Live refresh while tasks run in the sidebar
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local') return;
+      if (changes.usageStats) {
+        stats = { days: {}, tasks: [], ...changes.usageStats.newValue };
+        render();
+      }
+      if (changes.dailySpendingCap) {
+        dailySpendingCap = Number(changes.dailySpendingCap.newValue) || 0;
+        renderSummary();
+      }
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();